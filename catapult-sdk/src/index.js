@@ -24,6 +24,7 @@ const merkle = require('./crypto/merkleAuditProof');
 const sha3Hasher = require('./crypto/sha3Hasher');
 const address = require('./model/address');
 const EntityType = require('./model/EntityType');
+const idGenerator = require('./model/idGenerator');
 const idReducer = require('./model/idReducer');
 const ModelType = require('./model/ModelType');
 const namespace = require('./model/namespace');
@@ -37,6 +38,7 @@ const PacketType = require('./packet/PacketType');
 const BinaryParser = require('./parser/BinaryParser');
 const PacketParser = require('./parser/PacketParser');
 const catapultModelSystem = require('./plugins/catapultModelSystem');
+const mosaicRestrictions = require('./plugins/mosaicRestrictions');
 const BinarySerializer = require('./serializer/BinarySerializer');
 const SerializedSizeCalculator = require('./serializer/SerializedSizeCalculator');
 const arrayUtils = require('./utils/arrayUtils');
@@ -64,6 +66,7 @@ const catapultSdk = {
 	model: {
 		address,
 		EntityType,
+		idGenerator,
 		idReducer,
 		ModelType,
 		namespace,
@@ -83,7 +86,8 @@ const catapultSdk = {
 		PacketParser
 	},
 	plugins: {
-		catapultModelSystem
+		catapultModelSystem,
+		mosaicRestrictions
 	},
 	serializer: {
 		BinarySerializer,
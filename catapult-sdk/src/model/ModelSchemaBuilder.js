@@ -114,6 +114,7 @@ class ModelSchemaBuilder {
 				addressHeight: ModelType.uint64,
 				publicKey: ModelType.binary,
 				publicKeyHeight: ModelType.uint64,
+				linkedAccountKey: ModelType.binary,
 				importance: ModelType.uint64,
 				importanceHeight: ModelType.uint64,
 				mosaics: { type: ModelType.array, schemaName: 'mosaic' }
@@ -30,20 +30,26 @@ const ModelType = {
 	/** Schema property type indicating a binary value. */
 	binary: SchemaType.max + 1,
 
+	/** Schema property type indicating a double value. */
+	double: SchemaType.max + 2,
+
 	/** Schema property type indicating an object identifier. */
-	objectId: SchemaType.max + 2,
+	objectId: SchemaType.max + 3,
 
 	/** Schema property type indicating a status code. */
-	statusCode: SchemaType.max + 3,
+	statusCode: SchemaType.max + 4,
 
 	/** Schema property type indicating a string value. */
-	string: SchemaType.max + 4,
+	string: SchemaType.max + 5,
 
 	/** Schema property type indicating a uint16. */
-	uint16: SchemaType.max + 5,
+	uint16: SchemaType.max + 6,
+
+	/** Schema property type indicating a uint32 value. */
+	uint32: SchemaType.max + 7,
 
 	/** Schema property type indicating a uint64 value. */
-	uint64: SchemaType.max + 6
+	uint64: SchemaType.max + 8
 };
 
 Object.assign(ModelType, SchemaType);
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+/** @module model/idGenerator */
+const sha3Hasher = require('../crypto/sha3Hasher');
+const uint64 = require('../utils/uint64');
+
+const constants = {
+	hashSize: 32,
+	maxNamespaceDepth: 3,
+	maxNamespaceNameSize: 64,
+	namespaceBaseIdMask: 0x80000000,
+	mosaicIdMask: 0x7FFFFFFF
+};
+
+const namespaceNamePattern = /^[a-z0-9][a-z0-9_-]*$/;
+
+const hashToUint64 = (...parts) => {
+	const hasher = sha3Hasher.createHasher(constants.hashSize);
+	hasher.reset();
+	parts.forEach(part => hasher.update(part));
+
+	const hash = new Uint8Array(constants.hashSize);
+	hasher.finalize(hash);
+	return uint64.fromBytes(hash.subarray(0, 8));
+};
+
+const uint32ToBytes = value => {
+	const bytes = new Uint8Array(4);
+	new DataView(bytes.buffer).setUint32(0, value, true);
+	return bytes;
+};
+
+const uint64ToBytes = value => {
+	const bytes = new Uint8Array(8);
+	const view = new DataView(bytes.buffer);
+	view.setUint32(0, value[0], true);
+	view.setUint32(4, value[1], true);
+	return bytes;
+};
+
+const idGenerator = {
+	/**
+	 * Determines if a namespace name (a single part of a fully qualified name) is valid.
+	 * @param {string} name Namespace name.
+	 * @returns {boolean} true if the name is valid.
+	 */
+	isValidNamespaceName: name => constants.maxNamespaceNameSize >= name.length && namespaceNamePattern.test(name),
+
+	/**
+	 * Determines if a fully qualified namespace name is valid.
+	 * @param {string} fullyQualifiedName Fully qualified namespace name (e.g. foo.bar.baz).
+	 * @returns {boolean} true if the name has at most the maximum number of parts and all parts are valid.
+	 */
+	isValidFullyQualifiedName: fullyQualifiedName => {
+		const names = fullyQualifiedName.split('.');
+		return constants.maxNamespaceDepth >= names.length && names.every(idGenerator.isValidNamespaceName);
+	},
+
+	/**
+	 * Generates a mosaic id given an owner public key and a nonce.
+	 * @param {Uint8Array} ownerPublicKey Owner public key.
+	 * @param {numeric} nonce Mosaic nonce.
+	 * @returns {module:utils/uint64~uint64} Mosaic id.
+	 */
+	generateMosaicId: (ownerPublicKey, nonce) => {
+		const mosaicId = hashToUint64(uint32ToBytes(nonce), ownerPublicKey);
+
+		// the high bit is reserved for namespace ids
+		mosaicId[1] = (mosaicId[1] & constants.mosaicIdMask) >>> 0;
+		return mosaicId;
+	},
+
+	/**
+	 * Generates a namespace id given a parent id and a name.
+	 * @param {module:utils/uint64~uint64} parentId Parent namespace id (zero for root namespaces).
+	 * @param {string} name Namespace name.
+	 * @returns {module:utils/uint64~uint64} Namespace id.
+	 */
+	generateNamespaceId: (parentId, name) => {
+		if (!idGenerator.isValidNamespaceName(name))
+			throw Error(`invalid namespace name '${name}'`);
+
+		const namespaceId = hashToUint64(uint64ToBytes(parentId), Buffer.from(name, 'utf8'));
+
+		// the high bit is always set in order to distinguish namespace ids from mosaic ids
+		namespaceId[1] = (namespaceId[1] | constants.namespaceBaseIdMask) >>> 0;
+		return namespaceId;
+	},
+
+	/**
+	 * Generates the ids of all namespaces along the path of a fully qualified namespace name.
+	 * @param {string} fullyQualifiedName Fully qualified namespace name (e.g. foo.bar.baz).
+	 * @returns {array<module:utils/uint64~uint64>} Namespace ids ordered from root to leaf.
+	 */
+	generateNamespacePath: fullyQualifiedName => {
+		const names = fullyQualifiedName.split('.');
+		if (constants.maxNamespaceDepth < names.length)
+			throw Error(`fully qualified name '${fullyQualifiedName}' has too many parts`);
+
+		const path = [];
+		names.reduce((parentId, name) => {
+			const namespaceId = idGenerator.generateNamespaceId(parentId, name);
+			path.push(namespaceId);
+			return namespaceId;
+		}, [0, 0]);
+
+		return path;
+	}
+};
+
+module.exports = idGenerator;
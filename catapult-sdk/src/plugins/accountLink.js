@@ -34,6 +34,15 @@ const accountLinkPlugin = {
 		builder.addTransactionSupport(EntityType.accountLink, {
 			remoteAccountKey: ModelType.binary
 		});
+
+		builder.addSchema('accountLinkEntry', {
+			accountLink: { type: ModelType.object, schemaName: 'accountLinkEntry.accountLink' }
+		});
+		builder.addSchema('accountLinkEntry.accountLink', {
+			address: ModelType.binary,
+			publicKey: ModelType.binary,
+			linkedAccountKey: ModelType.binary
+		});
 	},
 
 	registerCodecs: codecBuilder => {
@@ -55,6 +55,19 @@ const metadataPlugin = {
 			targetNamespaceId: ModelType.uint64,
 			value: ModelType.string
 		});
+
+		builder.addSchema('metadata', {
+			meta: { type: ModelType.object, schemaName: 'transactionMetadata' },
+			metadataEntry: { type: ModelType.object, schemaName: 'metadata.entry' }
+		});
+		builder.addSchema('metadata.entry', {
+			compositeHash: ModelType.binary,
+			senderPublicKey: ModelType.binary,
+			targetPublicKey: ModelType.binary,
+			scopedMetadataKey: ModelType.uint64,
+			targetId: ModelType.uint64,
+			value: ModelType.binary
+		});
 	},
 
 	registerCodecs: codecBuilder => {
@@ -55,6 +55,21 @@ const mosaicPlugin = {
 		builder.addSchema('mosaicDefinition.mosaicProperty', {
 			value: ModelType.uint64
 		});
+
+		builder.addSchema('mosaicHolder', {
+			address: ModelType.binary,
+			publicKey: ModelType.binary,
+			amount: ModelType.uint64
+		});
+
+		builder.addSchema('mosaicDistribution', {
+			mosaicId: ModelType.uint64,
+			holderCount: ModelType.uint32,
+			circulatingAmount: ModelType.uint64,
+			topHolders: { type: ModelType.array, schemaName: 'mosaicHolder' },
+			topHoldersAmount: ModelType.uint64,
+			topHoldersConcentration: ModelType.double
+		});
 	},
 
 	registerCodecs: codecBuilder => {
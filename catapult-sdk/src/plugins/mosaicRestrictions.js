@@ -25,11 +25,21 @@ const sizes = require('../modelBinary/sizes');
 
 const constants = { sizes };
 
+/**
+ * Mosaic restriction entry types.
+ * @enum {numeric}
+ */
+const MosaicRestrictionEntryType = Object.freeze({
+	address: 0,
+	global: 1
+});
+
 /**
  * Creates a mosaic restrictions plugin.
  * @type {module:plugins/CatapultPlugin}
  */
 const mosaicRestrictionsPlugin = {
+	MosaicRestrictionEntryType,
 
 	registerSchema: builder => {
 		builder.addTransactionSupport(EntityType.mosaicRestrictionAddress, {
@@ -47,6 +57,39 @@ const mosaicRestrictionsPlugin = {
 			previousRestrictionValue: ModelType.uint64,
 			newRestrictionValue: ModelType.uint64
 		});
+
+		builder.addSchema('mosaicRestrictions', {
+			meta: { type: ModelType.object, schemaName: 'transactionMetadata' },
+			mosaicRestrictionEntry: {
+				type: ModelType.object,
+				schemaName: entry => (MosaicRestrictionEntryType.global === entry.entryType
+					? 'mosaicRestrictions.entry.global'
+					: 'mosaicRestrictions.entry.address')
+			}
+		});
+		builder.addSchema('mosaicRestrictions.entry.address', {
+			compositeHash: ModelType.binary,
+			mosaicId: ModelType.uint64,
+			targetAddress: ModelType.binary,
+			restrictions: { type: ModelType.array, schemaName: 'mosaicRestrictions.entry.address.restriction' }
+		});
+		builder.addSchema('mosaicRestrictions.entry.address.restriction', {
+			key: ModelType.uint64,
+			value: ModelType.uint64
+		});
+		builder.addSchema('mosaicRestrictions.entry.global', {
+			compositeHash: ModelType.binary,
+			mosaicId: ModelType.uint64,
+			restrictions: { type: ModelType.array, schemaName: 'mosaicRestrictions.entry.global.restriction' }
+		});
+		builder.addSchema('mosaicRestrictions.entry.global.restriction', {
+			key: ModelType.uint64,
+			restriction: { type: ModelType.object, schemaName: 'mosaicRestrictions.entry.global.restriction.rule' }
+		});
+		builder.addSchema('mosaicRestrictions.entry.global.restriction.rule', {
+			referenceMosaicId: ModelType.uint64,
+			restrictionValue: ModelType.uint64
+		});
 	},
 
 	registerCodecs: codecBuilder => {
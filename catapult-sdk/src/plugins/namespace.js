@@ -77,7 +77,9 @@ const namespacePlugin = {
 			ownerAddress: ModelType.binary,
 
 			startHeight: ModelType.uint64,
-			endHeight: ModelType.uint64
+			endHeight: ModelType.uint64,
+
+			name: ModelType.string
 		});
 
 		builder.addSchema('namespaceDescriptor.alias.mosaic', {
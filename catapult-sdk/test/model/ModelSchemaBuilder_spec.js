@@ -201,6 +201,7 @@ describe('model schema builder', () => {
 
 				'account.address',
 				'account.publicKey',
+				'account.linkedAccountKey',
 
 				'nodeInfo.publicKey'
 			]);
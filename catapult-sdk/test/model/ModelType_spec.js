@@ -30,12 +30,14 @@ describe('model type enumeration', () => {
 			dictionary: 2,
 			object: 3,
 			binary: 4,
-			objectId: 5,
-			statusCode: 6,
-			string: 7,
-			uint16: 8,
-			uint64: 9,
-			max: 9
+			double: 5,
+			objectId: 6,
+			statusCode: 7,
+			string: 8,
+			uint16: 9,
+			uint32: 10,
+			uint64: 11,
+			max: 11
 		});
 	});
 });
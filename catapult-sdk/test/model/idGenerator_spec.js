@@ -0,0 +1,171 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+const idGenerator = require('../../src/model/idGenerator');
+const convert = require('../../src/utils/convert');
+const uint64 = require('../../src/utils/uint64');
+const { expect } = require('chai');
+
+describe('id generator', () => {
+	describe('is valid namespace name', () => {
+		it('returns true for valid names', () => {
+			['a', 'cat', 'nem-1', 'foo_bar', '0x', 'a'.repeat(64)].forEach(name => {
+				// Act + Assert:
+				expect(idGenerator.isValidNamespaceName(name), name).to.equal(true);
+			});
+		});
+
+		it('returns false for invalid names', () => {
+			['', 'Cat', '-nem', '_nem', 'foo.bar', 'foo bar', 'f@o', 'a'.repeat(65)].forEach(name => {
+				// Act + Assert:
+				expect(idGenerator.isValidNamespaceName(name), name).to.equal(false);
+			});
+		});
+	});
+
+	describe('is valid fully qualified name', () => {
+		it('returns true for valid names', () => {
+			['a', 'cat.currency', 'nem-1.foo_bar.0x', `${'a'.repeat(64)}.b`].forEach(name => {
+				// Act + Assert:
+				expect(idGenerator.isValidFullyQualifiedName(name), name).to.equal(true);
+			});
+		});
+
+		it('returns false for invalid names', () => {
+			['', 'a..b', '.a', 'a.', 'a.B', 'a.b.c.d', `${'a'.repeat(65)}.b`].forEach(name => {
+				// Act + Assert:
+				expect(idGenerator.isValidFullyQualifiedName(name), name).to.equal(false);
+			});
+		});
+	});
+
+	describe('generate mosaic id', () => {
+		const nemesisPublicKey = convert.hexToUint8('B4F12E7C9F6946091E2CB8B6D3A12B50D17CCBBF646386EA27CE2946A7423DCF');
+
+		it('generates well known mosaic id', () => {
+			// Act:
+			const mosaicId = idGenerator.generateMosaicId(nemesisPublicKey, 0);
+
+			// Assert: cat.currency mosaic id
+			expect(uint64.toHex(mosaicId)).to.equal('0DC67FBE1CAD29E3');
+		});
+
+		it('generates different ids for different nonces', () => {
+			// Act:
+			const mosaicId1 = idGenerator.generateMosaicId(nemesisPublicKey, 0);
+			const mosaicId2 = idGenerator.generateMosaicId(nemesisPublicKey, 1);
+
+			// Assert:
+			expect(mosaicId1).to.not.deep.equal(mosaicId2);
+		});
+
+		it('generates different ids for different owners', () => {
+			// Arrange:
+			const otherPublicKey = convert.hexToUint8('4AFF7B4BA8C1C26A7917575993346627CB6C80DE62CD92F7F9AEDB7064A3DE62');
+
+			// Act:
+			const mosaicId1 = idGenerator.generateMosaicId(nemesisPublicKey, 0);
+			const mosaicId2 = idGenerator.generateMosaicId(otherPublicKey, 0);
+
+			// Assert:
+			expect(mosaicId1).to.not.deep.equal(mosaicId2);
+		});
+
+		it('generates ids with high bit cleared', () => {
+			// Arrange:
+			const otherPublicKey = convert.hexToUint8('4AFF7B4BA8C1C26A7917575993346627CB6C80DE62CD92F7F9AEDB7064A3DE62');
+
+			// Act:
+			const mosaicId = idGenerator.generateMosaicId(otherPublicKey, 0xFFFFFFFF);
+
+			// Assert:
+			expect(uint64.toHex(mosaicId)).to.equal('7D2D7279D78A9899');
+			expect(mosaicId[1] & 0x80000000).to.equal(0);
+		});
+	});
+
+	describe('generate namespace id', () => {
+		it('generates well known root namespace ids', () => {
+			// Act + Assert:
+			expect(uint64.toHex(idGenerator.generateNamespaceId([0, 0], 'cat'))).to.equal('B1497F5FBA651B4F');
+			expect(uint64.toHex(idGenerator.generateNamespaceId([0, 0], 'nem'))).to.equal('84B3552D375FFA4B');
+		});
+
+		it('generates well known child namespace ids', () => {
+			// Arrange:
+			const catId = uint64.fromHex('B1497F5FBA651B4F');
+
+			// Act + Assert:
+			expect(uint64.toHex(idGenerator.generateNamespaceId(catId, 'currency'))).to.equal('85BBEA6CC462B244');
+			expect(uint64.toHex(idGenerator.generateNamespaceId(catId, 'harvest'))).to.equal('941299B2B7E1291C');
+		});
+
+		it('generates different ids for same name with different parents', () => {
+			// Act:
+			const namespaceId1 = idGenerator.generateNamespaceId(uint64.fromHex('B1497F5FBA651B4F'), 'currency');
+			const namespaceId2 = idGenerator.generateNamespaceId(uint64.fromHex('84B3552D375FFA4B'), 'currency');
+
+			// Assert:
+			expect(namespaceId1).to.not.deep.equal(namespaceId2);
+		});
+
+		it('cannot generate id for invalid name', () => {
+			// Act + Assert:
+			expect(() => idGenerator.generateNamespaceId([0, 0], 'Cat')).to.throw('invalid namespace name \'Cat\'');
+		});
+	});
+
+	describe('generate namespace path', () => {
+		it('generates path for root namespace', () => {
+			// Act:
+			const path = idGenerator.generateNamespacePath('nem');
+
+			// Assert:
+			expect(path.map(uint64.toHex)).to.deep.equal(['84B3552D375FFA4B']);
+		});
+
+		it('generates path for child namespace', () => {
+			// Act:
+			const path = idGenerator.generateNamespacePath('nem.xem');
+
+			// Assert:
+			expect(path.map(uint64.toHex)).to.deep.equal(['84B3552D375FFA4B', 'D525AD41D95FCF29']);
+		});
+
+		it('generates path for grandchild namespace', () => {
+			// Act:
+			const path = idGenerator.generateNamespacePath('a.b.c');
+
+			// Assert:
+			expect(path.map(uint64.toHex)).to.deep.equal(['A535DA36BC8C7FA4', 'A4B144731D78FBDE', 'A2F4875D7DBA6D0F']);
+		});
+
+		it('cannot generate path with too many parts', () => {
+			// Act + Assert:
+			expect(() => idGenerator.generateNamespacePath('a.b.c.d')).to.throw('fully qualified name \'a.b.c.d\' has too many parts');
+		});
+
+		it('cannot generate path with invalid part', () => {
+			['', 'a..b', '.a', 'a.', 'a.B'].forEach(name => {
+				// Act + Assert:
+				expect(() => idGenerator.generateNamespacePath(name), name).to.throw('invalid namespace name');
+			});
+		});
+	});
+});
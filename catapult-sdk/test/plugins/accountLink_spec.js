@@ -36,12 +36,19 @@ describe('account link plugin', () => {
 			const modelSchema = builder.build();
 
 			// Assert:
-			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 1);
-			expect(modelSchema).to.contain.all.keys(['accountLink']);
+			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 3);
+			expect(modelSchema).to.contain.all.keys(['accountLink', 'accountLinkEntry', 'accountLinkEntry.accountLink']);
 
 			// - accountLink
 			expect(Object.keys(modelSchema.accountLink).length).to.equal(Object.keys(modelSchema.transaction).length + 1);
 			expect(modelSchema.accountLink).to.contain.all.keys(['remoteAccountKey']);
+
+			// - accountLinkEntry
+			expect(Object.keys(modelSchema.accountLinkEntry).length).to.equal(1);
+			expect(modelSchema.accountLinkEntry).to.contain.all.keys(['accountLink']);
+
+			expect(Object.keys(modelSchema['accountLinkEntry.accountLink']).length).to.equal(3);
+			expect(modelSchema['accountLinkEntry.accountLink']).to.contain.all.keys(['address', 'publicKey', 'linkedAccountKey']);
 		});
 	});
 
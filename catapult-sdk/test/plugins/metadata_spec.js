@@ -36,8 +36,14 @@ describe('metadata plugin', () => {
 			const modelSchema = builder.build();
 
 			// Assert:
-			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 3);
-			expect(modelSchema).to.contain.all.keys(['accountMetadata', 'mosaicMetadata', 'namespaceMetadata']);
+			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 5);
+			expect(modelSchema).to.contain.all.keys([
+				'accountMetadata',
+				'mosaicMetadata',
+				'namespaceMetadata',
+				'metadata',
+				'metadata.entry'
+			]);
 
 			// - accountMetadata
 			expect(Object.keys(modelSchema.accountMetadata).length).to.equal(Object.keys(modelSchema.transaction).length + 3);
@@ -55,6 +61,21 @@ describe('metadata plugin', () => {
 				'targetNamespaceId',
 				'value'
 			]);
+
+			// - metadata
+			expect(Object.keys(modelSchema.metadata).length).to.equal(2);
+			expect(modelSchema.metadata).to.contain.all.keys(['meta', 'metadataEntry']);
+
+			// - metadata.entry
+			expect(Object.keys(modelSchema['metadata.entry']).length).to.equal(6);
+			expect(modelSchema['metadata.entry']).to.contain.all.keys([
+				'compositeHash',
+				'senderPublicKey',
+				'targetPublicKey',
+				'scopedMetadataKey',
+				'targetId',
+				'value'
+			]);
 		});
 	});
 
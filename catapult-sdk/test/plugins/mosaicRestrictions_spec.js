@@ -25,6 +25,12 @@ const test = require('../binaryTestUtils');
 const { expect } = require('chai');
 
 describe('mosaic restrictions plugin', () => {
+	it('exposes mosaic restriction entry types', () => {
+		// Assert:
+		expect(mosaicRestrictionsPlugin.MosaicRestrictionEntryType).to.deep.equal({ address: 0, global: 1 });
+		expect(Object.isFrozen(mosaicRestrictionsPlugin.MosaicRestrictionEntryType)).to.equal(true);
+	});
+
 	describe('register schema', () => {
 		it('adds mosaic restrictions system schema', () => {
 			// Arrange:
@@ -36,10 +42,16 @@ describe('mosaic restrictions plugin', () => {
 			const modelSchema = builder.build();
 
 			// Assert:
-			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 2);
+			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 8);
 			expect(modelSchema).to.contain.all.keys(
 				'mosaicRestrictionAddress',
-				'mosaicRestrictionGlobal'
+				'mosaicRestrictionGlobal',
+				'mosaicRestrictions',
+				'mosaicRestrictions.entry.address',
+				'mosaicRestrictions.entry.address.restriction',
+				'mosaicRestrictions.entry.global',
+				'mosaicRestrictions.entry.global.restriction',
+				'mosaicRestrictions.entry.global.restriction.rule'
 			);
 
 			// - mosaic restriction address
@@ -61,6 +73,41 @@ describe('mosaic restrictions plugin', () => {
 				'previousRestrictionValue',
 				'newRestrictionValue'
 			]);
+
+			// - mosaic restrictions state
+			expect(Object.keys(modelSchema.mosaicRestrictions).length).to.equal(2);
+			expect(modelSchema.mosaicRestrictions).to.contain.all.keys(['meta', 'mosaicRestrictionEntry']);
+
+			expect(Object.keys(modelSchema['mosaicRestrictions.entry.address']).length).to.equal(4);
+			expect(modelSchema['mosaicRestrictions.entry.address']).to.contain.all.keys([
+				'compositeHash',
+				'mosaicId',
+				'targetAddress',
+				'restrictions'
+			]);
+			expect(Object.keys(modelSchema['mosaicRestrictions.entry.address.restriction']).length).to.equal(2);
+			expect(modelSchema['mosaicRestrictions.entry.address.restriction']).to.contain.all.keys(['key', 'value']);
+
+			expect(Object.keys(modelSchema['mosaicRestrictions.entry.global']).length).to.equal(3);
+			expect(modelSchema['mosaicRestrictions.entry.global']).to.contain.all.keys(['compositeHash', 'mosaicId', 'restrictions']);
+			expect(Object.keys(modelSchema['mosaicRestrictions.entry.global.restriction']).length).to.equal(2);
+			expect(modelSchema['mosaicRestrictions.entry.global.restriction']).to.contain.all.keys(['key', 'restriction']);
+			expect(Object.keys(modelSchema['mosaicRestrictions.entry.global.restriction.rule']).length).to.equal(2);
+			expect(modelSchema['mosaicRestrictions.entry.global.restriction.rule']).to.contain.all.keys([
+				'referenceMosaicId',
+				'restrictionValue'
+			]);
+		});
+
+		it('selects mosaic restriction entry schema by entry type', () => {
+			// Arrange:
+			const builder = new ModelSchemaBuilder();
+			mosaicRestrictionsPlugin.registerSchema(builder);
+			const { schemaName } = builder.build().mosaicRestrictions.mosaicRestrictionEntry;
+
+			// Act + Assert:
+			expect(schemaName({ entryType: 0 })).to.equal('mosaicRestrictions.entry.address');
+			expect(schemaName({ entryType: 1 })).to.equal('mosaicRestrictions.entry.global');
 		});
 	});
 
@@ -44,13 +44,15 @@ describe('mosaic plugin', () => {
 			const modelSchema = builder.build();
 
 			// Assert:
-			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 5);
+			expect(Object.keys(modelSchema).length).to.equal(numDefaultKeys + 7);
 			expect(modelSchema).to.contain.all.keys(
 				'mosaicDefinition',
 				'mosaicDefinition.mosaicProperty',
 				'mosaicDescriptor',
 				'mosaicDescriptor.mosaic',
-				'mosaicSupplyChange'
+				'mosaicSupplyChange',
+				'mosaicHolder',
+				'mosaicDistribution'
 			);
 
 			// - mosaic definition
@@ -74,6 +76,23 @@ describe('mosaic plugin', () => {
 			// - mosaic supply change
 			expect(Object.keys(modelSchema.mosaicSupplyChange).length).to.equal(Object.keys(modelSchema.transaction).length + 2);
 			expect(modelSchema.mosaicSupplyChange).to.contain.all.keys(['mosaicId', 'delta']);
+
+			// - mosaic holder
+			expect(modelSchema.mosaicHolder).to.deep.equal({
+				address: ModelType.binary,
+				publicKey: ModelType.binary,
+				amount: ModelType.uint64
+			});
+
+			// - mosaic distribution
+			expect(modelSchema.mosaicDistribution).to.deep.equal({
+				mosaicId: ModelType.uint64,
+				holderCount: ModelType.uint32,
+				circulatingAmount: ModelType.uint64,
+				topHolders: { type: ModelType.array, schemaName: 'mosaicHolder' },
+				topHoldersAmount: ModelType.uint64,
+				topHoldersConcentration: ModelType.double
+			});
 		});
 	});
 
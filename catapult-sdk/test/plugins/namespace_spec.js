@@ -77,9 +77,9 @@ describe('namespace plugin', () => {
 			expect(modelSchema.namespaceDescriptor).to.contain.all.keys(['meta', 'namespace']);
 
 			// - namespaceDescriptor.namespace
-			expect(Object.keys(modelSchema['namespaceDescriptor.namespace']).length).to.equal(9);
+			expect(Object.keys(modelSchema['namespaceDescriptor.namespace']).length).to.equal(10);
 			expect(modelSchema['namespaceDescriptor.namespace']).to.contain.all.keys([
-				'level0', 'level1', 'level2', 'alias', 'parentId', 'owner', 'ownerAddress', 'startHeight', 'endHeight'
+				'level0', 'level1', 'level2', 'alias', 'parentId', 'owner', 'ownerAddress', 'startHeight', 'endHeight', 'name'
 			]);
 
 			// - namespaceDescriptor.alias.mosaic
@@ -45,9 +45,12 @@ module.exports = {
 			new Promise((resolve, reject) => {
 				const innerReject = rejectOnClose(reject);
 				connection.once('close', innerReject);
-				connection.write(payload, () => {
+				connection.write(payload, err => {
 					connection.removeListener('close', innerReject);
-					resolve();
+					if (err)
+						innerReject();
+					else
+						resolve();
 				});
 			}),
 
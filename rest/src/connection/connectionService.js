@@ -25,10 +25,34 @@ const catapult = require('catapult-sdk');
 const { convert } = catapult.utils;
 const { createKeyPairFromPrivateKeyString } = catapult.crypto;
 
+const defaultPoolOptions = {
+	selection: 'priority',
+	unhealthyRetryInterval: 10000,
+	broadcastCount: 1
+};
+
+const selectionOrderers = {
+	// lower priority values are preferred and ties are broken by configuration order
+	priority: () => nodes => nodes.slice().sort((lhs, rhs) => (lhs.priority - rhs.priority) || (lhs.index - rhs.index)),
+
+	// every ordering starts with the node following the first node of the previous ordering
+	roundRobin: () => {
+		let startIndex = 0;
+		return nodes => {
+			const currentStartIndex = startIndex;
+			startIndex = (startIndex + 1) % nodes.length;
+			return nodes.slice(currentStartIndex).concat(nodes.slice(0, currentStartIndex));
+		};
+	}
+};
+
+const toRestError = err => (err.statusCode ? err : errors.createServiceUnavailableError('connection failed'));
+
 /**
  * Creates a catapult connection service for connecting to catapult servers.
  * This is used for sending data (e.g. transactions) to a server over an authenticated connection.
- * Current implementation only supports maintaining a connection to a single server but can be extended if needed.
+ * Connections are made to a pool of api nodes (config.apiNodes or the single node config.apiNode).
+ * Nodes that fail are considered unhealthy for a while and are only used when no healthy node is available.
  * @param {object} config Service configuration.
  * @param {Function} connectionFactory Factory for creating new net.Socket connections.
  * @param {Function} authPromiseFactory Factory for creating an auth promise around a net.Socket.
@@ -36,19 +60,77 @@ const { createKeyPairFromPrivateKeyString } = catapult.crypto;
  * @returns {object} Catapult connection service.
  */
 module.exports.createConnectionService = (config, connectionFactory, authPromiseFactory, logger = () => {}) => {
-	const node = config.apiNode;
+	// pool options are optional, so the api node section can be omitted when all nodes are listed in apiNodes
+	const apiNodeConfig = config.apiNode || {};
+	const poolOptions = Object.assign({}, defaultPoolOptions);
+	Object.keys(defaultPoolOptions).filter(key => undefined !== apiNodeConfig[key]).forEach(key => {
+		poolOptions[key] = apiNodeConfig[key];
+	});
+
+	if (!selectionOrderers[poolOptions.selection])
+		throw Error(`unknown api node selection '${poolOptions.selection}'`);
+
+	const nodeConfigs = config.apiNodes || [config.apiNode];
+	if (0 === nodeConfigs.length)
+		throw Error('at least one api node is required');
+
 	const clientKeyPair = createKeyPairFromPrivateKeyString(config.clientPrivateKey);
-	const aliveConnections = {};
+	const nodes = nodeConfigs.map((node, index) => ({
+		index,
+		node,
+		priority: node.priority || 0,
+		aliveConnection: undefined,
+		aliveSocket: undefined,
+		numConsecutiveFailures: 0,
+		unhealthyUntil: 0
+	}));
+
+	const orderBySelection = selectionOrderers[poolOptions.selection]();
+	const isHealthy = (nodeState, now) => nodeState.unhealthyUntil <= now;
+
+	// healthy nodes are ordered by the configured selection and are always preferred over unhealthy nodes
+	const orderNodes = () => {
+		const now = Date.now();
+		const orderedNodes = orderBySelection(nodes);
+		return orderedNodes.filter(nodeState => isHealthy(nodeState, now))
+			.concat(orderedNodes.filter(nodeState => !isHealthy(nodeState, now)));
+	};
+
+	const markSuccess = nodeState => {
+		nodeState.numConsecutiveFailures = 0;
+		nodeState.unhealthyUntil = 0;
+	};
+
+	const dropAliveConnection = nodeState => {
+		nodeState.aliveConnection = undefined;
+		nodeState.aliveSocket = undefined;
+	};
+
+	const markFailure = (nodeState, err) => {
+		const { node } = nodeState;
+		logger(`api node ${node.host}:${node.port} is unhealthy`, err);
+		++nodeState.numConsecutiveFailures;
+		nodeState.unhealthyUntil = Date.now() + poolOptions.unhealthyRetryInterval;
+
+		// the pooled socket might be half-broken (e.g. after a failed send), so close it instead of waiting for the peer
+		if (nodeState.aliveSocket)
+			nodeState.aliveSocket.destroy();
+
+		dropAliveConnection(nodeState);
+	};
 
 	/**
 	 * Opens a new connection authenticated to catapult.
+	 * @param {object} nodeState State of the node to connect to.
 	 * @param {boolean} isPersistent Determines whether the new connection should be pooled and kept open for reuse.
 	 * @returns {Promise} A promise bound to the creation of the connection.
 	 */
-	const openAuthenticatedConnection = isPersistent => new Promise((resolve, reject) => {
+	const openAuthenticatedConnection = (nodeState, isPersistent) => new Promise((resolve, reject) => {
+		const { node } = nodeState;
 		logger(`connecting to ${node.host}:${node.port}`);
 		const serverSocket = connectionFactory(node.port, node.host);
 		const apiNodePublicKey = convert.hexToUint8(node.publicKey);
+		let isClosed = false;
 
 		serverSocket
 			.on('error', err => {
@@ -59,8 +141,11 @@ module.exports.createConnectionService = (config, connectionFactory, authPromise
 				logger(`error raised by ${node.host}:${node.port} connection`, err);
 			})
 			.on('close', () => {
-				if (isPersistent)
-					delete aliveConnections[node];
+				isClosed = true;
+
+				// a newer connection might have been pooled after this socket was dropped
+				if (isPersistent && serverSocket === nodeState.aliveSocket)
+					dropAliveConnection(nodeState);
 
 				reject(errors.createServiceUnavailableError('connection failed'));
 			});
@@ -69,30 +154,98 @@ module.exports.createConnectionService = (config, connectionFactory, authPromise
 			.then(() => {
 				// wrap the socket in a catapult connection and save it
 				const serverConnection = catapultConnection.wrap(serverSocket);
-				if (isPersistent)
-					aliveConnections[node] = serverConnection;
+				if (isPersistent && !isClosed) {
+					nodeState.aliveConnection = serverConnection;
+					nodeState.aliveSocket = serverSocket;
+				}
 
 				resolve(serverConnection);
 			}, reject);
 	});
 
+	const leaseFromNode = nodeState => (nodeState.aliveConnection
+		? Promise.resolve(nodeState.aliveConnection)
+		: openAuthenticatedConnection(nodeState, true));
+
+	// runs the action against the nodes in order until it succeeds for one of them
+	const runWithFailover = (orderedNodes, action) => {
+		const runAt = (i, lastError) => {
+			if (orderedNodes.length === i)
+				return Promise.reject(lastError);
+
+			const nodeState = orderedNodes[i];
+			return action(nodeState).then(result => {
+				markSuccess(nodeState);
+				return result;
+			}, err => {
+				markFailure(nodeState, err);
+				return runAt(i + 1, err);
+			});
+		};
+
+		return runAt(0);
+	};
+
 	return {
 		/**
 		 * Leases an available connection.
 		 * @returns {module:connection/catapultConnection~CatapultConnection} A connection.
 		 */
-		lease: () => {
-			const connection = aliveConnections[node];
-			if (connection)
-				return Promise.resolve(connection);
-
-			return openAuthenticatedConnection(true);
-		},
+		lease: () => runWithFailover(orderNodes(), leaseFromNode),
 
 		/**
 		 * Creates a new connection that gets automatically closed after being used.
 		 * @returns {module:connection/catapultConnection~CatapultConnection} A connection.
 		 */
-		singleUse: () => openAuthenticatedConnection(false)
+		singleUse: () => runWithFailover(orderNodes(), nodeState => openAuthenticatedConnection(nodeState, false)),
+
+		/**
+		 * Sends a payload to the configured number of api nodes (broadcastCount).
+		 * When sending to a node fails, the payload is sent to the next node that has not been tried yet instead.
+		 * @param {Buffer} payload Payload to send.
+		 * @returns {Promise} Promise that is resolved with the number of nodes the payload was sent to
+		 * when it was sent to at least one node.
+		 */
+		send: payload => {
+			const orderedNodes = orderNodes();
+			let nextIndex = 0;
+
+			const sendToNode = nodeState => leaseFromNode(nodeState).then(connection => connection.send(payload));
+
+			// every lane sends the payload to a single node, so lanes take distinct nodes from the shared ordering
+			const sendToNextNode = lastError => {
+				if (orderedNodes.length === nextIndex)
+					return Promise.reject(lastError);
+
+				const nodeState = orderedNodes[nextIndex++];
+				return runWithFailover([nodeState], sendToNode).catch(sendToNextNode);
+			};
+			const runLane = () => sendToNextNode().then(() => ({ isSent: true }), err => ({ isSent: false, err }));
+
+			const numLanes = Math.min(poolOptions.broadcastCount, orderedNodes.length);
+			return Promise.all(Array.from({ length: numLanes }, runLane)).then(results => {
+				const numSent = results.filter(result => result.isSent).length;
+				if (0 === numSent)
+					throw toRestError(results[0].err);
+
+				return numSent;
+			});
+		},
+
+		/**
+		 * Gets the state of all api nodes in the pool.
+		 * Hosts are not included because they should not be available to rest clients.
+		 * @returns {array<object>} Node states in configuration order.
+		 */
+		poolState: () => {
+			const now = Date.now();
+			return nodes.map(nodeState => ({
+				publicKey: nodeState.node.publicKey,
+				priority: nodeState.priority,
+				isHealthy: isHealthy(nodeState, now),
+				isConnected: !!nodeState.aliveConnection,
+				numConsecutiveFailures: nodeState.numConsecutiveFailures
+			}));
+		}
 	};
 };
@@ -108,7 +108,7 @@ module.exports = {
 	/**
 	 * Creates a multisocket emitter.
 	 * @param {function} zsocketFactory Factory for creating a zmq socket given a key.
-	 * @returns {object} Event emitter with partial interface (on, removeAllListeners, listenerCount).
+	 * @returns {object} Event emitter with partial interface (on, removeListener, removeAllListeners, listenerCount).
 	 */
 	createMultisocketEmitter: zsocketFactory => {
 		const emitter = new EventEmitter();
@@ -136,6 +136,17 @@ module.exports = {
 				emitter.on(key, callback);
 			},
 
+			removeListener: (key, callback) => {
+				if (isSubEvent(key) && !isValidSubEvent(key))
+					throw Error(`${key} indicates an unsupported subevent`);
+
+				emitter.removeListener(key, callback);
+
+				// close the channel socket once its last subscriber is gone
+				if (!isSubEvent(key) && 0 === emitter.listenerCount(key))
+					multisocketEmitter.removeAllListeners(key);
+			},
+
 			removeAllListeners: key => {
 				if (isSubEvent(key))
 					throw Error(`${key} must be a channel`);
@@ -21,6 +21,7 @@
 /** @module db/CatapultDb */
 
 const connector = require('./connector');
+const TransactionQueryBuilder = require('./TransactionQueryBuilder');
 const { convertToLong } = require('./dbUtils');
 const catapult = require('catapult-sdk');
 const MongoDb = require('mongodb');
@@ -92,8 +93,53 @@ const buildBlocksFromOptions = (height, numBlocks, chainHeight) => {
 	return { startHeight, endHeight, numBlocks: endHeight.subtract(startHeight).toNumber() };
 };
 
+// merkle trees are only exposed via the merkle routes
+const blockHeaderProjection = { 'meta.transactionMerkleTree': 0, 'meta.statementMerkleTree': 0 };
+
 const boundPageSize = (pageSize, bounds) => Math.max(bounds.pageSizeMin, Math.min(bounds.pageSizeMax, pageSize));
 
+const getFieldValue = (document, fieldName) =>
+	fieldName.split('.').reduce((value, key) => (undefined === value ? undefined : value[key]), document);
+
+const createCursorCondition = (collection, id, sortField, sortOrder) => {
+	const operator = 0 > sortOrder ? '$lt' : '$gt';
+	const objectId = new ObjectId(id);
+	const idCondition = { _id: { [operator]: objectId } };
+	if ('_id' === sortField)
+		return Promise.resolve(idCondition);
+
+	// documents with the same sort field value as the cursor document are ordered by id
+	return collection.findOne({ _id: objectId }, { projection: { [sortField]: 1 } }).then(cursorDocument => {
+		if (!cursorDocument)
+			return idCondition;
+
+		const value = getFieldValue(cursorDocument, sortField);
+		return { $or: [{ [sortField]: { [operator]: value } }, Object.assign({ [sortField]: value }, idCondition)] };
+	});
+};
+
+const createPagination = (documents, pageSize, cursorId, isBackward, options, totalCount) => {
+	const pagination = { pageSize };
+	if (undefined !== options.offset && !cursorId)
+		pagination.offset = options.offset;
+
+	if (undefined !== totalCount)
+		pagination.totalCount = totalCount;
+
+	if (0 < documents.length) {
+		// a forward page is preceded by documents when it starts after a cursor or an offset
+		// and a backward page is always followed by the cursor document, but only preceded by documents when it is full
+		const isFullPage = pageSize === documents.length;
+		if (isBackward ? isFullPage : (cursorId || options.offset))
+			pagination.previous = documents[0]._id.toString();
+
+		if (isBackward || isFullPage)
+			pagination.next = documents[documents.length - 1]._id.toString();
+	}
+
+	return pagination;
+};
+
 class CatapultDb {
 	// region construction / connect / disconnect
 
@@ -151,17 +197,48 @@ class CatapultDb {
 			.then(this.sanitizer.copyAndDeleteIds);
 	}
 
+	/**
+	 * Retrieves a page of documents.
+	 * The returned array has a non-enumerable pagination property containing the page size actually used,
+	 * next and previous cursors and, when requested, the total number of matching documents.
+	 * A page following the next cursor is retrieved by passing it as id and a page preceding the previous cursor
+	 * is retrieved by passing it as options.before. The offset is ignored when either cursor is supplied.
+	 * @param {string} collectionName Collection name.
+	 * @param {object} conditions Query conditions containing an $and array.
+	 * @param {string} id Paging id (cursor) of the document preceding the page.
+	 * @param {int} pageSize Requested page size.
+	 * @param {object} options Additional options (projection, sortOrder, sortField, before, offset and includeTotal).
+	 * @returns {Promise.<array>} Documents in the page.
+	 */
 	queryPagedDocuments(collectionName, conditions, id, pageSize, options = {}) {
-		const sortOrder = options.sortOrder || -1;
-		if (id)
-			conditions.$and.push({ _id: { [0 > sortOrder ? '$lt' : '$gt']: new ObjectId(id) } });
+		const isBackward = undefined !== options.before;
+		const cursorId = isBackward ? options.before : id;
 
+		// a backward page is queried in reverse order starting at the cursor and then restored to the requested order
+		const sortOrder = (options.sortOrder || -1) * (isBackward ? -1 : 1);
+		const sortField = options.sortField || '_id';
+		const boundedPageSize = boundPageSize(pageSize, this);
 		const collection = this.database.collection(collectionName);
-		return collection.find(conditions)
-			.project(options.projection)
-			.sort({ _id: sortOrder })
-			.limit(boundPageSize(pageSize, this))
-			.toArray();
+
+		const cursorConditionPromise = cursorId ? createCursorCondition(collection, cursorId, sortField, sortOrder) : Promise.resolve();
+		const totalCountPromise = options.includeTotal ? collection.countDocuments(conditions) : Promise.resolve();
+		return Promise.all([cursorConditionPromise, totalCountPromise]).then(([cursorCondition, totalCount]) => {
+			const pageConditions = cursorCondition
+				? Object.assign({}, conditions, { $and: conditions.$and.concat([cursorCondition]) })
+				: conditions;
+			const sort = '_id' === sortField ? { _id: sortOrder } : { [sortField]: sortOrder, _id: sortOrder };
+
+			return collection.find(pageConditions)
+				.project(options.projection)
+				.sort(sort)
+				.skip(cursorId ? 0 : options.offset || 0)
+				.limit(boundedPageSize)
+				.toArray()
+				.then(documents => (isBackward ? documents.reverse() : documents))
+				.then(documents => Object.defineProperty(documents, 'pagination', {
+					value: createPagination(documents, boundedPageSize, cursorId, isBackward, options, totalCount)
+				}));
+		});
 	}
 
 	// endregion
@@ -185,11 +262,35 @@ class CatapultDb {
 	}
 
 	blockAtHeight(height) {
-		return this.queryDocument(
-			'blocks',
-			{ 'block.height': convertToLong(height) },
-			{ 'meta.transactionMerkleTree': 0, 'meta.statementMerkleTree': 0 }
-		).then(this.sanitizer.deleteId);
+		return this.queryDocument('blocks', { 'block.height': convertToLong(height) }, blockHeaderProjection)
+			.then(this.sanitizer.deleteId);
+	}
+
+	/**
+	 * Retrieves the block with the given hash.
+	 * @param {Uint8Array} hash Block hash.
+	 * @returns {Promise.<object>} Block with the given hash.
+	 */
+	blockByHash(hash) {
+		return this.queryDocument('blocks', { 'meta.hash': Buffer.from(hash) }, blockHeaderProjection)
+			.then(this.sanitizer.deleteId);
+	}
+
+	/**
+	 * Retrieves the blocks signed or harvested for the beneficiary with the given public key.
+	 * @param {Uint8Array} publicKey Public key of the block signer or beneficiary.
+	 * @param {string} id Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {int} ordering Sort order (1 for ascending, -1 for descending).
+	 * @param {object} options Additional paging options.
+	 * @returns {Promise.<array>} Matching blocks.
+	 */
+	blocksBySignerOrBeneficiary(publicKey, id, pageSize, ordering, options) {
+		const bufferPublicKey = Buffer.from(publicKey);
+		const conditions = { $and: [{ $or: [{ 'block.signer': bufferPublicKey }, { 'block.beneficiary': bufferPublicKey }] }] };
+		const queryOptions = Object.assign({}, options, { projection: blockHeaderProjection, sortOrder: ordering });
+		return this.queryPagedDocuments('blocks', conditions, id, pageSize, queryOptions)
+			.then(this.sanitizer.copyAndDeleteIds);
 	}
 
 	blockWithMerkleTreeAtHeight(height, merkleTreeName) {
@@ -210,7 +311,7 @@ class CatapultDb {
 			const options = buildBlocksFromOptions(convertToLong(height), convertToLong(numBlocks), chainInfo.height);
 
 			return blockCollection.find({ 'block.height': { $gte: options.startHeight, $lt: options.endHeight } })
-				.project({ 'meta.transactionMerkleTree': 0, 'meta.statementMerkleTree': 0 })
+				.project(blockHeaderProjection)
 				.sort({ 'block.height': -1 })
 				.toArray()
 				.then(this.sanitizer.deleteIds)
@@ -218,6 +319,38 @@ class CatapultDb {
 		});
 	}
 
+	/**
+	 * Creates a cursor over all blocks in the given height range in ascending height order.
+	 * The cursor is not buffered, so blocks are only loaded from the database as they are consumed.
+	 * @param {numeric} fromHeight Minimum height (inclusive).
+	 * @param {numeric} toHeight Maximum height (inclusive).
+	 * @returns {object} Cursor that yields sanitized blocks.
+	 */
+	blocksCursor(fromHeight, toHeight) {
+		return this.database.collection('blocks')
+			.find({ 'block.height': { $gte: convertToLong(fromHeight), $lte: convertToLong(toHeight) } })
+			.project(blockHeaderProjection)
+			.sort({ 'block.height': 1 })
+			.map(this.sanitizer.deleteId);
+	}
+
+	/**
+	 * Retrieves all confirmed top level transactions at the given heights in the order they were confirmed.
+	 * Aggregate transactions include their embedded transactions.
+	 * @param {array<numeric>} heights Block heights.
+	 * @returns {Promise.<array>} Transactions at the given heights.
+	 */
+	transactionsAtHeights(heights) {
+		const conditions = { 'meta.aggregateId': { $exists: false }, 'meta.height': { $in: heights.map(convertToLong) } };
+		return this.database.collection('transactions')
+			.find(conditions)
+			.project({ 'meta.addresses': 0 })
+			.sort({ _id: 1 })
+			.toArray()
+			.then(this.sanitizer.copyAndDeleteIds)
+			.then(transactions => this.addDependentTransactions('transactions', transactions));
+	}
+
 	queryDependentDocuments(collectionName, aggregateIds) {
 		if (0 === aggregateIds.length)
 			return Promise.resolve([]);
@@ -226,42 +359,80 @@ class CatapultDb {
 	}
 
 	queryTransactions(conditions, id, pageSize, options) {
+		// filter out dependent documents
+		const transactionConditions = { $and: [{ 'meta.aggregateId': { $exists: false } }, conditions] };
+		return this.queryPagedTransactions(transactionConditions, id, pageSize, options);
+	}
+
+	queryPagedTransactions(conditions, id, pageSize, options) {
 		// don't expose private meta.addresses field
 		const optionsWithProjection = Object.assign({ projection: { 'meta.addresses': 0 } }, options);
 
-		// filter out dependent documents
 		const collectionName = (options || {}).collectionName || 'transactions';
-		const transactionConditions = { $and: [{ 'meta.aggregateId': { $exists: false } }, conditions] };
-
-		return this.queryPagedDocuments(collectionName, transactionConditions, id, pageSize, optionsWithProjection)
+		return this.queryPagedDocuments(collectionName, conditions, id, pageSize, optionsWithProjection)
 			.then(this.sanitizer.copyAndDeleteIds)
-			.then(transactions => {
-				const aggregateIds = [];
-				const aggregateIdToTransactionMap = {};
-				transactions
-					.filter(isAggregateType)
-					.forEach(document => {
-						const aggregateId = document.meta.id;
-						aggregateIds.push(aggregateId);
-						aggregateIdToTransactionMap[aggregateId.toString()] = document.transaction;
-					});
+			.then(transactions => this.addDependentTransactions(collectionName, transactions));
+	}
 
-				return this.queryDependentDocuments(collectionName, aggregateIds).then(dependentDocuments => {
-					dependentDocuments.forEach(dependentDocument => {
-						const transaction = aggregateIdToTransactionMap[dependentDocument.meta.aggregateId];
-						if (!transaction.transactions)
-							transaction.transactions = [];
+	addDependentTransactions(collectionName, transactions) {
+		const aggregateIds = [];
+		const aggregateIdToTransactionMap = {};
+		transactions
+			.filter(isAggregateType)
+			.forEach(document => {
+				const aggregateId = document.meta.id;
+				aggregateIds.push(aggregateId);
+				aggregateIdToTransactionMap[aggregateId.toString()] = document.transaction;
+			});
 
-						transaction.transactions.push(dependentDocument);
-					});
+		return this.queryDependentDocuments(collectionName, aggregateIds).then(dependentDocuments => {
+			dependentDocuments.forEach(dependentDocument => {
+				const transaction = aggregateIdToTransactionMap[dependentDocument.meta.aggregateId];
+				if (!transaction.transactions)
+					transaction.transactions = [];
 
-					return transactions;
-				});
+				transaction.transactions.push(dependentDocument);
 			});
+
+			return transactions;
+		});
 	}
 
-	transactionsAtHeight(height, id, pageSize) {
-		return this.queryTransactions({ 'meta.height': convertToLong(height) }, id, pageSize, { sortOrder: 1 });
+	transactionsAtHeight(height, id, pageSize, options) {
+		const conditions = { 'meta.height': convertToLong(height) };
+		return this.queryTransactions(conditions, id, pageSize, Object.assign({}, options, { sortOrder: 1 }));
+	}
+
+	/**
+	 * Retrieves transactions matching all given filters.
+	 * @param {object} filters Transaction filters.
+	 * @param {array<module:model/EntityType>} filters.types Transaction types.
+	 * @param {Uint8Array} filters.signer Signer public key.
+	 * @param {Uint8Array} filters.recipient Decoded recipient address.
+	 * @param {module:catapult.utils/uint64~uint64} filters.fromHeight Minimum height (inclusive).
+	 * @param {module:catapult.utils/uint64~uint64} filters.toHeight Maximum height (inclusive).
+	 * @param {module:catapult.utils/uint64~uint64} filters.mosaicId Referenced mosaic id.
+	 * @param {boolean} filters.embedded Whether transactions embedded in aggregates should be included.
+	 * @param {string} filters.group Transaction group (confirmed, unconfirmed or a custom transaction state name).
+	 * @param {string} id Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {int} ordering Sort order (1 for ascending, -1 for descending).
+	 * @param {object} options Additional paging options.
+	 * @returns {Promise.<array>} Matching transactions.
+	 */
+	transactionsByFilters(filters, id, pageSize, ordering, options) {
+		const conditions = new TransactionQueryBuilder()
+			.types(filters.types)
+			.signer(filters.signer)
+			.recipient(filters.recipient)
+			.heightRange(filters.fromHeight, filters.toHeight)
+			.mosaicId(filters.mosaicId)
+			.embedded(filters.embedded)
+			.build();
+
+		const group = filters.group || 'confirmed';
+		const collectionName = 'confirmed' === group ? 'transactions' : `${group}Transactions`;
+		return this.queryPagedTransactions(conditions, id, pageSize, Object.assign({}, options, { collectionName, sortOrder: ordering }));
 	}
 
 	transactionsByIdsImpl(collectionName, conditions) {
@@ -333,30 +504,38 @@ class CatapultDb {
 
 	// region transaction retrieval for account
 
-	accountTransactionsAll(publicKey, id, pageSize, ordering) {
+	accountTransactionsAll(publicKey, id, pageSize, ordering, options) {
 		const conditions = createAccountTransactionsAllConditions(publicKey, this.networkId);
-		return this.queryTransactions(conditions, id, pageSize, { sortOrder: ordering });
+		return this.queryTransactions(conditions, id, pageSize, Object.assign({}, options, { sortOrder: ordering }));
 	}
 
-	accountTransactionsIncoming(publicKey, id, pageSize, ordering) {
+	accountTransactionsIncoming(publicKey, id, pageSize, ordering, options) {
 		const decoded = address.publicKeyToAddress(publicKey, this.networkId);
 		const bufferAddress = Buffer.from(decoded);
-		return this.queryTransactions({ 'transaction.recipient': bufferAddress }, id, pageSize, { sortOrder: ordering });
+		const conditions = { 'transaction.recipient': bufferAddress };
+		return this.queryTransactions(conditions, id, pageSize, Object.assign({}, options, { sortOrder: ordering }));
 	}
 
-	accountTransactionsOutgoing(publicKey, id, pageSize, ordering) {
+	accountTransactionsOutgoing(publicKey, id, pageSize, ordering, options) {
 		const bufferPublicKey = Buffer.from(publicKey);
-		return this.queryTransactions({ 'transaction.signer': bufferPublicKey }, id, pageSize, { sortOrder: ordering });
+		const conditions = { 'transaction.signer': bufferPublicKey };
+		return this.queryTransactions(conditions, id, pageSize, Object.assign({}, options, { sortOrder: ordering }));
 	}
 
-	accountTransactionsUnconfirmed(publicKey, id, pageSize, ordering) {
+	accountTransactionsUnconfirmed(publicKey, id, pageSize, ordering, options) {
 		const conditions = createAccountTransactionsAllConditions(publicKey, this.networkId);
-		return this.queryTransactions(conditions, id, pageSize, { collectionName: 'unconfirmedTransactions', sortOrder: ordering });
+		return this.queryTransactions(conditions, id, pageSize, Object.assign({}, options, {
+			collectionName: 'unconfirmedTransactions',
+			sortOrder: ordering
+		}));
 	}
 
-	accountTransactionsPartial(publicKey, id, pageSize, ordering) {
+	accountTransactionsPartial(publicKey, id, pageSize, ordering, options) {
 		const conditions = createAccountTransactionsAllConditions(publicKey, this.networkId);
-		return this.queryTransactions(conditions, id, pageSize, { collectionName: 'partialTransactions', sortOrder: ordering });
+		return this.queryTransactions(conditions, id, pageSize, Object.assign({}, options, {
+			collectionName: 'partialTransactions',
+			sortOrder: ordering
+		}));
 	}
 
 	// endregion
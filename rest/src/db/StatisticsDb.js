@@ -0,0 +1,159 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const MongoDb = require('mongodb');
+
+const { Long } = MongoDb;
+
+const Milliseconds_Per_Day = 24 * 60 * 60 * 1000;
+
+const createBucketExpression = (heightField, fromHeight, interval) => ({
+	$floor: { $divide: [{ $subtract: [heightField, fromHeight] }, interval] }
+});
+
+const createBlockTime = (numBlocks, minTimestamp, maxTimestamp) => (1 < numBlocks
+	? maxTimestamp.subtract(minTimestamp).toNumber() / (numBlocks - 1)
+	: 0);
+
+class StatisticsDb {
+	/**
+	 * Creates StatisticsDb around CatapultDb.
+	 * @param {module:db/CatapultDb} db Catapult db instance.
+	 */
+	constructor(db) {
+		this.catapultDb = db;
+	}
+
+	// region block statistics
+
+	/**
+	 * Retrieves block statistics grouped into consecutive height intervals.
+	 * @param {numeric} fromHeight First height (inclusive).
+	 * @param {numeric} toHeight Last height (inclusive).
+	 * @param {numeric} interval Number of blocks per interval.
+	 * @returns {Promise.<array>} Statistics for each interval containing at least one block.
+	 */
+	blockStatistics(fromHeight, toHeight, interval) {
+		const startHeight = Long.fromNumber(fromHeight);
+		const heightCondition = { $gte: startHeight, $lte: Long.fromNumber(toHeight) };
+
+		const blocksPipeline = [
+			{ $match: { 'block.height': heightCondition } },
+			{
+				$group: {
+					_id: createBucketExpression('$block.height', startHeight, interval),
+					fromHeight: { $min: '$block.height' },
+					toHeight: { $max: '$block.height' },
+					numBlocks: { $sum: 1 },
+					minTimestamp: { $min: '$block.timestamp' },
+					maxTimestamp: { $max: '$block.timestamp' },
+					averageDifficulty: { $avg: '$block.difficulty' },
+					totalFee: { $sum: '$meta.totalFee' },
+					numTransactions: { $sum: '$meta.numTransactions' },
+					harvesters: { $addToSet: '$block.signer' }
+				}
+			},
+			{ $sort: { _id: 1 } }
+		];
+
+		// only top level transactions are counted, which matches the block transaction counts
+		const transactionsPipeline = [
+			{ $match: { 'meta.height': heightCondition, 'meta.aggregateId': { $exists: false } } },
+			{
+				$group: {
+					_id: { bucket: createBucketExpression('$meta.height', startHeight, interval), type: '$transaction.type' },
+					count: { $sum: 1 }
+				}
+			},
+			{ $sort: { '_id.bucket': 1, '_id.type': 1 } }
+		];
+
+		const { database } = this.catapultDb;
+		return Promise.all([
+			database.collection('blocks').aggregate(blocksPipeline).toArray(),
+			database.collection('transactions').aggregate(transactionsPipeline).toArray()
+		]).then(results => {
+			const [buckets, transactionCounts] = results;
+			return buckets.map(bucket => ({
+				fromHeight: bucket.fromHeight,
+				toHeight: bucket.toHeight,
+				numBlocks: bucket.numBlocks,
+				averageBlockTime: createBlockTime(bucket.numBlocks, bucket.minTimestamp, bucket.maxTimestamp),
+				averageDifficulty: bucket.averageDifficulty,
+				totalFee: Long.fromValue(bucket.totalFee),
+				numTransactions: bucket.numTransactions,
+				transactionsByType: transactionCounts
+					.filter(transactionCount => transactionCount._id.bucket === bucket._id)
+					.map(transactionCount => ({ type: transactionCount._id.type, count: transactionCount.count })),
+				numActiveHarvesters: bucket.harvesters.length
+			}));
+		});
+	}
+
+	// endregion
+
+	// region transaction statistics
+
+	/**
+	 * Retrieves daily transaction statistics for the most recent days.
+	 * Days are measured in network time, starting at the network epoch.
+	 * @param {numeric} numDays Number of days ending with the day of the last block.
+	 * @returns {Promise.<array>} Statistics for each day containing at least one block.
+	 */
+	dailyTransactionStatistics(numDays) {
+		const blockCollection = this.catapultDb.database.collection('blocks');
+		return blockCollection.find({})
+			.sort({ 'block.height': -1 })
+			.limit(1)
+			.project({ 'block.timestamp': 1 })
+			.toArray()
+			.then(blocks => {
+				if (0 === blocks.length)
+					return [];
+
+				const lastDay = Math.floor(blocks[0].block.timestamp.toNumber() / Milliseconds_Per_Day);
+				const startTimestamp = Long.fromNumber(Math.max(0, lastDay - numDays + 1) * Milliseconds_Per_Day);
+				const pipeline = [
+					{ $match: { 'block.timestamp': { $gte: startTimestamp } } },
+					{
+						$group: {
+							_id: { $floor: { $divide: ['$block.timestamp', Milliseconds_Per_Day] } },
+							numBlocks: { $sum: 1 },
+							numTransactions: { $sum: '$meta.numTransactions' },
+							totalFee: { $sum: '$meta.totalFee' }
+						}
+					},
+					{ $sort: { _id: 1 } }
+				];
+
+				return blockCollection.aggregate(pipeline).toArray().then(days => days.map(day => ({
+					day: day._id,
+					timestamp: Long.fromNumber(day._id * Milliseconds_Per_Day),
+					numBlocks: day.numBlocks,
+					numTransactions: day.numTransactions,
+					totalFee: Long.fromValue(day.totalFee)
+				})));
+			});
+	}
+
+	// endregion
+}
+
+module.exports = StatisticsDb;
@@ -0,0 +1,128 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module db/TransactionQueryBuilder */
+const { convertToLong } = require('./dbUtils');
+
+/**
+ * Builder for creating transaction collection query conditions.
+ * Every filter is optional and calls with undefined values are ignored.
+ */
+class TransactionQueryBuilder {
+	/**
+	 * Creates a builder.
+	 */
+	constructor() {
+		this.conditions = [];
+	}
+
+	/**
+	 * Restricts results to transactions with any of the given types.
+	 * @param {array<module:model/EntityType>} types Transaction types.
+	 * @returns {TransactionQueryBuilder} This builder.
+	 */
+	types(types) {
+		if (types && 0 < types.length)
+			this.conditions.push({ 'transaction.type': { $in: types } });
+
+		return this;
+	}
+
+	/**
+	 * Restricts results to transactions signed by the given public key.
+	 * @param {Uint8Array} publicKey Signer public key.
+	 * @returns {TransactionQueryBuilder} This builder.
+	 */
+	signer(publicKey) {
+		if (publicKey)
+			this.conditions.push({ 'transaction.signer': Buffer.from(publicKey) });
+
+		return this;
+	}
+
+	/**
+	 * Restricts results to transactions sent to the given address.
+	 * @param {Uint8Array} address Decoded recipient address.
+	 * @returns {TransactionQueryBuilder} This builder.
+	 */
+	recipient(address) {
+		if (address)
+			this.conditions.push({ 'transaction.recipient': Buffer.from(address) });
+
+		return this;
+	}
+
+	/**
+	 * Restricts results to transactions confirmed within the (inclusive) height range.
+	 * @param {module:catapult.utils/uint64~uint64} fromHeight Minimum height.
+	 * @param {module:catapult.utils/uint64~uint64} toHeight Maximum height.
+	 * @returns {TransactionQueryBuilder} This builder.
+	 */
+	heightRange(fromHeight, toHeight) {
+		const heightCondition = {};
+		if (undefined !== fromHeight)
+			heightCondition.$gte = convertToLong(fromHeight);
+
+		if (undefined !== toHeight)
+			heightCondition.$lte = convertToLong(toHeight);
+
+		if (0 < Object.keys(heightCondition).length)
+			this.conditions.push({ 'meta.height': heightCondition });
+
+		return this;
+	}
+
+	/**
+	 * Restricts results to transactions referencing the given mosaic, either as attached mosaic or as mosaic id field.
+	 * @param {module:catapult.utils/uint64~uint64} mosaicId Mosaic id.
+	 * @returns {TransactionQueryBuilder} This builder.
+	 */
+	mosaicId(mosaicId) {
+		if (mosaicId) {
+			const mosaicIdLong = convertToLong(mosaicId);
+			this.conditions.push({ $or: [{ 'transaction.mosaics.id': mosaicIdLong }, { 'transaction.mosaicId': mosaicIdLong }] });
+		}
+
+		return this;
+	}
+
+	/**
+	 * Includes or excludes transactions embedded in aggregates.
+	 * @param {boolean} includeEmbedded Whether embedded transactions should be returned alongside top level transactions.
+	 * @returns {TransactionQueryBuilder} This builder.
+	 */
+	embedded(includeEmbedded) {
+		if (!includeEmbedded)
+			this.conditions.push({ 'meta.aggregateId': { $exists: false } });
+
+		return this;
+	}
+
+	/**
+	 * Builds the query conditions.
+	 * @returns {object} Conditions suitable for paged queries.
+	 */
+	build() {
+		// $and must be nonempty, so use a condition that matches all documents when no filters are set
+		return { $and: 0 < this.conditions.length ? this.conditions.slice() : [{}] };
+	}
+}
+
+module.exports = TransactionQueryBuilder;
@@ -21,7 +21,9 @@
 const errors = require('../server/errors');
 const MongoDb = require('mongodb');
 
-const { Long } = MongoDb;
+const { Binary, Long } = MongoDb;
+
+const isPlainObject = value => null !== value && 'object' === typeof value && Object.prototype === Object.getPrototypeOf(value);
 
 const dbUtils = {
 	/**
@@ -53,6 +55,33 @@ const dbUtils = {
 			return [value.getLowBitsUnsigned(), value.getHighBits() >>> 0];
 
 		throw errors.createInvalidArgumentError(`${value} has an invalid format: not long`);
+	},
+
+	/**
+	 * Converts a document into a model object that can be processed by a codec
+	 * by replacing all binary values with uint8 arrays and all long values with uint64s.
+	 * @param {object} document Document to convert.
+	 * @returns {object} Converted model object.
+	 */
+	documentToModel: document => {
+		if (Array.isArray(document))
+			return document.map(dbUtils.documentToModel);
+
+		if (document instanceof Binary)
+			return new Uint8Array(document.buffer);
+
+		if (document instanceof Long)
+			return dbUtils.longToUint64(document);
+
+		if (!isPlainObject(document))
+			return document;
+
+		const model = {};
+		Object.keys(document).forEach(key => {
+			model[key] = dbUtils.documentToModel(document[key]);
+		});
+
+		return model;
 	}
 };
 
@@ -0,0 +1,168 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module graphql/graphqlLoaders */
+const { longToUint64 } = require('../db/dbUtils');
+const AccountType = require('../plugins/AccountType');
+const catapult = require('catapult-sdk');
+const DataLoader = require('dataloader');
+const { Binary } = require('mongodb');
+
+const { convert, uint64 } = catapult.utils;
+
+const AliasType = catapult.model.namespace.aliasType;
+
+const binaryToKey = value => convert.uint8ToHex(value instanceof Binary ? value.buffer : value);
+
+const uint64ToKey = value => uint64.toHex(value);
+
+/**
+ * Creates a loader that batches all keys requested during a single tick into one database query.
+ * @param {Function} loadEntities Function that loads the entities for multiple keys.
+ * @param {Function} toKey Function that converts a key to a string.
+ * @param {Function} entityToKey Function that returns the (string) key of a loaded entity.
+ * @returns {DataLoader} Loader resolving each key to its entity or null when there is no matching entity.
+ */
+const createLoader = (loadEntities, toKey, entityToKey) => new DataLoader(
+	keys => loadEntities(keys).then(entities => {
+		const entitiesByKey = new Map(entities.map(entity => [entityToKey(entity), entity]));
+		return keys.map(key => entitiesByKey.get(toKey(key)) || null);
+	}),
+	{ cacheKeyFn: toKey }
+);
+
+/**
+ * Creates a loader for pages of entities related to a key, caching one page per key and page size.
+ * Pages are bounded per key, so a batch issues one (indexed) database query per distinct key and page size.
+ * @param {Function} loadPage Function that loads a page of entities for a single key and page size.
+ * @param {Function} toKey Function that converts a key to a string.
+ * @returns {DataLoader} Loader resolving each `{ id, pageSize }` key to a page of entities.
+ */
+const createPageLoader = (loadPage, toKey) => new DataLoader(
+	keys => Promise.all(keys.map(key => loadPage(key.id, key.pageSize))),
+	{ cacheKeyFn: key => `${toKey(key.id)}:${key.pageSize}` }
+);
+
+const createAliasNamesLoader = (namespaceDb, aliasType, toKey, aliasToKey) => new DataLoader(
+	ids => namespaceDb.activeNamespacesWithAlias(aliasType, ids).then(namespaces => {
+		const levelIds = [];
+		namespaces.forEach(namespace => {
+			for (let level = 0; level < namespace.namespace.depth; ++level)
+				levelIds.push(namespace.namespace[`level${level}`]);
+		});
+
+		const transactionsPromise = 0 === levelIds.length
+			? Promise.resolve([])
+			: namespaceDb.registerNamespaceTransactionsByNamespaceIds(levelIds);
+		return transactionsPromise.then(transactions => {
+			const partNames = new Map(transactions.map(transaction => [
+				transaction.transaction.namespaceId.toString(),
+				transaction.transaction.name.value()
+			]));
+
+			const namesByKey = new Map();
+			namespaces.forEach(namespace => {
+				const parts = [];
+				for (let level = 0; level < namespace.namespace.depth; ++level)
+					parts.push(partNames.get(namespace.namespace[`level${level}`].toString()));
+
+				const key = aliasToKey(namespace.namespace.alias);
+				namesByKey.set(key, (namesByKey.get(key) || []).concat([parts.join('.')]));
+			});
+
+			return ids.map(id => (namesByKey.get(toKey(id)) || []).sort());
+		});
+	}),
+	{ cacheKeyFn: toKey }
+);
+
+module.exports = {
+	/**
+	 * Creates per request loaders that batch and cache database lookups.
+	 * Loaders backed by plugin databases are only created when the corresponding plugin is enabled.
+	 * @param {module:db/CatapultDb} db Catapult database.
+	 * @param {object} pluginDbs Plugin databases keyed by plugin name.
+	 * @returns {object} Loaders.
+	 */
+	createLoaders: (db, pluginDbs) => {
+		const loaders = {
+			// keyed by decoded address
+			accounts: createLoader(
+				addresses => db.accountsByIds(addresses.map(address => ({ [AccountType.address]: address }))),
+				binaryToKey,
+				entity => binaryToKey(entity.account.address)
+			),
+			// keyed by transaction hash
+			transactions: createLoader(
+				hashes => db.transactionsByHashes(hashes),
+				binaryToKey,
+				entity => binaryToKey(entity.meta.hash)
+			),
+			// keyed by public key and page size
+			accountTransactions: createPageLoader(
+				(publicKey, pageSize) => db.accountTransactionsAll(publicKey, undefined, pageSize, -1, {}),
+				binaryToKey
+			)
+		};
+
+		if (pluginDbs.lockHash) {
+			// keyed by decoded address and page size
+			loaders.hashLocks = createPageLoader(
+				(address, pageSize) => pluginDbs.lockHash.hashLocksByAccounts(AccountType.address, [address], undefined, pageSize, {}),
+				binaryToKey
+			);
+		}
+
+		if (pluginDbs.mosaic) {
+			// keyed by mosaic id
+			loaders.mosaics = createLoader(
+				ids => pluginDbs.mosaic.mosaicsByIds(ids),
+				uint64ToKey,
+				entity => uint64ToKey(longToUint64(entity.mosaic.mosaicId))
+			);
+		}
+
+		if (pluginDbs.multisig) {
+			// keyed by decoded address
+			loaders.multisigs = createLoader(
+				addresses => pluginDbs.multisig.multisigsByAccounts(AccountType.address, addresses),
+				binaryToKey,
+				entity => binaryToKey(entity.multisig.accountAddress)
+			);
+		}
+
+		if (pluginDbs.namespace) {
+			loaders.accountNames = createAliasNamesLoader(
+				pluginDbs.namespace,
+				AliasType.address,
+				binaryToKey,
+				alias => binaryToKey(alias.address)
+			);
+			loaders.mosaicNames = createAliasNamesLoader(
+				pluginDbs.namespace,
+				AliasType.mosaic,
+				uint64ToKey,
+				alias => uint64ToKey(longToUint64(alias.mosaicId))
+			);
+		}
+
+		return loaders;
+	}
+};
@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module graphql/graphqlRules */
+const { GraphQLError, Kind } = require('graphql');
+
+const measureDepth = (context, selectionSet, visitedFragmentNames) => selectionSet.selections.reduce((maxDepth, selection) => {
+	let depth = 0;
+	if (Kind.FIELD === selection.kind) {
+		depth = 1 + (selection.selectionSet ? measureDepth(context, selection.selectionSet, visitedFragmentNames) : 0);
+	} else if (Kind.INLINE_FRAGMENT === selection.kind) {
+		depth = measureDepth(context, selection.selectionSet, visitedFragmentNames);
+	} else {
+		// unknown and cyclic fragments are reported by the standard validation rules
+		const fragmentName = selection.name.value;
+		const fragment = context.getFragment(fragmentName);
+		if (fragment && !visitedFragmentNames.has(fragmentName))
+			depth = measureDepth(context, fragment.selectionSet, new Set(visitedFragmentNames).add(fragmentName));
+	}
+
+	return Math.max(maxDepth, depth);
+}, 0);
+
+module.exports = {
+	/**
+	 * Creates a validation rule that rejects operations with fields nested deeper than a maximum depth.
+	 * @param {numeric} maxDepth Maximum number of nested field levels, including the root fields.
+	 * @returns {Function} Validation rule.
+	 */
+	createMaxDepthRule: maxDepth => context => ({
+		OperationDefinition: node => {
+			const depth = measureDepth(context, node.selectionSet, new Set());
+			if (depth > maxDepth)
+				context.reportError(new GraphQLError(`operation has depth ${depth}, which exceeds maximum depth ${maxDepth}`, [node]));
+		}
+	})
+};
@@ -0,0 +1,180 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module graphql/graphqlSchema */
+const graphqlTypes = require('./graphqlTypes');
+const { longToUint64 } = require('../db/dbUtils');
+const AccountType = require('../plugins/AccountType');
+const routeUtils = require('../routes/routeUtils');
+const catapult = require('catapult-sdk');
+const {
+	GraphQLInt, GraphQLList, GraphQLNonNull, GraphQLObjectType, GraphQLSchema, GraphQLString
+} = require('graphql');
+
+const { address } = catapult.model;
+const { uint64 } = catapult.utils;
+
+const NonNullString = new GraphQLNonNull(GraphQLString);
+
+const isKnownPublicKey = account => !!account.publicKeyHeight && !account.publicKeyHeight.isZero();
+
+const createExtensionFields = (pluginDbs, pageSizeBounds) => {
+	// omitted page sizes fall back to the smallest configured page size, like the rest routes
+	const pageSizeArgs = { pageSize: { type: GraphQLInt, defaultValue: pageSizeBounds.min } };
+
+	const extensionFields = {
+		accountWithMetadata: types => {
+			const fields = {
+				transactions: {
+					type: new GraphQLList(types.transactionWithMetadata),
+					description: 'Latest transactions involving the account (empty when the account public key is unknown).',
+					args: pageSizeArgs,
+					resolve: (entity, args, context) => (isKnownPublicKey(entity.account)
+						? context.loaders.accountTransactions.load({ id: entity.account.publicKey.buffer, pageSize: args.pageSize })
+						: [])
+				}
+			};
+
+			if (pluginDbs.namespace) {
+				fields.names = {
+					type: new GraphQLList(GraphQLString),
+					description: 'Names of active namespaces linked to the account.',
+					resolve: (entity, args, context) => context.loaders.accountNames.load(entity.account.address.buffer)
+				};
+			}
+
+			if (pluginDbs.multisig) {
+				fields.multisig = {
+					type: types.multisigEntry,
+					resolve: (entity, args, context) => context.loaders.multisigs.load(entity.account.address.buffer)
+				};
+			}
+
+			if (pluginDbs.lockHash) {
+				fields.hashLocks = {
+					type: new GraphQLList(types.hashLockInfo),
+					args: pageSizeArgs,
+					resolve: (entity, args, context) => context.loaders.hashLocks.load({
+						id: entity.account.address.buffer,
+						pageSize: args.pageSize
+					})
+				};
+			}
+
+			return fields;
+		}
+	};
+
+	if (pluginDbs.mosaic || pluginDbs.namespace) {
+		extensionFields.mosaic = types => {
+			const fields = {};
+			if (pluginDbs.mosaic) {
+				fields.definition = {
+					type: types.mosaicDescriptor,
+					resolve: (entity, args, context) => context.loaders.mosaics.load(longToUint64(entity.id))
+				};
+			}
+
+			if (pluginDbs.namespace) {
+				fields.names = {
+					type: new GraphQLList(GraphQLString),
+					description: 'Names of active namespaces linked to the mosaic.',
+					resolve: (entity, args, context) => context.loaders.mosaicNames.load(longToUint64(entity.id))
+				};
+			}
+
+			return fields;
+		};
+	}
+
+	return extensionFields;
+};
+
+const createQueryFields = (types, db, pluginDbs) => {
+	const parseAddress = args => {
+		const [type, accountId] = routeUtils.parseArgument(args, 'id', 'accountId');
+		return AccountType.publicKey === type ? address.publicKeyToAddress(accountId, db.networkId) : accountId;
+	};
+
+	const fields = {
+		chainInfo: {
+			type: types.chainInfo,
+			resolve: () => db.chainInfo()
+		},
+		block: {
+			type: types.blockHeaderWithMetadata,
+			args: { height: { type: new GraphQLNonNull(GraphQLInt) } },
+			resolve: (source, args) => db.blockAtHeight(args.height)
+		},
+		transaction: {
+			type: types.transactionWithMetadata,
+			args: { hash: { type: NonNullString } },
+			resolve: (source, args, context) => context.loaders.transactions.load(routeUtils.parseArgument(args, 'hash', 'hash256'))
+		},
+		account: {
+			type: types.accountWithMetadata,
+			args: { id: { type: NonNullString, description: 'Public key or encoded address.' } },
+			resolve: (source, args, context) => context.loaders.accounts.load(parseAddress(args))
+		},
+		accounts: {
+			type: new GraphQLList(types.accountWithMetadata),
+			args: { ids: { type: new GraphQLNonNull(new GraphQLList(NonNullString)) } },
+			resolve: (source, args, context) => context.loaders.accounts.loadMany(args.ids.map(id => parseAddress({ id })))
+		}
+	};
+
+	if (pluginDbs.mosaic) {
+		fields.mosaic = {
+			type: types.mosaicDescriptor,
+			args: { id: { type: NonNullString, description: 'Hex mosaic id.' } },
+			resolve: (source, args, context) => context.loaders.mosaics.load(routeUtils.parseArgument(args, 'id', 'mosaicId'))
+		};
+	}
+
+	if (pluginDbs.namespace) {
+		fields.namespace = {
+			type: types.namespaceDescriptor,
+			args: { id: { type: NonNullString, description: 'Hex namespace id.' } },
+			resolve: (source, args) => pluginDbs.namespace.namespaceById(routeUtils.parseArgument(args, 'id', uint64.fromHex))
+		};
+	}
+
+	return fields;
+};
+
+module.exports = {
+	/**
+	 * Creates a GraphQL schema with types derived from a model schema dictionary and resolvers backed by the catapult database
+	 * and all enabled plugin databases.
+	 * Resolvers expect the context to contain loaders created by graphqlLoaders.createLoaders.
+	 * @param {object} modelSchema Model schema dictionary.
+	 * @param {module:db/CatapultDb} db Catapult database.
+	 * @param {object} pluginDbs Plugin databases keyed by plugin name.
+	 * @param {object} pageSizeBounds Configured page size bounds (min, max, step).
+	 * @returns {GraphQLSchema} GraphQL schema.
+	 */
+	createSchema: (modelSchema, db, pluginDbs, pageSizeBounds) => {
+		const types = graphqlTypes.createObjectTypes(modelSchema, createExtensionFields(pluginDbs, pageSizeBounds));
+		return new GraphQLSchema({
+			query: new GraphQLObjectType({ name: 'Query', fields: () => createQueryFields(types, db, pluginDbs) }),
+			types: Object.keys(types).map(schemaName => types[schemaName])
+		});
+	}
+};
@@ -0,0 +1,171 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module graphql/graphqlTypes */
+const dbFormattingRules = require('../db/dbFormattingRules');
+const catapult = require('catapult-sdk');
+const {
+	GraphQLFloat, GraphQLInt, GraphQLList, GraphQLObjectType, GraphQLScalarType, GraphQLString, Kind
+} = require('graphql');
+
+const { ModelType } = catapult.model;
+const { schemaFormatter } = catapult.utils;
+
+const parseJsonLiteral = ast => {
+	switch (ast.kind) {
+	case Kind.STRING:
+	case Kind.BOOLEAN:
+		return ast.value;
+	case Kind.INT:
+	case Kind.FLOAT:
+		return Number(ast.value);
+	case Kind.LIST:
+		return ast.values.map(parseJsonLiteral);
+	case Kind.OBJECT:
+		return ast.fields.reduce((result, field) => Object.assign(result, { [field.name.value]: parseJsonLiteral(field.value) }), {});
+	default:
+		return null;
+	}
+};
+
+const JsonType = new GraphQLScalarType({
+	name: 'JSON',
+	description: 'Arbitrary JSON value formatted like the corresponding REST response.',
+	serialize: value => value,
+	parseValue: value => value,
+	parseLiteral: parseJsonLiteral
+});
+
+// converts a uint64 into a decimal string using only safe integer arithmetic
+const uint64ToDecimalString = value => {
+	let [low, high] = value;
+	let digits = '';
+	do {
+		// remainder * 2^32 + low is always less than 2^36, so it can be divided exactly
+		const highRemainder = high % 10;
+		high = Math.floor(high / 10);
+
+		const partial = (highRemainder * 0x100000000) + low;
+		low = Math.floor(partial / 10);
+		digits = `${partial % 10}${digits}`;
+	} while (high || low);
+
+	return digits;
+};
+
+// primitive model types are exposed with the same formatting as REST responses, except uint64 values are decimal strings
+// (uint32 values are exposed as floats because GraphQLInt is a signed 32-bit integer)
+const primitiveFieldDescriptors = {
+	[ModelType.none]: { type: JsonType, format: dbFormattingRules[ModelType.none] },
+	[ModelType.binary]: { type: GraphQLString, format: dbFormattingRules[ModelType.binary] },
+	[ModelType.double]: { type: GraphQLFloat, format: dbFormattingRules[ModelType.double] },
+	[ModelType.objectId]: { type: GraphQLString, format: dbFormattingRules[ModelType.objectId] },
+	[ModelType.statusCode]: { type: GraphQLString, format: dbFormattingRules[ModelType.statusCode] },
+	[ModelType.string]: { type: GraphQLString, format: dbFormattingRules[ModelType.string] },
+	[ModelType.uint16]: { type: GraphQLInt, format: dbFormattingRules[ModelType.uint16] },
+	[ModelType.uint32]: { type: GraphQLFloat, format: dbFormattingRules[ModelType.uint32] },
+	[ModelType.uint64]: { type: GraphQLString, format: value => uint64ToDecimalString(dbFormattingRules[ModelType.uint64](value)) }
+};
+
+const isNullOrUndefined = value => undefined === value || null === value;
+
+const getModelType = definition => ('number' === typeof definition ? definition : definition.type || ModelType.none);
+
+const capitalize = str => `${str.charAt(0).toUpperCase()}${str.slice(1)}`;
+
+const graphqlTypes = {
+	/**
+	 * Scalar type for arbitrary JSON values.
+	 */
+	JsonType,
+
+	/**
+	 * Converts a model schema name into a GraphQL type name.
+	 * @param {string} schemaName Model schema name.
+	 * @returns {string} GraphQL type name.
+	 */
+	toTypeName: schemaName => schemaName.split('.').map(capitalize).join(''),
+
+	/**
+	 * Creates GraphQL object types for all schemas in a model schema dictionary.
+	 * Properties with entity dependent schemas (e.g. transactions) and dictionaries are exposed as JSON values.
+	 * Every type additionally has a json field containing the complete entity formatted like the corresponding REST response.
+	 * @param {object} modelSchema Model schema dictionary.
+	 * @param {object} extensionFields Map of schema names to functions returning additional fields given all created types.
+	 * @returns {object} Map of schema names to GraphQL object types.
+	 */
+	createObjectTypes: (modelSchema, extensionFields = {}) => {
+		const types = {};
+		const formatJson = (entity, schemaName) => schemaFormatter.format(entity, modelSchema[schemaName], modelSchema, dbFormattingRules);
+		const formatJsonProperty = (entity, key, definition) => {
+			const resultKey = definition.resultKey || key;
+			return schemaFormatter.format({ [key]: entity[key] }, { [key]: definition }, modelSchema, dbFormattingRules)[resultKey];
+		};
+
+		const createField = (key, definition) => {
+			const modelType = getModelType(definition);
+			const { schemaName } = definition;
+			const resolveValue = format => entity => (isNullOrUndefined(entity[key]) ? entity[key] : format(entity[key]));
+			const resolveJson = entity => (isNullOrUndefined(entity[key]) ? entity[key] : formatJsonProperty(entity, key, definition));
+
+			if (ModelType.array === modelType) {
+				if ('number' === typeof schemaName) {
+					const descriptor = primitiveFieldDescriptors[schemaName];
+					return { type: new GraphQLList(descriptor.type), resolve: resolveValue(values => values.map(descriptor.format)) };
+				}
+
+				return 'string' === typeof schemaName
+					? { type: new GraphQLList(types[schemaName]), resolve: resolveValue(values => values) }
+					: { type: new GraphQLList(JsonType), resolve: resolveJson };
+			}
+
+			if (ModelType.object === modelType && 'string' === typeof schemaName)
+				return { type: types[schemaName], resolve: resolveValue(value => value) };
+
+			if (ModelType.object === modelType || ModelType.dictionary === modelType)
+				return { type: JsonType, resolve: resolveJson };
+
+			const descriptor = primitiveFieldDescriptors[modelType];
+			return { type: descriptor.type, resolve: resolveValue(descriptor.format) };
+		};
+
+		Object.keys(modelSchema).forEach(schemaName => {
+			types[schemaName] = new GraphQLObjectType({
+				name: graphqlTypes.toTypeName(schemaName),
+				fields: () => {
+					const schema = modelSchema[schemaName];
+					const fields = {
+						json: { type: JsonType, resolve: entity => formatJson(entity, schemaName) }
+					};
+
+					Object.keys(schema).forEach(key => {
+						fields[schema[key].resultKey || key] = createField(key, schema[key]);
+					});
+
+					return Object.assign(fields, extensionFields[schemaName] ? extensionFields[schemaName](types) : {});
+				}
+			});
+		});
+
+		return types;
+	}
+};
+
+module.exports = graphqlTypes;
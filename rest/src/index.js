@@ -22,11 +22,18 @@ const { createConnectionService } = require('./connection/connectionService');
 const { createZmqConnectionService } = require('./connection/zmqService');
 const CatapultDb = require('./db/CatapultDb');
 const dbFormattingRules = require('./db/dbFormattingRules');
+const { longToUint64 } = require('./db/dbUtils');
 const routeSystem = require('./plugins/routeSystem');
 const allRoutes = require('./routes/allRoutes');
+const cachePolicies = require('./routes/cachePolicies');
 const bootstrapper = require('./server/bootstrapper');
 const formatters = require('./server/formatters');
 const messageFormattingRules = require('./server/messageFormattingRules');
+const messageParsingRules = require('./server/messageParsingRules');
+const { createRegistry, createRestMetrics } = require('./server/metrics');
+const { createRateLimiter } = require('./server/rateLimiter');
+const { createResponseCache } = require('./server/responseCache');
+const restSchemas = require('./server/restSchemas');
 const catapult = require('catapult-sdk');
 const winston = require('winston');
 const fs = require('fs');
@@ -101,16 +108,55 @@ const connectToDbWithRetry = (db, config) => catapult.utils.future.makeRetryable
 );
 
 const createServer = config => {
-	const modelSystem = catapult.plugins.catapultModelSystem.configure(config.extensions, {
+	const namedFormattingRules = {
 		json: dbFormattingRules,
-		ws: messageFormattingRules
-	});
+		ws: messageFormattingRules,
+		parse: messageParsingRules
+	};
+	const modelSystem = restSchemas.extendModelSystem(
+		catapult.plugins.catapultModelSystem.configure(config.extensions, namedFormattingRules),
+		namedFormattingRules
+	);
+	const responseCache = (config.cache || {}).enabled
+		? createResponseCache({
+			policies: cachePolicies,
+			maxRollbackBlocks: config.cache.maxRollbackBlocks,
+			maxEntries: config.cache.maxEntries
+		})
+		: undefined;
+	const rateLimiter = (config.throttling || {}).enabled ? createRateLimiter(config.throttling) : undefined;
+	const metrics = (config.metrics || {}).enabled ? createRestMetrics(createRegistry()) : undefined;
+	const serverFormatters = formatters.create(modelSystem.formatters, modelSystem.codec);
 	return {
-		server: bootstrapper.createServer(config.crossDomainHttpMethods, formatters.create(modelSystem.formatters)),
-		codec: modelSystem.codec
+		server: bootstrapper.createServer(config.crossDomainHttpMethods, serverFormatters, responseCache, rateLimiter, metrics),
+		codec: modelSystem.codec,
+		modelParser: modelSystem.formatters.parse,
+		modelSchema: modelSystem.schema,
+		responseCache,
+		metrics
 	};
 };
 
+const synchronizeResponseCache = (responseCache, db, services, messageChannelDescriptors) => {
+	// use a dedicated connection because websocket routes remove all channel listeners when their last subscriber leaves
+	const blockService = createZmqConnectionService(services.config.websocket.mq, services.codec, messageChannelDescriptors, winston);
+	if (services.metrics)
+		services.metrics.addZmqService('responseCache', blockService);
+
+	return db.chainInfo().then(chainInfo => {
+		responseCache.notifyBlock(catapult.utils.uint64.compact(longToUint64(chainInfo.height)), undefined);
+
+		blockService.on('block', message => {
+			const { block, meta } = message.payload;
+			responseCache.notifyBlock(catapult.utils.uint64.compact(block.height), catapult.utils.convert.uint8ToHex(meta.hash));
+		});
+		blockService.on('block.close', () => {
+			winston.warn('response cache is no longer notified about new blocks');
+			responseCache.notifyDisconnected();
+		});
+	});
+};
+
 const registerRoutes = (server, db, services) => {
 	// 1. create a services view for extension routes
 	const servicesView = {
@@ -122,20 +168,48 @@ const registerRoutes = (server, db, services) => {
 				step: services.config.db.pageSizeStep
 			},
 			apiNode: services.config.apiNode,
-			websocket: services.config.websocket
+			websocket: services.config.websocket,
+			transactionValidation: services.config.transactionValidation,
+			transactionSync: services.config.transactionSync,
+			fees: services.config.fees,
+			statistics: services.config.statistics,
+			graphql: services.config.graphql,
+			export: services.config.export,
+			health: services.config.health
 		},
-		connections: services.connectionService
+		codec: services.codec,
+		modelParser: services.modelParser,
+		modelSchema: services.modelSchema,
+		connections: services.metrics
+			? services.metrics.instrumentConnectionService(services.connectionService)
+			: services.connectionService,
+		metrics: services.metrics
 	};
 
 	// 2. configure extension routes
-	const { transactionStates, messageChannelDescriptors } = routeSystem.configure(services.config.extensions, server, db, servicesView);
+	const { transactionStates, messageChannelDescriptors, pluginDbs } = routeSystem.configure(
+		services.config.extensions,
+		server,
+		db,
+		servicesView
+	);
 
 	// 3. augment services with extension-dependent config and services
 	servicesView.config.transactionStates = transactionStates;
+	servicesView.pluginDbs = pluginDbs;
 	servicesView.zmqService = createZmqConnectionService(services.config.websocket.mq, services.codec, messageChannelDescriptors, winston);
+	if (services.metrics)
+		services.metrics.addZmqService('routes', servicesView.zmqService);
 
 	// 4. configure basic routes
 	allRoutes.register(server, db, servicesView);
+
+	// 5. keep cached responses consistent with the chain
+	if (services.responseCache) {
+		synchronizeResponseCache(services.responseCache, db, services, messageChannelDescriptors).catch(err => {
+			winston.error('response cache could not be synchronized with the chain', err);
+		});
+	}
 };
 
 (() => {
@@ -163,11 +237,21 @@ const registerRoutes = (server, db, services) => {
 		.then(() => {
 			winston.info('registering routes');
 			const serverAndCodec = createServer(config);
-			const { server } = serverAndCodec;
+			const { server, metrics } = serverAndCodec;
 			serviceManager.pushService(server, 'close');
+			if (metrics)
+				metrics.instrumentDb(db);
 
 			const connectionService = createConnectionService(config, createConnection, catapult.auth.createAuthPromise, winston.verbose);
-			registerRoutes(server, db, { codec: serverAndCodec.codec, config, connectionService });
+			registerRoutes(server, db, {
+				codec: serverAndCodec.codec,
+				modelParser: serverAndCodec.modelParser,
+				modelSchema: serverAndCodec.modelSchema,
+				responseCache: serverAndCodec.responseCache,
+				metrics,
+				config,
+				connectionService
+			});
 
 			winston.info(`listening on port ${config.port}`);
 			server.listen(config.port);
@@ -0,0 +1,106 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const AccountLinkType = require('./AccountLinkType');
+const AccountType = require('../AccountType');
+const catapult = require('catapult-sdk');
+
+const { EntityType } = catapult.model;
+
+class AccountLinkDb {
+	/**
+	 * Creates AccountLinkDb around CatapultDb.
+	 * @param {module:db/CatapultDb} db Catapult db instance.
+	 */
+	constructor(db) {
+		this.catapultDb = db;
+	}
+
+	// region account link retrieval
+
+	/**
+	 * Retrieves the account link entries for given accounts.
+	 * @param {module:db/AccountType} type Type of account ids.
+	 * @param {array<object>} accountIds Account ids.
+	 * @returns {Promise.<array>} Account link entries for all accounts.
+	 */
+	accountLinksByAccounts(type, accountIds) {
+		const buffers = accountIds.map(accountId => Buffer.from(accountId));
+		const fieldName = (AccountType.publicKey === type) ? 'account.publicKey' : 'account.address';
+		return this.catapultDb.queryDocuments('accounts', { [fieldName]: { $in: buffers } })
+			.then(accounts => accounts.map(accountWithMetadata => {
+				const { account } = accountWithMetadata;
+				return {
+					accountLink: {
+						address: account.address,
+						publicKey: account.publicKey,
+						accountType: account.accountType,
+						linkedAccountKey: account.linkedAccountKey
+					}
+				};
+			}));
+	}
+
+	/**
+	 * Retrieves the main accounts linked to a remote account.
+	 * @param {Uint8Array} publicKey Public key of the remote account.
+	 * @returns {Promise.<array>} Main accounts linked to the remote account.
+	 */
+	mainAccountsByRemotePublicKey(publicKey) {
+		const conditions = { 'account.linkedAccountKey': Buffer.from(publicKey), 'account.accountType': AccountLinkType.main };
+		return this.catapultDb.queryDocuments('accounts', conditions)
+			.then(accounts => {
+				if (0 === accounts.length)
+					return [];
+
+				// reload main accounts via accountsByIds so that they are shaped like other account responses
+				const ids = accounts.map(accountWithMetadata => ({ address: accountWithMetadata.account.address.buffer }));
+				return this.catapultDb.accountsByIds(ids);
+			});
+	}
+
+	/**
+	 * Retrieves confirmed account link transactions, including embedded ones, in which an account is the main or the remote account.
+	 * @param {Uint8Array} publicKey Public key of the main or remote account.
+	 * @param {string} id Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {int} ordering Sort order (1 for ascending, -1 for descending).
+	 * @param {object} options Additional paging options.
+	 * @returns {Promise.<array>} Account link transactions.
+	 */
+	accountLinkTransactions(publicKey, id, pageSize, ordering, options) {
+		const bufferPublicKey = Buffer.from(publicKey);
+		const conditions = {
+			$and: [
+				{ 'transaction.type': EntityType.accountLink },
+				{ $or: [{ 'transaction.signer': bufferPublicKey }, { 'transaction.remoteAccountKey': bufferPublicKey }] }
+			]
+		};
+
+		// don't expose private meta.addresses field
+		const queryOptions = Object.assign({}, options, { projection: { 'meta.addresses': 0 }, sortOrder: ordering });
+		return this.catapultDb.queryPagedDocuments('transactions', conditions, id, pageSize, queryOptions)
+			.then(this.catapultDb.sanitizer.copyAndDeleteIds);
+	}
+
+	// endregion
+}
+
+module.exports = AccountLinkDb;
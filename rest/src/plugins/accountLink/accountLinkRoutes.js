@@ -0,0 +1,51 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const routeResultTypes = require('../../routes/routeResultTypes');
+const routeUtils = require('../../routes/routeUtils');
+
+const transactionSortFields = { height: 'meta.height' };
+
+module.exports = {
+	register: (server, db) => {
+		server.get('/account/:accountId/link', (req, res, next) => {
+			const [type, accountId] = routeUtils.parseArgument(req.params, 'accountId', 'accountId');
+
+			return db.accountLinksByAccounts(type, [accountId])
+				.then(routeUtils.createSender('accountLinkEntry').sendOne(req.params.accountId, res, next));
+		});
+
+		server.get('/account/:publicKey/link/main', (req, res, next) => {
+			const publicKey = routeUtils.parseArgument(req.params, 'publicKey', 'publicKey');
+
+			return db.mainAccountsByRemotePublicKey(publicKey)
+				.then(routeUtils.createSender(routeResultTypes.account).sendOne(req.params.publicKey, res, next));
+		});
+
+		server.get('/account/:publicKey/link/transactions', (req, res, next) => {
+			const publicKey = routeUtils.parseArgument(req.params, 'publicKey', 'publicKey');
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, transactionSortFields);
+			const ordering = routeUtils.parseArgument(req.params, 'ordering', input => ('id' === input ? 1 : -1));
+
+			return db.accountLinkTransactions(publicKey, pagingOptions.id, pagingOptions.pageSize, ordering, pagingOptions)
+				.then(routeUtils.createSender(routeResultTypes.transaction).sendPage('publicKey', pagingOptions, res, next));
+		});
+	}
+};
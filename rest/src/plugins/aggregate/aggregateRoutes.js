@@ -19,6 +19,7 @@
  */
 
 const routeUtils = require('../../routes/routeUtils');
+const transactionValidation = require('../../routes/transactionValidation');
 const catapult = require('catapult-sdk');
 
 const { convert } = catapult.utils;
@@ -32,14 +33,16 @@ module.exports = {
 			server,
 			services.connections,
 			{ routeName: '/transaction/partial', packetType: PacketType.pushPartialTransactions },
-			params => parseHexParam(params, 'payload')
+			params => parseHexParam(params, 'payload'),
+			transactionValidation.createTransactionValidator(services)
 		);
 
 		routeUtils.addPutPacketRoute(
 			server,
 			services.connections,
 			{ routeName: '/transaction/cosignature', packetType: PacketType.pushDetachedCosignatures },
-			params => Buffer.concat(['signer', 'signature', 'parentHash'].map(key => parseHexParam(params, key)))
+			params => Buffer.concat(['signer', 'signature', 'parentHash'].map(key => parseHexParam(params, key))),
+			transactionValidation.createCosignatureValidator(services)
 		);
 	}
 };
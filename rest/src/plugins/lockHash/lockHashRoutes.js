@@ -20,14 +20,16 @@
 
 const routeUtils = require('../../routes/routeUtils');
 
+const lockSortFields = { height: 'lock.height' };
+
 module.exports = {
 	register: (server, db) => {
 		server.get('/account/:accountId/lock/hash', (req, res, next) => {
 			const [type, accountId] = routeUtils.parseArgument(req.params, 'accountId', 'accountId');
-			const pagingOptions = routeUtils.parsePagingArguments(req.params);
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, lockSortFields);
 
-			return db.hashLocksByAccounts(type, [accountId], pagingOptions.id, pagingOptions.pageSize)
-				.then(routeUtils.createSender('hashLockInfo').sendArray('accountId', res, next));
+			return db.hashLocksByAccounts(type, [accountId], pagingOptions.id, pagingOptions.pageSize, pagingOptions)
+				.then(routeUtils.createSender('hashLockInfo').sendPage('accountId', pagingOptions, res, next));
 		});
 
 		server.get('/lock/hash/:hash', (req, res, next) => {
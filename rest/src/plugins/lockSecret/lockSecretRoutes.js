@@ -20,14 +20,16 @@
 
 const routeUtils = require('../../routes/routeUtils');
 
+const lockSortFields = { height: 'lock.height' };
+
 module.exports = {
 	register: (server, db) => {
 		server.get('/account/:accountId/lock/secret', (req, res, next) => {
 			const [type, accountId] = routeUtils.parseArgument(req.params, 'accountId', 'accountId');
-			const pagingOptions = routeUtils.parsePagingArguments(req.params);
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, lockSortFields);
 
-			return db.secretLocksByAccounts(type, [accountId], pagingOptions.id, pagingOptions.pageSize)
-				.then(routeUtils.createSender('secretLockInfo').sendArray('accountId', res, next));
+			return db.secretLocksByAccounts(type, [accountId], pagingOptions.id, pagingOptions.pageSize, pagingOptions)
+				.then(routeUtils.createSender('secretLockInfo').sendPage('accountId', pagingOptions, res, next));
 		});
 
 		server.get('/lock/secret/:secret', (req, res, next) => {
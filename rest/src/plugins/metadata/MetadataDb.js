@@ -0,0 +1,93 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const MetadataType = require('./MetadataType');
+const { convertToLong } = require('../../db/dbUtils');
+
+const targetConditionFactories = {
+	[MetadataType.account]: publicKey => ({ 'metadataEntry.targetPublicKey': Buffer.from(publicKey) }),
+	[MetadataType.mosaic]: mosaicId => ({ 'metadataEntry.targetId': convertToLong(mosaicId) }),
+	[MetadataType.namespace]: namespaceId => ({ 'metadataEntry.targetId': convertToLong(namespaceId) })
+};
+
+const createTargetConditions = (metadataType, targetId) => ({
+	$and: [
+		{ 'metadataEntry.metadataType': metadataType },
+		targetConditionFactories[metadataType](targetId)
+	]
+});
+
+class MetadataDb {
+	/**
+	 * Creates MetadataDb around CatapultDb.
+	 * @param {module:db/CatapultDb} db Catapult db instance.
+	 */
+	constructor(db) {
+		this.catapultDb = db;
+	}
+
+	// region metadata retrieval
+
+	/**
+	 * Retrieves metadata entries attached to a target.
+	 * @param {module:plugins/metadata/MetadataType} metadataType Metadata type.
+	 * @param {object} targetId Target public key (account) or uint64 target id (mosaic, namespace).
+	 * @param {string} id Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {object} options Additional options.
+	 * @returns {Promise.<array>} Metadata entries attached to the target.
+	 */
+	metadataByTarget(metadataType, targetId, id, pageSize, options) {
+		const conditions = createTargetConditions(metadataType, targetId);
+		return this.catapultDb.queryPagedDocuments('metadata', conditions, id, pageSize, options)
+			.then(this.catapultDb.sanitizer.copyAndDeleteIds);
+	}
+
+	/**
+	 * Retrieves metadata entries attached to a target with a scoped metadata key.
+	 * @param {module:plugins/metadata/MetadataType} metadataType Metadata type.
+	 * @param {object} targetId Target public key (account) or uint64 target id (mosaic, namespace).
+	 * @param {module:catapult.utils/uint64~uint64} scopedMetadataKey Scoped metadata key.
+	 * @param {Uint8Array} senderPublicKey Optional sender public key.
+	 * @returns {Promise.<array>} Metadata entries attached to the target with the scoped metadata key.
+	 */
+	metadataByTargetAndKey(metadataType, targetId, scopedMetadataKey, senderPublicKey) {
+		const conditions = createTargetConditions(metadataType, targetId);
+		conditions.$and.push({ 'metadataEntry.scopedMetadataKey': convertToLong(scopedMetadataKey) });
+		if (senderPublicKey)
+			conditions.$and.push({ 'metadataEntry.senderPublicKey': Buffer.from(senderPublicKey) });
+
+		return this.catapultDb.queryDocumentsAndCopyIds('metadata', conditions);
+	}
+
+	/**
+	 * Retrieves metadata entries with given composite hashes.
+	 * @param {array<Uint8Array>} compositeHashes Composite hashes.
+	 * @returns {Promise.<array>} Metadata entries.
+	 */
+	metadataByCompositeHashes(compositeHashes) {
+		const buffers = compositeHashes.map(compositeHash => Buffer.from(compositeHash));
+		return this.catapultDb.queryDocumentsAndCopyIds('metadata', { 'metadataEntry.compositeHash': { $in: buffers } });
+	}
+
+	// endregion
+}
+
+module.exports = MetadataDb;
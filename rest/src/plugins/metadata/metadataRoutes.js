@@ -0,0 +1,93 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const MetadataType = require('./MetadataType');
+const dbFacade = require('../../routes/dbFacade');
+const routeUtils = require('../../routes/routeUtils');
+const catapult = require('catapult-sdk');
+
+const { uint64 } = catapult.utils;
+
+module.exports = {
+	register: (server, db) => {
+		const metadataSender = routeUtils.createSender('metadata');
+
+		const targetDescriptors = [
+			{
+				base: '/account/:accountId',
+				metadataType: MetadataType.account,
+				paramName: 'accountId',
+				parseTargetId: params => {
+					const [type, accountId] = routeUtils.parseArgument(params, 'accountId', 'accountId');
+					// metadata is attached to public keys
+					return dbFacade.accountIdToPublicKey(db.catapultDb, type, accountId);
+				}
+			},
+			{
+				base: '/mosaic/:mosaicId',
+				metadataType: MetadataType.mosaic,
+				paramName: 'mosaicId',
+				parseTargetId: params => Promise.resolve(routeUtils.parseArgument(params, 'mosaicId', 'mosaicId'))
+			},
+			{
+				base: '/namespace/:namespaceId',
+				metadataType: MetadataType.namespace,
+				paramName: 'namespaceId',
+				parseTargetId: params => Promise.resolve(routeUtils.parseArgument(params, 'namespaceId', uint64.fromHex))
+			}
+		];
+
+		targetDescriptors.forEach(descriptor => {
+			server.get(`${descriptor.base}/metadata`, (req, res, next) => {
+				const pagingOptions = routeUtils.parsePagingArguments(req.params);
+				return descriptor.parseTargetId(req.params)
+					.then(targetId => (undefined === targetId
+						? []
+						: db.metadataByTarget(descriptor.metadataType, targetId, pagingOptions.id, pagingOptions.pageSize, pagingOptions)))
+					.then(metadataSender.sendPage(descriptor.paramName, pagingOptions, res, next));
+			});
+
+			server.get(`${descriptor.base}/metadata/:key`, (req, res, next) => {
+				const scopedMetadataKey = routeUtils.parseArgument(req.params, 'key', uint64.fromHex);
+				return descriptor.parseTargetId(req.params)
+					.then(targetId => (undefined === targetId
+						? []
+						: db.metadataByTargetAndKey(descriptor.metadataType, targetId, scopedMetadataKey)))
+					.then(metadataSender.sendArray(descriptor.paramName, res, next));
+			});
+
+			server.get(`${descriptor.base}/metadata/:key/sender/:publicKey`, (req, res, next) => {
+				const scopedMetadataKey = routeUtils.parseArgument(req.params, 'key', uint64.fromHex);
+				const senderPublicKey = routeUtils.parseArgument(req.params, 'publicKey', 'publicKey');
+				return descriptor.parseTargetId(req.params)
+					.then(targetId => (undefined === targetId
+						? []
+						: db.metadataByTargetAndKey(descriptor.metadataType, targetId, scopedMetadataKey, senderPublicKey)))
+					.then(metadataSender.sendOne(req.params.key, res, next));
+			});
+		});
+
+		server.post('/metadata', (req, res, next) => {
+			const compositeHashes = routeUtils.parseArgumentAsArray(req.params, 'compositeHashes', 'hash256');
+			return db.metadataByCompositeHashes(compositeHashes)
+				.then(metadataSender.sendArray('compositeHashes', res, next));
+		});
+	}
+};
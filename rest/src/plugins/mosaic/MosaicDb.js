@@ -18,10 +18,42 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const MosaicFlags = require('./MosaicFlags');
+const MosaicPropertyId = require('./MosaicPropertyId');
 const MongoDb = require('mongodb');
 
 const { Long } = MongoDb;
 
+const createFlagCondition = (flag, isSet) => ({
+	'mosaic.properties': {
+		$elemMatch: { id: MosaicPropertyId.flags, value: { [isSet ? '$bitsAllSet' : '$bitsAllClear']: flag } }
+	}
+});
+
+const createActiveExpression = numBlocks => {
+	// mosaics without a duration property or with zero duration never expire
+	const durationProperties = { $filter: { input: '$mosaic.properties', cond: { $eq: ['$$this.id', MosaicPropertyId.duration] } } };
+	const duration = { $ifNull: [{ $arrayElemAt: [{ $map: { input: durationProperties, in: '$$this.value' } }, 0] }, 0] };
+	return { $or: [{ $eq: [duration, 0] }, { $gt: [{ $add: ['$mosaic.height', duration] }, numBlocks] }] };
+};
+
+const createHoldersPipeline = (mosaicId, minAmount) => {
+	const amountCondition = undefined === minAmount ? { $gt: Long.ZERO } : { $gte: Long.fromNumber(minAmount) };
+	const mosaicCondition = { id: new Long(mosaicId[0], mosaicId[1]), amount: amountCondition };
+	return [
+		{ $match: { 'account.mosaics': { $elemMatch: mosaicCondition } } },
+		{ $unwind: '$account.mosaics' },
+		{ $match: { 'account.mosaics.id': mosaicCondition.id, 'account.mosaics.amount': amountCondition } },
+		{
+			$project: {
+				address: '$account.address',
+				publicKey: '$account.publicKey',
+				amount: '$account.mosaics.amount'
+			}
+		}
+	];
+};
+
 class MosaicDb {
 	/**
 	 * Creates MosaicDb around CatapultDb.
@@ -48,6 +80,100 @@ class MosaicDb {
 			.then(entities => Promise.resolve(this.catapultDb.sanitizer.copyAndDeleteIds(entities)));
 	}
 
+	/**
+	 * Retrieves mosaics matching all specified filters.
+	 * @param {object} filters Mosaic filters (owner, expired, supplyMutable and transferable), undefined filters are ignored.
+	 * @param {string} id Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {object} options Additional options.
+	 * @returns {Promise.<array>} Mosaics.
+	 */
+	mosaics(filters, id, pageSize, options) {
+		const numBlocksPromise = undefined === filters.expired
+			? Promise.resolve()
+			: this.catapultDb.database.collection('blocks').countDocuments();
+
+		return numBlocksPromise.then(numBlocks => {
+			const conditions = { $and: [] };
+			if (filters.owner)
+				conditions.$and.push({ 'mosaic.owner': Buffer.from(filters.owner) });
+
+			if (undefined !== filters.expired) {
+				const activeExpression = createActiveExpression(numBlocks);
+				conditions.$and.push({ $expr: filters.expired ? { $not: [activeExpression] } : activeExpression });
+			}
+
+			if (undefined !== filters.supplyMutable)
+				conditions.$and.push(createFlagCondition(MosaicFlags.supplyMutable, filters.supplyMutable));
+
+			if (undefined !== filters.transferable)
+				conditions.$and.push(createFlagCondition(MosaicFlags.transferable, filters.transferable));
+
+			if (0 === conditions.$and.length)
+				conditions.$and.push({});
+
+			return this.catapultDb.queryPagedDocuments('mosaics', conditions, id, pageSize, options)
+				.then(this.catapultDb.sanitizer.copyAndDeleteIds);
+		});
+	}
+
+	// endregion
+
+	// region mosaic holders
+
+	/**
+	 * Retrieves accounts holding a mosaic sorted by amount (descending).
+	 * @param {module:catapult.utils/uint64~uint64} mosaicId Mosaic id.
+	 * @param {numeric} minAmount Optional minimum amount held.
+	 * @param {int} pageSize Page size.
+	 * @param {int} offset Number of holders to skip.
+	 * @returns {Promise.<array>} Mosaic holders.
+	 */
+	mosaicHolders(mosaicId, minAmount, pageSize, offset = 0) {
+		const boundedPageSize = Math.max(this.catapultDb.pageSizeMin, Math.min(this.catapultDb.pageSizeMax, pageSize));
+		const pipeline = createHoldersPipeline(mosaicId, minAmount).concat([
+			{ $sort: { amount: -1, _id: 1 } },
+			{ $skip: offset },
+			{ $limit: boundedPageSize }
+		]);
+
+		return this.catapultDb.database.collection('accounts').aggregate(pipeline).toArray()
+			.then(this.catapultDb.sanitizer.deleteIds)
+			.then(holders => Object.defineProperty(holders, 'pagination', { value: { pageSize: boundedPageSize, offset } }));
+	}
+
+	/**
+	 * Retrieves a summary of the distribution of a mosaic among accounts.
+	 * @param {module:catapult.utils/uint64~uint64} mosaicId Mosaic id.
+	 * @param {int} numTopHolders Number of top holders to include (bounded by the maximum page size).
+	 * @returns {Promise.<object>} Mosaic distribution.
+	 */
+	mosaicDistribution(mosaicId, numTopHolders) {
+		const topHoldersLimit = Math.max(1, Math.min(this.catapultDb.pageSizeMax, numTopHolders));
+		const topHoldersPipeline = [{ $sort: { amount: -1, _id: 1 } }, { $limit: topHoldersLimit }, { $project: { _id: 0 } }];
+		const pipeline = createHoldersPipeline(mosaicId).concat([{
+			$facet: {
+				summary: [{ $group: { _id: null, holderCount: { $sum: 1 }, circulatingAmount: { $sum: '$amount' } } }],
+				topHolders: topHoldersPipeline
+			}
+		}]);
+
+		return this.catapultDb.database.collection('accounts').aggregate(pipeline).toArray()
+			.then(results => {
+				const { summary, topHolders } = results[0];
+				const circulatingAmount = 0 === summary.length ? Long.ZERO : Long.fromValue(summary[0].circulatingAmount);
+				const topHoldersAmount = topHolders.reduce((sum, holder) => sum.add(holder.amount), Long.ZERO);
+				return {
+					mosaicId: new Long(mosaicId[0], mosaicId[1]),
+					holderCount: 0 === summary.length ? 0 : summary[0].holderCount,
+					circulatingAmount,
+					topHolders,
+					topHoldersAmount,
+					topHoldersConcentration: circulatingAmount.isZero() ? 0 : topHoldersAmount.toNumber() / circulatingAmount.toNumber()
+				};
+			});
+	}
+
 	// endregion
 }
 
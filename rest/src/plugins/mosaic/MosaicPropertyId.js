@@ -0,0 +1,37 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Mosaic property ids.
+ * @enum {numeric}
+ * @exports plugins/mosaic/MosaicPropertyId
+ */
+const MosaicPropertyId = {
+	/** Mosaic flags. */
+	flags: 0,
+
+	/** Mosaic divisibility. */
+	divisibility: 1,
+
+	/** Mosaic duration (zero for eternal mosaics). */
+	duration: 2
+};
+
+module.exports = MosaicPropertyId;
@@ -18,10 +18,13 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const dbFacade = require('../../routes/dbFacade');
 const routeUtils = require('../../routes/routeUtils');
-const catapult = require('catapult-sdk');
+const errors = require('../../server/errors');
 
-const { uint64 } = catapult.utils;
+const Default_Num_Top_Holders = 10;
+
+const mosaicSortFields = { height: 'mosaic.height' };
 
 module.exports = {
 	register: (server, db) => {
@@ -32,7 +35,61 @@ module.exports = {
 			mosaicSender,
 			{ base: '/mosaic', singular: 'mosaicId', plural: 'mosaicIds' },
 			params => db.mosaicsByIds(params),
-			uint64.fromHex
+			'mosaicId'
 		);
+
+		// mosaics are owned by public keys, so an owner address is resolved first
+		const queryMosaics = (ownerId, filters, pagingOptions) => {
+			const ownerPublicKeyPromise = ownerId ? dbFacade.accountIdToPublicKey(db.catapultDb, ...ownerId) : Promise.resolve();
+			return ownerPublicKeyPromise.then(owner => {
+				if (ownerId && !owner)
+					return [];
+
+				return db.mosaics(Object.assign({ owner }, filters), pagingOptions.id, pagingOptions.pageSize, pagingOptions);
+			});
+		};
+
+		server.get('/mosaics', (req, res, next) => {
+			const { params } = req;
+			const ownerId = routeUtils.parseOptionalArgument(params, 'owner', 'accountId');
+			const filters = {
+				expired: routeUtils.parseOptionalArgument(params, 'expired', 'boolean'),
+				supplyMutable: routeUtils.parseOptionalArgument(params, 'supplyMutable', 'boolean'),
+				transferable: routeUtils.parseOptionalArgument(params, 'transferable', 'boolean')
+			};
+			const pagingOptions = routeUtils.parsePagingArguments(params, mosaicSortFields);
+
+			return queryMosaics(ownerId, filters, pagingOptions)
+				.then(mosaicSender.sendPage('mosaics', pagingOptions, res, next));
+		});
+
+		server.get('/account/:accountId/mosaics/created', (req, res, next) => {
+			const ownerId = routeUtils.parseArgument(req.params, 'accountId', 'accountId');
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, mosaicSortFields);
+
+			return queryMosaics(ownerId, {}, pagingOptions)
+				.then(mosaicSender.sendPage('accountId', pagingOptions, res, next));
+		});
+
+		server.get('/mosaic/:mosaicId/holders', (req, res, next) => {
+			const mosaicId = routeUtils.parseArgument(req.params, 'mosaicId', 'mosaicId');
+			const minAmount = routeUtils.parseOptionalArgument(req.params, 'minAmount', 'uint');
+			const pagingOptions = routeUtils.parsePagingArguments(req.params);
+
+			// holders are sorted by amount, so they can only be paged by offset
+			if (pagingOptions.id)
+				throw errors.createInvalidArgumentError('id is not supported, use offset instead');
+
+			return db.mosaicHolders(mosaicId, minAmount, pagingOptions.pageSize, pagingOptions.offset)
+				.then(routeUtils.createSender('mosaicHolder').sendPage('mosaicId', pagingOptions, res, next));
+		});
+
+		server.get('/mosaic/:mosaicId/distribution', (req, res, next) => {
+			const mosaicId = routeUtils.parseArgument(req.params, 'mosaicId', 'mosaicId');
+			const numTopHolders = routeUtils.parseOptionalArgument(req.params, 'top', 'uint') || Default_Num_Top_Holders;
+
+			return db.mosaicDistribution(mosaicId, numTopHolders)
+				.then(routeUtils.createSender('mosaicDistribution').sendOne(req.params.mosaicId, res, next));
+		});
 	}
 };
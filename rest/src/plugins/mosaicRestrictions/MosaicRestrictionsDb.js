@@ -0,0 +1,82 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { convertToLong } = require('../../db/dbUtils');
+const catapult = require('catapult-sdk');
+
+const { MosaicRestrictionEntryType } = catapult.plugins.mosaicRestrictions;
+
+class MosaicRestrictionsDb {
+	/**
+	 * Creates MosaicRestrictionsDb around CatapultDb.
+	 * @param {module:db/CatapultDb} db Catapult db instance.
+	 */
+	constructor(db) {
+		this.catapultDb = db;
+	}
+
+	// region mosaic restrictions retrieval
+
+	/**
+	 * Retrieves all mosaic restriction entries (global and address) for a mosaic.
+	 * @param {module:catapult.utils/uint64~uint64} mosaicId Mosaic id.
+	 * @param {string} id Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {object} options Additional options.
+	 * @returns {Promise.<array>} Mosaic restriction entries.
+	 */
+	mosaicRestrictionsByMosaicId(mosaicId, id, pageSize, options) {
+		const conditions = { $and: [{ 'mosaicRestrictionEntry.mosaicId': convertToLong(mosaicId) }] };
+		return this.catapultDb.queryPagedDocuments('mosaicRestrictions', conditions, id, pageSize, options)
+			.then(this.catapultDb.sanitizer.copyAndDeleteIds);
+	}
+
+	/**
+	 * Retrieves global mosaic restriction entries for mosaics.
+	 * @param {Array.<module:catapult.utils/uint64~uint64>} mosaicIds Mosaic ids.
+	 * @returns {Promise.<array>} Global mosaic restriction entries.
+	 */
+	mosaicGlobalRestrictionsByMosaicIds(mosaicIds) {
+		const conditions = {
+			'mosaicRestrictionEntry.entryType': MosaicRestrictionEntryType.global,
+			'mosaicRestrictionEntry.mosaicId': { $in: mosaicIds.map(convertToLong) }
+		};
+		return this.catapultDb.queryDocumentsAndCopyIds('mosaicRestrictions', conditions);
+	}
+
+	/**
+	 * Retrieves address mosaic restriction entries of a mosaic for given addresses.
+	 * @param {module:catapult.utils/uint64~uint64} mosaicId Mosaic id.
+	 * @param {array<Uint8Array>} addresses Target addresses.
+	 * @returns {Promise.<array>} Address mosaic restriction entries.
+	 */
+	mosaicAddressRestrictionsByAddresses(mosaicId, addresses) {
+		const conditions = {
+			'mosaicRestrictionEntry.entryType': MosaicRestrictionEntryType.address,
+			'mosaicRestrictionEntry.mosaicId': convertToLong(mosaicId),
+			'mosaicRestrictionEntry.targetAddress': { $in: addresses.map(address => Buffer.from(address)) }
+		};
+		return this.catapultDb.queryDocumentsAndCopyIds('mosaicRestrictions', conditions);
+	}
+
+	// endregion
+}
+
+module.exports = MosaicRestrictionsDb;
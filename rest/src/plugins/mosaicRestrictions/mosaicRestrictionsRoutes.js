@@ -0,0 +1,64 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const routeUtils = require('../../routes/routeUtils');
+
+module.exports = {
+	register: (server, db) => {
+		const mosaicRestrictionsSender = routeUtils.createSender('mosaicRestrictions');
+
+		server.get('/mosaic/:mosaicId/restrictions', (req, res, next) => {
+			const mosaicId = routeUtils.parseArgument(req.params, 'mosaicId', 'mosaicId');
+			const pagingOptions = routeUtils.parsePagingArguments(req.params);
+
+			return db.mosaicRestrictionsByMosaicId(mosaicId, pagingOptions.id, pagingOptions.pageSize, pagingOptions)
+				.then(mosaicRestrictionsSender.sendPage('mosaicId', pagingOptions, res, next));
+		});
+
+		routeUtils.addGetPostDocumentRoutes(
+			server,
+			mosaicRestrictionsSender,
+			{
+				base: '/mosaic',
+				singular: 'mosaicId',
+				plural: 'mosaicIds',
+				postfixes: { singular: 'restrictions/global', plural: 'restrictions' }
+			},
+			params => db.mosaicGlobalRestrictionsByMosaicIds(params),
+			'mosaicId'
+		);
+
+		server.get('/mosaic/:mosaicId/restrictions/address/:address', (req, res, next) => {
+			const mosaicId = routeUtils.parseArgument(req.params, 'mosaicId', 'mosaicId');
+			const address = routeUtils.parseArgument(req.params, 'address', 'address');
+
+			return db.mosaicAddressRestrictionsByAddresses(mosaicId, [address])
+				.then(mosaicRestrictionsSender.sendOne(req.params.address, res, next));
+		});
+
+		server.post('/mosaic/:mosaicId/restrictions/address', (req, res, next) => {
+			const mosaicId = routeUtils.parseArgument(req.params, 'mosaicId', 'mosaicId');
+			const addresses = routeUtils.parseArgumentAsArray(req.params, 'addresses', 'address');
+
+			return db.mosaicAddressRestrictionsByAddresses(mosaicId, addresses)
+				.then(mosaicRestrictionsSender.sendArray('addresses', res, next));
+		});
+	}
+};
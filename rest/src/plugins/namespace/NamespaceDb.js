@@ -81,6 +81,59 @@ class NamespaceDb {
 			.then(this.catapultDb.sanitizer.copyAndDeleteIds);
 	}
 
+	/**
+	 * Retrieves direct children of a namespace.
+	 * @param {module:catapult.utils/uint64~uint64} id Parent namespace id.
+	 * @param {string} pageId Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {object} options Additional options.
+	 * @returns {Promise.<array>} Child namespaces.
+	 */
+	namespaceChildren(id, pageId, pageSize, options) {
+		const conditions = createActiveConditions();
+		conditions.$and.push({ 'namespace.parentId': convertToLong(id) });
+
+		return this.catapultDb.queryPagedDocuments('namespaces', conditions, pageId, pageSize, options)
+			.then(this.catapultDb.sanitizer.copyAndDeleteIds);
+	}
+
+	/**
+	 * Retrieves a namespace and all of its descendants ordered by depth.
+	 * @param {module:catapult.utils/uint64~uint64} id Namespace id.
+	 * @returns {Promise.<array>} Namespace and its descendants.
+	 */
+	namespaceTree(id) {
+		// namespace ids are unique, so any namespace containing the id at some level is either the namespace or a descendant
+		const namespaceId = convertToLong(id);
+		const conditions = createActiveConditions();
+		conditions.$and.push({ $or: [0, 1, 2].map(level => ({ [`namespace.level${level}`]: namespaceId })) });
+
+		return this.catapultDb.queryDocumentsAndCopyIds('namespaces', conditions)
+			.then(namespaces => namespaces.sort((lhs, rhs) => lhs.namespace.depth - rhs.namespace.depth));
+	}
+
+	/**
+	 * Retrieves root namespaces expiring within a number of blocks from the current chain height.
+	 * @param {int} numBlocks Number of blocks.
+	 * @param {string} pageId Paging id.
+	 * @param {int} pageSize Page size.
+	 * @param {object} options Additional options, by default namespaces are sorted by ascending end height.
+	 * @returns {Promise.<array>} Expiring root namespaces.
+	 */
+	namespacesExpiring(numBlocks, pageId, pageSize, options) {
+		return this.catapultDb.database.collection('blocks').countDocuments()
+			.then(chainHeight => {
+				// eternal namespaces have an end height of -1, so they are never included
+				const conditions = createActiveConditions();
+				conditions.$and.push({ 'namespace.depth': 1 });
+				conditions.$and.push({ 'namespace.endHeight': { $gt: chainHeight, $lte: chainHeight + numBlocks } });
+
+				const queryOptions = Object.assign({ sortField: 'namespace.endHeight', sortOrder: 1 }, options);
+				return this.catapultDb.queryPagedDocuments('namespaces', conditions, pageId, pageSize, queryOptions)
+					.then(this.catapultDb.sanitizer.copyAndDeleteIds);
+			});
+	}
+
 	/**
 	 * Retrieves non expired namespaces aliasing mosaics or addresses.
 	 * @param {Array.<module:catapult.model.namespace/aliasType>} aliasType Alias type.
@@ -21,6 +21,7 @@
 /** @module plugins/namespace */
 const NamespaceDb = require('./NamespaceDb');
 const namespaceRoutes = require('./namespaceRoutes');
+const namespaceUtils = require('./namespaceUtils');
 
 /**
  * Creates a namespace plugin.
@@ -33,7 +34,10 @@ module.exports = {
 
 	registerMessageChannels: () => {},
 
-	registerRoutes: (...args) => {
-		namespaceRoutes.register(...args);
+	registerRoutes: (server, db, services) => {
+		namespaceRoutes.register(server, db, services);
+
+		// allow namespace names to be used in place of account and mosaic ids in all routes
+		server.use(namespaceUtils.createNamespaceNameResolver(db));
 	}
 };
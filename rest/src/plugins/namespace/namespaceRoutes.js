@@ -26,11 +26,13 @@ const AccountType = require('../AccountType');
 const catapult = require('catapult-sdk');
 const MongoDb = require('mongodb');
 
-const { address, networkInfo } = catapult.model;
+const { address, idReducer, networkInfo } = catapult.model;
 const { Binary } = MongoDb;
-const { convertToLong } = dbUtils;
+const { convertToLong, longToUint64 } = dbUtils;
 const { uint64 } = catapult.utils;
 
+const namespaceSortFields = { startHeight: 'namespace.startHeight', endHeight: 'namespace.endHeight' };
+
 module.exports = {
 	register: (server, db, services) => {
 		const namespaceSender = routeUtils.createSender('namespaceDescriptor');
@@ -43,10 +45,10 @@ module.exports = {
 
 		server.get('/account/:accountId/namespaces', (req, res, next) => {
 			const [type, accountId] = routeUtils.parseArgument(req.params, 'accountId', 'accountId');
-			const pagingOptions = routeUtils.parsePagingArguments(req.params);
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, namespaceSortFields);
 
-			return db.namespacesByOwners(type, [accountId], pagingOptions.id, pagingOptions.pageSize)
-				.then(namespaceSender.sendArray('accountId', res, next));
+			return db.namespacesByOwners(type, [accountId], pagingOptions.id, pagingOptions.pageSize, pagingOptions)
+				.then(namespaceSender.sendPage('accountId', pagingOptions, res, next));
 		});
 
 		server.post('/account/namespaces', (req, res, next) => {
@@ -58,9 +60,9 @@ module.exports = {
 				: { keyName: 'addresses', parserName: 'address', type: AccountType.address };
 
 			const accountIds = routeUtils.parseArgumentAsArray(req.params, idOptions.keyName, idOptions.parserName);
-			const pagingOptions = routeUtils.parsePagingArguments(req.params);
-			return db.namespacesByOwners(idOptions.type, accountIds, pagingOptions.id, pagingOptions.pageSize)
-				.then(namespaceSender.sendArray(idOptions.keyName, res, next));
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, namespaceSortFields);
+			return db.namespacesByOwners(idOptions.type, accountIds, pagingOptions.id, pagingOptions.pageSize, pagingOptions)
+				.then(namespaceSender.sendPage(idOptions.keyName, pagingOptions, res, next));
 		});
 
 		const collectNames = (namespaceNameTuples, namespaceIds) => {
@@ -82,21 +84,71 @@ module.exports = {
 				});
 		};
 
+		// collects the name tuples of all namespaces and their ancestors
+		const collectAllNames = namespaceIds => new Promise(resolve => {
+			const namespaceNameTuples = [];
+			const chain = nextIds => {
+				if (0 === nextIds.length)
+					resolve(namespaceNameTuples);
+				else
+					collectNames(namespaceNameTuples, nextIds).then(chain);
+			};
+
+			collectNames(namespaceNameTuples, namespaceIds).then(chain);
+		});
+
+		// attaches fully qualified names to namespace descriptors
+		const addNamespaceNames = namespaces => {
+			const namespaceIds = namespaces.map(namespace => namespace.namespace[`level${namespace.namespace.depth - 1}`]);
+			if (0 === namespaceIds.length)
+				return Promise.resolve(namespaces);
+
+			return collectAllNames(namespaceIds).then(nameTuples => {
+				const idToNameLookup = idReducer.createIdToNameLookup(nameTuples.map(nameTuple => ({
+					namespaceId: longToUint64(nameTuple.namespaceId),
+					name: nameTuple.name.toString(),
+					parentId: undefined === nameTuple.parentId ? [0, 0] : longToUint64(nameTuple.parentId)
+				})));
+
+				namespaces.forEach((namespace, index) => {
+					const name = idToNameLookup.findName(longToUint64(namespaceIds[index]));
+					if (undefined !== name)
+						namespace.namespace.name = name;
+				});
+				return namespaces;
+			});
+		};
+
 		server.post('/namespace/names', (req, res, next) => {
 			const namespaceIds = routeUtils.parseArgumentAsArray(req.params, 'namespaceIds', uint64.fromHex);
-			const nameTuplesFuture = new Promise(resolve => {
-				const namespaceNameTuples = [];
-				const chain = nextIds => {
-					if (0 === nextIds.length)
-						resolve(namespaceNameTuples);
-					else
-						collectNames(namespaceNameTuples, nextIds).then(chain);
-				};
-
-				collectNames(namespaceNameTuples, namespaceIds).then(chain);
-			});
+			return collectAllNames(namespaceIds)
+				.then(routeUtils.createSender('namespaceNameTuple').sendArray('namespaceIds', res, next));
+		});
+
+		server.get('/namespace/:namespaceId/children', (req, res, next) => {
+			const namespaceId = routeUtils.parseArgument(req.params, 'namespaceId', uint64.fromHex);
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, namespaceSortFields);
+
+			return db.namespaceChildren(namespaceId, pagingOptions.id, pagingOptions.pageSize, pagingOptions)
+				.then(addNamespaceNames)
+				.then(namespaceSender.sendPage('namespaceId', pagingOptions, res, next));
+		});
+
+		server.get('/namespace/:namespaceId/tree', (req, res, next) => {
+			const namespaceId = routeUtils.parseArgument(req.params, 'namespaceId', uint64.fromHex);
+
+			return db.namespaceTree(namespaceId)
+				.then(addNamespaceNames)
+				.then(namespaceSender.sendArray('namespaceId', res, next));
+		});
+
+		server.get('/namespaces/expiring', (req, res, next) => {
+			const numBlocks = routeUtils.parseArgument(req.params, 'withinBlocks', 'uint');
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, namespaceSortFields);
 
-			return nameTuplesFuture.then(routeUtils.createSender('namespaceNameTuple').sendArray('namespaceIds', res, next));
+			return db.namespacesExpiring(numBlocks, pagingOptions.id, pagingOptions.pageSize, pagingOptions)
+				.then(addNamespaceNames)
+				.then(namespaceSender.sendPage('withinBlocks', pagingOptions, res, next));
 		});
 
 		server.post('/mosaic/names', namespaceUtils.aliasNamesRoutesProcessor(
@@ -18,7 +18,120 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const { longToUint64 } = require('../../db/dbUtils');
+const dbFacade = require('../../routes/dbFacade');
+const routeUtils = require('../../routes/routeUtils');
+const errors = require('../../server/errors');
+const AccountType = require('../AccountType');
+const catapult = require('catapult-sdk');
+const MongoDb = require('mongodb');
+
+const { address, idGenerator } = catapult.model;
+const { convert, uint64 } = catapult.utils;
+const { Long } = MongoDb;
+
+const AliasType = catapult.model.namespace.aliasType;
+
+// maps the keys of arguments (or of array arguments holding one id per element) that accept namespace names
+// to the named parsers used by the routes to parse them
+const namespaceNameParams = {
+	accountId: 'accountId',
+	owner: 'accountId',
+	address: 'address',
+	addresses: 'address',
+	recipient: 'address',
+	publicKey: 'publicKey',
+	publicKeys: 'publicKey',
+	signer: 'publicKey',
+	mosaicId: 'mosaicId',
+	mosaicIds: 'mosaicId'
+};
+
+const addressAliasDescriptor = {
+	aliasType: AliasType.address,
+	targetName: 'an address',
+	toId: alias => address.addressToString(alias.address.buffer)
+};
+
+const aliasDescriptors = {
+	accountId: addressAliasDescriptor,
+	address: addressAliasDescriptor,
+	publicKey: {
+		aliasType: AliasType.address,
+		targetName: 'an address',
+
+		// aliases only link addresses, so the public key needs to be looked up
+		toId: (alias, name, db) => dbFacade.accountIdToPublicKey(db.catapultDb, AccountType.address, alias.address.buffer)
+			.then(publicKey => {
+				if (undefined === publicKey)
+					throw errors.createInvalidArgumentError(`namespace '${name}' is linked to an account with unknown public key`);
+
+				return convert.uint8ToHex(publicKey);
+			})
+	},
+	mosaicId: {
+		aliasType: AliasType.mosaic,
+		targetName: 'a mosaic',
+		toId: alias => uint64.toHex(longToUint64(alias.mosaicId))
+	}
+};
+
+const isExpired = (namespace, chainInfo) => {
+	const { endHeight } = namespace.namespace;
+	return !endHeight.equals(Long.fromNumber(-1)) && endHeight.lessThanOrEqual(chainInfo.height);
+};
+
+const resolveAlias = (db, name, aliasDescriptor) => {
+	const namespaceId = idGenerator.generateNamespacePath(name).pop();
+	return Promise.all([db.namespaceById(namespaceId), db.catapultDb.chainInfo()]).then(([namespace, chainInfo]) => {
+		if (!namespace)
+			throw errors.createNotFoundError(name);
+
+		if (isExpired(namespace, chainInfo))
+			throw errors.createInvalidArgumentError(`namespace '${name}' has expired`);
+
+		const { alias } = namespace.namespace;
+		if (aliasDescriptor.aliasType !== alias.type)
+			throw errors.createInvalidArgumentError(`namespace '${name}' is not linked to ${aliasDescriptor.targetName}`);
+
+		return aliasDescriptor.toId(alias, name, db);
+	});
+};
+
 const namespaceUtils = {
+	/**
+	 * Creates a handler that replaces namespace names in account, address, public key and mosaic id arguments
+	 * (including elements of array arguments) with the ids they are linked to, so that the named parsers used by the routes can parse them.
+	 * @param {module:plugins/namespace/NamespaceDb} db Namespace database.
+	 * @returns {Function} Restify handler resolving namespace names.
+	 */
+	createNamespaceNameResolver: db => (req, res, next) => {
+		const { params } = req;
+		const resolutionPromises = [];
+		const addResolution = (args, key, parserName) => {
+			if (!routeUtils.isNamespaceNameArgument(args, key, parserName))
+				return;
+
+			resolutionPromises.push(resolveAlias(db, args[key], aliasDescriptors[parserName])
+				.then(resolvedId => { args[key] = resolvedId; }));
+		};
+
+		Object.keys(namespaceNameParams).forEach(key => {
+			const parserName = namespaceNameParams[key];
+			if (Array.isArray(params[key]))
+				params[key].forEach((value, index) => addResolution(params[key], index, parserName));
+			else
+				addResolution(params, key, parserName);
+		});
+
+		if (0 === resolutionPromises.length) {
+			next();
+			return undefined;
+		}
+
+		return Promise.all(resolutionPromises).then(() => next());
+	},
+
 	/**
 	 * Returns function for processing alias names requests.
 	 * @param {module:db/CatapultDb} catapultDb Catapult database.
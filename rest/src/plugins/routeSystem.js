@@ -18,19 +18,33 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const accountLink = require('./accountLink/accountLink');
 const accountRestrictions = require('./accountRestrictions/accountRestrictions');
 const aggregate = require('./aggregate/aggregate');
 const empty = require('./empty');
 const lockHash = require('./lockHash/lockHash');
 const lockSecret = require('./lockSecret/lockSecret');
+const metadata = require('./metadata/metadata');
 const mosaic = require('./mosaic/mosaic');
+const mosaicRestrictions = require('./mosaicRestrictions/mosaicRestrictions');
 const multisig = require('./multisig/multisig');
 const namespace = require('./namespace/namespace');
 const receipts = require('./receipts/receipts');
 const MessageChannelBuilder = require('../connection/MessageChannelBuilder');
 
 const plugins = {
-	accountLink: empty, accountRestrictions, aggregate, lockHash, lockSecret, mosaic, multisig, namespace, receipts, transfer: empty
+	accountLink,
+	accountRestrictions,
+	aggregate,
+	lockHash,
+	lockSecret,
+	metadata,
+	mosaic,
+	mosaicRestrictions,
+	multisig,
+	namespace,
+	receipts,
+	transfer: empty
 };
 
 module.exports = {
@@ -46,24 +60,30 @@ module.exports = {
 	 * @param {object} server Server.
 	 * @param {module:db/CatapultDb} db Catapult database.
 	 * @param {object} services Supporting services.
-	 * @returns {array<module:plugins/CatapultRestPlugin~TransactionStateDescriptor>} Additional transaction states to register.
+	 * @returns {object} Additional transaction states and message channel descriptors to register and plugin databases by plugin name.
 	 */
 	configure: (pluginNames, server, db, services) => {
 		const transactionStates = [];
 		const messageChannelBuilder = new MessageChannelBuilder(services.config.websocket);
+		const pluginDbs = {};
 		(pluginNames || []).forEach(pluginName => {
 			if (!plugins[pluginName])
 				throw Error(`plugin '${pluginName}' not supported by route system`);
 
 			const plugin = plugins[pluginName];
+			const pluginDb = plugin.createDb(db);
+			if (pluginDb)
+				pluginDbs[pluginName] = pluginDb;
+
 			plugin.registerTransactionStates(transactionStates);
 			plugin.registerMessageChannels(messageChannelBuilder);
-			plugin.registerRoutes(server, plugin.createDb(db), services);
+			plugin.registerRoutes(server, pluginDb, services);
 		});
 
 		return {
 			transactionStates,
-			messageChannelDescriptors: messageChannelBuilder.build()
+			messageChannelDescriptors: messageChannelBuilder.build(),
+			pluginDbs
 		};
 	}
 };
@@ -26,6 +26,8 @@ const catapult = require('catapult-sdk');
 
 const { convert } = catapult.utils;
 
+const transactionSortFields = { height: 'meta.height' };
+
 module.exports = {
 	register: (server, db, services) => {
 		const transactionSender = routeUtils.createSender(routeResultTypes.transaction);
@@ -62,10 +64,11 @@ module.exports = {
 		transactionStates.concat(services.config.transactionStates).forEach(state => {
 			server.get(`/account/:publicKey/transactions${state.routePostfix}`, (req, res, next) => {
 				const publicKey = routeUtils.parseArgument(req.params, 'publicKey', convert.hexToUint8);
-				const pagingOptions = routeUtils.parsePagingArguments(req.params);
+				const pagingOptions = routeUtils.parsePagingArguments(req.params, transactionSortFields);
 				const ordering = routeUtils.parseArgument(req.params, 'ordering', input => ('id' === input ? 1 : -1));
-				return db[`accountTransactions${state.dbPostfix}`](publicKey, pagingOptions.id, pagingOptions.pageSize, ordering)
-					.then(transactionSender.sendArray('publicKey', res, next));
+				const dbFunctionName = `accountTransactions${state.dbPostfix}`;
+				return db[dbFunctionName](publicKey, pagingOptions.id, pagingOptions.pageSize, ordering, pagingOptions)
+					.then(transactionSender.sendPage('publicKey', pagingOptions, res, next));
 			});
 		});
 	}
@@ -22,8 +22,13 @@ const accountRoutes = require('./accountRoutes');
 const blockRoutes = require('./blockRoutes');
 const chainRoutes = require('./chainRoutes');
 const diagnosticRoutes = require('./diagnosticRoutes');
+const exportRoutes = require('./exportRoutes');
+const graphqlRoutes = require('./graphqlRoutes');
+const metricsRoutes = require('./metricsRoutes');
 const networkRoutes = require('./networkRoutes');
 const nodeRoutes = require('./nodeRoutes');
+const openApiRoutes = require('./openApiRoutes');
+const statisticsRoutes = require('./statisticsRoutes');
 const transactionRoutes = require('./transactionRoutes');
 const transactionStatusRoutes = require('./transactionStatusRoutes');
 const wsRoutes = require('./wsRoutes');
@@ -35,8 +40,13 @@ module.exports = {
 			blockRoutes,
 			chainRoutes,
 			diagnosticRoutes,
+			exportRoutes,
+			graphqlRoutes,
+			metricsRoutes,
 			networkRoutes,
 			nodeRoutes,
+			openApiRoutes,
+			statisticsRoutes,
 			transactionRoutes,
 			transactionStatusRoutes,
 			wsRoutes];
@@ -30,6 +30,8 @@ const getLimit = (validLimits, params) => {
 	return -1 === validLimits.indexOf(limit) ? undefined : limit;
 };
 
+const blockSortFields = { height: 'block.height' };
+
 const alignDown = (height, alignment) => (Math.floor((height - 1) / alignment) * alignment) + 1;
 
 module.exports = {
@@ -44,6 +46,12 @@ module.exports = {
 				.then(routeUtils.createSender(routeResultTypes.block).sendOne(height, res, next));
 		});
 
+		server.get('/block/hash/:hash', (req, res, next) => {
+			const hash = routeUtils.parseArgument(req.params, 'hash', 'hash256');
+			return db.blockByHash(hash)
+				.then(routeUtils.createSender(routeResultTypes.block).sendOne(req.params.hash, res, next));
+		});
+
 		server.get(
 			'/block/:height/transaction/:hash/merkle',
 			routeUtils.blockRouteMerkleProcessor(db, 'numTransactions', 'transactionMerkleTree')
@@ -53,7 +61,7 @@ module.exports = {
 			const height = parseHeight(req.params);
 			const pagingOptions = routeUtils.parsePagingArguments(req.params);
 
-			const operation = () => db.transactionsAtHeight(height, pagingOptions.id, pagingOptions.pageSize);
+			const operation = () => db.transactionsAtHeight(height, pagingOptions.id, pagingOptions.pageSize, pagingOptions);
 			return dbFacade.runHeightDependentOperation(db, height, operation)
 				.then(result => {
 					if (!result.isRequestValid) {
@@ -61,10 +69,24 @@ module.exports = {
 						return next();
 					}
 
-					return routeUtils.createSender(routeResultTypes.transaction).sendArray('height', res, next)(result.payload);
+					const sender = routeUtils.createSender(routeResultTypes.transaction);
+					return sender.sendPage('height', pagingOptions, res, next)(result.payload);
 				});
 		});
 
+		server.get('/account/:accountId/blocks', (req, res, next) => {
+			const [type, accountId] = routeUtils.parseArgument(req.params, 'accountId', 'accountId');
+			const pagingOptions = routeUtils.parsePagingArguments(req.params, blockSortFields);
+			const ordering = routeUtils.parseArgument(req.params, 'ordering', input => ('id' === input ? 1 : -1));
+
+			// blocks reference signers and beneficiaries by public key
+			return dbFacade.accountIdToPublicKey(db, type, accountId)
+				.then(publicKey => (undefined === publicKey
+					? []
+					: db.blocksBySignerOrBeneficiary(publicKey, pagingOptions.id, pagingOptions.pageSize, ordering, pagingOptions)))
+				.then(routeUtils.createSender(routeResultTypes.block).sendPage('accountId', pagingOptions, res, next));
+		});
+
 		server.get('/blocks/:height/limit/:limit', (req, res, next) => {
 			const height = parseHeight(req.params);
 			const limit = getLimit(validPageSizes, req.params);
@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module routes/cachePolicies */
+const routeUtils = require('./routeUtils');
+const catapult = require('catapult-sdk');
+const MongoDb = require('mongodb');
+
+const { uint64 } = catapult.utils;
+const { Long } = MongoDb;
+
+const tryParseUint = (params, key) => {
+	try {
+		return routeUtils.parseArgument(params, key, 'uint');
+	} catch (err) {
+		return undefined;
+	}
+};
+
+const heightParam = params => tryParseUint(params, 'height') || undefined;
+
+const blockHeight = (params, body) => {
+	const { height } = body.payload.block;
+	return height instanceof Long ? height.toNumber() : uint64.compact(height);
+};
+
+const blocksFromHeight = params => {
+	const height = heightParam(params);
+	const limit = tryParseUint(params, 'limit');
+
+	// blocks from height zero are the latest blocks, which are never immutable
+	return undefined === height || undefined === limit ? undefined : height + limit - 1;
+};
+
+/**
+ * Cache policies of GET routes keyed by route.
+ * Responses of routes with a getHeight function do not depend on blocks above the returned height.
+ * Responses of all other routes are only cached until the next block or, if specified, for at most maxAge seconds.
+ */
+module.exports = {
+	'/block/:height': { getHeight: heightParam },
+	'/block/hash/:hash': { getHeight: blockHeight },
+	'/block/:height/transactions': { getHeight: heightParam },
+	'/block/:height/transaction/:hash/merkle': { getHeight: heightParam },
+	'/block/:height/receipts': { getHeight: heightParam },
+	'/block/:height/receipt/:hash/merkle': { getHeight: heightParam },
+	'/blocks/:height/limit/:limit': { getHeight: blocksFromHeight },
+
+	'/chain/height': {},
+	'/chain/score': {},
+
+	'/account/:accountId': {},
+	'/account/:publicKey/transactions': {},
+	'/account/:publicKey/transactions/incoming': {},
+	'/account/:publicKey/transactions/outgoing': {},
+
+	// unconfirmed transactions can also change between blocks
+	'/account/:publicKey/transactions/unconfirmed': { maxAge: 1 }
+};
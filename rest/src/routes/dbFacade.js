@@ -18,6 +18,8 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const AccountType = require('../plugins/AccountType');
+
 const extractFromMetadata = (group, transaction) => ({
 	group,
 	status: 0,
@@ -51,6 +53,26 @@ module.exports = {
 		});
 	},
 
+	/**
+	 * Resolves an account id to a public key, looking up addresses in the accounts collection.
+	 * @param {module:db/CatapultDb} db Catapult database.
+	 * @param {module:db/AccountType} type Type of account id.
+	 * @param {object} accountId Account id.
+	 * @returns {Promise.<Uint8Array>} Public key of the account or undefined if it is not known.
+	 */
+	accountIdToPublicKey: (db, type, accountId) => {
+		if (AccountType.publicKey === type)
+			return Promise.resolve(accountId);
+
+		return db.accountsByIds([{ [type]: accountId }])
+			.then(accounts => {
+				if (0 === accounts.length || accounts[0].account.publicKeyHeight.isZero())
+					return undefined;
+
+				return accounts[0].account.publicKey.buffer;
+			});
+	},
+
 	/**
 	 * Retrieves transaction statuses by specified hashes.
 	 * @param {module:db/CatapultDb} db Catapult database.
@@ -24,7 +24,7 @@ const { version: sdkVersion } = require('../../../catapult-sdk/package.json');
 const { version: restVersion } = require('../../package.json');
 
 module.exports = {
-	register: (server, db) => {
+	register: (server, db, services) => {
 		server.get('/diagnostic/blocks/:height/limit/:limit', (req, res, next) => {
 			const parseUint = paramName => routeUtils.parseArgument(req.params, paramName, 'uint');
 			const height = parseUint('height');
@@ -54,5 +54,10 @@ module.exports = {
 				res.send({ payload: storageInfo, type: routeResultTypes.storageInfo });
 				next();
 			}));
+
+		server.get('/diagnostic/apiNodes', (req, res, next) => {
+			res.send({ apiNodes: services.connections.poolState() });
+			return next();
+		});
 	}
 };
@@ -0,0 +1,164 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const routeResultTypes = require('./routeResultTypes');
+const routeUtils = require('./routeUtils');
+const dbFormattingRules = require('../db/dbFormattingRules');
+const dbUtils = require('../db/dbUtils');
+const errors = require('../server/errors');
+const catapult = require('catapult-sdk');
+const winston = require('winston');
+
+const { schemaFormatter, uint64 } = catapult.utils;
+
+const parseExportRange = (params, chainHeight) => {
+	const fromHeight = routeUtils.parseOptionalArgument(params, 'from', 'uint', 1);
+	const toHeight = routeUtils.parseOptionalArgument(params, 'to', 'uint');
+	if (0 === fromHeight || fromHeight > toHeight)
+		throw errors.createInvalidArgumentError('from must be nonzero and not greater than to');
+
+	// the range is limited to the current chain height, so it is empty when from is above the chain height
+	return { fromHeight, toHeight: undefined === toHeight ? chainHeight : Math.min(toHeight, chainHeight) };
+};
+
+const waitForDrain = res => new Promise(resolve => {
+	const onEvent = () => {
+		res.removeListener('drain', onEvent);
+		res.removeListener('close', onEvent);
+		resolve();
+	};
+
+	res.once('drain', onEvent);
+	res.once('close', onEvent);
+});
+
+/**
+ * Writes all blocks from a cursor as newline delimited JSON, one block per line.
+ * Blocks are read in batches and the next batch is only read after the response has drained.
+ * @param {object} res Response.
+ * @param {object} cursor Cursor yielding blocks in ascending height order.
+ * @param {object} options Batch size (batchSize), block view factory (createView) and optional loader of transactions for
+ * a batch of blocks (loadTransactions).
+ * @returns {Promise} Promise that is resolved when all blocks have been written or the client has disconnected.
+ */
+const writeBlocks = (res, cursor, options) => {
+	let isClosed = false;
+	res.once('close', () => { isClosed = true; });
+
+	const readBatch = blocks => {
+		if (blocks.length === options.batchSize)
+			return Promise.resolve(blocks);
+
+		return cursor.next().then(block => {
+			if (!block)
+				return blocks;
+
+			blocks.push(block);
+			return readBatch(blocks);
+		});
+	};
+
+	const loadTransactions = blocks => {
+		if (!options.loadTransactions)
+			return Promise.resolve(undefined);
+
+		return options.loadTransactions(blocks.map(block => block.block.height)).then(transactions => {
+			const heightToTransactionsMap = new Map();
+			transactions.forEach(transaction => {
+				const key = transaction.meta.height.toString();
+				heightToTransactionsMap.set(key, (heightToTransactionsMap.get(key) || []).concat([transaction]));
+			});
+
+			return heightToTransactionsMap;
+		});
+	};
+
+	const writeNextBatch = () => (isClosed ? Promise.resolve() : readBatch([]).then(blocks => {
+		if (0 === blocks.length)
+			return undefined;
+
+		return loadTransactions(blocks).then(heightToTransactionsMap => {
+			const writeResults = blocks.map(block => {
+				const transactions = heightToTransactionsMap
+					? heightToTransactionsMap.get(block.block.height.toString()) || []
+					: undefined;
+				return res.write(`${JSON.stringify(options.createView(block, transactions))}\n`);
+			});
+
+			return writeResults.every(result => result) ? undefined : waitForDrain(res);
+		}).then(writeNextBatch);
+	}));
+
+	return writeNextBatch();
+};
+
+module.exports = {
+	register: (server, db, services) => {
+		const { modelSchema } = services;
+		const format = (entity, schemaName) =>
+			schemaFormatter.format(entity, modelSchema[schemaName], modelSchema, dbFormattingRules);
+
+		const createView = (block, transactions) => {
+			const view = format(block, routeResultTypes.block);
+			if (transactions)
+				view.transactions = transactions.map(transaction => format(transaction, routeResultTypes.transaction));
+
+			return view;
+		};
+
+		// blocks are always exported as newline delimited JSON with one block per line,
+		// so an interrupted export can be resumed from the height following the last complete line
+		server.get('/export/blocks', (req, res, next) => {
+			const withTransactions = routeUtils.parseOptionalArgument(req.params, 'withTransactions', 'boolean', false);
+
+			return db.chainInfo().then(chainInfo => {
+				const chainHeight = uint64.compact(dbUtils.longToUint64(chainInfo.height));
+				const { fromHeight, toHeight } = parseExportRange(req.params, chainHeight);
+
+				res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+				if (fromHeight > toHeight) {
+					res.end();
+					return next();
+				}
+
+				const cursor = db.blocksCursor(fromHeight, toHeight);
+				const writeOptions = {
+					batchSize: services.config.export.batchSize,
+					createView,
+					loadTransactions: withTransactions ? heights => db.transactionsAtHeights(heights) : undefined
+				};
+				return writeBlocks(res, cursor, writeOptions)
+					.then(() => {
+						res.end();
+						next();
+					}, err => {
+						// the status has already been sent, so the only way to signal failure is to abort the response
+						winston.error('aborting block export due to error', err);
+						res.destroy();
+						next(false);
+					})
+					.then(() => cursor.close())
+					.catch(err => {
+						winston.warn('failed to close block export cursor', err);
+					});
+			});
+		});
+	}
+};
@@ -0,0 +1,152 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module routes/feeUtils */
+const dbUtils = require('../db/dbUtils');
+const catapult = require('catapult-sdk');
+
+const { SerializedSizeCalculator } = catapult.serializer;
+const { uint64 } = catapult.utils;
+
+const calculateSize = (codec, transaction) => {
+	const calculator = new SerializedSizeCalculator();
+	codec.serialize(transaction, calculator);
+	return calculator.size();
+};
+
+// notice that transactions are charged the fee multiplier of the block containing them (bounded by their max fee),
+// so confirmed samples are taken per block and weighted by the number of transactions in the block
+const toBlockFeeSample = block => {
+	const { numTransactions } = block.meta;
+	if (!numTransactions)
+		return undefined;
+
+	// blocks without fees can be harvested with any fee multiplier
+	const totalFee = dbUtils.longToUint64(block.meta.totalFee);
+	return { multiplier: uint64.isZero(totalFee) ? 0 : block.block.feeMultiplier, count: numTransactions };
+};
+
+// unconfirmed transactions have not been charged yet, so samples are estimated from max fees
+const toFeeSample = codec => document => {
+	const transaction = dbUtils.documentToModel(document.transaction);
+	const maxFee = uint64.compact(transaction.maxFee);
+	if (Array.isArray(maxFee))
+		return undefined;
+
+	let size;
+	try {
+		size = calculateSize(codec, transaction);
+	} catch (err) {
+		// skip transactions that are not supported by the codec
+		return undefined;
+	}
+
+	return { type: transaction.type, multiplier: Math.floor(maxFee / size), count: 1 };
+};
+
+const countSamples = samples => samples.reduce((sum, sample) => sum + sample.count, 0);
+
+const feeUtils = {
+	/**
+	 * Collects fee samples (fee multiplier, number of transactions and, if known, transaction type)
+	 * of the latest blocks and the most recent unconfirmed transactions.
+	 * @param {module:db/CatapultDb} db Catapult database.
+	 * @param {module:modelBinary/ModelCodec} codec Transaction codec.
+	 * @param {object} options Number of latest blocks to sample (numBlocks) and maximum number of unconfirmed transactions (pageSize).
+	 * @returns {Promise<object>} Confirmed and unconfirmed fee samples.
+	 */
+	collectFeeSamples: (db, codec, options) => Promise.all([
+		db.blocksFrom(0, options.numBlocks)
+			.then(blocks => blocks.map(toBlockFeeSample).filter(sample => undefined !== sample)),
+		db.transactionsByFilters({ group: 'unconfirmed' }, undefined, options.pageSize, -1, {})
+			.then(documents => documents.map(toFeeSample(codec)).filter(sample => undefined !== sample))
+	]).then(([confirmed, unconfirmed]) => ({ confirmed, unconfirmed })),
+
+	/**
+	 * Calculates fee multiplier statistics for fee samples.
+	 * @param {array<object>} samples Fee samples.
+	 * @returns {object} Number of transactions and average, median, min and max fee multipliers.
+	 */
+	calculateStatistics: samples => {
+		const numTransactions = countSamples(samples);
+		if (0 === numTransactions) {
+			return {
+				numTransactions: 0, average: 0, median: 0, min: 0, max: 0
+			};
+		}
+
+		const sortedSamples = samples.filter(sample => 0 < sample.count).sort((lhs, rhs) => lhs.multiplier - rhs.multiplier);
+		const multiplierAt = index => {
+			let remaining = index;
+			return sortedSamples.find(sample => {
+				remaining -= sample.count;
+				return 0 > remaining;
+			}).multiplier;
+		};
+
+		const middle = Math.floor(numTransactions / 2);
+		const totalMultiplier = sortedSamples.reduce((sum, sample) => sum + (sample.multiplier * sample.count), 0);
+		return {
+			numTransactions,
+			average: Math.floor(totalMultiplier / numTransactions),
+			median: 0 === numTransactions % 2 ? Math.floor((multiplierAt(middle - 1) + multiplierAt(middle)) / 2) : multiplierAt(middle),
+			min: sortedSamples[0].multiplier,
+			max: sortedSamples[sortedSamples.length - 1].multiplier
+		};
+	},
+
+	/**
+	 * Suggests low, normal and high max fees for a transaction.
+	 * Samples of the same transaction type are preferred when there are enough of them.
+	 * @param {array<object>} samples Fee samples.
+	 * @param {object} transactionInfo Size and (optional) type of the transaction.
+	 * @param {object} options Minimum number of samples (minSamples) and fee multiplier used when there are none (defaultFeeMultiplier).
+	 * @returns {object} Fee multipliers and max fees.
+	 */
+	suggestMaxFees: (samples, transactionInfo, options) => {
+		const typeSamples = samples.filter(sample => sample.type === transactionInfo.type);
+		const selectedSamples = options.minSamples <= countSamples(typeSamples) ? typeSamples : samples;
+
+		const numSamples = countSamples(selectedSamples);
+		let multipliers;
+		if (0 === numSamples) {
+			const multiplier = options.defaultFeeMultiplier;
+			multipliers = { low: multiplier, normal: multiplier, high: multiplier };
+		} else {
+			// average is skewed by a few generous transactions, so it is only used when it exceeds the median
+			const statistics = feeUtils.calculateStatistics(selectedSamples);
+			multipliers = { low: statistics.min, normal: statistics.median, high: Math.max(statistics.median, statistics.average) };
+		}
+
+		const maxFees = {};
+		Object.keys(multipliers).forEach(key => {
+			maxFees[key] = multipliers[key] * transactionInfo.size;
+		});
+
+		return {
+			size: transactionInfo.size,
+			numSamples,
+			feeMultipliers: multipliers,
+			maxFees
+		};
+	}
+};
+
+module.exports = feeUtils;
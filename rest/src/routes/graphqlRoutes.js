@@ -0,0 +1,88 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const graphqlLoaders = require('../graphql/graphqlLoaders');
+const graphqlRules = require('../graphql/graphqlRules');
+const graphqlSchema = require('../graphql/graphqlSchema');
+const errors = require('../server/errors');
+const {
+	execute, formatError, parse, specifiedRules, validate
+} = require('graphql');
+
+const parseVariables = variables => {
+	if ('string' !== typeof variables)
+		return variables;
+
+	try {
+		return JSON.parse(variables);
+	} catch (err) {
+		throw errors.createInvalidArgumentError('variables has an invalid format', err);
+	}
+};
+
+module.exports = {
+	register: (server, db, services) => {
+		if (!(services.config.graphql || {}).enabled)
+			return;
+
+		const pluginDbs = services.pluginDbs || {};
+		const schema = graphqlSchema.createSchema(services.modelSchema, db, pluginDbs, services.config.pageSize);
+		const validationRules = specifiedRules.concat([graphqlRules.createMaxDepthRule(services.config.graphql.maxDepth)]);
+
+		const runQuery = (query, variableValues, operationName) => {
+			let document;
+			try {
+				document = parse(query);
+			} catch (err) {
+				return { errors: [err] };
+			}
+
+			// reject overly nested operations (e.g. recursive introspection queries) before any resolver runs
+			const validationErrors = validate(schema, document, validationRules);
+			if (0 < validationErrors.length)
+				return { errors: validationErrors };
+
+			return execute({
+				schema,
+				document,
+				variableValues,
+				operationName,
+				// loaders batch and cache lookups within a single query only
+				contextValue: { loaders: graphqlLoaders.createLoaders(db, pluginDbs) }
+			});
+		};
+
+		// queries can either be sent as query parameters (GET) or in a json body (POST)
+		const executeQuery = (req, res, next) => {
+			const { query, operationName } = req.params;
+			if ('string' !== typeof query)
+				throw errors.createInvalidArgumentError('query must be a string');
+
+			const variableValues = parseVariables(req.params.variables);
+			return Promise.resolve(runQuery(query, variableValues, operationName)).then(result => {
+				res.send(result.errors ? Object.assign({}, result, { errors: result.errors.map(formatError) }) : result);
+				next();
+			});
+		};
+
+		server.get('/graphql', executeQuery);
+		server.post('/graphql', executeQuery);
+	}
+};
@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module routes/healthUtils */
+const dbUtils = require('../db/dbUtils');
+const catapult = require('catapult-sdk');
+const winston = require('winston');
+const net = require('net');
+
+const packetHeader = catapult.packet.header;
+const { PacketType } = catapult.packet;
+
+const Status = Object.freeze({
+	up: 'up',
+	degraded: 'degraded',
+	down: 'down'
+});
+
+const withTimeout = (promise, timeout) => {
+	let timeoutId;
+	return Promise.race([
+		promise,
+		new Promise((resolve, reject) => {
+			timeoutId = setTimeout(() => reject(Error(`no response within ${timeout}ms`)), timeout);
+		})
+	]).then(result => {
+		clearTimeout(timeoutId);
+		return result;
+	}, err => {
+		clearTimeout(timeoutId);
+		throw err;
+	});
+};
+
+// error details are only logged because they can contain internal information like hosts of dependencies
+const createDownResult = (name, message) => err => {
+	winston.warn(`health check of ${name} failed`, err);
+	return { status: Status.down, message };
+};
+
+const healthUtils = {
+	/**
+	 * Possible health statuses.
+	 */
+	Status,
+
+	/**
+	 * Checks that the database is reachable and that its latest block is not older than the maximum block age.
+	 * @param {module:db/CatapultDb} db Catapult database.
+	 * @param {object} options Network epoch timestamp in milliseconds (networkEpochTimestamp), maximum block age in seconds
+	 * (maxBlockAgeSeconds) and current timestamp in milliseconds (now).
+	 * @returns {Promise<object>} Database health.
+	 */
+	checkDatabase: (db, options) => db.chainInfo()
+		.then(chainInfo => db.blockAtHeight(dbUtils.longToUint64(chainInfo.height)))
+		.then(blockInfo => {
+			const { height, timestamp } = blockInfo.block;
+			const blockAgeSeconds = Math.floor((options.now - options.networkEpochTimestamp - timestamp.toNumber()) / 1000);
+			const result = { status: Status.up, height: height.toString(), blockAgeSeconds };
+			if (blockAgeSeconds > options.maxBlockAgeSeconds) {
+				result.status = Status.down;
+				result.message = `latest block is older than ${options.maxBlockAgeSeconds} seconds`;
+			}
+
+			return result;
+		})
+		.catch(createDownResult('database', 'database is not reachable')),
+
+	/**
+	 * Checks that an authenticated connection to the api node can be opened and answers a time request within the timeout.
+	 * @param {object} connections Catapult connection service.
+	 * @param {numeric} timeout Maximum number of milliseconds to wait.
+	 * @returns {Promise<object>} Api node health.
+	 */
+	checkApiNode: (connections, timeout) => {
+		const packetBuffer = packetHeader.createBuffer(PacketType.timeSyncNodeTime, packetHeader.size);
+		return withTimeout(connections.singleUse().then(connection => connection.pushPull(packetBuffer, timeout)), timeout)
+			.then(() => ({ status: Status.up }))
+			.catch(createDownResult('api node', 'api node is not reachable'));
+	},
+
+	/**
+	 * Checks that a tcp connection to the zmq broker can be opened within the timeout.
+	 * @param {object} mqConfig Zmq broker configuration.
+	 * @param {numeric} timeout Maximum number of milliseconds to wait.
+	 * @returns {Promise<object>} Zmq broker health.
+	 */
+	checkBroker: (mqConfig, timeout) => {
+		let socket;
+		const connectPromise = new Promise((resolve, reject) => {
+			socket = net.createConnection(mqConfig.port, mqConfig.host);
+			socket.once('connect', resolve);
+			socket.once('error', reject);
+		});
+
+		return withTimeout(connectPromise, timeout)
+			.then(() => ({ status: Status.up }))
+			.catch(createDownResult('zmq broker', 'zmq broker is not reachable'))
+			.then(result => {
+				socket.destroy();
+				return result;
+			});
+	},
+
+	/**
+	 * Determines the overall status from the statuses of all dependencies.
+	 * The instance is down when the database is down because no data can be served
+	 * and it is degraded when any other dependency is down.
+	 * @param {object} dependencies Health results keyed by dependency name.
+	 * @returns {string} Overall status.
+	 */
+	overallStatus: dependencies => {
+		if (Status.down === dependencies.database.status)
+			return Status.down;
+
+		return Object.keys(dependencies).every(name => Status.up === dependencies[name].status) ? Status.up : Status.degraded;
+	}
+};
+
+module.exports = healthUtils;
@@ -18,6 +18,8 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const feeUtils = require('./feeUtils');
+
 module.exports = {
 	register: (server, db, services) => {
 		server.get('/network', (req, res, next) => {
@@ -25,5 +27,18 @@ module.exports = {
 			res.send(services.config.network);
 			next();
 		});
+
+		server.get('/network/fees', (req, res, next) => {
+			const { numBlocks } = services.config.fees;
+			const samplingOptions = { numBlocks, pageSize: services.config.pageSize.max };
+			return feeUtils.collectFeeSamples(db, services.codec, samplingOptions).then(samples => {
+				res.send({
+					numBlocks,
+					confirmed: feeUtils.calculateStatistics(samples.confirmed),
+					unconfirmed: feeUtils.calculateStatistics(samples.unconfirmed)
+				});
+				next();
+			});
+		});
 	}
 };
@@ -18,6 +18,7 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const healthUtils = require('./healthUtils');
 const routeResultTypes = require('./routeResultTypes');
 const nodeInfoCodec = require('../sockets/nodeInfoCodec');
 const nodeTimeCodec = require('../sockets/nodeTimeCodec');
@@ -58,5 +59,24 @@ module.exports = {
 					next();
 				});
 		});
+
+		// all dependencies are checked concurrently and checks never fail, so the response always contains all results
+		server.get('/node/health', (req, res, next) => {
+			const healthConfig = services.config.health;
+			return Promise.all([
+				healthUtils.checkDatabase(db, {
+					networkEpochTimestamp: services.config.network.epochTimestamp,
+					maxBlockAgeSeconds: healthConfig.maxBlockAgeSeconds,
+					now: Date.now()
+				}),
+				healthUtils.checkApiNode(connections, timeout),
+				healthUtils.checkBroker(services.config.websocket.mq, healthConfig.brokerTimeout)
+			]).then(([database, apiNode, broker]) => {
+				const dependencies = { database, apiNode, broker };
+				const status = healthUtils.overallStatus(dependencies);
+				res.send(healthUtils.Status.down === status ? 503 : 200, { status, dependencies });
+				next();
+			});
+		});
 	}
 };
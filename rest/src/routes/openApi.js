@@ -0,0 +1,235 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module routes/openApi */
+const routeUtils = require('./routeUtils');
+const catapult = require('catapult-sdk');
+
+const { ModelType } = catapult.model;
+
+const Uint32_Schema = { type: 'integer', minimum: 0, maximum: 0xFFFFFFFF };
+
+// describes how each model type is serialized by the json formatting rules (see db/dbFormattingRules)
+const modelTypeSchemas = {
+	[ModelType.none]: {},
+	[ModelType.binary]: { type: 'string', pattern: '^([0-9A-F]{2})*$' },
+	[ModelType.double]: { type: 'number' },
+	[ModelType.objectId]: { type: 'string', pattern: '^[0-9A-F]{24}$' },
+	[ModelType.statusCode]: { type: 'string' },
+	[ModelType.string]: { type: 'string' },
+	[ModelType.uint16]: { type: 'integer', minimum: 0, maximum: 0xFFFF },
+	[ModelType.uint32]: Uint32_Schema,
+	[ModelType.uint64]: {
+		type: 'array', items: Uint32_Schema, minItems: 2, maxItems: 2, description: 'uint64 as [low, high] uint32 pair'
+	}
+};
+
+// named parsers used for path parameters, keyed by parameter name
+const pathParameterParsers = {
+	accountId: 'accountId',
+	address: 'address',
+	hash: 'hash256',
+	height: 'uint',
+	limit: 'uint',
+	mosaicId: 'mosaicId',
+	publicKey: 'publicKey',
+	secret: 'hash256'
+};
+
+// path parameters that are parsed by custom parsers
+const customPathParameterSchemas = {
+	key: { type: 'string', pattern: '^[0-9A-Fa-f]{16}$' },
+	namespaceId: { type: 'string', pattern: '^[0-9A-Fa-f]{16}$' },
+	transactionId: { type: 'string', description: 'object id or transaction hash' }
+};
+
+// paging arguments (see routeUtils.parsePagingArguments) mapped to the named parsers accepting the same values
+const pagingParameterParsers = {
+	pageSize: 'uint',
+	id: 'objectId',
+	before: 'objectId',
+	offset: 'uint',
+	includeTotal: 'boolean',
+	envelope: 'boolean'
+};
+
+const Error_Schema_Name = 'error';
+const Pagination_Schema_Name = 'pagination';
+
+const createReference = schemaName => ({ $ref: `#/components/schemas/${schemaName}` });
+
+const getModelType = definition => ('number' === typeof definition ? definition : definition.type || ModelType.none);
+
+const createChildSchema = schemaName => {
+	if ('number' === typeof schemaName)
+		return Object.assign({}, modelTypeSchemas[schemaName]);
+
+	// schema names that are resolved at runtime depend on the entity being formatted
+	return 'string' === typeof schemaName ? createReference(schemaName) : { type: 'object' };
+};
+
+const createPropertySchema = definition => {
+	const modelType = getModelType(definition);
+	switch (modelType) {
+	case ModelType.array:
+		return { type: 'array', items: createChildSchema(definition.schemaName) };
+	case ModelType.dictionary:
+		return { type: 'object', additionalProperties: createChildSchema(definition.schemaName) };
+	case ModelType.object:
+		return createChildSchema(definition.schemaName);
+	default:
+		return Object.assign({}, modelTypeSchemas[modelType]);
+	}
+};
+
+const createComponentSchema = modelSchema => {
+	const properties = {};
+	Object.keys(modelSchema).forEach(key => {
+		const definition = modelSchema[key];
+		properties[definition.resultKey || key] = createPropertySchema(definition);
+	});
+
+	return { type: 'object', properties };
+};
+
+const createResponseSchema = (description, modelSchema) => {
+	if (!description || !modelSchema[description.type])
+		return {};
+
+	const itemSchema = createReference(description.type);
+	if ('object' === description.shape)
+		return itemSchema;
+
+	// pages are only wrapped in an envelope when requested
+	const arraySchema = { type: 'array', items: itemSchema };
+	return 'page' !== description.shape ? arraySchema : {
+		oneOf: [
+			arraySchema,
+			{ type: 'object', properties: { data: arraySchema, pagination: createReference(Pagination_Schema_Name) } }
+		]
+	};
+};
+
+const createParameterSchema = parser => ('string' === typeof parser ? routeUtils.getNamedParserSchema(parser) : Object.assign({}, parser));
+
+const createQueryParameters = description => {
+	if (!description)
+		return [];
+
+	const queryParsers = Object.assign({}, description.query);
+	if ('page' === description.shape) {
+		Object.assign(queryParsers, pagingParameterParsers, {
+			sortField: { type: 'string', enum: ['id'].concat(description.sortFields || []) }
+		});
+	}
+
+	return Object.keys(queryParsers).map(name => ({
+		name,
+		in: 'query',
+		required: (description.requiredQuery || []).includes(name),
+		schema: createParameterSchema(queryParsers[name])
+	}));
+};
+
+const createPathParameter = name => {
+	const parserName = pathParameterParsers[name];
+	const schema = parserName ? routeUtils.getNamedParserSchema(parserName) : customPathParameterSchemas[name] || { type: 'string' };
+	return {
+		name, in: 'path', required: true, schema
+	};
+};
+
+const capitalize = str => `${str.charAt(0).toUpperCase()}${str.slice(1)}`;
+
+const createOperationId = (method, routeParts) => method + routeParts
+	.map(part => (':' === part[0] ? `By${capitalize(part.slice(1))}` : part.split(/[^a-zA-Z0-9]/).map(capitalize).join('')))
+	.join('');
+
+const createOperation = (method, routeParts, description, modelSchema) => {
+	const operation = {
+		operationId: createOperationId(method, routeParts),
+		tags: [routeParts[0]],
+		parameters: routeParts.filter(part => ':' === part[0]).map(part => createPathParameter(part.slice(1)))
+			.concat(createQueryParameters(description)),
+		responses: {
+			200: { description: 'success', content: { 'application/json': { schema: createResponseSchema(description, modelSchema) } } },
+			default: { description: 'error', content: { 'application/json': { schema: createReference(Error_Schema_Name) } } }
+		}
+	};
+
+	if ('get' !== method)
+		operation.requestBody = { required: true, content: { 'application/json': { schema: { type: 'object' } } } };
+
+	return operation;
+};
+
+const openApi = {
+	/**
+	 * Creates an OpenAPI 3 document describing registered routes and model schemas.
+	 * @param {object} options Document options.
+	 * @param {array<object>} options.routes Registered routes (method and route).
+	 * @param {object} options.modelSchema Model schema dictionary.
+	 * @param {module:routes/routeDescriptions} options.routeDescriptions Descriptions of route responses and query parameters.
+	 * @param {object} options.info Document info (title, version and description).
+	 * @returns {object} OpenAPI document.
+	 */
+	createDocument: options => {
+		const paths = {};
+		options.routes
+			.slice()
+			.sort((lhs, rhs) => lhs.route.localeCompare(rhs.route))
+			.forEach(descriptor => {
+				const routeParts = descriptor.route.split('/').filter(part => part);
+				const path = `/${routeParts.map(part => (':' === part[0] ? `{${part.slice(1)}}` : part)).join('/')}`;
+				paths[path] = paths[path] || {};
+				const description = (options.routeDescriptions[descriptor.route] || {})[descriptor.method];
+				paths[path][descriptor.method] = createOperation(descriptor.method, routeParts, description, options.modelSchema);
+			});
+
+		const schemas = {
+			[Error_Schema_Name]: {
+				type: 'object',
+				properties: { code: { type: 'string' }, message: { type: 'string' } }
+			},
+			[Pagination_Schema_Name]: {
+				type: 'object',
+				properties: {
+					pageSize: { type: 'integer' },
+					offset: { type: 'integer' },
+					totalCount: { type: 'integer' },
+					previous: routeUtils.getNamedParserSchema('objectId'),
+					next: routeUtils.getNamedParserSchema('objectId')
+				}
+			}
+		};
+		Object.keys(options.modelSchema).sort().forEach(schemaName => {
+			schemas[schemaName] = createComponentSchema(options.modelSchema[schemaName]);
+		});
+
+		return {
+			openapi: '3.0.3',
+			info: options.info,
+			paths,
+			components: { schemas }
+		};
+	}
+};
+
+module.exports = openApi;
@@ -0,0 +1,49 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const openApi = require('./openApi');
+const routeDescriptions = require('./routeDescriptions');
+const { version: restVersion } = require('../../package.json');
+
+module.exports = {
+	register: (server, db, services) => {
+		// routes can be registered until the server starts listening, so the document is created on first request
+		let document;
+
+		server.get('/openapi.json', (req, res, next) => {
+			if (!document) {
+				const { network } = services.config;
+				document = openApi.createDocument({
+					routes: server.routes(),
+					modelSchema: services.modelSchema,
+					routeDescriptions,
+					info: {
+						title: 'catapult-rest',
+						version: restVersion,
+						description: `REST gateway for ${network.name} (${network.description})`
+					}
+				});
+			}
+
+			res.send(document);
+			next();
+		});
+	}
+};
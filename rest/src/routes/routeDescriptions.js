@@ -0,0 +1,160 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module routes/routeDescriptions */
+const routeResultTypes = require('./routeResultTypes');
+
+// ordering is parsed by custom parsers that sort ascending only for 'id'
+const Ordering_Query = { ordering: { type: 'string', enum: ['id', '-id'], description: 'id for ascending order (default descending)' } };
+
+const createPage = (type, sortFields = [], query = {}, requiredQuery = []) => ({
+	type, shape: 'page', sortFields, query, requiredQuery
+});
+const createArray = (type, query = {}, requiredQuery = []) => ({
+	type, shape: 'array', query, requiredQuery
+});
+const createObject = type => ({
+	type, shape: 'object', query: {}, requiredQuery: []
+});
+
+const transactionPage = createPage(routeResultTypes.transaction, ['height'], Ordering_Query);
+
+const metadataDescriptions = base => ({
+	[`${base}/metadata`]: { get: createPage('metadata') },
+	[`${base}/metadata/:key`]: { get: createArray('metadata') },
+	[`${base}/metadata/:key/sender/:publicKey`]: { get: createObject('metadata') }
+});
+
+/**
+ * Descriptions of route responses and query parameters keyed by route and method.
+ * Results are either single objects, arrays or pages (arrays that are optionally wrapped in an envelope with pagination information)
+ * of the described type.
+ * Query parameters map names to either named parsers or JSON schemas and are optional unless they are listed as required query;
+ * paging parameters are implied by pages.
+ * Routes without a description (or without a type) send results that are not described by model schemas.
+ */
+module.exports = Object.assign(
+	{
+		'/account/:accountId': { get: createObject(routeResultTypes.account) },
+		'/account': { post: createArray(routeResultTypes.account) },
+		'/account/:publicKey/transactions': { get: transactionPage },
+		'/account/:publicKey/transactions/incoming': { get: transactionPage },
+		'/account/:publicKey/transactions/outgoing': { get: transactionPage },
+		'/account/:publicKey/transactions/unconfirmed': { get: transactionPage },
+		'/account/:publicKey/transactions/partial': { get: transactionPage },
+		'/account/:accountId/blocks': { get: createPage(routeResultTypes.block, ['height'], Ordering_Query) },
+
+		'/block/:height': { get: createObject(routeResultTypes.block) },
+		'/block/hash/:hash': { get: createObject(routeResultTypes.block) },
+		'/block/:height/transactions': { get: createPage(routeResultTypes.transaction) },
+		'/block/:height/transaction/:hash/merkle': { get: createObject(routeResultTypes.merkleProofInfo) },
+		'/blocks/:height/limit/:limit': { get: createArray(routeResultTypes.block) },
+
+		'/chain/height': { get: createObject(routeResultTypes.chainInfo) },
+		'/chain/score': { get: createObject(routeResultTypes.chainInfo) },
+
+		'/diagnostic/blocks/:height/limit/:limit': { get: createArray(routeResultTypes.block) },
+		'/diagnostic/server': { get: createObject(routeResultTypes.serverInfo) },
+		'/diagnostic/storage': { get: createObject(routeResultTypes.storageInfo) },
+
+		'/export/blocks': { get: { query: { from: 'uint', to: 'uint', withTransactions: 'boolean' }, requiredQuery: [] } },
+
+		'/node/info': { get: createObject(routeResultTypes.nodeInfo) },
+		'/node/time': { get: createObject(routeResultTypes.nodeTime) },
+
+		'/statistics/blocks': {
+			get: createArray(routeResultTypes.blockStatistics, { from: 'uint', to: 'uint', interval: 'uint' }, ['from', 'to'])
+		},
+		'/statistics/transactions/daily': { get: createArray(routeResultTypes.dailyTransactionStatistics, { days: 'uint' }) },
+
+		'/transaction/:transactionId': { get: createObject(routeResultTypes.transaction) },
+		'/transaction': { post: createArray(routeResultTypes.transaction) },
+		'/transaction/:hash/status': { get: createObject(routeResultTypes.transactionStatus) },
+		'/transaction/statuses': { post: createArray(routeResultTypes.transactionStatus) },
+		'/transaction/sync': { put: createObject(routeResultTypes.transactionStatus) },
+		'/transaction/decode': { post: createObject(routeResultTypes.transaction) },
+		'/transactions': {
+			get: createPage(routeResultTypes.transaction, ['height'], Object.assign({
+				type: 'uint',
+				signer: 'publicKey',
+				recipient: 'address',
+				fromHeight: 'uint',
+				toHeight: 'uint',
+				mosaicId: 'mosaicId',
+				embedded: 'boolean',
+				group: { type: 'string', description: 'confirmed, unconfirmed or a plugin transaction state' }
+			}, Ordering_Query))
+		},
+
+		// region plugins
+
+		'/account/:accountId/link': { get: createObject('accountLinkEntry') },
+		'/account/:publicKey/link/main': { get: createObject(routeResultTypes.account) },
+		'/account/:publicKey/link/transactions': { get: transactionPage },
+
+		'/account/:accountId/restrictions': { get: createObject('accountRestrictions') },
+		'/account/restrictions': { post: createArray('accountRestrictions') },
+
+		'/account/:accountId/lock/hash': { get: createPage('hashLockInfo', ['height']) },
+		'/lock/hash/:hash': { get: createObject('hashLockInfo') },
+		'/account/:accountId/lock/secret': { get: createPage('secretLockInfo', ['height']) },
+		'/lock/secret/:secret': { get: createObject('secretLockInfo') },
+
+		'/metadata': { post: createArray('metadata') },
+
+		'/mosaic/:mosaicId': { get: createObject('mosaicDescriptor') },
+		'/mosaic': { post: createArray('mosaicDescriptor') },
+		'/mosaics': {
+			get: createPage('mosaicDescriptor', ['height'], {
+				owner: 'accountId', expired: 'boolean', supplyMutable: 'boolean', transferable: 'boolean'
+			})
+		},
+		'/account/:accountId/mosaics/created': { get: createPage('mosaicDescriptor', ['height']) },
+		'/mosaic/:mosaicId/holders': { get: createPage('mosaicHolder') },
+		'/mosaic/:mosaicId/distribution': { get: createObject('mosaicDistribution') },
+
+		'/mosaic/:mosaicId/restrictions': { get: createPage('mosaicRestrictions') },
+		'/mosaic/:mosaicId/restrictions/global': { get: createObject('mosaicRestrictions') },
+		'/mosaic/restrictions': { post: createArray('mosaicRestrictions') },
+		'/mosaic/:mosaicId/restrictions/address/:address': { get: createObject('mosaicRestrictions') },
+		'/mosaic/:mosaicId/restrictions/address': { post: createArray('mosaicRestrictions') },
+
+		'/account/:accountId/multisig': { get: createObject('multisigEntry') },
+		'/account/:accountId/multisig/graph': { get: createArray('multisigGraph') },
+
+		'/namespace/:namespaceId': { get: createObject('namespaceDescriptor') },
+		'/account/:accountId/namespaces': { get: createPage('namespaceDescriptor', ['startHeight', 'endHeight']) },
+		'/account/namespaces': { post: createPage('namespaceDescriptor', ['startHeight', 'endHeight']) },
+		'/namespace/names': { post: createArray('namespaceNameTuple') },
+		'/namespace/:namespaceId/children': { get: createPage('namespaceDescriptor', ['startHeight', 'endHeight']) },
+		'/namespace/:namespaceId/tree': { get: createArray('namespaceDescriptor') },
+		'/namespaces/expiring': {
+			get: createPage('namespaceDescriptor', ['startHeight', 'endHeight'], { withinBlocks: 'uint' }, ['withinBlocks'])
+		},
+
+		'/block/:height/receipts': { get: createObject(routeResultTypes.receipts) },
+		'/block/:height/receipt/:hash/merkle': { get: createObject(routeResultTypes.merkleProofInfo) }
+
+		// endregion
+	},
+	metadataDescriptions('/account/:accountId'),
+	metadataDescriptions('/mosaic/:mosaicId'),
+	metadataDescriptions('/namespace/:namespaceId')
+);
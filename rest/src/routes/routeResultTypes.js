@@ -34,5 +34,9 @@ module.exports = {
 
 	// diagnostic
 	serverInfo: 'serverInfo',
-	storageInfo: 'storageInfo'
+	storageInfo: 'storageInfo',
+
+	// statistics
+	blockStatistics: 'blockStatistics',
+	dailyTransactionStatistics: 'dailyTransactionStatistics'
 };
@@ -23,21 +23,32 @@ const routeResultTypes = require('./routeResultTypes');
 const errors = require('../server/errors');
 const catapult = require('catapult-sdk');
 
-const { address } = catapult.model;
+const { address, idGenerator } = catapult.model;
 const { buildAuditPath, indexOfLeafWithHash } = catapult.crypto.merkle;
-const { convert } = catapult.utils;
+const { convert, uint64 } = catapult.utils;
 const packetHeader = catapult.packet.header;
 const constants = {
 	sizes: {
 		hexPublicKey: 64,
 		addressEncoded: 40,
 		hash256: 32,
-		hash512: 64
+		hash512: 64,
+		hexUint64: 16
 	}
 };
 
 const isObjectId = str => 24 === str.length && convert.isHexString(str);
 
+// raw ids take precedence over namespace names because some raw ids (e.g. hex public keys) are also valid names
+const rawIdPredicates = {
+	address: str => constants.sizes.addressEncoded === str.length,
+	publicKey: str => constants.sizes.hexPublicKey === str.length,
+	accountId: str => constants.sizes.hexPublicKey === str.length || constants.sizes.addressEncoded === str.length,
+	mosaicId: str => constants.sizes.hexUint64 === str.length && convert.isHexString(str)
+};
+
+const tryParseBoolean = str => ('true' === str || 'false' === str ? 'true' === str : undefined);
+
 const namedParserMap = {
 	objectId: str => {
 		if (!isObjectId(str))
@@ -45,6 +56,13 @@ const namedParserMap = {
 
 		return str;
 	},
+	boolean: str => {
+		const result = tryParseBoolean(str);
+		if (undefined === result)
+			throw Error('must be true or false');
+
+		return result;
+	},
 	uint: str => {
 		const result = convert.tryParseUint(str);
 		if (undefined === result)
@@ -55,12 +73,16 @@ const namedParserMap = {
 	address: str => {
 		if (constants.sizes.addressEncoded === str.length)
 			return address.stringToAddress(str);
+		if (idGenerator.isValidFullyQualifiedName(str))
+			throw Error(`namespace name '${str}' could not be resolved to an address`);
 
 		throw Error(`invalid length of address '${str.length}'`);
 	},
 	publicKey: str => {
 		if (constants.sizes.hexPublicKey === str.length)
 			return convert.hexToUint8(str);
+		if (idGenerator.isValidFullyQualifiedName(str))
+			throw Error(`namespace name '${str}' could not be resolved to a public key`);
 
 		throw Error(`invalid length of publicKey '${str.length}'`);
 	},
@@ -69,9 +91,23 @@ const namedParserMap = {
 			return ['publicKey', convert.hexToUint8(str)];
 		if (constants.sizes.addressEncoded === str.length)
 			return ['address', address.stringToAddress(str)];
+		if (idGenerator.isValidFullyQualifiedName(str))
+			throw Error(`namespace name '${str}' could not be resolved to an account`);
 
 		throw Error(`invalid length of account id '${str.length}'`);
 	},
+	mosaicId: str => {
+		if (!rawIdPredicates.mosaicId(str) && idGenerator.isValidFullyQualifiedName(str))
+			throw Error(`namespace name '${str}' could not be resolved to a mosaic`);
+
+		return uint64.fromHex(str);
+	},
+	namespaceName: str => {
+		if (!idGenerator.isValidFullyQualifiedName(str))
+			throw Error('must be a fully qualified namespace name');
+
+		return str;
+	},
 	hash256: str => {
 		if (2 * constants.sizes.hash256 === str.length)
 			return convert.hexToUint8(str);
@@ -86,6 +122,22 @@ const namedParserMap = {
 	}
 };
 
+const createHexSchema = numBytes => ({ type: 'string', pattern: `^[0-9A-Fa-f]{${2 * numBytes}}$` });
+
+// describes the string values accepted by each named parser
+const namedParserSchemas = {
+	objectId: createHexSchema(12),
+	boolean: { type: 'string', enum: ['true', 'false'] },
+	uint: { type: 'string', pattern: '^[0-9]+$' },
+	address: { type: 'string', minLength: constants.sizes.addressEncoded, maxLength: constants.sizes.addressEncoded },
+	publicKey: createHexSchema(constants.sizes.hexPublicKey / 2),
+	accountId: { type: 'string', description: 'public key, encoded address or namespace name' },
+	mosaicId: { type: 'string', description: 'hex mosaic id or namespace name' },
+	namespaceName: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]{0,63}(\\.[a-z0-9][a-z0-9_-]{0,63}){0,2}$' },
+	hash256: createHexSchema(constants.sizes.hash256),
+	hash512: createHexSchema(constants.sizes.hash512)
+};
+
 const routeUtils = {
 	/**
 	 * Parses an argument and throws an invalid argument error if it is invalid.
@@ -102,6 +154,29 @@ const routeUtils = {
 		}
 	},
 
+	/**
+	 * Parses an optional argument and throws an invalid argument error if it is present and invalid.
+	 * @param {object} args Container containing the argument to parse.
+	 * @param {string} key Name of the argument to parse.
+	 * @param {Function|string} parser Parser to use or the name of a named parser.
+	 * @param {object} defaultValue Value to return when the argument is not present.
+	 * @returns {object} Parsed value or default value.
+	 */
+	parseOptionalArgument: (args, key, parser, defaultValue = undefined) =>
+		(undefined === args[key] ? defaultValue : routeUtils.parseArgument(args, key, parser)),
+
+	/**
+	 * Gets a JSON schema describing the values accepted by a named parser.
+	 * @param {string} parserName Name of the named parser.
+	 * @returns {object} JSON schema.
+	 */
+	getNamedParserSchema: parserName => {
+		if (!namedParserSchemas[parserName])
+			throw Error(`unknown named parser '${parserName}'`);
+
+		return Object.assign({}, namedParserSchemas[parserName]);
+	},
+
 	/**
 	 * Parses an argument as an array and throws an invalid argument error if any element is invalid.
 	 * @param {object} args Container containing the argument to parse.
@@ -121,25 +196,56 @@ const routeUtils = {
 		}
 	},
 
+	/**
+	 * Determines whether an argument holds a namespace name that needs to be resolved before it can be parsed by a named parser.
+	 * @param {object} args Container containing the argument to check.
+	 * @param {string} key Name of the argument to check.
+	 * @param {string} parserName Name of the named parser (address, publicKey, accountId or mosaicId) parsing the resolved argument.
+	 * @returns {boolean} true if the argument is a namespace name and not a raw id.
+	 */
+	isNamespaceNameArgument: (args, key, parserName) => {
+		const str = args[key];
+		return 'string' === typeof str && !rawIdPredicates[parserName](str) && idGenerator.isValidFullyQualifiedName(str);
+	},
+
 	/**
 	 * Parses optional paging arguments and throws an invalid argument error if any is invalid.
+	 * Besides id and pageSize, the extended paging arguments (before, offset, sortField, includeTotal and envelope)
+	 * are only added to the result when they are present.
+	 * Pages either follow the id cursor, precede the before cursor or start at the offset, so these cannot be combined.
 	 * @param {object} args Arguments to parse.
+	 * @param {object} sortFields Map of supported sort field names to document field names (id is always supported).
 	 * @returns {object} Parsed paging options.
 	 */
-	parsePagingArguments: args => {
+	parsePagingArguments: (args, sortFields = {}) => {
 		const parsedOptions = { id: undefined, pageSize: 0 };
+		const allSortFields = Object.assign({ id: '_id' }, sortFields);
 		const parsers = {
 			id: { tryParse: str => (isObjectId(str) ? str : undefined), type: 'object id' },
-			pageSize: { tryParse: convert.tryParseUint, type: 'unsigned integer' }
+			before: { tryParse: str => (isObjectId(str) ? str : undefined), type: 'object id' },
+			pageSize: { tryParse: convert.tryParseUint, type: 'unsigned integer' },
+			offset: { tryParse: convert.tryParseUint, type: 'unsigned integer' },
+			sortField: {
+				tryParse: str => (Object.prototype.hasOwnProperty.call(allSortFields, str) ? allSortFields[str] : undefined),
+				type: 'sort field'
+			},
+			includeTotal: { tryParse: tryParseBoolean, type: 'boolean' },
+			envelope: { tryParse: tryParseBoolean, type: 'boolean' }
 		};
 
-		Object.keys(parsedOptions).filter(key => args[key]).forEach(key => {
+		Object.keys(parsers).filter(key => args[key]).forEach(key => {
 			const parser = parsers[key];
 			parsedOptions[key] = parser.tryParse(args[key]);
-			if (!parsedOptions[key])
+
+			// zero page size is rejected for backwards compatibility, but zero offset is allowed
+			if (undefined === parsedOptions[key] || ('pageSize' === key && !parsedOptions[key]))
 				throw errors.createInvalidArgumentError(`${key} is not a valid ${parser.type}`);
 		});
 
+		const pageStartKeys = ['id', 'before', 'offset'].filter(key => undefined !== parsedOptions[key]);
+		if (1 < pageStartKeys.length)
+			throw errors.createInvalidArgumentError(`${pageStartKeys.join(' and ')} cannot be combined`);
+
 		return parsedOptions;
 	},
 
@@ -184,6 +290,29 @@ const routeUtils = {
 			};
 		},
 
+		/**
+		 * Creates a page handler that forwards an array either as is or, when requested by the paging options,
+		 * wrapped in an envelope together with the pagination information attached by the database.
+		 * @param {object} id Array identifier.
+		 * @param {object} pagingOptions Parsed paging options.
+		 * @param {object} res Restify response object.
+		 * @param {Function} next Restify next callback handler.
+		 * @returns {Function} An appropriate page handler.
+		 */
+		sendPage(id, pagingOptions, res, next) {
+			if (!pagingOptions.envelope)
+				return this.sendArray(id, res, next);
+
+			return array => {
+				if (!Array.isArray(array))
+					res.send(errors.createInternalError(`error retrieving data for id: '${id}'`));
+				else
+					res.send({ payload: array, type, pagination: array.pagination || {} });
+
+				next();
+			};
+		},
+
 		/**
 		 * Creates an object handler that either forwards an object corresponding to an identifier
 		 * or sends a not found error if no such object exists.
@@ -244,25 +373,35 @@ const routeUtils = {
 		});
 	},
 
+	/**
+	 * Creates a packet by prepending a packet header to a payload.
+	 * @param {Uint8Array} data Packet payload.
+	 * @param {module:packet/PacketType} packetType Packet type.
+	 * @returns {Buffer} Packet buffer.
+	 */
+	createPacketFromBuffer: (data, packetType) => {
+		const length = packetHeader.size + data.length;
+		const header = packetHeader.createBuffer(packetType, length);
+		const buffers = [header, Buffer.from(data)];
+		return Buffer.concat(buffers, length);
+	},
+
 	/**
 	 * Adds PUT route for sending a packet to an api server.
  	 * @param {object} server Server on which to register the routes.
  	 * @param {object} connections Api server connection pool.
 	 * @param {object} routeInfo Information about the route.
 	 * @param {Function} parser Parser to use to parse the route parameters into a packet payload.
+	 * @param {Function} validator Optional validator to use to validate the packet payload before it is sent.
 	 */
-	addPutPacketRoute: (server, connections, routeInfo, parser) => {
-		const createPacketFromBuffer = (data, packetType) => {
-			const length = packetHeader.size + data.length;
-			const header = packetHeader.createBuffer(packetType, length);
-			const buffers = [header, Buffer.from(data)];
-			return Buffer.concat(buffers, length);
-		};
-
+	addPutPacketRoute: (server, connections, routeInfo, parser, validator) => {
 		server.put(routeInfo.routeName, (req, res, next) => {
-			const packetBuffer = createPacketFromBuffer(parser(req.params), routeInfo.packetType);
-			return connections.lease()
-				.then(connection => connection.send(packetBuffer))
+			const payload = parser(req.params);
+			if (validator)
+				validator(payload);
+
+			const packetBuffer = routeUtils.createPacketFromBuffer(payload, routeInfo.packetType);
+			return connections.send(packetBuffer)
 				.then(() => {
 					res.send(202, { message: `packet ${routeInfo.packetType} was pushed to the network via ${routeInfo.routeName}` });
 					next();
@@ -0,0 +1,101 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const routeResultTypes = require('./routeResultTypes');
+const routeUtils = require('./routeUtils');
+const StatisticsDb = require('../db/StatisticsDb');
+const errors = require('../server/errors');
+
+const parseBlockRange = (params, statisticsConfig) => {
+	const fromHeight = routeUtils.parseArgument(params, 'from', 'uint');
+	const toHeight = routeUtils.parseArgument(params, 'to', 'uint');
+	const interval = routeUtils.parseOptionalArgument(params, 'interval', 'uint', statisticsConfig.defaultInterval);
+
+	if (0 === fromHeight || fromHeight > toHeight)
+		throw errors.createInvalidArgumentError('from must be nonzero and not greater than to');
+
+	if (toHeight - fromHeight >= statisticsConfig.maxBlockRange)
+		throw errors.createInvalidArgumentError(`block range cannot contain more than ${statisticsConfig.maxBlockRange} blocks`);
+
+	if (0 === interval)
+		throw errors.createInvalidArgumentError('interval must be nonzero');
+
+	return { fromHeight, toHeight, interval };
+};
+
+/**
+ * Creates a bounded cache for statistics of height ranges that can no longer change.
+ * @param {numeric} maxSize Maximum number of cached ranges.
+ * @returns {object} Range cache.
+ */
+const createRangeCache = maxSize => {
+	const entries = new Map();
+	return {
+		get: key => entries.get(key),
+		set: (key, value) => {
+			if (entries.size >= maxSize)
+				entries.delete(entries.keys().next().value);
+
+			entries.set(key, value);
+		}
+	};
+};
+
+module.exports = {
+	register: (server, db, services) => {
+		const statisticsDb = new StatisticsDb(db);
+		let blockStatisticsCache;
+
+		server.get('/statistics/blocks', (req, res, next) => {
+			const statisticsConfig = services.config.statistics;
+			const { fromHeight, toHeight, interval } = parseBlockRange(req.params, statisticsConfig);
+			const sendBlockStatistics = routeUtils.createSender(routeResultTypes.blockStatistics).sendArray('blocks', res, next);
+
+			if (!blockStatisticsCache)
+				blockStatisticsCache = createRangeCache(statisticsConfig.cacheSize);
+
+			const cacheKey = `${fromHeight}:${toHeight}:${interval}`;
+			const cachedStatistics = blockStatisticsCache.get(cacheKey);
+			if (cachedStatistics)
+				return Promise.resolve(cachedStatistics).then(sendBlockStatistics);
+
+			return db.chainInfo().then(chainInfo => {
+				// blocks that are deeper than the maximum rollback depth are final, so statistics over them never change
+				const isFinalized = toHeight + statisticsConfig.maxRollbackBlocks <= chainInfo.height.toNumber();
+				return statisticsDb.blockStatistics(fromHeight, toHeight, interval).then(statistics => {
+					if (isFinalized)
+						blockStatisticsCache.set(cacheKey, statistics);
+
+					return statistics;
+				});
+			}).then(sendBlockStatistics);
+		});
+
+		server.get('/statistics/transactions/daily', (req, res, next) => {
+			const statisticsConfig = services.config.statistics;
+			const numDays = routeUtils.parseOptionalArgument(req.params, 'days', 'uint', statisticsConfig.defaultDays);
+			if (0 === numDays || numDays > statisticsConfig.maxDays)
+				throw errors.createInvalidArgumentError(`days must be in range [1, ${statisticsConfig.maxDays}]`);
+
+			const sender = routeUtils.createSender(routeResultTypes.dailyTransactionStatistics);
+			return statisticsDb.dailyTransactionStatistics(numDays).then(sender.sendArray('daily', res, next));
+		});
+	}
+};
@@ -18,17 +18,28 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const feeUtils = require('./feeUtils');
 const routeResultTypes = require('./routeResultTypes');
 const routeUtils = require('./routeUtils');
+const transactionSyncUtils = require('./transactionSyncUtils');
+const transactionValidation = require('./transactionValidation');
+const errors = require('../server/errors');
 const catapult = require('catapult-sdk');
 
+const { address } = catapult.model;
+const { serialize, transactionExtensions } = catapult.modelBinary;
 const { convert } = catapult.utils;
 const { PacketType } = catapult.packet;
 
 const constants = {
 	sizes: {
 		hash: 64,
-		objectId: 24
+		objectId: 24,
+		transactionHeader: 120
+	},
+	offsets: {
+		// the type follows the size, signature, signer and version fields
+		transactionType: 4 + 64 + 32 + 2
 	}
 };
 
@@ -39,6 +50,38 @@ const parseObjectId = str => {
 	return str;
 };
 
+const transactionSortFields = { height: 'meta.height' };
+
+// cosignatures of aggregate transactions are not covered by the transaction hash
+const calculateTransactionHash = (codec, transaction) => {
+	const signedTransaction = Object.assign({}, transaction);
+	delete signedTransaction.cosignatures;
+	return transactionExtensions.hash(codec, signedTransaction);
+};
+
+const parseTransaction = (modelParser, params) => {
+	const key = 'transaction';
+	if (!params[key] || 'object' !== typeof params[key])
+		throw errors.createInvalidArgumentError(`${key} must be an object`);
+
+	try {
+		return modelParser.transactionWithMetadata.format({ transaction: params[key] }).transaction;
+	} catch (err) {
+		throw errors.createInvalidArgumentError(`${key} has an invalid format`, err);
+	}
+};
+
+const parseFeeTransactionInfo = params => {
+	if (undefined === params.payload)
+		return { size: routeUtils.parseArgument(params, 'size', 'uint'), type: routeUtils.parseOptionalArgument(params, 'type', 'uint') };
+
+	const payload = routeUtils.parseArgument(params, 'payload', convert.hexToUint8);
+	if (constants.sizes.transactionHeader > payload.length)
+		throw errors.createInvalidArgumentError('payload must contain complete transaction header');
+
+	return { size: payload.length, type: Buffer.from(payload).readUInt16LE(constants.offsets.transactionType) };
+};
+
 module.exports = {
 	register: (server, db, services) => {
 		const sender = routeUtils.createSender(routeResultTypes.transaction);
@@ -47,9 +90,88 @@ module.exports = {
 			server,
 			services.connections,
 			{ routeName: '/transaction', packetType: PacketType.pushTransactions },
-			params => routeUtils.parseArgument(params, 'payload', convert.hexToUint8)
+			params => routeUtils.parseArgument(params, 'payload', convert.hexToUint8),
+			transactionValidation.createTransactionValidator(services)
 		);
 
+		server.put('/transaction/sync', (req, res, next) => {
+			const { params } = req;
+			const payload = routeUtils.parseArgument(params, 'payload', convert.hexToUint8);
+			const group = routeUtils.parseOptionalArgument(params, 'wait', str => {
+				if (!transactionSyncUtils.groups.includes(str))
+					throw Error(`must be one of ${transactionSyncUtils.groups.join(', ')}`);
+
+				return str;
+			}) || 'confirmed';
+
+			transactionValidation.createTransactionValidator(services)(payload);
+			const transaction = transactionValidation.decodeTransaction(services.codec, payload);
+
+			// the high byte of the version holds the network id
+			const signerAddress = address.publicKeyToAddress(transaction.signer, transaction.version >> 8);
+			const transactionInfo = {
+				address: address.addressToString(signerAddress),
+				hash: calculateTransactionHash(services.codec, transaction),
+				group
+			};
+
+			const packetBuffer = routeUtils.createPacketFromBuffer(payload, PacketType.pushTransactions);
+			const announce = () => services.connections.send(packetBuffer);
+			const { timeout } = services.config.transactionSync;
+			return transactionSyncUtils.announceAndWait(services.zmqService, transactionInfo, timeout, announce)
+				.then(transactionStatus => {
+					res.send({ payload: transactionStatus, type: routeResultTypes.transactionStatus, formatter: 'ws' });
+					next();
+				});
+		});
+
+		server.post('/transaction/fee', (req, res, next) => {
+			const transactionInfo = parseFeeTransactionInfo(req.params);
+			const feesConfig = services.config.fees;
+			const samplingOptions = { numBlocks: feesConfig.numBlocks, pageSize: services.config.pageSize.max };
+			return feeUtils.collectFeeSamples(db, services.codec, samplingOptions).then(samples => {
+				const allSamples = samples.confirmed.concat(samples.unconfirmed);
+				res.send(feeUtils.suggestMaxFees(allSamples, transactionInfo, feesConfig));
+				next();
+			});
+		});
+
+		server.post('/transaction/decode', (req, res, next) => {
+			const payload = routeUtils.parseArgument(req.params, 'payload', convert.hexToUint8);
+			const transaction = transactionValidation.decodeTransaction(services.codec, payload);
+			const hash = calculateTransactionHash(services.codec, transaction);
+
+			(transaction.transactions || []).forEach((embedded, index) => {
+				embedded.meta = { aggregateHash: hash, index };
+			});
+
+			res.send({ payload: { meta: { hash }, transaction }, type: routeResultTypes.transaction, formatter: 'ws' });
+			next();
+		});
+
+		server.post('/transaction/prepare', (req, res, next) => {
+			const transaction = parseTransaction(services.modelParser, req.params);
+
+			// prepared transactions are unsigned unless a signature is supplied, which is only needed to obtain the final hash
+			delete transaction.cosignatures;
+			if (!transaction.signature)
+				transaction.signature = new Uint8Array(catapult.constants.sizes.signature);
+
+			let transactionBuffer;
+			try {
+				transactionBuffer = serialize.toBuffer(services.codec, transaction);
+			} catch (err) {
+				throw errors.createInvalidArgumentError('transaction could not be serialized', err);
+			}
+
+			res.send({
+				payload: convert.uint8ToHex(transactionBuffer),
+				signingBytes: convert.uint8ToHex(transactionBuffer.subarray(catapult.constants.sizes.transactionHeader)),
+				hash: convert.uint8ToHex(calculateTransactionHash(services.codec, transaction))
+			});
+			next();
+		});
+
 		routeUtils.addGetPostDocumentRoutes(
 			server,
 			sender,
@@ -68,5 +190,37 @@ module.exports = {
 				throw Error(`invalid length of transaction id '${transactionId}'`);
 			}
 		);
+
+		server.get('/transactions', (req, res, next) => {
+			const { params } = req;
+			const groups = ['confirmed', 'unconfirmed'].concat((services.config.transactionStates || []).map(state => state.friendlyName));
+			const group = routeUtils.parseOptionalArgument(params, 'group', str => {
+				if (!groups.includes(str))
+					throw Error(`must be one of ${groups.join(', ')}`);
+
+				return str;
+			});
+
+			// type can be supplied either once or multiple times
+			const types = undefined === params.type
+				? undefined
+				: routeUtils.parseArgumentAsArray({ type: [].concat(params.type) }, 'type', 'uint');
+
+			const filters = {
+				types,
+				signer: routeUtils.parseOptionalArgument(params, 'signer', 'publicKey'),
+				recipient: routeUtils.parseOptionalArgument(params, 'recipient', 'address'),
+				fromHeight: routeUtils.parseOptionalArgument(params, 'fromHeight', 'uint'),
+				toHeight: routeUtils.parseOptionalArgument(params, 'toHeight', 'uint'),
+				mosaicId: routeUtils.parseOptionalArgument(params, 'mosaicId', 'mosaicId'),
+				embedded: routeUtils.parseOptionalArgument(params, 'embedded', 'boolean'),
+				group
+			};
+
+			const pagingOptions = routeUtils.parsePagingArguments(params, transactionSortFields);
+			const ordering = routeUtils.parseArgument(params, 'ordering', input => ('id' === input ? 1 : -1));
+			return db.transactionsByFilters(filters, pagingOptions.id, pagingOptions.pageSize, ordering, pagingOptions)
+				.then(sender.sendPage('transactions', pagingOptions, res, next));
+		});
 	}
 };
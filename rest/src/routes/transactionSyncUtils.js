@@ -0,0 +1,96 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module routes/transactionSyncUtils */
+const errors = require('../server/errors');
+const catapult = require('catapult-sdk');
+
+const { convert } = catapult.utils;
+
+const channelNames = {
+	confirmed: 'confirmedAdded',
+	unconfirmed: 'unconfirmedAdded'
+};
+
+const isSameHash = (lhs, rhs) => Buffer.from(lhs).equals(Buffer.from(rhs));
+
+const transactionSyncUtils = {
+	/**
+	 * Transaction states that can be awaited.
+	 * @type {array<string>}
+	 */
+	groups: Object.keys(channelNames),
+
+	/**
+	 * Announces a transaction and waits until it reaches a desired state or is rejected.
+	 * @param {object} zmqService Zmq connection service.
+	 * @param {object} transactionInfo Signer address string, hash and desired state (group) of the announced transaction.
+	 * @param {numeric} timeout Maximum number of milliseconds to wait.
+	 * @param {Function} announce Announces the transaction and returns a promise.
+	 * @returns {Promise<object>} Final transaction status.
+	 */
+	announceAndWait: (zmqService, transactionInfo, timeout, announce) => new Promise((resolve, reject) => {
+		const { address, hash, group } = transactionInfo;
+		const subscriptions = [];
+		let isComplete = false;
+		let timeoutId;
+
+		const complete = action => {
+			if (isComplete)
+				return;
+
+			isComplete = true;
+			clearTimeout(timeoutId);
+			subscriptions.forEach(subscription => zmqService.removeListener(subscription.key, subscription.callback));
+			action();
+		};
+
+		const subscribe = (key, callback) => {
+			const onClose = () => complete(() => reject(errors.createServiceUnavailableError('transaction notifications are unavailable')));
+			subscriptions.push({ key: `${key}.close`, callback: onClose }, { key, callback });
+			zmqService.on(key, callback);
+			zmqService.on(`${key}.close`, onClose);
+		};
+
+		// subscribe before announcing so that no notification about the transaction can be missed
+		subscribe(`${channelNames[group]}/${address}`, message => {
+			const { transaction, meta } = message.payload;
+			if (isSameHash(hash, meta.hash)) {
+				complete(() => resolve({
+					group, status: 0, hash: meta.hash, deadline: transaction.deadline, height: meta.height
+				}));
+			}
+		});
+
+		subscribe(`status/${address}`, message => {
+			if (isSameHash(hash, message.payload.hash))
+				complete(() => resolve(Object.assign({ group: 'failed' }, message.payload)));
+		});
+
+		timeoutId = setTimeout(() => {
+			const message = `transaction ${convert.uint8ToHex(hash)} did not reach state '${group}' within ${timeout}ms`;
+			complete(() => reject(errors.createGatewayTimeoutError(message)));
+		}, timeout);
+
+		announce().catch(err => complete(() => reject(err)));
+	})
+};
+
+module.exports = transactionSyncUtils;
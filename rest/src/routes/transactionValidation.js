@@ -0,0 +1,161 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+/** @module routes/transactionValidation */
+const errors = require('../server/errors');
+const catapult = require('catapult-sdk');
+
+const { BinaryParser } = catapult.parser;
+const { networkInfo } = catapult.model;
+const { transactionExtensions } = catapult.modelBinary;
+const { uint64 } = catapult.utils;
+
+const constants = {
+	sizes: {
+		transactionHeader: 120,
+		cosignature: 32 + 64 + 32
+	},
+	millisecondsPerHour: 60 * 60 * 1000
+};
+
+const readUint32 = (payload, offset) => Buffer.from(payload).readUInt32LE(offset);
+
+const isValidationEnabled = services => {
+	const validationConfig = services.config.transactionValidation;
+	return !!validationConfig && !!validationConfig.enabled;
+};
+
+const requireRule = (isValid, rule, message) => {
+	if (!isValid)
+		throw errors.createValidationError(message, rule);
+};
+
+const validateDeadline = (transaction, validationConfig, network, now) => {
+	// deadlines are expressed in milliseconds since the network epoch
+	const networkTime = now - network.epochTimestamp;
+	const maxDeadline = networkTime + (validationConfig.maxTransactionLifetimeHours * constants.millisecondsPerHour);
+	const deadline = uint64.compact(transaction.deadline);
+
+	requireRule(!Array.isArray(deadline) && deadline > networkTime, 'deadline', 'transaction deadline has already passed');
+	requireRule(deadline <= maxDeadline, 'deadline', 'transaction deadline is too far in the future');
+};
+
+const validateSignature = (codec, transaction) => {
+	// cosignatures of aggregate transactions are not covered by the transaction signature
+	const signedTransaction = Object.assign({}, transaction);
+	delete signedTransaction.cosignatures;
+
+	requireRule(transactionExtensions.verify(codec, signedTransaction), 'signature', 'transaction signature is invalid');
+};
+
+const transactionValidation = {
+	/**
+	 * Decodes a serialized transaction and throws a validation error when it is malformed.
+	 * @param {module:modelBinary/ModelCodec} codec Transaction codec.
+	 * @param {Uint8Array} payload Serialized transaction.
+	 * @returns {object} Decoded transaction.
+	 */
+	decodeTransaction: (codec, payload) => {
+		requireRule(constants.sizes.transactionHeader <= payload.length, 'size', 'transaction must contain complete transaction header');
+		requireRule(
+			readUint32(payload, 0) === payload.length,
+			'size',
+			`transaction size ${readUint32(payload, 0)} does not match payload size ${payload.length}`
+		);
+
+		const parser = new BinaryParser();
+		parser.push(Buffer.from(payload));
+
+		let transaction;
+		try {
+			transaction = codec.deserialize(parser);
+		} catch (err) {
+			throw errors.createValidationError(`transaction could not be decoded: ${err.message}`, 'decode');
+		}
+
+		requireRule(0 === parser.numUnprocessedBytes(), 'size', 'transaction contains unexpected trailing data');
+		return transaction;
+	},
+
+	/**
+	 * Validates a serialized transaction and throws a validation error describing the first failing rule.
+	 * @param {module:modelBinary/ModelCodec} codec Transaction codec.
+	 * @param {object} validationConfig Transaction validation configuration.
+	 * @param {object} network Network id (id) and network epoch timestamp in milliseconds (epochTimestamp).
+	 * @param {Uint8Array} payload Serialized transaction.
+	 * @param {numeric} now Current timestamp in milliseconds.
+	 */
+	validateTransaction: (codec, validationConfig, network, payload, now) => {
+		const transaction = transactionValidation.decodeTransaction(codec, payload);
+
+		// the high byte of the version holds the network id
+		requireRule(network.id === transaction.version >> 8, 'network', 'transaction network does not match node network');
+
+		validateDeadline(transaction, validationConfig, network, now);
+
+		const maxFee = uint64.compact(transaction.maxFee);
+		const isMaxFeeValid = !Array.isArray(maxFee) && maxFee <= validationConfig.maxFee;
+		requireRule(isMaxFeeValid, 'maxFee', `transaction max fee exceeds ${validationConfig.maxFee}`);
+
+		validateSignature(codec, transaction);
+	},
+
+	/**
+	 * Validates a serialized detached cosignature (signer, signature, parent hash)
+	 * and throws a validation error describing the first failing rule.
+	 * @param {Uint8Array} payload Serialized detached cosignature.
+	 */
+	validateCosignature: payload => {
+		requireRule(constants.sizes.cosignature === payload.length, 'size', 'cosignature has invalid size');
+
+		const signer = payload.subarray(0, 32);
+		const signature = payload.subarray(32, 96);
+		const parentHash = payload.subarray(96);
+		requireRule(catapult.crypto.verify(signer, parentHash, signature), 'signature', 'cosignature signature is invalid');
+	},
+
+	/**
+	 * Creates a transaction payload validator around services that only validates when transaction validation is enabled.
+	 * @param {object} services Route services.
+	 * @returns {Function} Transaction payload validator.
+	 */
+	createTransactionValidator: services => payload => {
+		if (!isValidationEnabled(services))
+			return;
+
+		const validationConfig = services.config.transactionValidation;
+		const network = {
+			id: networkInfo.networks[services.config.network.name].id,
+			epochTimestamp: services.config.network.epochTimestamp
+		};
+		transactionValidation.validateTransaction(services.codec, validationConfig, network, payload, Date.now());
+	},
+
+	/**
+	 * Creates a detached cosignature payload validator around services that only validates when transaction validation is enabled.
+	 * @param {object} services Route services.
+	 * @returns {Function} Detached cosignature payload validator.
+	 */
+	createCosignatureValidator: services => payload => {
+		if (isValidationEnabled(services))
+			transactionValidation.validateCosignature(payload);
+	}
+};
+
+module.exports = transactionValidation;
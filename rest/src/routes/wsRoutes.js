@@ -20,12 +20,27 @@
 
 module.exports = {
 	register: (server, db, services) => {
+		// zmq service is shared with other routes (e.g. transaction sync), so only remove listeners added here
+		const channelListeners = {};
 		server.ws('/ws', {
 			newChannel: (channel, sender) => {
-				services.zmqService.on(channel, message => sender.send(message));
-				services.zmqService.on(`${channel}.close`, () => sender.close());
+				const listeners = {
+					[channel]: message => sender.send(message),
+					[`${channel}.close`]: () => sender.close()
+				};
+				channelListeners[channel] = listeners;
+				Object.keys(listeners).forEach(key => services.zmqService.on(key, listeners[key]));
 			},
-			removeChannel: channel => services.zmqService.removeAllListeners(channel)
+			removeChannel: channel => {
+				const listeners = channelListeners[channel];
+				if (!listeners)
+					return;
+
+				delete channelListeners[channel];
+
+				// remove close listener first because removing the last channel listener closes the channel
+				[`${channel}.close`, channel].forEach(key => services.zmqService.removeListener(key, listeners[key]));
+			}
 		});
 	}
 };
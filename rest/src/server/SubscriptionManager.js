@@ -83,6 +83,18 @@ class SubscriptionManager {
 		return Object.keys(this.subscriptions).filter(channel => this.subscriptions[channel].has(client));
 	}
 
+	/**
+	 * Gets the number of subscribed clients of all active channels.
+	 * @returns {object} Number of subscribed clients keyed by channel.
+	 */
+	subscriptionCounts() {
+		const counts = {};
+		Object.keys(this.subscriptions).forEach(channel => {
+			counts[channel] = this.subscriptions[channel].size;
+		});
+		return counts;
+	}
+
 	/**
 	 * Unsubscribes a client from all channels.
 	 * @param {object} client Client.
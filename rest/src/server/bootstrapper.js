@@ -29,6 +29,14 @@ const WebSocket = require('ws');
 
 const isPromise = object => object && object.catch;
 
+// the first media type is used when a request accepts any media type
+const createMediaTypeFormatters = formatters => ({
+	'application/json': formatters.json,
+	'application/msgpack': formatters.msgpack,
+	'application/x-ndjson': formatters.ndjson,
+	'application/octet-stream': formatters.binary
+});
+
 const toRestError = err => {
 	const restError = errors.toRestError(err);
 	winston.error(`caught error ${restError.statusCode}`, restError);
@@ -69,6 +77,11 @@ const catapultRestifyPlugins = {
 			return;
 		}
 
+		next();
+	},
+	contentNegotiation: mediaTypes => (req, res, next) => {
+		// restify always formats object bodies as json unless a content type is set explicitly
+		res.contentType = req.accepts(mediaTypes) || mediaTypes[0];
 		next();
 	}
 };
@@ -78,23 +91,27 @@ module.exports = {
 	 * Creates a REST api server.
 	 * @param {array} crossDomainHttpMethods HTTP methods that are allowed to be accessed cross-domain.
 	 * @param {object} formatters Formatters to use for formatting responses.
+	 * @param {object} responseCache Optional cache of GET responses.
+	 * @param {object} rateLimiter Optional rate limiter of requests and websocket subscriptions.
+	 * @param {object} metrics Optional metrics of requests, errors and websockets.
 	 * @returns {object} Server.
 	 */
-	createServer: (crossDomainHttpMethods, formatters) => {
-		// create the server using a custom formatter
+	createServer: (crossDomainHttpMethods, formatters, responseCache, rateLimiter, metrics) => {
+		// create the server using custom formatters
+		const mediaTypeFormatters = createMediaTypeFormatters(formatters);
+		const mediaTypes = Object.keys(mediaTypeFormatters);
 		const server = restify.createServer({
 			name: '', // disable server header in response
-			formatters: {
-				'application/json': formatters.json
-			}
+			formatters: mediaTypeFormatters
 		});
 
-		// only allow application/json
+		// only allow application/json request bodies and responses with a supported media type
 		const addCrossDomainHeaders = createCrossDomainHeaderAdder(crossDomainHttpMethods || []);
 		server.pre(catapultRestifyPlugins.body());
 
 		server.use(catapultRestifyPlugins.crossDomain(addCrossDomainHeaders));
-		server.use(restify.plugins.acceptParser('application/json'));
+		server.use(restify.plugins.acceptParser(mediaTypes));
+		server.use(catapultRestifyPlugins.contentNegotiation(mediaTypes));
 		server.use(restify.plugins.queryParser({ mapParams: true }));
 		server.use(restify.plugins.jsonBodyParser({ mapParams: true }));
 
@@ -118,26 +135,63 @@ module.exports = {
 			}
 		};
 
+		const toCountedRestError = err => {
+			const restError = toRestError(err);
+			if (metrics)
+				metrics.countError(restError);
+
+			return restError;
+		};
+
+		const createPromiseAwareHandler = handler => (req, res, next) => {
+			try {
+				const result = handler(req, res, next);
+				if (!isPromise(result))
+					return;
+
+				result.catch(err => {
+					next(toCountedRestError(err));
+				});
+			} catch (err) {
+				next(toCountedRestError(err));
+			}
+		};
+
+		// use handlers are run inside of the route handler chain so that throttled requests never reach them
+		// (e.g. namespace name resolution queries the database once per name)
+		const useHandlers = [];
+		const runUseHandler = (handler, req, res) => new Promise((resolve, reject) => {
+			const result = handler(req, res, err => (err ? reject(err) : resolve()));
+			if (isPromise(result))
+				result.catch(reject);
+		});
+
+		const createUseHandlerChain = handler => (req, res, next) => {
+			if (0 === useHandlers.length)
+				return handler(req, res, next);
+
+			return useHandlers.reduce((promise, useHandler) => promise.then(() => runUseHandler(useHandler, req, res)), Promise.resolve())
+				.then(() => handler(req, res, next));
+		};
+
 		['get', 'put', 'post'].forEach(method => {
 			promiseAwareServer[method] = (route, handler) => {
-				const promiseAwareHandler = (req, res, next) => {
-					try {
-						const result = handler(req, res, next);
-						if (!isPromise(result))
-							return;
-
-						result.catch(err => {
-							next(toRestError(err));
-						});
-					} catch (err) {
-						next(toRestError(err));
-					}
-				};
-
-				routeDescriptors.push({ method, route, handler: promiseAwareHandler });
+				// throttle requests before cached responses are served in order to also limit clients repeating cheap requests
+				const cachingHandler = responseCache && 'get' === method ? responseCache.wrap(route, handler) : handler;
+				const chainedHandler = createUseHandlerChain(cachingHandler);
+				const throttlingHandler = rateLimiter ? rateLimiter.wrap(method, route, chainedHandler) : chainedHandler;
+				const measuringHandler = metrics ? metrics.wrap(method, route, throttlingHandler) : throttlingHandler;
+				routeDescriptors.push({ method, route, handler: createPromiseAwareHandler(measuringHandler) });
 			};
 		});
 
+		promiseAwareServer.routes = () => routeDescriptors.map(descriptor => ({ method: descriptor.method, route: descriptor.route }));
+
+		// handlers added with use run for all routes after throttling and before the (cached) route handlers
+		promiseAwareServer.use = handler => {
+			useHandlers.push(handler);
+		};
+
 		server.on('MethodNotAllowed', (req, res) => {
 			if ('OPTIONS' === req.method) {
 				// notice that headers need to be added explicitly because catapultRestifyPlugins.crossDomain is not called after errors
@@ -154,7 +208,7 @@ module.exports = {
 
 		server.on('upgrade', (req, socket, head) => {
 			wss.handleUpgrade(req, socket, head, client => {
-				wss.emit(`connection${req.url}`, client);
+				wss.emit(`connection${req.url}`, client, req);
 			});
 		});
 
@@ -167,16 +221,21 @@ module.exports = {
 
 			const clients = new Set();
 			clientGroups.push({ clients, subscriptionManager });
+			if (metrics)
+				metrics.addWebsocketRoute(route, clients, subscriptionManager);
 
-			wss.on(`connection${route}`, client => {
-				const messageHandler = messageJson => websocketMessageHandler.handleMessage(client, messageJson, subscriptionManager);
+			wss.on(`connection${route}`, (client, req) => {
+				const clientSubscriptionManager = rateLimiter
+					? rateLimiter.limitSubscriptions(subscriptionManager, req)
+					: subscriptionManager;
+				const messageHandler = messageJson => websocketMessageHandler.handleMessage(client, messageJson, clientSubscriptionManager);
 				websocketUtils.handshake(client, messageHandler);
 
 				winston.verbose(`websocket ${client.uid}: created ${route} websocket connection`);
 				clients.add(client);
 
 				client.on('close', () => {
-					subscriptionManager.deleteClient(client);
+					clientSubscriptionManager.deleteClient(client);
 					clients.delete(client);
 					winston.verbose(`websocket ${client.uid}: disconnected ${route} websocket connection`);
 				});
@@ -47,6 +47,32 @@ module.exports = {
 		? new restifyErrors.InvalidArgumentError(err, message)
 		: new restifyErrors.InvalidArgumentError(message)),
 
+	/**
+	 * Creates a validation error for a request that failed a validation rule.
+	 * @param {string} message Error message.
+	 * @param {string} rule Name of the failed validation rule.
+	 * @returns {Error} An appropriate REST error.
+	 */
+	createValidationError: (message, rule) => {
+		const error = new restifyErrors.BadRequestError(message);
+		error.body.rule = rule;
+		return error;
+	},
+
+	/**
+	 * Creates a not acceptable error for a response that cannot be formatted as requested.
+	 * @param {string} message Error message.
+	 * @returns {Error} An appropriate REST error.
+	 */
+	createNotAcceptableError: message => new restifyErrors.NotAcceptableError(message),
+
+	/**
+	 * Creates a too many requests error for a client that exceeded its rate limit.
+	 * @param {string} message Error message.
+	 * @returns {Error} An appropriate REST error.
+	 */
+	createTooManyRequestsError: message => new restifyErrors.TooManyRequestsError(message),
+
 	/**
 	 * Creates a service unavailable error.
 	 * @param {string} message Error message.
@@ -54,6 +80,13 @@ module.exports = {
 	 */
 	createServiceUnavailableError: message => new restifyErrors.ServiceUnavailableError(message),
 
+	/**
+	 * Creates a gateway timeout error.
+	 * @param {string} message Error message.
+	 * @returns {Error} An appropriate REST error.
+	 */
+	createGatewayTimeoutError: message => new restifyErrors.GatewayTimeoutError(message),
+
 	/**
 	 * Creates an internal error.
 	 * @param {string} message Error message.
@@ -18,10 +18,20 @@
  * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+const errors = require('./errors');
+const dbUtils = require('../db/dbUtils');
+const { encode } = require('@msgpack/msgpack');
 const catapult = require('catapult-sdk');
 
+const { serialize } = catapult.modelBinary;
 const { formatArray } = catapult.utils.formattingUtils;
 
+// maps the catapult object types that can be serialized by the codec to the property containing the entity
+const binaryEntityProperties = {
+	blockHeaderWithMetadata: 'block',
+	transactionWithMetadata: 'transaction'
+};
+
 const isCatapultObject = body => body && body.payload && body.type;
 
 const formatBody = (modelFormatter, body) => {
@@ -36,46 +46,129 @@ const formatBody = (modelFormatter, body) => {
 		view = body.body ? body.body : { message: body.message };
 	} else if (isCatapultObject(body)) {
 		view = formatCatapultObject(body.payload, body.type);
+
+		// paged arrays can optionally be wrapped in an envelope with pagination information
+		if (body.pagination)
+			view = { data: view, pagination: body.pagination };
 	}
 
-	return {
-		statusCode,
-		json: JSON.stringify(view)
-	};
+	return { statusCode, view };
+};
+
+const toNdjson = view => {
+	// arrays (including paged arrays) are written as one json document per line
+	let documents = [view];
+	if (Array.isArray(view))
+		documents = view;
+	else if (view && Array.isArray(view.data) && view.pagination)
+		documents = view.data;
+
+	return documents.map(document => `${JSON.stringify(document)}\n`).join('');
+};
+
+const serializeEntities = (codec, body) => {
+	const entityProperty = isCatapultObject(body) ? binaryEntityProperties[body.type] : undefined;
+	if (!entityProperty)
+		return undefined;
+
+	const payloads = Array.isArray(body.payload) ? body.payload : [body.payload];
+	try {
+		// each serialized entity is prefixed by its size, so entities can simply be concatenated
+		return Buffer.concat(payloads.map(payload => {
+			const entity = dbUtils.documentToModel(payload[entityProperty]);
+			return Buffer.from(serialize.toBuffer(codec, entity));
+		}));
+	} catch (err) {
+		return undefined;
+	}
 };
 
 module.exports = {
 	/**
 	 * Creates server formatters around a model formatter.
 	 * @param {array<object>} modelFormatters Model formatters.
+	 * @param {module:modelBinary/ModelCodec} codec Codec used to serialize binary responses.
 	 * @returns {object} Server formatters.
 	 */
-	create: modelFormatters => ({
-		/**
-		 * Restify compatible formatter for JSON responses.
-		 * @param {object} req Request.
-		 * @param {object} res Response.
-		 * @param {object} body Body.
-		 * @returns {object} Result of the callback.
-		 */
-		json: (req, res, body) => {
+	create: (modelFormatters, codec) => {
+		const createFormatter = encodeView => (req, res, body) => {
 			// implementation based on https://github.com/restify/node-restify/blob/4.x/lib/formatters/json.js
 			const formatter = (body && body.formatter !== undefined) ? modelFormatters[body.formatter] : modelFormatters.json;
 			if (body)
 				delete body.formatter;
-			const view = formatBody(formatter, body);
-			if (view.statusCode)
-				res.statusCode = view.statusCode;
-
-			res.setHeader('Content-Length', Buffer.byteLength(view.json));
-			return view.json;
-		},
-
-		/**
-		 * Websocket formatter.
-		 * @param {object} body Body.
-		 * @returns {object} Formatted body.
-		 */
-		ws: body => (isCatapultObject(body) && 'raw' === body.type ? body.payload : formatBody(modelFormatters.ws, body).json)
-	})
+			const { statusCode, view } = formatBody(formatter, body);
+			if (statusCode)
+				res.statusCode = statusCode;
+
+			const data = encodeView(view);
+			res.setHeader('Content-Length', Buffer.byteLength(data));
+			return data;
+		};
+
+		const serverFormatters = {
+			/**
+			 * Restify compatible formatter for JSON responses.
+			 * @param {object} req Request.
+			 * @param {object} res Response.
+			 * @param {object} body Body.
+			 * @returns {object} Result of the callback.
+			 */
+			json: createFormatter(view => JSON.stringify(view)),
+
+			/**
+			 * Restify compatible formatter for MessagePack responses containing the same view as JSON responses.
+			 * @param {object} req Request.
+			 * @param {object} res Response.
+			 * @param {object} body Body.
+			 * @returns {object} Result of the callback.
+			 */
+			msgpack: createFormatter(view => {
+				// omit undefined properties like JSON.stringify
+				const data = encode(view, { ignoreUndefined: true });
+				return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+			}),
+
+			/**
+			 * Restify compatible formatter for newline delimited JSON responses with one line per array element.
+			 * @param {object} req Request.
+			 * @param {object} res Response.
+			 * @param {object} body Body.
+			 * @returns {object} Result of the callback.
+			 */
+			ndjson: createFormatter(toNdjson),
+
+			/**
+			 * Restify compatible formatter for binary responses containing catapult serialized blocks or transactions.
+			 * All other responses are formatted as JSON and non-error responses are rejected as not acceptable.
+			 * @param {object} req Request.
+			 * @param {object} res Response.
+			 * @param {object} body Body.
+			 * @returns {object} Result of the callback.
+			 */
+			binary: (req, res, body) => {
+				const data = serializeEntities(codec, body);
+				if (!data) {
+					res.setHeader('Content-Type', 'application/json');
+					const errorBody = body instanceof Error
+						? body
+						: errors.createNotAcceptableError('response cannot be serialized as application/octet-stream');
+					return serverFormatters.json(req, res, errorBody);
+				}
+
+				res.setHeader('Content-Length', data.length);
+				return data;
+			},
+
+			/**
+			 * Websocket formatter.
+			 * @param {object} body Body.
+			 * @returns {object} Formatted body.
+			 */
+			ws: body => (isCatapultObject(body) && 'raw' === body.type
+				? body.payload
+				: JSON.stringify(formatBody(modelFormatters.ws, body).view))
+		};
+
+		return serverFormatters;
+	}
 };
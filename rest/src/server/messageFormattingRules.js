@@ -26,8 +26,10 @@ const { convert } = catapult.utils;
 module.exports = {
 	[ModelType.none]: value => value,
 	[ModelType.binary]: value => convert.uint8ToHex(value),
+	[ModelType.double]: value => value,
 	[ModelType.statusCode]: status.toString,
 	[ModelType.string]: value => value.toString(),
 	[ModelType.uint16]: value => value,
+	[ModelType.uint32]: value => value,
 	[ModelType.uint64]: value => value
 };
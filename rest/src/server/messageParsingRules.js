@@ -0,0 +1,75 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const catapult = require('catapult-sdk');
+
+const { ModelType } = catapult.model;
+const { convert, uint64 } = catapult.utils;
+
+const isUint32 = value => Number.isInteger(value) && 0 <= value && 0xFFFFFFFF >= value;
+
+const parseBinary = value => {
+	if ('string' !== typeof value || !convert.isHexString(value))
+		throw Error(`'${value}' is not a valid hex string`);
+
+	return convert.hexToUint8(value);
+};
+
+const parseUint64 = value => {
+	// accept both the [low, high] pairs produced by formatting and plain (safe) integers
+	if (Array.isArray(value) && 2 === value.length && value.every(isUint32))
+		return value;
+
+	if ('number' === typeof value)
+		return uint64.fromUint(value);
+
+	throw Error(`'${value}' is not a valid uint64`);
+};
+
+const parseDouble = value => {
+	if ('number' !== typeof value || !Number.isFinite(value))
+		throw Error(`'${value}' is not a valid double`);
+
+	return value;
+};
+
+const parseUint16 = value => {
+	if (!Number.isInteger(value) || 0 > value || 0xFFFF < value)
+		throw Error(`'${value}' is not a valid uint16`);
+
+	return value;
+};
+
+const parseUint32 = value => {
+	if (!isUint32(value))
+		throw Error(`'${value}' is not a valid uint32`);
+
+	return value;
+};
+
+module.exports = {
+	[ModelType.none]: value => value,
+	[ModelType.binary]: parseBinary,
+	[ModelType.double]: parseDouble,
+	[ModelType.string]: value => value.toString(),
+	[ModelType.uint16]: parseUint16,
+	[ModelType.uint32]: parseUint32,
+	[ModelType.uint64]: parseUint64
+};
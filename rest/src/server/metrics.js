@@ -0,0 +1,311 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module server/metrics */
+
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = value => `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = labels => {
+	const names = Object.keys(labels);
+	if (0 === names.length)
+		return '';
+
+	return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`;
+};
+
+// labels are stored in insertion order, so series are identified by their formatted labels
+const findOrAddSeries = (seriesMap, labels, createValue) => {
+	const key = formatLabels(labels);
+	if (!seriesMap.has(key))
+		seriesMap.set(key, { labels, value: createValue() });
+
+	return seriesMap.get(key);
+};
+
+const elapsedSeconds = startTime => {
+	const [seconds, nanoseconds] = process.hrtime(startTime);
+	return seconds + (nanoseconds / 1e9);
+};
+
+const isPromise = object => object && object.then;
+
+const metrics = {
+	/**
+	 * Creates a registry of metrics that can be serialized in the prometheus text exposition format.
+	 * @returns {object} Metrics registry.
+	 */
+	createRegistry: () => {
+		const families = [];
+		const addFamily = (name, help, type, serializeSamples) => {
+			if (families.some(family => family.name === name))
+				throw Error(`metric ${name} is already registered`);
+
+			families.push({
+				name, help, type, serializeSamples
+			});
+		};
+
+		return {
+			/**
+			 * Registers a counter.
+			 * @param {string} name Metric name.
+			 * @param {string} help Metric description.
+			 * @returns {object} Counter.
+			 */
+			counter: (name, help) => {
+				const seriesMap = new Map();
+				addFamily(name, help, 'counter', () => Array.from(seriesMap.values())
+					.map(series => `${name}${formatLabels(series.labels)} ${series.value}`));
+
+				return {
+					inc: (labels = {}, value = 1) => {
+						findOrAddSeries(seriesMap, labels, () => 0).value += value;
+					}
+				};
+			},
+
+			/**
+			 * Registers a gauge with values that are collected when the registry is serialized.
+			 * @param {string} name Metric name.
+			 * @param {string} help Metric description.
+			 * @param {function} collect Returns an array of samples composed of labels and value.
+			 */
+			gauge: (name, help, collect) => {
+				addFamily(name, help, 'gauge', () => collect()
+					.map(sample => `${name}${formatLabels(sample.labels || {})} ${sample.value}`));
+			},
+
+			/**
+			 * Registers a histogram.
+			 * @param {string} name Metric name.
+			 * @param {string} help Metric description.
+			 * @param {array<numeric>} buckets Optional ascending bucket upper bounds.
+			 * @returns {object} Histogram.
+			 */
+			histogram: (name, help, buckets = defaultBuckets) => {
+				const seriesMap = new Map();
+				addFamily(name, help, 'histogram', () => {
+					const lines = [];
+					seriesMap.forEach(series => {
+						const { counts, sum, count } = series.value;
+						buckets.forEach((bound, i) => {
+							const labels = Object.assign({}, series.labels, { le: bound });
+							lines.push(`${name}_bucket${formatLabels(labels)} ${counts[i]}`);
+						});
+						lines.push(`${name}_bucket${formatLabels(Object.assign({}, series.labels, { le: '+Inf' }))} ${count}`);
+						lines.push(`${name}_sum${formatLabels(series.labels)} ${sum}`);
+						lines.push(`${name}_count${formatLabels(series.labels)} ${count}`);
+					});
+					return lines;
+				});
+
+				const createValue = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+				return {
+					observe: (labels, value) => {
+						const histogramValue = findOrAddSeries(seriesMap, labels, createValue).value;
+						buckets.forEach((bound, i) => {
+							if (value <= bound)
+								++histogramValue.counts[i];
+						});
+						histogramValue.sum += value;
+						++histogramValue.count;
+					}
+				};
+			},
+
+			/**
+			 * Serializes all registered metrics.
+			 * @returns {string} Metrics in prometheus text exposition format.
+			 */
+			serialize: () => families.map(family => [
+				`# HELP ${family.name} ${family.help}`,
+				`# TYPE ${family.name} ${family.type}`
+			].concat(family.serializeSamples()).join('\n')).join('\n').concat('\n')
+		};
+	},
+
+	/**
+	 * Creates metrics of REST, mongo, api node and websocket activity.
+	 * @param {object} registry Metrics registry.
+	 * @returns {object} Rest metrics.
+	 */
+	createRestMetrics: registry => {
+		const requests = registry.counter('catapult_rest_http_requests_total', 'Number of handled HTTP requests.');
+		const requestDurations = registry.histogram('catapult_rest_http_request_duration_seconds', 'Duration of HTTP requests.');
+		const errors = registry.counter('catapult_rest_http_errors_total', 'Number of errors raised by route handlers.');
+		const queryDurations = registry.histogram('catapult_rest_db_query_duration_seconds', 'Duration of database queries.');
+		const connections = registry.counter('catapult_rest_api_node_connections_total', 'Number of requested api node connections.');
+		const timeouts = registry.counter('catapult_rest_api_node_timeouts_total', 'Number of api node requests that timed out.');
+
+		const zmqServices = [];
+		registry.gauge('catapult_rest_zmq_sockets', 'Number of active zmq sockets.', () => zmqServices.map(descriptor => ({
+			labels: { service: descriptor.name },
+			value: descriptor.service.zsocketCount()
+		})));
+
+		const websocketRoutes = [];
+		registry.gauge('catapult_rest_websocket_clients', 'Number of connected websocket clients.', () => websocketRoutes
+			.map(descriptor => ({ labels: { route: descriptor.route }, value: descriptor.clients.size })));
+		registry.gauge('catapult_rest_websocket_subscriptions', 'Number of websocket subscriptions.', () => {
+			const samples = [];
+			websocketRoutes.forEach(descriptor => {
+				// channels with parameters (e.g. addresses) are aggregated by topic category in order to bound the number of series
+				const categoryCounts = new Map();
+				const subscriptionCounts = descriptor.subscriptionManager.subscriptionCounts();
+				Object.keys(subscriptionCounts).forEach(channel => {
+					const category = channel.split('/')[0];
+					categoryCounts.set(category, (categoryCounts.get(category) || 0) + subscriptionCounts[channel]);
+				});
+
+				categoryCounts.forEach((value, channel) => {
+					samples.push({ labels: { route: descriptor.route, channel }, value });
+				});
+			});
+			return samples;
+		});
+
+		const countConnection = (type, promise) => promise.then(connection => {
+			connections.inc({ type, result: 'success' });
+			const { pushPull } = connection;
+			return Object.assign({}, connection, {
+				pushPull: (payload, timeoutMs) => {
+					const startTime = process.hrtime();
+					return pushPull.call(connection, payload, timeoutMs).catch(err => {
+						// pushPull does not distinguish timeouts from closed connections in its rejection
+						if (elapsedSeconds(startTime) * 1000 >= timeoutMs)
+							timeouts.inc();
+
+						throw err;
+					});
+				}
+			});
+		}, err => {
+			connections.inc({ type, result: 'failure' });
+			throw err;
+		});
+
+		return {
+			/**
+			 * Serializes all metrics.
+			 * @returns {string} Metrics in prometheus text exposition format.
+			 */
+			serialize: () => registry.serialize(),
+
+			/**
+			 * Wraps a route handler so that the number and durations of its requests are recorded.
+			 * @param {string} method Http method.
+			 * @param {string} route Route.
+			 * @param {function} handler Route handler.
+			 * @returns {function} Route handler.
+			 */
+			wrap: (method, route, handler) => (req, res, next) => {
+				const startTime = process.hrtime();
+				let isRecorded = false;
+				const record = () => {
+					if (isRecorded)
+						return;
+
+					isRecorded = true;
+					requests.inc({ method, route, status_code: res.statusCode });
+					requestDurations.observe({ method, route }, elapsedSeconds(startTime));
+				};
+
+				res.once('finish', record);
+				res.once('close', record);
+				return handler(req, res, next);
+			},
+
+			/**
+			 * Records an error raised by a route handler.
+			 * @param {Error} restError REST error.
+			 */
+			countError: restError => {
+				errors.inc({ status_code: restError.statusCode });
+			},
+
+			/**
+			 * Records the durations of all promise returning methods of a database.
+			 * @param {module:db/CatapultDb} db Catapult database.
+			 */
+			instrumentDb: db => {
+				Object.getOwnPropertyNames(Object.getPrototypeOf(db))
+					.filter(name => 'constructor' !== name && 'function' === typeof db[name])
+					.forEach(name => {
+						const method = db[name];
+						db[name] = (...args) => {
+							const startTime = process.hrtime();
+							const result = method.apply(db, args);
+							if (!isPromise(result))
+								return result;
+
+							const observe = () => queryDurations.observe({ method: name }, elapsedSeconds(startTime));
+							return result.then(value => {
+								observe();
+								return value;
+							}, err => {
+								observe();
+								throw err;
+							});
+						};
+					});
+			},
+
+			/**
+			 * Records the outcomes of all connections requested from an api node connection service.
+			 * @param {object} connectionService Catapult connection service.
+			 * @returns {object} Catapult connection service.
+			 */
+			instrumentConnectionService: connectionService => Object.assign({}, connectionService, {
+				lease: () => countConnection('lease', connectionService.lease()),
+				singleUse: () => countConnection('singleUse', connectionService.singleUse()),
+				send: payload => connectionService.send(payload).then(numNodes => {
+					connections.inc({ type: 'send', result: 'success' });
+					return numNodes;
+				}, err => {
+					connections.inc({ type: 'send', result: 'failure' });
+					throw err;
+				})
+			}),
+
+			/**
+			 * Adds a zmq connection service with sockets that should be counted.
+			 * @param {string} name Service name.
+			 * @param {object} service Zmq connection service.
+			 */
+			addZmqService: (name, service) => {
+				zmqServices.push({ name, service });
+			},
+
+			/**
+			 * Adds a websocket route with clients and subscriptions that should be counted.
+			 * @param {string} route Websocket route.
+			 * @param {Set} clients Connected clients.
+			 * @param {module:server/SubscriptionManager} subscriptionManager Subscription manager of route.
+			 */
+			addWebsocketRoute: (route, clients, subscriptionManager) => {
+				websocketRoutes.push({ route, clients, subscriptionManager });
+			}
+		};
+	}
+};
+
+module.exports = metrics;
@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module server/rateLimiter */
+const errors = require('./errors');
+
+const anonymousTierName = 'anonymous';
+
+const refill = (bucket, budget, now) => {
+	bucket.tokens = Math.min(budget.burst, bucket.tokens + (((now - bucket.lastRefillTime) * budget.rate) / 1000));
+	bucket.lastRefillTime = now;
+};
+
+const rateLimiter = {
+	/**
+	 * Creates a rate limiter that throttles clients with token buckets.
+	 * Clients are identified by api key (passed in the x-api-key header) or, when no known key is passed, by ip address.
+	 * Each client has a separate budget for requests to expensive routes and for requests to all other routes.
+	 * Requests to exempt routes (e.g. health checks and metrics scrapes) are never throttled.
+	 * The budgets and the maximum number of websocket subscriptions of a client are determined by its tier.
+	 * @param {object} options Tiers keyed by name (tiers), tier names keyed by api key (apiKeys), expensive routes keyed by
+	 * http method (expensiveRoutes), optional exempt routes keyed by http method (exemptRoutes), maximum number of tracked
+	 * clients (maxClients) and optional flag indicating whether client ip addresses should be read from the x-forwarded-for
+	 * header (trustProxy).
+	 * @returns {object} Rate limiter.
+	 */
+	createRateLimiter: options => {
+		const apiKeys = options.apiKeys || {};
+		const expensiveRoutes = options.expensiveRoutes || {};
+		const exemptRoutes = options.exemptRoutes || {};
+		if (!options.tiers[anonymousTierName])
+			throw Error(`rate limiting tier '${anonymousTierName}' is required`);
+
+		Object.keys(apiKeys).forEach(apiKey => {
+			if (!options.tiers[apiKeys[apiKey]])
+				throw Error(`api key references unknown rate limiting tier '${apiKeys[apiKey]}'`);
+		});
+
+		const buckets = new Map();
+		const subscriptionCounts = new Map();
+
+		const identifyClient = req => {
+			const apiKey = req.headers['x-api-key'];
+			if (apiKey && apiKeys[apiKey])
+				return { id: `key:${apiKey}`, tier: options.tiers[apiKeys[apiKey]] };
+
+			const forwardedFor = options.trustProxy && req.headers['x-forwarded-for'];
+			const ip = forwardedFor ? forwardedFor.split(',')[0].trim() : req.socket.remoteAddress;
+			return { id: `ip:${ip}`, tier: options.tiers[anonymousTierName] };
+		};
+
+		// returns zero when a token was taken or the number of seconds until the next token is available otherwise
+		const takeToken = (bucketId, budget) => {
+			if (!budget)
+				return 0;
+
+			const now = Date.now();
+			const bucket = buckets.get(bucketId) || { tokens: budget.burst, lastRefillTime: now };
+			refill(bucket, budget, now);
+
+			// move the bucket to the end of the eviction order
+			buckets.delete(bucketId);
+			if (buckets.size >= options.maxClients)
+				buckets.delete(buckets.keys().next().value);
+
+			buckets.set(bucketId, bucket);
+
+			if (1 <= bucket.tokens) {
+				bucket.tokens -= 1;
+				return 0;
+			}
+
+			return Math.ceil((1 - bucket.tokens) / budget.rate);
+		};
+
+		const changeSubscriptionCount = (clientId, delta) => {
+			const count = (subscriptionCounts.get(clientId) || 0) + delta;
+			if (0 < count)
+				subscriptionCounts.set(clientId, count);
+			else
+				subscriptionCounts.delete(clientId);
+		};
+
+		return {
+			/**
+			 * Wraps a route handler so that requests exceeding the budget of the client are rejected.
+			 * Handlers of exempt routes are returned unchanged.
+			 * @param {string} method Http method.
+			 * @param {string} route Route.
+			 * @param {function} handler Route handler.
+			 * @returns {function} Route handler.
+			 */
+			wrap: (method, route, handler) => {
+				if ((exemptRoutes[method] || []).includes(route))
+					return handler;
+
+				const budgetName = (expensiveRoutes[method] || []).includes(route) ? 'expensiveRequests' : 'requests';
+				return (req, res, next) => {
+					const client = identifyClient(req);
+					const retryAfter = takeToken(`${client.id}/${budgetName}`, client.tier[budgetName]);
+					if (retryAfter) {
+						res.header('Retry-After', retryAfter);
+						return next(errors.createTooManyRequestsError(`rate limit exceeded, retry after ${retryAfter} seconds`));
+					}
+
+					return handler(req, res, next);
+				};
+			},
+
+			/**
+			 * Limits the number of concurrent subscriptions of the client that sent an upgrade request.
+			 * Subscriptions are counted across all websocket connections of the client.
+			 * @param {module:server/SubscriptionManager} subscriptionManager Subscription manager.
+			 * @param {object} req Upgrade request.
+			 * @returns {object} Subscription manager that rejects subscriptions exceeding the limit of the client.
+			 */
+			limitSubscriptions: (subscriptionManager, req) => {
+				const client = identifyClient(req);
+				const maxSubscriptions = client.tier.maxWebsocketSubscriptions;
+				const isSubscribed = (channel, websocketClient) =>
+					subscriptionManager.clientSubscriptions(websocketClient).includes(channel);
+
+				return {
+					add: (channel, websocketClient) => {
+						if (isSubscribed(channel, websocketClient))
+							return;
+
+						if (undefined !== maxSubscriptions && (subscriptionCounts.get(client.id) || 0) >= maxSubscriptions)
+							throw Error(`websocket subscription limit (${maxSubscriptions}) exceeded`);
+
+						subscriptionManager.add(channel, websocketClient);
+						changeSubscriptionCount(client.id, 1);
+					},
+
+					delete: (channel, websocketClient) => {
+						if (!isSubscribed(channel, websocketClient))
+							return;
+
+						subscriptionManager.delete(channel, websocketClient);
+						changeSubscriptionCount(client.id, -1);
+					},
+
+					deleteClient: websocketClient => {
+						changeSubscriptionCount(client.id, -subscriptionManager.clientSubscriptions(websocketClient).length);
+						subscriptionManager.deleteClient(websocketClient);
+					}
+				};
+			}
+		};
+	}
+};
+
+module.exports = rateLimiter;
@@ -0,0 +1,206 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module server/responseCache */
+const winston = require('winston');
+const crypto = require('crypto');
+
+const cacheControlHeaders = {
+	immutable: 'public, max-age=31536000, immutable',
+	mutable: 'no-cache'
+};
+
+const isCacheableBody = (res, body) => undefined !== body
+	&& !(body instanceof Error)
+	&& (undefined === res.statusCode || 200 === res.statusCode);
+
+// formatters delete the formatter property from bodies, so cached bodies must not be passed to them directly
+const copyBody = body => (body && 'object' === typeof body && !Array.isArray(body) ? Object.assign({}, body) : body);
+
+const matchesEtag = (ifNoneMatch, etag) => {
+	if (!ifNoneMatch)
+		return false;
+
+	const stripWeakPrefix = tag => (tag.startsWith('W/') ? tag.substring(2) : tag);
+	return ifNoneMatch.split(',')
+		.map(tag => tag.trim())
+		.some(tag => '*' === tag || stripWeakPrefix(tag) === stripWeakPrefix(etag));
+};
+
+const sendEntry = (req, res, entry) => {
+	res.header('ETag', entry.etag);
+	res.header('Last-Modified', new Date(entry.timestamp).toUTCString());
+	res.header('Cache-Control', entry.isImmutable ? cacheControlHeaders.immutable : cacheControlHeaders.mutable);
+
+	// the same entry is used for all negotiated media types
+	res.header('Vary', 'Accept');
+
+	if (matchesEtag(req.headers['if-none-match'], entry.etag))
+		res.send(304);
+	else
+		res.send(copyBody(entry.body));
+};
+
+const responseCache = {
+	/**
+	 * Creates an in-memory store that evicts the least recently used entries.
+	 * @param {numeric} maxEntries Maximum number of entries.
+	 * @returns {object} Store.
+	 */
+	createMemoryStore: maxEntries => {
+		const entries = new Map();
+		return {
+			get: key => {
+				const entry = entries.get(key);
+				if (undefined !== entry) {
+					// move the entry to the end of the eviction order
+					entries.delete(key);
+					entries.set(key, entry);
+				}
+
+				return Promise.resolve(entry);
+			},
+			set: (key, entry) => {
+				entries.delete(key);
+				if (entries.size >= maxEntries)
+					entries.delete(entries.keys().next().value);
+
+				entries.set(key, entry);
+				return Promise.resolve();
+			},
+			delete: key => {
+				entries.delete(key);
+				return Promise.resolve();
+			}
+		};
+	},
+
+	/**
+	 * Creates a cache of GET responses.
+	 * Responses of routes with a policy that bounds them to a height are immutable once the height is more than the maximum
+	 * number of rollback blocks below the chain height.
+	 * All other cached responses are only valid until the next block is reported.
+	 * Entries are stored in a pluggable store with promise returning get, set and delete functions.
+	 * @param {object} options Cache policies keyed by route (policies), maximum number of rollback blocks (maxRollbackBlocks),
+	 * optional store (store) and maximum number of entries of the default in-memory store (maxEntries).
+	 * @returns {object} Response cache.
+	 */
+	createResponseCache: options => {
+		const { policies, maxRollbackBlocks } = options;
+		const store = options.store || responseCache.createMemoryStore(options.maxEntries);
+		const chainState = { height: undefined, blockHash: undefined };
+
+		// etags identify entries instead of hashing their bodies, which would serialize every cacheable (unformatted) response;
+		// a recreated entry gets a new etag even if its body is unchanged, so clients can at worst miss a not modified response
+		const etagPrefix = crypto.randomBytes(8).toString('hex');
+		let numCreatedEntries = 0;
+
+		const isEntryValid = entry => {
+			if (entry.isImmutable)
+				return true;
+
+			// mutable entries are invalidated by every new block and can optionally expire earlier
+			return entry.blockHash === chainState.blockHash && (!entry.expiry || Date.now() < entry.expiry);
+		};
+
+		const createEntry = (policy, req, body) => {
+			const height = policy.getHeight ? policy.getHeight(req.params, body) : undefined;
+			const isImmutable = undefined !== height && undefined !== chainState.height && height + maxRollbackBlocks <= chainState.height;
+
+			// mutable responses can only be cached while new blocks are being reported
+			if (!isImmutable && !chainState.blockHash)
+				return undefined;
+
+			const timestamp = Date.now();
+			++numCreatedEntries;
+			return {
+				body: copyBody(body),
+				etag: `W/"${etagPrefix}-${numCreatedEntries.toString(16)}"`,
+				timestamp,
+				isImmutable,
+				blockHash: isImmutable ? undefined : chainState.blockHash,
+				expiry: !isImmutable && policy.maxAge ? timestamp + (policy.maxAge * 1000) : undefined
+			};
+		};
+
+		return {
+			/**
+			 * Notifies the cache about a new block, which invalidates all mutable entries.
+			 * @param {numeric} height Block height.
+			 * @param {string} hash Hex encoded block hash.
+			 */
+			notifyBlock: (height, hash) => {
+				chainState.height = height;
+				chainState.blockHash = hash;
+			},
+
+			/**
+			 * Notifies the cache that new blocks are no longer reported, which invalidates all mutable entries.
+			 */
+			notifyDisconnected: () => {
+				chainState.blockHash = undefined;
+			},
+
+			/**
+			 * Wraps a GET route handler so that its successful responses are cached according to the route policy.
+			 * Handlers of routes without a policy are returned unchanged.
+			 * @param {string} route Route.
+			 * @param {function} handler Route handler.
+			 * @returns {function} Route handler.
+			 */
+			wrap: (route, handler) => {
+				const policy = policies[route];
+				if (!policy)
+					return handler;
+
+				// store failures are not fatal because responses can always be recreated by the route handler
+				const getEntry = key => store.get(key).catch(err => {
+					winston.warn(`failed to retrieve cached response for ${key}`, err);
+					return undefined;
+				});
+				const setEntry = (key, entry) => store.set(key, entry).catch(err => {
+					winston.warn(`failed to cache response for ${key}`, err);
+				});
+
+				return (req, res, next) => getEntry(req.url).then(cachedEntry => {
+					if (cachedEntry && isEntryValid(cachedEntry)) {
+						sendEntry(req, res, cachedEntry);
+						return next();
+					}
+
+					const send = res.send.bind(res);
+					res.send = (...args) => {
+						res.send = send;
+						const entry = 1 === args.length && isCacheableBody(res, args[0]) ? createEntry(policy, req, args[0]) : undefined;
+						if (!entry)
+							return send(...args);
+
+						setEntry(req.url, entry);
+						return sendEntry(req, res, entry);
+					};
+
+					return handler(req, res, next);
+				});
+			}
+		};
+	}
+};
+
+module.exports = responseCache;
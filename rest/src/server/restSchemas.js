@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/** @module server/restSchemas */
+const catapult = require('catapult-sdk');
+
+const { ModelType } = catapult.model;
+const { schemaFormatter } = catapult.utils;
+
+// schemas of result types that are only produced by rest and are not part of the catapult model
+const restSchemas = {
+	blockStatistics: {
+		fromHeight: ModelType.uint64,
+		toHeight: ModelType.uint64,
+		totalFee: ModelType.uint64
+	},
+	dailyTransactionStatistics: {
+		timestamp: ModelType.uint64,
+		totalFee: ModelType.uint64
+	}
+};
+
+module.exports = {
+	/**
+	 * Extends a catapult model system with the schemas and formatters of rest-only result types.
+	 * @param {module:plugins/catapultModelSystem} modelSystem Catapult model system.
+	 * @param {object} namedFormattingRules Named sets of formatting rules used to configure the model system.
+	 * @returns {module:plugins/catapultModelSystem} Extended catapult model system.
+	 */
+	extendModelSystem: (modelSystem, namedFormattingRules) => {
+		const schema = Object.assign({}, modelSystem.schema, restSchemas);
+		const formatters = {};
+		Object.keys(modelSystem.formatters).forEach(key => {
+			const formattingRules = namedFormattingRules[key];
+			formatters[key] = Object.assign({}, modelSystem.formatters[key]);
+			Object.keys(restSchemas).forEach(type => {
+				formatters[key][type] = { format: entity => schemaFormatter.format(entity, schema[type], schema, formattingRules) };
+			});
+		});
+
+		return Object.assign({}, modelSystem, { schema, formatters });
+	}
+};
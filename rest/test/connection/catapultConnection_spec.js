@@ -87,6 +87,22 @@ describe('catapult connection', () => {
 			});
 		});
 
+		assertSend('write failure rejects the promise', (context, promise) => {
+			// Act:
+			context.writeCalls[0].callback(Error('write after end'));
+
+			return promise
+				.then(() => {
+					throw new Error('promise resolved');
+				})
+				.catch(err => {
+					// Assert: error details are not forwarded
+					expect(context.removeCalls).to.have.all.keys('close');
+					expect(err.statusCode).to.equal(503);
+					expect(err.message).to.equal('connection failed');
+				});
+		});
+
 		assertSend('closing connection rejects the promise', (context, promise) => {
 			// Act:
 			context.onceCalls.close();
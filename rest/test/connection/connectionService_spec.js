@@ -21,6 +21,7 @@
 const { createConnectionService } = require('../../src/connection/connectionService');
 const catapult = require('catapult-sdk');
 const { expect } = require('chai');
+const sinon = require('sinon');
 
 const { convert } = catapult.utils;
 const { createKeyPairFromPrivateKeyString } = catapult.crypto;
@@ -261,4 +262,386 @@ describe('connection service', () => {
 			});
 		}
 	);
+
+	describe('pool', () => {
+		const Public_Keys = ['AA11', 'BB22', 'CC33'];
+
+		const createPoolConfig = (apiNodeOptions, priorities = [0, 0, 0]) => ({
+			apiNode: Object.assign({ timeout: 1000 }, apiNodeOptions),
+			apiNodes: Public_Keys.map((publicKey, i) => ({
+				host: `node${i}`, port: 7900, publicKey, priority: priorities[i]
+			})),
+			clientPrivateKey: Test_Config.clientPrivateKey
+		});
+
+		// creates a pool context where nodes can be made unavailable (connection fails) or broken (writes fail)
+		const createPoolContext = () => {
+			const context = {
+				unavailableHosts: new Set(),
+				brokenHosts: new Set(),
+				connectedHosts: [],
+				destroyedHosts: [],
+				writes: []
+			};
+
+			context.connectionFactory = (port, host) => {
+				context.connectedHosts.push(host);
+				const socket = {
+					host,
+					on: () => socket,
+					once: () => socket,
+					removeListener: () => socket,
+					destroy: () => { context.destroyedHosts.push(host); },
+					write: (payload, callback) => {
+						if (context.brokenHosts.has(host)) {
+							callback(Error('write after end'));
+							return;
+						}
+
+						context.writes.push({ host, payload });
+						callback();
+					}
+				};
+				return socket;
+			};
+
+			context.authPromiseFactory = serverSocket => (context.unavailableHosts.has(serverSocket.host)
+				? Promise.reject(Error(`${serverSocket.host} is not available`))
+				: Promise.resolve());
+
+			context.createService = config => createConnectionService(config, context.connectionFactory, context.authPromiseFactory);
+			return context;
+		};
+
+		// sequentially obtains connections with the specified method and sends a single byte through each of them
+		const sendRepeatedly = (method, service, count) => {
+			const sendNext = i => {
+				if (count === i)
+					return Promise.resolve();
+
+				return service[method]()
+					.then(connection => connection.send(Buffer.of(i)))
+					.then(() => sendNext(i + 1));
+			};
+
+			return sendNext(0);
+		};
+
+		describe('create', () => {
+			it('cannot create service with unknown selection', () => {
+				// Arrange:
+				const context = createPoolContext();
+
+				const config = createPoolConfig({ selection: 'random' });
+
+				// Act + Assert:
+				expect(() => context.createService(config)).to.throw('unknown api node selection \'random\'');
+			});
+
+			it('can create service without api node pool options', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const config = createPoolConfig();
+				delete config.apiNode;
+
+				// Act:
+				const service = context.createService(config);
+
+				// Assert: default priority selection is used
+				return service.lease().then(() => {
+					expect(context.connectedHosts).to.deep.equal(['node0']);
+				});
+			});
+
+			it('cannot create service without api nodes', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const config = Object.assign(createPoolConfig(), { apiNodes: [] });
+
+				// Act + Assert:
+				expect(() => context.createService(config)).to.throw('at least one api node is required');
+			});
+		});
+
+		describe('selection', () => {
+			it('prefers nodes with lowest priority', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const service = context.createService(createPoolConfig({}, [2, 1, 3]));
+
+				// Act:
+				return sendRepeatedly('singleUse', service, 3).then(() => {
+					// Assert:
+					expect(context.writes.map(write => write.host)).to.deep.equal(['node1', 'node1', 'node1']);
+				});
+			});
+
+			it('uses configuration order for nodes with same priority', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const service = context.createService(createPoolConfig({}, [1, 0, 0]));
+
+				// Act:
+				return sendRepeatedly('singleUse', service, 2).then(() => {
+					// Assert:
+					expect(context.writes.map(write => write.host)).to.deep.equal(['node1', 'node1']);
+				});
+			});
+
+			it('rotates nodes with round robin selection', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const service = context.createService(createPoolConfig({ selection: 'roundRobin' }));
+
+				// Act:
+				return sendRepeatedly('singleUse', service, 4).then(() => {
+					// Assert:
+					expect(context.writes.map(write => write.host)).to.deep.equal(['node0', 'node1', 'node2', 'node0']);
+				});
+			});
+
+			it('caches leased connections per node', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const service = context.createService(createPoolConfig({ selection: 'roundRobin' }));
+
+				// Act:
+				return sendRepeatedly('lease', service, 6).then(() => {
+					// Assert:
+					expect(context.connectedHosts).to.deep.equal(['node0', 'node1', 'node2']);
+					expect(context.writes.map(write => write.host))
+						.to.deep.equal(['node0', 'node1', 'node2', 'node0', 'node1', 'node2']);
+				});
+			});
+		});
+
+		describe('failover', () => {
+			let clock;
+
+			beforeEach(() => {
+				clock = sinon.useFakeTimers(1000000);
+			});
+
+			afterEach(() => {
+				clock.restore();
+			});
+
+			['lease', 'singleUse'].forEach(method => {
+				it(`${method} fails over to next node when connection fails`, () => {
+					// Arrange:
+					const context = createPoolContext();
+					context.unavailableHosts.add('node0');
+					const service = context.createService(createPoolConfig());
+
+					// Act:
+					return service[method]().then(connection => connection.send(Buffer.of(1))).then(() => {
+						// Assert:
+						expect(context.connectedHosts).to.deep.equal(['node0', 'node1']);
+						expect(context.writes.map(write => write.host)).to.deep.equal(['node1']);
+					});
+				});
+
+				it(`${method} forwards last error when all nodes fail`, () => {
+					// Arrange:
+					const context = createPoolContext();
+					Public_Keys.forEach((publicKey, i) => context.unavailableHosts.add(`node${i}`));
+					const service = context.createService(createPoolConfig());
+
+					// Act:
+					return service[method]().then(() => { throw Error('promise resolved'); }, err => {
+						// Assert:
+						expect(context.connectedHosts).to.deep.equal(['node0', 'node1', 'node2']);
+						expect(err.message).to.equal('node2 is not available');
+					});
+				});
+			});
+
+			it('tries unhealthy nodes after healthy nodes', () => {
+				// Arrange: make node0 unhealthy
+				const context = createPoolContext();
+				context.unavailableHosts.add('node0');
+				const service = context.createService(createPoolConfig());
+
+				// Act:
+				return service.singleUse()
+					.then(() => {
+						context.connectedHosts.splice(0);
+						context.unavailableHosts.add('node1');
+						context.unavailableHosts.add('node2');
+						return service.singleUse();
+					})
+					.then(() => { throw Error('promise resolved'); }, () => {
+						// Assert:
+						expect(context.connectedHosts).to.deep.equal(['node1', 'node2', 'node0']);
+					});
+			});
+
+			it('uses unhealthy node again after retry interval', () => {
+				// Arrange: make node0 unhealthy
+				const context = createPoolContext();
+				context.unavailableHosts.add('node0');
+				const service = context.createService(createPoolConfig({ unhealthyRetryInterval: 5000 }));
+
+				// Act:
+				return service.singleUse()
+					.then(() => {
+						context.unavailableHosts.delete('node0');
+						clock.tick(4999);
+						return sendRepeatedly('singleUse', service, 1);
+					})
+					.then(() => {
+						clock.tick(1);
+						return sendRepeatedly('singleUse', service, 1);
+					})
+					.then(() => {
+						// Assert:
+						expect(context.writes.map(write => write.host)).to.deep.equal(['node1', 'node0']);
+					});
+			});
+		});
+
+		describe('send', () => {
+			it('sends payload to single node by default', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const service = context.createService(createPoolConfig());
+
+				// Act:
+				return service.send(Buffer.of(7)).then(numNodes => {
+					// Assert:
+					expect(numNodes).to.equal(1);
+					expect(context.writes).to.deep.equal([{ host: 'node0', payload: Buffer.of(7) }]);
+				});
+			});
+
+			it('retries on next node when send fails', () => {
+				// Arrange:
+				const context = createPoolContext();
+				context.brokenHosts.add('node0');
+				const service = context.createService(createPoolConfig());
+
+				// Act:
+				return service.send(Buffer.of(7)).then(numNodes => {
+					// Assert:
+					expect(numNodes).to.equal(1);
+					expect(context.writes).to.deep.equal([{ host: 'node1', payload: Buffer.of(7) }]);
+					expect(service.poolState().map(state => state.isHealthy)).to.deep.equal([false, true, true]);
+				});
+			});
+
+			it('closes pooled connection when send fails', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const service = context.createService(createPoolConfig());
+
+				// Act:
+				return service.send(Buffer.of(7))
+					.then(() => {
+						context.brokenHosts.add('node0');
+						return service.send(Buffer.of(8));
+					})
+					.then(() => {
+						// Assert: the broken connection is closed and the payload is sent over a new connection to the next node
+						expect(context.destroyedHosts).to.deep.equal(['node0']);
+						expect(context.connectedHosts).to.deep.equal(['node0', 'node1']);
+						expect(context.writes).to.deep.equal([
+							{ host: 'node0', payload: Buffer.of(7) },
+							{ host: 'node1', payload: Buffer.of(8) }
+						]);
+						expect(service.poolState().map(state => state.isConnected)).to.deep.equal([false, true, false]);
+					});
+			});
+
+			it('broadcasts payload to multiple nodes', () => {
+				// Arrange:
+				const context = createPoolContext();
+				const service = context.createService(createPoolConfig({ broadcastCount: 2 }));
+
+				// Act:
+				return service.send(Buffer.of(7)).then(numNodes => {
+					// Assert:
+					expect(numNodes).to.equal(2);
+					expect(context.writes.map(write => write.host)).to.deep.equal(['node0', 'node1']);
+				});
+			});
+
+			it('broadcasts payload to remaining nodes when some nodes fail', () => {
+				// Arrange:
+				const context = createPoolContext();
+				context.unavailableHosts.add('node0');
+				const service = context.createService(createPoolConfig({ broadcastCount: 2 }));
+
+				// Act:
+				return service.send(Buffer.of(7)).then(numNodes => {
+					// Assert:
+					expect(numNodes).to.equal(2);
+					expect(context.writes.map(write => write.host).sort()).to.deep.equal(['node1', 'node2']);
+				});
+			});
+
+			it('broadcasts payload to at most all nodes', () => {
+				// Arrange:
+				const context = createPoolContext();
+				context.brokenHosts.add('node2');
+				const service = context.createService(createPoolConfig({ broadcastCount: 5 }));
+
+				// Act:
+				return service.send(Buffer.of(7)).then(numNodes => {
+					// Assert:
+					expect(numNodes).to.equal(2);
+					expect(context.writes.map(write => write.host)).to.deep.equal(['node0', 'node1']);
+				});
+			});
+
+			it('rejects with service unavailable when payload cannot be sent to any node', () => {
+				// Arrange:
+				const context = createPoolContext();
+				context.unavailableHosts.add('node0');
+				context.brokenHosts.add('node1');
+				context.unavailableHosts.add('node2');
+				const service = context.createService(createPoolConfig());
+
+				// Act:
+				return service.send(Buffer.of(7)).then(() => { throw Error('promise resolved'); }, err => {
+					// Assert: error details are not forwarded
+					expect(err.statusCode).to.equal(503);
+					expect(err.message).to.equal('connection failed');
+					expect(context.writes).to.deep.equal([]);
+				});
+			});
+		});
+
+		describe('pool state', () => {
+			it('returns state of all nodes', () => {
+				// Arrange:
+				const context = createPoolContext();
+				context.unavailableHosts.add('node1');
+				const service = context.createService(createPoolConfig({}, [0, 1, 2]));
+
+				// Act:
+				return service.lease()
+					.then(() => service.singleUse())
+					.then(() => {
+						context.unavailableHosts.add('node0');
+						return service.singleUse();
+					})
+					.then(() => {
+						const poolState = service.poolState();
+
+						// Assert:
+						expect(poolState).to.deep.equal([
+							{
+								publicKey: 'AA11', priority: 0, isHealthy: false, isConnected: false, numConsecutiveFailures: 1
+							},
+							{
+								publicKey: 'BB22', priority: 1, isHealthy: false, isConnected: false, numConsecutiveFailures: 1
+							},
+							{
+								publicKey: 'CC33', priority: 2, isHealthy: true, isConnected: false, numConsecutiveFailures: 0
+							}
+						]);
+					});
+			});
+		});
+	});
 });
@@ -409,6 +409,74 @@ describe('zmqUtils', () => {
 			});
 		});
 
+		describe('removeListener', () => {
+			it('removes only matching channel subscriber', () => {
+				// Arrange:
+				const context = {};
+				const emitter = zmqUtils.createMultisocketEmitter(createMockZsocketWithCapture(context));
+				const callback = () => {};
+				emitter.on('block', () => {});
+				emitter.on('block', callback);
+				emitter.on('block.close', () => {});
+
+				// Act:
+				emitter.removeListener('block', callback);
+
+				// Assert:
+				expect(emitter.zsocketCount()).to.equal(1);
+				expect(emitter.listenerCount('block')).to.equal(1);
+				expect(emitter.listenerCount('block.close')).to.equal(1);
+				expect(context.zsockets.block.numCloseCalls).to.equal(0);
+			});
+
+			it('closes socket when last channel subscriber is removed', () => {
+				// Arrange:
+				const context = {};
+				const emitter = zmqUtils.createMultisocketEmitter(createMockZsocketWithCapture(context));
+				const callback = () => {};
+				emitter.on('block', callback);
+				emitter.on('block.close', () => {});
+				emitter.on('confirmedAdded', () => {});
+
+				// Act:
+				emitter.removeListener('block', callback);
+
+				// Assert:
+				expect(emitter.zsocketCount()).to.equal(1);
+				expect(emitter.listenerCount('block')).to.equal(0);
+				expect(emitter.listenerCount('block.close')).to.equal(0);
+				expect(emitter.listenerCount('confirmedAdded')).to.equal(1);
+				expect(context.zsockets.block.numCloseCalls).to.equal(1);
+			});
+
+			it('removes only matching subevent subscriber', () => {
+				// Arrange:
+				const context = {};
+				const emitter = zmqUtils.createMultisocketEmitter(createMockZsocketWithCapture(context));
+				const callback = () => {};
+				emitter.on('block', () => {});
+				emitter.on('block.close', () => {});
+				emitter.on('block.close', callback);
+
+				// Act:
+				emitter.removeListener('block.close', callback);
+
+				// Assert: subevent removal never closes the channel socket
+				expect(emitter.zsocketCount()).to.equal(1);
+				expect(emitter.listenerCount('block')).to.equal(1);
+				expect(emitter.listenerCount('block.close')).to.equal(1);
+				expect(context.zsockets.block.numCloseCalls).to.equal(0);
+			});
+
+			it('fails when attempting to remove listener for unsupported subevent', () => {
+				// Arrange:
+				const emitter = zmqUtils.createMultisocketEmitter(createMockZsocket);
+
+				// Act + Assert:
+				expect(() => emitter.removeListener('block.foo', () => {})).to.throw('block.foo indicates an unsupported subevent');
+			});
+		});
+
 		describe('removeAllListeners', () => {
 			it('has no effect when no matching subscribers are present', () => {
 				// Arrange:
@@ -180,6 +180,82 @@ describe('catapult db', () => {
 		});
 	});
 
+	describe('block by hash', () => {
+		it('undefined is returned for block with unknown hash', () =>
+			// Assert:
+			runDbTest(
+				{ block: test.db.createDbBlock(Default_Height) },
+				db => db.blockByHash(test.random.hash()),
+				block => expect(block).to.equal(undefined)
+			));
+
+		it('can retrieve block with known hash', () => {
+			// Arrange:
+			const seedBlocks = [Default_Height, Default_Height + 1].map(height => test.db.createDbBlock(height));
+			const hash = seedBlocks[1].meta.hash.buffer;
+
+			// Assert:
+			return runDbTest(
+				{ blocks: seedBlocks },
+				db => db.blockByHash(hash),
+				block => expect(block).to.deep.equal(stripExtraneousBlockInformation(seedBlocks[1]))
+			);
+		});
+	});
+
+	describe('blocks by signer or beneficiary', () => {
+		const publicKey = test.random.publicKey();
+
+		// [0001] signer (height 10)
+		// [0002] other (height 20)
+		// [0003] other with beneficiary (height 30)
+		// [0004] signer with beneficiary (height 40)
+		const createSeedBlocks = () => [
+			{ signer: publicKey, beneficiary: test.random.publicKey() },
+			{ signer: test.random.publicKey(), beneficiary: test.random.publicKey() },
+			{ signer: test.random.publicKey(), beneficiary: publicKey },
+			{ signer: publicKey, beneficiary: publicKey }
+		].map((descriptor, index) => {
+			const block = Object.assign({ _id: test.db.createObjectId(index + 1) }, test.db.createDbBlock((index + 1) * 10));
+			block.block.signer = new Binary(Buffer.from(descriptor.signer));
+			block.block.beneficiary = new Binary(Buffer.from(descriptor.beneficiary));
+			return block;
+		});
+
+		const runBlocksTest = (pagingOptions, expectedIndexes) => {
+			// Arrange:
+			const seedBlocks = createSeedBlocks();
+			const expectedBlocks = expectedIndexes.map(index => {
+				const block = stripExtraneousBlockInformation(seedBlocks[index]);
+				block.meta.id = test.db.createObjectId(index + 1);
+				return block;
+			});
+
+			// Assert:
+			return runDbTest(
+				{ blocks: seedBlocks },
+				db => db.blocksBySignerOrBeneficiary(publicKey, pagingOptions.id, pagingOptions.pageSize, pagingOptions.ordering),
+				blocks => expect(blocks).to.deep.equal(expectedBlocks)
+			);
+		};
+
+		it('returns empty array for unknown public key', () => runDbTest(
+			{ blocks: createSeedBlocks() },
+			db => db.blocksBySignerOrBeneficiary(test.random.publicKey(), undefined, 10, -1),
+			blocks => expect(blocks).to.deep.equal([])
+		));
+
+		it('can retrieve blocks signed or harvested for beneficiary', () => runBlocksTest({ pageSize: 10, ordering: -1 }, [3, 2, 0]));
+
+		it('respects paging and ordering', () => {
+			// Arrange:
+			const pageId = test.db.createObjectId(1).toString();
+
+			// Assert:
+			return runBlocksTest({ id: pageId, pageSize: 10, ordering: 1 }, [2, 3]);
+		});
+	});
+
 	describe('block at height with statement merkle tree', () => {
 		it('undefined is returned for block at unknown height', () =>
 			// Assert:
@@ -395,6 +471,48 @@ describe('catapult db', () => {
 			));
 	});
 
+	describe('blocks cursor', () => {
+		const createDbEntities = numBlocks => {
+			const blocks = [];
+			for (let i = 0; i < numBlocks; ++i)
+				blocks.push(test.db.createDbBlock(Default_Height + numBlocks - 1 - i));
+
+			return { blocks };
+		};
+
+		it('returns no blocks for unknown height range', () =>
+			// Assert:
+			runDbTest(
+				createDbEntities(5),
+				db => db.blocksCursor(Default_Height + 10, Default_Height + 20).toArray(),
+				blocks => expect(blocks).to.deep.equal([])
+			));
+
+		it('returns blocks in range sorted in ascending order', () => {
+			// Arrange: blocks are created in descending height order
+			const dbEntities = createDbEntities(10);
+
+			// Assert:
+			return runDbTest(
+				dbEntities,
+				db => db.blocksCursor(Default_Height + 2, Default_Height + 4).toArray(),
+				blocks => expect(blocks).to.deep.equal(dbEntities.blocks.slice(5, 8).reverse().map(stripExtraneousBlockInformation))
+			);
+		});
+
+		it('returns available blocks when range exceeds chain', () => {
+			// Arrange:
+			const dbEntities = createDbEntities(5);
+
+			// Assert:
+			return runDbTest(
+				dbEntities,
+				db => db.blocksCursor(Default_Height + 3, Default_Height + 100).toArray(),
+				blocks => expect(blocks).to.deep.equal(dbEntities.blocks.slice(0, 2).reverse().map(stripExtraneousBlockInformation))
+			);
+		});
+	});
+
 	const createTransactionHash = id => catapult.utils.convert.hexToUint8(`${'00'.repeat(16)}${id.toString(16)}`.slice(-32));
 
 	const createSeedTransactions = (numTransactionsPerHeight, heights, options) => {
@@ -518,6 +636,52 @@ describe('catapult db', () => {
 		});
 	});
 
+	describe('transactions at heights', () => {
+		it('returns empty array for unknown heights', () =>
+			// Arrange: at heights 17, 25 and 36 - for each height create 2 transactions
+			runDbTest(
+				{ transactions: createSeedTransactions(2, [17, 25, 36]) },
+				db => db.transactionsAtHeights([18, 30]),
+				transactions => assertEqualDocuments([], transactions)
+			));
+
+		it('can retrieve all transactions at heights', () => {
+			// Arrange: at heights 17, 25 and 36 - for each height create 2 transactions
+			// - 17: 0000, 0003
+			// - 25: 0001, 0004
+			// - 36: 0002, 0005
+			const seedTransactions = createSeedTransactions(2, [17, 25, 36]);
+			return runDbTest(
+				{ transactions: seedTransactions },
+				db => db.transactionsAtHeights([17, 36]),
+				transactions => {
+					// Assert: transactions are returned in insertion order
+					assertEqualDocuments([0, 2, 3, 5].map(index => seedTransactions[index]), transactions);
+				}
+			);
+		});
+
+		it('can retrieve all transactions with dependent documents at heights', () => {
+			// Arrange: at heights 17 and 25 - for each height create 2 transactions with 2 dependent documents each
+			// - 17: 0000 (0001, 0002), 0006 (0007, 0008)
+			// - 25: 0003 (0004, 0005), 0009 (000A, 000B)
+			const seedTransactions = createSeedTransactions(2, [17, 25], { numDependentDocuments: 2 });
+			return runDbTest(
+				{ transactions: seedTransactions },
+				db => db.transactionsAtHeights([25]),
+				transactions => {
+					// Assert:
+					const expectedTransactions = [3, 9].map(index => {
+						const stitchedAggregate = Object.assign({}, seedTransactions[index]);
+						stitchedAggregate.transaction.transactions = [seedTransactions[index + 1], seedTransactions[index + 2]];
+						return stitchedAggregate;
+					});
+					assertEqualDocuments(expectedTransactions, transactions);
+				}
+			);
+		});
+	});
+
 	describe('transaction by id', () => {
 		const addTestsWithId = (traits, idTraits) => {
 			it('can retrieve each transaction by id', () => {
@@ -1206,6 +1370,179 @@ describe('catapult db', () => {
 		});
 	});
 
+	describe('transactions by filters', () => {
+		const signer = test.random.publicKey();
+		const recipient = test.random.address();
+
+		// [0001] signer -> random (type 1, height 10)
+		// [0002] random -> recipient (type 2, height 20, mosaic 123 attached)
+		// [0003] signer -> recipient (type 1, height 30, mosaic id 123)
+		// [0004] signer -> random (type 2, height 40, embedded in [0003])
+		const createFilterSeedTransactions = () => {
+			const transactions = [
+				test.db.createDbTransaction(test.db.createObjectId(1), signer, test.random.address(), { height: 10 }),
+				test.db.createDbTransaction(test.db.createObjectId(2), test.random.publicKey(), recipient, { height: 20 }),
+				test.db.createDbTransaction(test.db.createObjectId(3), signer, recipient, { height: 30 }),
+				test.db.createDbTransaction(test.db.createObjectId(4), signer, test.random.address(), { height: 40 })
+			];
+
+			[1, 2, 1, 2].forEach((type, index) => { transactions[index].transaction.type = type; });
+			transactions[1].transaction.mosaics.push({ id: Long.fromNumber(123), amount: Long.fromNumber(1) });
+			transactions[2].transaction.mosaicId = Long.fromNumber(123);
+			transactions[3].meta.aggregateId = test.db.createObjectId(3);
+			return transactions;
+		};
+
+		const runFiltersTest = (collectionName, filters, expectedIndexes, pagingOptions = {}) => {
+			// Arrange:
+			const seedTransactions = createFilterSeedTransactions();
+
+			// Assert:
+			return runDbTest(
+				{ [collectionName]: seedTransactions },
+				db => db.transactionsByFilters(filters, pagingOptions.id, pagingOptions.pageSize, pagingOptions.ordering),
+				transactions => {
+					const expectedTransactions = expectedIndexes.map(index => seedTransactions[index]);
+					assertEqualDocuments(expectedTransactions, transactions);
+				}
+			);
+		};
+
+		it('returns all top level transactions when no filters are specified', () =>
+			runFiltersTest('transactions', {}, [2, 1, 0]));
+
+		it('can include embedded transactions', () =>
+			runFiltersTest('transactions', { embedded: true }, [3, 2, 1, 0]));
+
+		it('can filter by types', () =>
+			runFiltersTest('transactions', { types: [2], embedded: true }, [3, 1]));
+
+		it('can filter by signer', () =>
+			runFiltersTest('transactions', { signer }, [2, 0]));
+
+		it('can filter by recipient', () =>
+			runFiltersTest('transactions', { recipient }, [2, 1]));
+
+		it('can filter by height range', () =>
+			runFiltersTest('transactions', { fromHeight: 15, toHeight: 40, embedded: true }, [3, 2, 1]));
+
+		it('can filter by mosaic id', () =>
+			runFiltersTest('transactions', { mosaicId: [123, 0] }, [2, 1]));
+
+		it('can combine filters', () =>
+			runFiltersTest('transactions', { signer, types: [1], fromHeight: 20 }, [2]));
+
+		it('can query other groups', () =>
+			runFiltersTest('unconfirmedTransactions', { group: 'unconfirmed', signer }, [2, 0]));
+
+		it('ignores transactions in other groups', () =>
+			runFiltersTest('partialTransactions', { signer }, []));
+
+		it('respects paging and ordering', () => {
+			// Arrange:
+			const pageId = test.db.createObjectId(1).toString();
+
+			// Assert:
+			return runFiltersTest('transactions', { embedded: true }, [1, 2, 3], { id: pageId, pageSize: 10, ordering: 1 });
+		});
+	});
+
+	describe('paged documents', () => {
+		// [0001] height 40
+		// [0002] height 20
+		// [0003] height 30
+		// [0004] height 20
+		// [0005] height 10
+		const createPagingSeedTransactions = () => [40, 20, 30, 20, 10].map((height, index) =>
+			test.db.createDbTransaction(test.db.createObjectId(index + 1), test.random.publicKey(), test.random.address(), { height }));
+
+		const runPagingTest = (pagingOptions, expectedIndexes, expectedPagination) => {
+			// Arrange:
+			const seedTransactions = createPagingSeedTransactions();
+
+			// Assert:
+			return runDbTest(
+				{ transactions: seedTransactions },
+				db => db.transactionsByFilters({}, pagingOptions.id, pagingOptions.pageSize, pagingOptions.ordering, pagingOptions),
+				transactions => {
+					const expectedTransactions = expectedIndexes.map(index => seedTransactions[index]);
+					assertEqualDocuments(expectedTransactions, transactions);
+					expect(transactions.pagination).to.deep.equal(expectedPagination);
+				}
+			);
+		};
+
+		const objectIdString = id => test.db.createObjectId(id).toString();
+
+		it('attaches pagination with bounded page size', () =>
+			runPagingTest({ pageSize: 3, ordering: -1 }, [4, 3, 2, 1, 0], { pageSize: 10 }));
+
+		it('attaches previous cursor when id is supplied', () =>
+			runPagingTest({ id: objectIdString(4), pageSize: 10, ordering: -1 }, [2, 1, 0], { pageSize: 10, previous: objectIdString(3) }));
+
+		it('can skip documents', () =>
+			runPagingTest({ pageSize: 10, ordering: 1, offset: 2 }, [2, 3, 4], { pageSize: 10, offset: 2, previous: objectIdString(3) }));
+
+		it('ignores offset when id is supplied', () =>
+			runPagingTest(
+				{
+					id: objectIdString(4), pageSize: 10, ordering: -1, offset: 2
+				},
+				[2, 1, 0],
+				{ pageSize: 10, previous: objectIdString(3) }
+			));
+
+		it('can page backwards from previous cursor in descending order', () =>
+			runPagingTest({ before: objectIdString(3), pageSize: 10, ordering: -1 }, [4, 3], { pageSize: 10, next: objectIdString(4) }));
+
+		it('can page backwards from previous cursor in ascending order', () =>
+			runPagingTest({ before: objectIdString(4), pageSize: 10, ordering: 1 }, [0, 1, 2], { pageSize: 10, next: objectIdString(3) }));
+
+		it('ignores offset when before is supplied', () =>
+			runPagingTest(
+				{
+					before: objectIdString(4), pageSize: 10, ordering: 1, offset: 2
+				},
+				[0, 1, 2],
+				{ pageSize: 10, next: objectIdString(3) }
+			));
+
+		it('returns empty page when paging backwards from first document', () =>
+			runPagingTest({ before: objectIdString(5), pageSize: 10, ordering: -1 }, [], { pageSize: 10 }));
+
+		it('can include total count', () =>
+			runPagingTest(
+				{
+					id: objectIdString(2), pageSize: 10, ordering: 1, includeTotal: true
+				},
+				[2, 3, 4],
+				{ pageSize: 10, totalCount: 5, previous: objectIdString(3) }
+			));
+
+		it('can sort by custom field', () =>
+			runPagingTest({ pageSize: 10, ordering: 1, sortField: 'meta.height' }, [4, 1, 3, 2, 0], { pageSize: 10 }));
+
+		it('can sort by custom field starting after id', () =>
+			// documents with the same height as the cursor document are ordered by id
+			runPagingTest(
+				{
+					id: objectIdString(2), pageSize: 10, ordering: 1, sortField: 'meta.height'
+				},
+				[3, 2, 0],
+				{ pageSize: 10, previous: objectIdString(4) }
+			));
+
+		it('can sort by custom field ending before id', () =>
+			// documents with the same height as the cursor document are ordered by id
+			runPagingTest(
+				{
+					before: objectIdString(4), pageSize: 10, ordering: 1, sortField: 'meta.height'
+				},
+				[4, 1],
+				{ pageSize: 10, next: objectIdString(2) }
+			));
+	});
+
 	describe('account get', () => {
 		const publicKey = test.random.publicKey();
 		const decodedAddress = keyToAddress(publicKey);
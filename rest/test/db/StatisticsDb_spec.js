@@ -0,0 +1,208 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const test = require('./utils/dbTestUtils');
+const testDbOptions = require('./utils/testDbOptions');
+const CatapultDb = require('../../src/db/CatapultDb');
+const StatisticsDb = require('../../src/db/StatisticsDb');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Binary, Long } = MongoDb;
+
+describe('statistics db', () => {
+	const Milliseconds_Per_Day = 24 * 60 * 60 * 1000;
+
+	const runDbTest = (dbEntities, issueDbCommand, assertDbCommandResult) => {
+		// Arrange:
+		const db = new CatapultDb({ networkId: testDbOptions.networkId });
+
+		// Act + Assert:
+		return db.connect(testDbOptions.url, 'test')
+			.then(() => test.db.populateDatabase(db, dbEntities))
+			.then(() => issueDbCommand(new StatisticsDb(db)))
+			.then(assertDbCommandResult)
+			.then(() => db.close());
+	};
+
+	const createBlock = (height, timestamp, options = {}) => {
+		const block = test.db.createDbBlock(height);
+		block.block.timestamp = Long.fromNumber(timestamp);
+		block.block.difficulty = Long.fromNumber(options.difficulty || 100);
+		block.block.signer = new Binary(options.signer || test.random.publicKey());
+		block.meta.totalFee = Long.fromNumber(options.totalFee || 0);
+		block.meta.numTransactions = options.numTransactions || 0;
+		return block;
+	};
+
+	const createTransaction = (id, height, type, isEmbedded) => {
+		const objectId = test.db.createObjectId(id);
+		const transaction = test.db.createDbTransaction(objectId, test.random.publicKey(), test.random.address(), { height });
+		transaction.transaction.type = type;
+		if (isEmbedded)
+			transaction.meta.aggregateId = test.db.createObjectId(id - 1);
+
+		return transaction;
+	};
+
+	describe('block statistics', () => {
+		it('returns empty array when range contains no blocks', () => runDbTest(
+			{ blocks: [createBlock(1, 0), createBlock(2, 15000)] },
+			db => db.blockStatistics(10, 20, 5),
+			statistics => { expect(statistics).to.deep.equal([]); }
+		));
+
+		it('groups blocks into intervals', () => {
+			// Arrange: blocks 1 - 7 are 15s apart, the first two blocks and the last two blocks share signers
+			const signers = [test.random.publicKey(), test.random.publicKey()];
+			const blockSigners = [signers[0], signers[0], undefined, undefined, undefined, signers[1], signers[1]];
+			const blocks = [];
+			for (let height = 1; 7 >= height; ++height) {
+				blocks.push(createBlock(height, (height - 1) * 15000, {
+					difficulty: height * 100,
+					signer: blockSigners[height - 1],
+					totalFee: height * 10,
+					numTransactions: height
+				}));
+			}
+
+			// Assert: blocks 1 and 7 are outside of the range
+			return runDbTest(
+				{ blocks },
+				db => db.blockStatistics(2, 6, 3),
+				statistics => {
+					expect(statistics).to.deep.equal([
+						{
+							fromHeight: Long.fromNumber(2),
+							toHeight: Long.fromNumber(4),
+							numBlocks: 3,
+							averageBlockTime: 15000,
+							averageDifficulty: 300,
+							totalFee: Long.fromNumber(90),
+							numTransactions: 9,
+							transactionsByType: [],
+							numActiveHarvesters: 3
+						},
+						{
+							fromHeight: Long.fromNumber(5),
+							toHeight: Long.fromNumber(6),
+							numBlocks: 2,
+							averageBlockTime: 15000,
+							averageDifficulty: 550,
+							totalFee: Long.fromNumber(110),
+							numTransactions: 11,
+							transactionsByType: [],
+							numActiveHarvesters: 2
+						}
+					]);
+				}
+			);
+		});
+
+		it('reports zero block time for intervals with single block', () => runDbTest(
+			{ blocks: [createBlock(1, 0), createBlock(2, 15000), createBlock(3, 45000)] },
+			db => db.blockStatistics(1, 3, 2),
+			statistics => {
+				expect(statistics.map(bucket => bucket.averageBlockTime)).to.deep.equal([15000, 0]);
+			}
+		));
+
+		it('counts top level transactions by type', () => {
+			// Arrange:
+			const blocks = [createBlock(1, 0), createBlock(2, 15000), createBlock(3, 30000)];
+			const transactions = [
+				createTransaction(1, 1, 0x4154),
+				createTransaction(2, 1, 0x4141),
+				createTransaction(3, 1, 0x4154, true),
+				createTransaction(4, 2, 0x4154),
+				createTransaction(5, 3, 0x414E),
+				createTransaction(6, 3, 0x4154),
+				createTransaction(7, 3, 0x4154)
+			];
+
+			// Assert:
+			return runDbTest(
+				{ blocks, transactions },
+				db => db.blockStatistics(1, 3, 2),
+				statistics => {
+					expect(statistics.map(bucket => bucket.transactionsByType)).to.deep.equal([
+						[{ type: 0x4141, count: 1 }, { type: 0x4154, count: 2 }],
+						[{ type: 0x414E, count: 1 }, { type: 0x4154, count: 2 }]
+					]);
+				}
+			);
+		});
+	});
+
+	describe('daily transaction statistics', () => {
+		const createDayStatistics = (day, numBlocks, numTransactions, totalFee) => ({
+			day,
+			timestamp: Long.fromNumber(day * Milliseconds_Per_Day),
+			numBlocks,
+			numTransactions,
+			totalFee: Long.fromNumber(totalFee)
+		});
+
+		it('returns empty array when there are no blocks', () => runDbTest(
+			{ blocks: [] },
+			db => db.dailyTransactionStatistics(7),
+			statistics => { expect(statistics).to.deep.equal([]); }
+		));
+
+		it('groups blocks by day', () => {
+			// Arrange: blocks on days 0, 2 and 3
+			const blocks = [
+				createBlock(1, 1000, { numTransactions: 1, totalFee: 10 }),
+				createBlock(2, (2 * Milliseconds_Per_Day) + 1000, { numTransactions: 2, totalFee: 20 }),
+				createBlock(3, (2 * Milliseconds_Per_Day) + 2000, { numTransactions: 3, totalFee: 30 }),
+				createBlock(4, (3 * Milliseconds_Per_Day) + 1000, { numTransactions: 4, totalFee: 40 })
+			];
+
+			// Assert:
+			return runDbTest(
+				{ blocks },
+				db => db.dailyTransactionStatistics(10),
+				statistics => {
+					expect(statistics).to.deep.equal([
+						createDayStatistics(0, 1, 1, 10),
+						createDayStatistics(2, 2, 5, 50),
+						createDayStatistics(3, 1, 4, 40)
+					]);
+				}
+			);
+		});
+
+		it('only includes most recent days', () => {
+			// Arrange: blocks on days 0, 2 and 3
+			const blocks = [
+				createBlock(1, 1000),
+				createBlock(2, (2 * Milliseconds_Per_Day) + 1000),
+				createBlock(3, (3 * Milliseconds_Per_Day) + 1000)
+			];
+
+			// Assert: the last two days are days 2 and 3
+			return runDbTest(
+				{ blocks },
+				db => db.dailyTransactionStatistics(2),
+				statistics => { expect(statistics.map(day => day.day)).to.deep.equal([2, 3]); }
+			);
+		});
+	});
+});
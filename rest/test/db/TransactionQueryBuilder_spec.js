@@ -0,0 +1,177 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const TransactionQueryBuilder = require('../../src/db/TransactionQueryBuilder');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Long } = MongoDb;
+
+describe('transaction query builder', () => {
+	it('matches all documents when no filters are set', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder().build();
+
+		// Assert:
+		expect(conditions).to.deep.equal({ $and: [{}] });
+	});
+
+	it('ignores undefined filters', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder()
+			.types(undefined)
+			.signer(undefined)
+			.recipient(undefined)
+			.heightRange(undefined, undefined)
+			.mosaicId(undefined)
+			.build();
+
+		// Assert:
+		expect(conditions).to.deep.equal({ $and: [{}] });
+	});
+
+	it('ignores empty types', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder().types([]).build();
+
+		// Assert:
+		expect(conditions).to.deep.equal({ $and: [{}] });
+	});
+
+	it('can filter by types', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder().types([0x4154, 0x414D]).build();
+
+		// Assert:
+		expect(conditions).to.deep.equal({ $and: [{ 'transaction.type': { $in: [0x4154, 0x414D] } }] });
+	});
+
+	it('can filter by signer', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder().signer(new Uint8Array([1, 2, 3])).build();
+
+		// Assert:
+		expect(conditions).to.deep.equal({ $and: [{ 'transaction.signer': Buffer.of(1, 2, 3) }] });
+	});
+
+	it('can filter by recipient', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder().recipient(new Uint8Array([4, 5, 6])).build();
+
+		// Assert:
+		expect(conditions).to.deep.equal({ $and: [{ 'transaction.recipient': Buffer.of(4, 5, 6) }] });
+	});
+
+	describe('height range', () => {
+		it('can filter by min height', () => {
+			// Act:
+			const conditions = new TransactionQueryBuilder().heightRange(10, undefined).build();
+
+			// Assert:
+			expect(conditions).to.deep.equal({ $and: [{ 'meta.height': { $gte: Long.fromNumber(10) } }] });
+		});
+
+		it('can filter by max height', () => {
+			// Act:
+			const conditions = new TransactionQueryBuilder().heightRange(undefined, 20).build();
+
+			// Assert:
+			expect(conditions).to.deep.equal({ $and: [{ 'meta.height': { $lte: Long.fromNumber(20) } }] });
+		});
+
+		it('can filter by min and max height', () => {
+			// Act:
+			const conditions = new TransactionQueryBuilder().heightRange(0, [20, 0]).build();
+
+			// Assert:
+			expect(conditions).to.deep.equal({ $and: [{ 'meta.height': { $gte: Long.fromNumber(0), $lte: new Long(20, 0) } }] });
+		});
+	});
+
+	it('can filter by mosaic id', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder().mosaicId([0x90ABCDEF, 0x12345678]).build();
+
+		// Assert:
+		const mosaicId = new Long(0x90ABCDEF, 0x12345678);
+		expect(conditions).to.deep.equal({
+			$and: [{ $or: [{ 'transaction.mosaics.id': mosaicId }, { 'transaction.mosaicId': mosaicId }] }]
+		});
+	});
+
+	describe('embedded', () => {
+		it('excludes embedded transactions when not requested', () => {
+			// Act:
+			const conditions = new TransactionQueryBuilder().embedded(false).build();
+
+			// Assert:
+			expect(conditions).to.deep.equal({ $and: [{ 'meta.aggregateId': { $exists: false } }] });
+		});
+
+		it('excludes embedded transactions by default', () => {
+			// Act:
+			const conditions = new TransactionQueryBuilder().embedded(undefined).build();
+
+			// Assert:
+			expect(conditions).to.deep.equal({ $and: [{ 'meta.aggregateId': { $exists: false } }] });
+		});
+
+		it('includes embedded transactions when requested', () => {
+			// Act:
+			const conditions = new TransactionQueryBuilder().embedded(true).build();
+
+			// Assert:
+			expect(conditions).to.deep.equal({ $and: [{}] });
+		});
+	});
+
+	it('can combine filters', () => {
+		// Act:
+		const conditions = new TransactionQueryBuilder()
+			.types([0x4154])
+			.signer(new Uint8Array([1, 2, 3]))
+			.heightRange(10, undefined)
+			.embedded(false)
+			.build();
+
+		// Assert:
+		expect(conditions).to.deep.equal({
+			$and: [
+				{ 'transaction.type': { $in: [0x4154] } },
+				{ 'transaction.signer': Buffer.of(1, 2, 3) },
+				{ 'meta.height': { $gte: Long.fromNumber(10) } },
+				{ 'meta.aggregateId': { $exists: false } }
+			]
+		});
+	});
+
+	it('returns independent conditions on each build', () => {
+		// Arrange:
+		const builder = new TransactionQueryBuilder().types([0x4154]);
+
+		// Act:
+		const conditions1 = builder.build();
+		conditions1.$and.push({ _id: 1 });
+		const conditions2 = builder.build();
+
+		// Assert:
+		expect(conditions2).to.deep.equal({ $and: [{ 'transaction.type': { $in: [0x4154] } }] });
+	});
+});
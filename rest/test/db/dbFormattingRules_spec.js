@@ -61,6 +61,14 @@ describe('db formatting rules', () => {
 		expect(result).to.equal('FEDCBA9876543210');
 	});
 
+	it('can format double type', () => {
+		// Act:
+		const result = formattingRules[ModelType.double](0.25);
+
+		// Assert:
+		expect(result).to.equal(0.25);
+	});
+
 	it('can format object id type', () => {
 		// Arrange:
 		const object = test.factory.createObjectIdFromHexString('3AEDCBA9876F94725732547F');
@@ -115,6 +123,14 @@ describe('db formatting rules', () => {
 		expect(result).to.deep.equal(17434);
 	});
 
+	it('can format uint32 type', () => {
+		// Act:
+		const result = formattingRules[ModelType.uint32](0xFFFFFFFF);
+
+		// Assert:
+		expect(result).to.equal(0xFFFFFFFF);
+	});
+
 	it('can format uint64 type from Long', () => {
 		// Arrange:
 		const object = convertToLong([1, 2]);
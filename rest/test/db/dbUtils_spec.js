@@ -86,4 +86,44 @@ describe('db utils', () => {
 			expect(() => dbUtils.longToUint64('abc')).to.throw('abc has an invalid format: not long');
 		});
 	});
+
+	describe('documentToModel', () => {
+		it('converts binary and long values', () => {
+			// Act:
+			const model = dbUtils.documentToModel({
+				signer: new MongoDb.Binary(Buffer.of(0x12, 0x34)),
+				maxFee: MongoDb.Long(123, 456),
+				type: 0x4154
+			});
+
+			// Assert:
+			expect(model).to.deep.equal({ signer: new Uint8Array([0x12, 0x34]), maxFee: [123, 456], type: 0x4154 });
+		});
+
+		it('converts nested objects and arrays', () => {
+			// Act:
+			const model = dbUtils.documentToModel({
+				message: { type: 0, payload: new MongoDb.Binary(Buffer.of(0xAB)) },
+				mosaics: [{ id: MongoDb.Long(1, 2), amount: MongoDb.Long(3, 0) }]
+			});
+
+			// Assert:
+			expect(model).to.deep.equal({
+				message: { type: 0, payload: new Uint8Array([0xAB]) },
+				mosaics: [{ id: [1, 2], amount: [3, 0] }]
+			});
+		});
+
+		it('leaves other values unchanged', () => {
+			// Arrange:
+			const objectId = new MongoDb.ObjectId();
+
+			// Act:
+			const model = dbUtils.documentToModel({ id: objectId, name: 'foo', value: null });
+
+			// Assert:
+			expect(model.id).to.equal(objectId);
+			expect(model).to.deep.equal({ id: objectId, name: 'foo', value: null });
+		});
+	});
 });
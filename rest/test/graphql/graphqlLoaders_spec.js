@@ -0,0 +1,293 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const graphqlLoaders = require('../../src/graphql/graphqlLoaders');
+const AccountType = require('../../src/plugins/AccountType');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Binary, Long } = MongoDb;
+
+const AliasType = catapult.model.namespace.aliasType;
+
+describe('graphql loaders', () => {
+	const createAddress = byte => new Uint8Array(25).fill(byte);
+	const createAccount = byte => ({ account: { address: new Binary(Buffer.from(createAddress(byte))) } });
+
+	const createCatapultDb = accounts => {
+		const db = { accountsByIdsCalls: [] };
+		db.accountsByIds = ids => {
+			db.accountsByIdsCalls.push(ids);
+			return Promise.resolve(accounts);
+		};
+		return db;
+	};
+
+	describe('plugin loaders', () => {
+		it('only creates core loaders when no plugins are enabled', () => {
+			// Act:
+			const loaders = graphqlLoaders.createLoaders({}, {});
+
+			// Assert:
+			expect(Object.keys(loaders)).to.deep.equal(['accounts', 'transactions', 'accountTransactions']);
+		});
+
+		it('creates loaders for enabled plugins', () => {
+			// Act:
+			const loaders = graphqlLoaders.createLoaders({}, {
+				lockHash: {}, mosaic: {}, multisig: {}, namespace: {}
+			});
+
+			// Assert:
+			expect(Object.keys(loaders)).to.deep.equal([
+				'accounts', 'transactions', 'accountTransactions', 'hashLocks', 'mosaics', 'multisigs', 'accountNames', 'mosaicNames'
+			]);
+		});
+	});
+
+	describe('accounts', () => {
+		it('batches loads into single database call', () => {
+			// Arrange:
+			const db = createCatapultDb([createAccount(0x11), createAccount(0x22)]);
+			const loaders = graphqlLoaders.createLoaders(db, {});
+
+			// Act:
+			return Promise.all([
+				loaders.accounts.load(createAddress(0x22)),
+				loaders.accounts.load(createAddress(0x11))
+			]).then(accounts => {
+				// Assert:
+				expect(db.accountsByIdsCalls).to.deep.equal([[
+					{ [AccountType.address]: createAddress(0x22) },
+					{ [AccountType.address]: createAddress(0x11) }
+				]]);
+				expect(accounts).to.deep.equal([createAccount(0x22), createAccount(0x11)]);
+			});
+		});
+
+		it('caches loaded accounts', () => {
+			// Arrange:
+			const db = createCatapultDb([createAccount(0x11)]);
+			const loaders = graphqlLoaders.createLoaders(db, {});
+
+			// Act:
+			return loaders.accounts.load(createAddress(0x11))
+				.then(() => loaders.accounts.load(createAddress(0x11)))
+				.then(account => {
+					// Assert:
+					expect(db.accountsByIdsCalls.length).to.equal(1);
+					expect(account).to.deep.equal(createAccount(0x11));
+				});
+		});
+
+		it('resolves unknown accounts to null', () => {
+			// Arrange:
+			const db = createCatapultDb([createAccount(0x11)]);
+			const loaders = graphqlLoaders.createLoaders(db, {});
+
+			// Act:
+			return loaders.accounts.loadMany([createAddress(0x11), createAddress(0x33)]).then(accounts => {
+				// Assert:
+				expect(accounts).to.deep.equal([createAccount(0x11), null]);
+			});
+		});
+	});
+
+	describe('account transactions', () => {
+		const createTransactionsDb = () => {
+			const db = { accountTransactionsAllCalls: [] };
+			db.accountTransactionsAll = (...args) => {
+				db.accountTransactionsAllCalls.push(args);
+				return Promise.resolve([{ meta: { index: db.accountTransactionsAllCalls.length } }]);
+			};
+			return db;
+		};
+
+		it('loads page per distinct public key and page size', () => {
+			// Arrange:
+			const db = createTransactionsDb();
+			const loaders = graphqlLoaders.createLoaders(db, {});
+			const publicKey = new Uint8Array(32).fill(0x11);
+
+			// Act:
+			return Promise.all([
+				loaders.accountTransactions.load({ id: publicKey, pageSize: 10 }),
+				loaders.accountTransactions.load({ id: publicKey, pageSize: 25 }),
+				loaders.accountTransactions.load({ id: new Uint8Array(32).fill(0x11), pageSize: 10 })
+			]).then(pages => {
+				// Assert:
+				expect(db.accountTransactionsAllCalls).to.deep.equal([
+					[publicKey, undefined, 10, -1, {}],
+					[publicKey, undefined, 25, -1, {}]
+				]);
+				expect(pages).to.deep.equal([[{ meta: { index: 1 } }], [{ meta: { index: 2 } }], [{ meta: { index: 1 } }]]);
+			});
+		});
+
+		it('caches loaded pages', () => {
+			// Arrange:
+			const db = createTransactionsDb();
+			const loaders = graphqlLoaders.createLoaders(db, {});
+			const key = { id: new Uint8Array(32).fill(0x11), pageSize: 10 };
+
+			// Act:
+			return loaders.accountTransactions.load(key)
+				.then(() => loaders.accountTransactions.load(key))
+				.then(page => {
+					// Assert:
+					expect(db.accountTransactionsAllCalls.length).to.equal(1);
+					expect(page).to.deep.equal([{ meta: { index: 1 } }]);
+				});
+		});
+	});
+
+	describe('hash locks', () => {
+		it('loads page per distinct address and page size', () => {
+			// Arrange:
+			const lockHashDb = { hashLocksByAccountsCalls: [] };
+			lockHashDb.hashLocksByAccounts = (...args) => {
+				lockHashDb.hashLocksByAccountsCalls.push(args);
+				return Promise.resolve([{ lock: { index: lockHashDb.hashLocksByAccountsCalls.length } }]);
+			};
+			const loaders = graphqlLoaders.createLoaders({}, { lockHash: lockHashDb });
+
+			// Act:
+			return Promise.all([
+				loaders.hashLocks.load({ id: createAddress(0x11), pageSize: 10 }),
+				loaders.hashLocks.load({ id: createAddress(0x22), pageSize: 10 }),
+				loaders.hashLocks.load({ id: createAddress(0x11), pageSize: 10 })
+			]).then(pages => {
+				// Assert:
+				expect(lockHashDb.hashLocksByAccountsCalls).to.deep.equal([
+					[AccountType.address, [createAddress(0x11)], undefined, 10, {}],
+					[AccountType.address, [createAddress(0x22)], undefined, 10, {}]
+				]);
+				expect(pages).to.deep.equal([[{ lock: { index: 1 } }], [{ lock: { index: 2 } }], [{ lock: { index: 1 } }]]);
+			});
+		});
+	});
+
+	describe('mosaics', () => {
+		it('batches loads and matches results by id', () => {
+			// Arrange:
+			const mosaicDbCalls = [];
+			const mosaicDb = {
+				mosaicsByIds: ids => {
+					mosaicDbCalls.push(ids);
+					return Promise.resolve([{ mosaic: { mosaicId: new Long(0x34, 0x12) } }]);
+				}
+			};
+			const loaders = graphqlLoaders.createLoaders({}, { mosaic: mosaicDb });
+
+			// Act:
+			return Promise.all([loaders.mosaics.load([0x56, 0x12]), loaders.mosaics.load([0x34, 0x12])]).then(mosaics => {
+				// Assert:
+				expect(mosaicDbCalls).to.deep.equal([[[0x56, 0x12], [0x34, 0x12]]]);
+				expect(mosaics).to.deep.equal([null, { mosaic: { mosaicId: new Long(0x34, 0x12) } }]);
+			});
+		});
+	});
+
+	describe('names', () => {
+		const createNamespace = (levels, alias) => {
+			const namespace = { depth: levels.length, alias };
+			levels.forEach((level, index) => {
+				namespace[`level${index}`] = Long.fromNumber(level);
+			});
+			return { namespace };
+		};
+
+		const createRegisterNamespaceTransaction = (id, name) => ({
+			transaction: { namespaceId: Long.fromNumber(id), name: new Binary(Buffer.from(name)) }
+		});
+
+		const createNamespaceDb = (namespaces, transactions) => {
+			const namespaceDb = { aliasCalls: [], transactionCalls: [] };
+			namespaceDb.activeNamespacesWithAlias = (aliasType, ids) => {
+				namespaceDb.aliasCalls.push({ aliasType, ids });
+				return Promise.resolve(namespaces);
+			};
+			namespaceDb.registerNamespaceTransactionsByNamespaceIds = ids => {
+				namespaceDb.transactionCalls.push(ids);
+				return Promise.resolve(transactions);
+			};
+			return namespaceDb;
+		};
+
+		it('resolves sorted full names of accounts', () => {
+			// Arrange:
+			const namespaceDb = createNamespaceDb(
+				[
+					createNamespace([1, 2], { address: new Binary(Buffer.from(createAddress(0x11))) }),
+					createNamespace([3], { address: new Binary(Buffer.from(createAddress(0x11))) })
+				],
+				[
+					createRegisterNamespaceTransaction(1, 'foo'),
+					createRegisterNamespaceTransaction(2, 'bar'),
+					createRegisterNamespaceTransaction(3, 'alpha')
+				]
+			);
+			const loaders = graphqlLoaders.createLoaders({}, { namespace: namespaceDb });
+
+			// Act:
+			return Promise.all([
+				loaders.accountNames.load(createAddress(0x11)),
+				loaders.accountNames.load(createAddress(0x22))
+			]).then(names => {
+				// Assert:
+				expect(namespaceDb.aliasCalls).to.deep.equal([
+					{ aliasType: AliasType.address, ids: [createAddress(0x11), createAddress(0x22)] }
+				]);
+				expect(namespaceDb.transactionCalls).to.deep.equal([[Long.fromNumber(1), Long.fromNumber(2), Long.fromNumber(3)]]);
+				expect(names).to.deep.equal([['alpha', 'foo.bar'], []]);
+			});
+		});
+
+		it('resolves names of mosaics', () => {
+			// Arrange:
+			const namespaceDb = createNamespaceDb(
+				[createNamespace([1], { mosaicId: new Long(0x34, 0x12) })],
+				[createRegisterNamespaceTransaction(1, 'cat')]
+			);
+			const loaders = graphqlLoaders.createLoaders({}, { namespace: namespaceDb });
+
+			// Act:
+			return loaders.mosaicNames.load([0x34, 0x12]).then(names => {
+				// Assert:
+				expect(namespaceDb.aliasCalls).to.deep.equal([{ aliasType: AliasType.mosaic, ids: [[0x34, 0x12]] }]);
+				expect(names).to.deep.equal(['cat']);
+			});
+		});
+
+		it('does not query transactions when no namespaces are linked', () => {
+			// Arrange:
+			const namespaceDb = createNamespaceDb([], []);
+			const loaders = graphqlLoaders.createLoaders({}, { namespace: namespaceDb });
+
+			// Act:
+			return loaders.mosaicNames.load([0x34, 0x12]).then(names => {
+				// Assert:
+				expect(namespaceDb.transactionCalls).to.deep.equal([]);
+				expect(names).to.deep.equal([]);
+			});
+		});
+	});
+});
@@ -0,0 +1,84 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const graphqlRules = require('../../src/graphql/graphqlRules');
+const { expect } = require('chai');
+const { buildSchema, parse, validate } = require('graphql');
+
+describe('graphql rules', () => {
+	describe('max depth rule', () => {
+		const schema = buildSchema(`
+			type Node { name: String, child: Node }
+			type Query { node: Node }
+		`);
+
+		const validateDepth = (query, maxDepth) =>
+			validate(schema, parse(query), [graphqlRules.createMaxDepthRule(maxDepth)]).map(error => error.message);
+
+		it('accepts operation with depth equal to max depth', () => {
+			expect(validateDepth('{ node { child { name } } }', 3)).to.deep.equal([]);
+		});
+
+		it('rejects operation with depth exceeding max depth', () => {
+			expect(validateDepth('{ node { child { name } } }', 2))
+				.to.deep.equal(['operation has depth 3, which exceeds maximum depth 2']);
+		});
+
+		it('uses deepest selection to determine depth', () => {
+			expect(validateDepth('{ node { name child { child { name } } } }', 3))
+				.to.deep.equal(['operation has depth 4, which exceeds maximum depth 3']);
+		});
+
+		it('includes selections of fragments', () => {
+			// Arrange:
+			const query = `
+				{ node { ...Children ... on Node { name } } }
+				fragment Children on Node { child { child { name } } }
+			`;
+
+			// Act + Assert:
+			expect(validateDepth(query, 3)).to.deep.equal(['operation has depth 4, which exceeds maximum depth 3']);
+		});
+
+		it('includes selections of inline fragments', () => {
+			expect(validateDepth('{ node { ... on Node { child { name } } } }', 2))
+				.to.deep.equal(['operation has depth 3, which exceeds maximum depth 2']);
+		});
+
+		it('ignores unknown and cyclic fragments', () => {
+			// Arrange:
+			const query = `
+				{ node { ...Unknown ...Cyclic } }
+				fragment Cyclic on Node { child { ...Cyclic } }
+			`;
+
+			// Act + Assert:
+			expect(validateDepth(query, 3)).to.deep.equal([]);
+		});
+
+		it('validates each operation independently', () => {
+			// Arrange:
+			const query = 'query Shallow { node { name } } query Deep { node { child { name } } }';
+
+			// Act + Assert:
+			expect(validateDepth(query, 2)).to.deep.equal(['operation has depth 3, which exceeds maximum depth 2']);
+		});
+	});
+});
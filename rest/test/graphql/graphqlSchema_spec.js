@@ -0,0 +1,274 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const dbFormattingRules = require('../../src/db/dbFormattingRules');
+const graphqlLoaders = require('../../src/graphql/graphqlLoaders');
+const graphqlSchema = require('../../src/graphql/graphqlSchema');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const { graphql, validateSchema } = require('graphql');
+const MongoDb = require('mongodb');
+
+const { address } = catapult.model;
+const { convert } = catapult.utils;
+const { Binary, Long } = MongoDb;
+
+describe('graphql schema', () => {
+	const Network_Id = 0x90;
+	const Plugin_Names = ['lockHash', 'mosaic', 'multisig', 'namespace'];
+	const { schema: modelSchema } = catapult.plugins.catapultModelSystem.configure(Plugin_Names, { json: dbFormattingRules });
+
+	const createPublicKey = byte => new Uint8Array(32).fill(byte);
+	const createAddress = byte => address.publicKeyToAddress(createPublicKey(byte), Network_Id);
+	const toBinary = buffer => new Binary(Buffer.from(buffer));
+	const Page_Size_Bounds = { min: 10, max: 100, step: 25 };
+
+	const createAccount = (byte, mosaicIds) => ({
+		account: {
+			address: toBinary(createAddress(byte)),
+			publicKey: toBinary(createPublicKey(byte)),
+			publicKeyHeight: Long.ZERO,
+			mosaics: mosaicIds.map(id => ({ id: Long.fromNumber(id), amount: Long.fromNumber(id * 10) }))
+		}
+	});
+
+	const createCallCounter = (name, handler) => {
+		const counter = { calls: 0 };
+		counter[name] = (...args) => {
+			++counter.calls;
+			return handler(...args);
+		};
+		return counter;
+	};
+
+	const runQuery = (db, pluginDbs, query) => graphql({
+		schema: graphqlSchema.createSchema(modelSchema, db, pluginDbs, Page_Size_Bounds),
+		source: query,
+		contextValue: { loaders: graphqlLoaders.createLoaders(db, pluginDbs) }
+	});
+
+	describe('schema', () => {
+		const getQueryFieldNames = pluginDbs => {
+			const schema = graphqlSchema.createSchema(modelSchema, {}, pluginDbs, Page_Size_Bounds);
+			return Object.keys(schema.getQueryType().getFields());
+		};
+
+		it('is valid', () => {
+			// Act:
+			const pluginDbs = {
+				lockHash: {}, mosaic: {}, multisig: {}, namespace: {}
+			};
+			const schema = graphqlSchema.createSchema(modelSchema, {}, pluginDbs, Page_Size_Bounds);
+
+			// Assert:
+			expect(validateSchema(schema)).to.deep.equal([]);
+		});
+
+		it('only exposes core query fields when no plugins are enabled', () => {
+			expect(getQueryFieldNames({})).to.deep.equal(['chainInfo', 'block', 'transaction', 'account', 'accounts']);
+		});
+
+		it('exposes plugin query fields when plugins are enabled', () => {
+			expect(getQueryFieldNames({ mosaic: {}, namespace: {} }))
+				.to.deep.equal(['chainInfo', 'block', 'transaction', 'account', 'accounts', 'mosaic', 'namespace']);
+		});
+
+		it('only exposes plugin extension fields when plugins are enabled', () => {
+			// Act:
+			const schema = graphqlSchema.createSchema(modelSchema, {}, { multisig: {} }, Page_Size_Bounds);
+
+			// Assert:
+			const accountFields = schema.getType('AccountWithMetadata').getFields();
+			expect(accountFields).to.contain.all.keys('transactions', 'multisig');
+			expect(accountFields).to.not.contain.any.keys('names', 'hashLocks');
+			expect(schema.getType('Mosaic').getFields()).to.not.contain.any.keys('definition', 'names');
+		});
+	});
+
+	describe('queries', () => {
+		it('can query chain info', () => {
+			// Arrange:
+			const chainInfo = { height: Long.fromNumber(1234), scoreLow: Long.ZERO, scoreHigh: Long.ZERO };
+			const db = { chainInfo: () => Promise.resolve(chainInfo) };
+
+			// Act:
+			return runQuery(db, {}, '{ chainInfo { height } }').then(result => {
+				// Assert:
+				expect(result).to.deep.equal({ data: { chainInfo: { height: '1234' } } });
+			});
+		});
+
+		it('can query account by public key', () => {
+			// Arrange:
+			const db = Object.assign(
+				createCallCounter('accountsByIds', () => Promise.resolve([createAccount(0x11, [])])),
+				{ networkId: Network_Id }
+			);
+
+			// Act:
+			const publicKey = convert.uint8ToHex(createPublicKey(0x11));
+			return runQuery(db, {}, `{ account(id: "${publicKey}") { account { address publicKey } } }`).then(result => {
+				// Assert:
+				expect(result).to.deep.equal({
+					data: {
+						account: {
+							account: { address: convert.uint8ToHex(createAddress(0x11)), publicKey }
+						}
+					}
+				});
+			});
+		});
+
+		it('returns error when account id is invalid', () =>
+			runQuery({}, {}, '{ account(id: "ABC") { account { address } } }').then(result => {
+				// Assert:
+				expect(result.data).to.deep.equal({ account: null });
+				expect(result.errors.length).to.equal(1);
+				expect(result.errors[0].message).to.equal('id has an invalid format');
+			}));
+
+		it('does not query transactions of account with unknown public key', () => {
+			// Arrange:
+			const db = {
+				networkId: Network_Id,
+				accountsByIds: () => Promise.resolve([createAccount(0x11, [])]),
+				accountTransactionsAll: () => { throw Error('accountTransactionsAll should not be called'); }
+			};
+
+			// Act:
+			const encodedAddress = address.addressToString(createAddress(0x11));
+			return runQuery(db, {}, `{ account(id: "${encodedAddress}") { transactions { json } } }`).then(result => {
+				// Assert:
+				expect(result).to.deep.equal({ data: { account: { transactions: [] } } });
+			});
+		});
+
+		describe('account pages', () => {
+			const createKnownAccount = byte => {
+				const account = createAccount(byte, []);
+				account.account.publicKeyHeight = Long.ONE;
+				return account;
+			};
+
+			const createDbs = () => {
+				const db = {
+					networkId: Network_Id,
+					accountsByIds: () => Promise.resolve([createKnownAccount(0x11), createKnownAccount(0x22)]),
+					accountTransactionsAllCalls: []
+				};
+				db.accountTransactionsAll = (...args) => {
+					db.accountTransactionsAllCalls.push(args);
+					return Promise.resolve([]);
+				};
+
+				const lockHashDb = { hashLocksByAccountsCalls: [] };
+				lockHashDb.hashLocksByAccounts = (...args) => {
+					lockHashDb.hashLocksByAccountsCalls.push(args);
+					return Promise.resolve([]);
+				};
+
+				return { db, lockHashDb };
+			};
+
+			const ids = [0x11, 0x22, 0x11].map(byte => `"${address.addressToString(createAddress(byte))}"`).join(', ');
+
+			it('loads transactions and hash locks with default page size', () => {
+				// Arrange:
+				const { db, lockHashDb } = createDbs();
+
+				// Act:
+				const query = `{ accounts(ids: [${ids}]) { transactions { json } hashLocks { json } } }`;
+				return runQuery(db, { lockHash: lockHashDb }, query).then(result => {
+					// Assert: duplicate accounts are only loaded once
+					expect(result.errors).to.equal(undefined);
+					expect(db.accountTransactionsAllCalls).to.deep.equal([
+						[Buffer.from(createPublicKey(0x11)), undefined, 10, -1, {}],
+						[Buffer.from(createPublicKey(0x22)), undefined, 10, -1, {}]
+					]);
+					expect(lockHashDb.hashLocksByAccountsCalls).to.deep.equal([
+						['address', [Buffer.from(createAddress(0x11))], undefined, 10, {}],
+						['address', [Buffer.from(createAddress(0x22))], undefined, 10, {}]
+					]);
+				});
+			});
+
+			it('loads transactions and hash locks with custom page size', () => {
+				// Arrange:
+				const { db, lockHashDb } = createDbs();
+
+				// Act:
+				const query = `{ accounts(ids: [${ids}]) { transactions(pageSize: 25) { json } hashLocks(pageSize: 50) { json } } }`;
+				return runQuery(db, { lockHash: lockHashDb }, query).then(result => {
+					// Assert:
+					expect(result.errors).to.equal(undefined);
+					expect(db.accountTransactionsAllCalls.map(args => args[2])).to.deep.equal([25, 25]);
+					expect(lockHashDb.hashLocksByAccountsCalls.map(args => args[3])).to.deep.equal([50, 50]);
+				});
+			});
+		});
+
+		it('batches nested plugin lookups across accounts', () => {
+			// Arrange:
+			const db = Object.assign(
+				createCallCounter('accountsByIds', () => Promise.resolve([createAccount(0x11, [1, 2]), createAccount(0x22, [2])])),
+				{ networkId: Network_Id }
+			);
+			const mosaicDb = createCallCounter('mosaicsByIds', () => Promise.resolve([
+				{ mosaic: { mosaicId: Long.fromNumber(1), supply: Long.fromNumber(100) } },
+				{ mosaic: { mosaicId: Long.fromNumber(2), supply: Long.fromNumber(200) } }
+			]));
+			const multisigDb = createCallCounter('multisigsByAccounts', () => Promise.resolve([
+				{ multisig: { accountAddress: toBinary(createAddress(0x22)) } }
+			]));
+
+			// Act:
+			const ids = [0x11, 0x22].map(byte => `"${address.addressToString(createAddress(byte))}"`).join(', ');
+			const query = `{ accounts(ids: [${ids}]) {
+				multisig { multisig { accountAddress } }
+				account { mosaics { id amount definition { mosaic { supply } } } }
+			} }`;
+			return runQuery(db, { mosaic: mosaicDb, multisig: multisigDb }, query).then(result => {
+				// Assert:
+				expect(result.errors).to.equal(undefined);
+				expect(result.data.accounts).to.deep.equal([
+					{
+						multisig: null,
+						account: {
+							mosaics: [
+								{ id: '1', amount: '10', definition: { mosaic: { supply: '100' } } },
+								{ id: '2', amount: '20', definition: { mosaic: { supply: '200' } } }
+							]
+						}
+					},
+					{
+						multisig: { multisig: { accountAddress: convert.uint8ToHex(createAddress(0x22)) } },
+						account: {
+							mosaics: [
+								{ id: '2', amount: '20', definition: { mosaic: { supply: '200' } } }
+							]
+						}
+					}
+				]);
+
+				expect([db.calls, mosaicDb.calls, multisigDb.calls]).to.deep.equal([1, 1, 1]);
+			});
+		});
+	});
+});
@@ -0,0 +1,248 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const graphqlTypes = require('../../src/graphql/graphqlTypes');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const {
+	GraphQLObjectType, GraphQLSchema, GraphQLString, graphqlSync, validateSchema
+} = require('graphql');
+const MongoDb = require('mongodb');
+
+const { ModelType } = catapult.model;
+const { Binary, Long, ObjectId } = MongoDb;
+
+describe('graphql types', () => {
+	describe('to type name', () => {
+		it('converts schema names to pascal case', () => {
+			expect(graphqlTypes.toTypeName('foo')).to.equal('Foo');
+			expect(graphqlTypes.toTypeName('fooBar')).to.equal('FooBar');
+			expect(graphqlTypes.toTypeName('fooBar.baz.qux')).to.equal('FooBarBazQux');
+		});
+	});
+
+	describe('create object types', () => {
+		const runQuery = (modelSchema, entity, query, extensionFields) => {
+			// Arrange:
+			const types = graphqlTypes.createObjectTypes(modelSchema, extensionFields);
+			const schema = new GraphQLSchema({
+				query: new GraphQLObjectType({ name: 'Query', fields: { entity: { type: types.foo, resolve: () => entity } } })
+			});
+
+			// Act:
+			const result = graphqlSync(schema, `{ entity ${query} }`);
+
+			// Assert:
+			expect(result.errors).to.equal(undefined);
+			return result.data.entity;
+		};
+
+		it('creates named type for each schema', () => {
+			// Act:
+			const types = graphqlTypes.createObjectTypes({ foo: {}, 'foo.bar': {} });
+
+			// Assert:
+			expect(Object.keys(types)).to.deep.equal(['foo', 'foo.bar']);
+			expect(types.foo.name).to.equal('Foo');
+			expect(types['foo.bar'].name).to.equal('FooBar');
+		});
+
+		it('formats primitive properties', () => {
+			// Arrange:
+			const modelSchema = {
+				foo: {
+					alpha: ModelType.none,
+					beta: ModelType.binary,
+					gamma: ModelType.objectId,
+					delta: ModelType.statusCode,
+					epsilon: ModelType.string,
+					zeta: ModelType.uint16,
+					eta: ModelType.uint64,
+					theta: ModelType.double,
+					iota: ModelType.uint32
+				}
+			};
+			const entity = {
+				alpha: { x: 1 },
+				beta: new Binary(Buffer.from([0x12, 0xAB])),
+				gamma: new ObjectId('112233445566778899AABBCC'),
+				delta: 0x80530001,
+				epsilon: Buffer.from('hello'),
+				zeta: 0x1234,
+				eta: Long.fromString('12345678901234'),
+				theta: 0.25,
+				iota: 0xFFFFFFFF
+			};
+
+			// Act:
+			const result = runQuery(modelSchema, entity, '{ alpha beta gamma delta epsilon zeta eta theta iota }');
+
+			// Assert:
+			expect(result).to.deep.equal({
+				alpha: { x: 1 },
+				beta: '12AB',
+				gamma: '112233445566778899AABBCC',
+				delta: catapult.model.status.toString(0x80530001),
+				epsilon: 'hello',
+				zeta: 0x1234,
+				eta: '12345678901234',
+				theta: 0.25,
+				iota: 0xFFFFFFFF
+			});
+		});
+
+		it('formats uint64 values as decimal strings', () => {
+			// Arrange:
+			const modelSchema = { foo: { values: { type: ModelType.array, schemaName: ModelType.uint64 } } };
+			const entity = {
+				values: [
+					Long.ZERO,
+					new Long(0xFFFFFFFF, 0),
+					new Long(0, 1),
+					new Long(0x2D7E0A9D, 0xD1A9BB2E),
+					new Long(0xFFFFFFFF, 0xFFFFFFFF)
+				]
+			};
+
+			// Act:
+			const result = runQuery(modelSchema, entity, '{ values }');
+
+			// Assert:
+			expect(result.values).to.deep.equal(['0', '4294967295', '4294967296', '15107812231997164189', '18446744073709551615']);
+		});
+
+		it('returns null for missing properties', () => {
+			// Act:
+			const result = runQuery({ foo: { alpha: ModelType.binary, beta: ModelType.uint64 } }, {}, '{ alpha beta }');
+
+			// Assert:
+			expect(result).to.deep.equal({ alpha: null, beta: null });
+		});
+
+		it('formats composite properties', () => {
+			// Arrange:
+			const modelSchema = {
+				foo: {
+					alpha: { type: ModelType.object, schemaName: 'bar' },
+					beta: { type: ModelType.array, schemaName: 'bar' },
+					gamma: { type: ModelType.array, schemaName: ModelType.uint64 }
+				},
+				bar: { value: ModelType.binary }
+			};
+			const entity = {
+				alpha: { value: new Binary(Buffer.from([0x01])) },
+				beta: [{ value: new Binary(Buffer.from([0x02])) }, { value: new Binary(Buffer.from([0x03])) }],
+				gamma: [Long.fromNumber(7), Long.fromNumber(9)]
+			};
+
+			// Act:
+			const result = runQuery(modelSchema, entity, '{ alpha { value } beta { value } gamma }');
+
+			// Assert:
+			expect(result).to.deep.equal({
+				alpha: { value: '01' },
+				beta: [{ value: '02' }, { value: '03' }],
+				gamma: ['7', '9']
+			});
+		});
+
+		it('formats entity dependent and dictionary properties as json', () => {
+			// Arrange:
+			const modelSchema = {
+				foo: {
+					alpha: { type: ModelType.object, schemaName: entity => entity.kind },
+					beta: { type: ModelType.array, schemaName: entity => entity.kind },
+					gamma: { type: ModelType.dictionary, schemaName: 'bar' }
+				},
+				bar: { value: ModelType.uint64 },
+				baz: { value: ModelType.binary }
+			};
+			const entity = {
+				alpha: { kind: 'bar', value: Long.fromNumber(5) },
+				beta: [{ kind: 'bar', value: Long.fromNumber(6) }, { kind: 'baz', value: new Binary(Buffer.from([0x04])) }],
+				gamma: { x: { value: Long.fromNumber(8) } }
+			};
+
+			// Act:
+			const result = runQuery(modelSchema, entity, '{ alpha beta gamma }');
+
+			// Assert: json values use REST formatting
+			expect(result).to.deep.equal({
+				alpha: { kind: 'bar', value: [5, 0] },
+				beta: [{ kind: 'bar', value: [6, 0] }, { kind: 'baz', value: '04' }],
+				gamma: { x: { value: [8, 0] } }
+			});
+		});
+
+		it('uses result keys as field names', () => {
+			// Act:
+			const modelSchema = { foo: { alpha: { type: ModelType.uint64, resultKey: 'beta' } } };
+			const result = runQuery(modelSchema, { alpha: Long.fromNumber(3) }, '{ beta }');
+
+			// Assert:
+			expect(result).to.deep.equal({ beta: '3' });
+		});
+
+		it('exposes complete entity as json', () => {
+			// Arrange:
+			const entity = { alpha: Long.fromNumber(3), beta: 'undeclared' };
+
+			// Act:
+			const result = runQuery({ foo: { alpha: ModelType.uint64 } }, entity, '{ json }');
+
+			// Assert:
+			expect(result).to.deep.equal({ json: { alpha: [3, 0], beta: 'undeclared' } });
+		});
+
+		it('adds extension fields', () => {
+			// Arrange:
+			const extensionFields = {
+				foo: types => ({
+					extra: { type: GraphQLString, resolve: () => 'extra' },
+					bar: { type: types.bar, resolve: () => ({ value: new Binary(Buffer.from([0x05])) }) }
+				})
+			};
+
+			// Act:
+			const result = runQuery({ foo: {}, bar: { value: ModelType.binary } }, {}, '{ extra bar { value } }', extensionFields);
+
+			// Assert:
+			expect(result).to.deep.equal({ extra: 'extra', bar: { value: '05' } });
+		});
+
+		it('can create valid types for complete model system', () => {
+			// Arrange:
+			const pluginNames = catapult.plugins.catapultModelSystem.supportedPluginNames();
+			const modelSystem = catapult.plugins.catapultModelSystem.configure(pluginNames, {});
+
+			// Act:
+			const types = graphqlTypes.createObjectTypes(modelSystem.schema);
+			const schema = new GraphQLSchema({
+				query: new GraphQLObjectType({ name: 'Query', fields: { chainInfo: { type: types.chainInfo } } }),
+				types: Object.keys(types).map(schemaName => types[schemaName])
+			});
+
+			// Assert:
+			expect(validateSchema(schema)).to.deep.equal([]);
+			expect(schema.getType('MosaicDescriptor')).to.equal(types.mosaicDescriptor);
+			expect(schema.getType('NamespaceDescriptor')).to.equal(types.namespaceDescriptor);
+		});
+	});
+});
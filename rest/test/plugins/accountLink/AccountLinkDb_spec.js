@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const test = require('./accountLinkDbTestUtils');
+const AccountLinkType = require('../../../src/plugins/accountLink/AccountLinkType');
+const AccountType = require('../../../src/plugins/AccountType');
+const dbTestUtils = require('../../db/utils/dbTestUtils');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Long } = MongoDb;
+
+describe('account link db', () => {
+	const { createAccount, createAccountLinkTransaction } = test.db;
+
+	describe('account links by accounts', () => {
+		const mainPublicKey = test.random.publicKey();
+		const remotePublicKey = test.random.publicKey();
+		const createSeedAccounts = () => [
+			createAccount(mainPublicKey, AccountLinkType.main, remotePublicKey),
+			createAccount(remotePublicKey, AccountLinkType.remote, mainPublicKey),
+			createAccount(test.random.publicKey(), AccountLinkType.unlinked)
+		];
+
+		const toAccountLinkEntry = accountWithMetadata => ({
+			accountLink: {
+				address: accountWithMetadata.account.address,
+				publicKey: accountWithMetadata.account.publicKey,
+				accountType: accountWithMetadata.account.accountType,
+				linkedAccountKey: accountWithMetadata.account.linkedAccountKey
+			}
+		});
+
+		it('returns account link entries for known public keys', () => {
+			// Arrange:
+			const seedAccounts = createSeedAccounts();
+
+			// Assert:
+			return test.db.runDbTest(
+				seedAccounts,
+				'accounts',
+				db => db.accountLinksByAccounts(AccountType.publicKey, [mainPublicKey, remotePublicKey]),
+				entities => { expect(entities).to.deep.equal([seedAccounts[0], seedAccounts[1]].map(toAccountLinkEntry)); }
+			);
+		});
+
+		it('returns account link entries for known addresses', () => {
+			// Arrange:
+			const seedAccounts = createSeedAccounts();
+			const address = seedAccounts[1].account.address.buffer;
+
+			// Assert:
+			return test.db.runDbTest(
+				seedAccounts,
+				'accounts',
+				db => db.accountLinksByAccounts(AccountType.address, [address]),
+				entities => { expect(entities).to.deep.equal([toAccountLinkEntry(seedAccounts[1])]); }
+			);
+		});
+
+		it('returns empty array for unknown accounts', () =>
+			// Assert:
+			test.db.runDbTest(
+				createSeedAccounts(),
+				'accounts',
+				db => db.accountLinksByAccounts(AccountType.publicKey, [test.random.publicKey()]),
+				entities => { expect(entities).to.deep.equal([]); }
+			));
+	});
+
+	describe('main accounts by remote public key', () => {
+		it('returns main account linked to remote account', () => {
+			// Arrange:
+			const mainPublicKey = test.random.publicKey();
+			const remotePublicKey = test.random.publicKey();
+			const seedAccounts = [
+				createAccount(mainPublicKey, AccountLinkType.main, remotePublicKey),
+				createAccount(remotePublicKey, AccountLinkType.remote, mainPublicKey),
+				createAccount(test.random.publicKey(), AccountLinkType.main)
+			];
+
+			// - main account is returned in the same shape as by accountsByIds
+			const expectedAccount = seedAccounts[0];
+			delete expectedAccount.account.importances;
+			Object.assign(expectedAccount.account, { importance: Long.fromNumber(0), importanceHeight: Long.fromNumber(0) });
+
+			// Assert:
+			return test.db.runDbTest(
+				seedAccounts,
+				'accounts',
+				db => db.mainAccountsByRemotePublicKey(remotePublicKey),
+				entities => { expect(entities).to.deep.equal([expectedAccount]); }
+			);
+		});
+
+		it('ignores remote accounts linked to public key', () => {
+			// Arrange:
+			const mainPublicKey = test.random.publicKey();
+
+			// Assert:
+			return test.db.runDbTest(
+				[createAccount(test.random.publicKey(), AccountLinkType.remote, mainPublicKey)],
+				'accounts',
+				db => db.mainAccountsByRemotePublicKey(mainPublicKey),
+				entities => { expect(entities).to.deep.equal([]); }
+			);
+		});
+
+		it('returns empty array for unlinked public key', () =>
+			// Assert:
+			test.db.runDbTest(
+				[createAccount(test.random.publicKey(), AccountLinkType.unlinked)],
+				'accounts',
+				db => db.mainAccountsByRemotePublicKey(test.random.publicKey()),
+				entities => { expect(entities).to.deep.equal([]); }
+			));
+	});
+
+	describe('account link transactions', () => {
+		const mainPublicKey = test.random.publicKey();
+		const remotePublicKey = test.random.publicKey();
+
+		const stripAddresses = transactions => transactions.map(transaction => {
+			delete transaction.meta.addresses;
+			return transaction;
+		});
+
+		const addLinkTransactionsTest = (name, getPublicKey) => {
+			it(`returns link transactions in which account is ${name} account`, () => {
+				// Arrange:
+				const seedTransactions = [
+					createAccountLinkTransaction(1, mainPublicKey, remotePublicKey, { linkAction: 0 }),
+					createAccountLinkTransaction(2, test.random.publicKey(), test.random.publicKey()),
+					createAccountLinkTransaction(3, mainPublicKey, remotePublicKey, { linkAction: 1 }),
+					createAccountLinkTransaction(4, mainPublicKey, remotePublicKey, { type: 0x4154 }),
+					createAccountLinkTransaction(5, mainPublicKey, remotePublicKey, { aggregateId: dbTestUtils.db.createObjectId(99) })
+				];
+				const expectedTransactions = stripAddresses([seedTransactions[4], seedTransactions[2], seedTransactions[0]]);
+
+				// Assert:
+				return test.db.runDbTest(
+					seedTransactions,
+					'transactions',
+					db => db.accountLinkTransactions(getPublicKey()),
+					entities => { expect(entities).to.deep.equal(expectedTransactions); }
+				);
+			});
+		};
+
+		addLinkTransactionsTest('main', () => mainPublicKey);
+		addLinkTransactionsTest('remote', () => remotePublicKey);
+
+		it('respects paging and ordering', () => {
+			// Arrange:
+			const seedTransactions = [];
+			for (let id = 1; 20 >= id; ++id)
+				seedTransactions.push(createAccountLinkTransaction(id, mainPublicKey, remotePublicKey));
+
+			const pageId = seedTransactions[4]._id.toString();
+			const expectedTransactions = stripAddresses(seedTransactions.slice(5, 15));
+
+			// Assert:
+			return test.db.runDbTest(
+				seedTransactions,
+				'transactions',
+				db => db.accountLinkTransactions(mainPublicKey, pageId, 10, 1),
+				entities => { expect(entities).to.deep.equal(expectedTransactions); }
+			);
+		});
+	});
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const AccountLinkDb = require('../../../src/plugins/accountLink/AccountLinkDb');
+const testDbOptions = require('../../db/utils/testDbOptions');
+const dbTestUtils = require('../../db/utils/dbTestUtils');
+const test = require('../../testUtils');
+const catapult = require('catapult-sdk');
+const MongoDb = require('mongodb');
+
+const { address, EntityType } = catapult.model;
+const { Binary, Long } = MongoDb;
+
+const createAccount = (publicKey, accountType, linkedAccountKey) => ({
+	meta: {},
+	account: {
+		address: new Binary(Buffer.from(address.publicKeyToAddress(publicKey, testDbOptions.networkId))),
+		addressHeight: Long.fromNumber(123),
+		publicKey: new Binary(publicKey),
+		publicKeyHeight: Long.fromNumber(234),
+		accountType,
+		linkedAccountKey: new Binary(linkedAccountKey || Buffer.alloc(32, 0)),
+		importances: [],
+		mosaics: []
+	}
+});
+
+const createAccountLinkTransaction = (id, signer, remoteAccountKey, options = {}) => {
+	const entity = {
+		_id: dbTestUtils.db.createObjectId(id),
+		meta: { height: Long.fromNumber(id), addresses: [] },
+		transaction: {
+			type: options.type || EntityType.accountLink,
+			signer: new Binary(signer),
+			remoteAccountKey: new Binary(remoteAccountKey),
+			linkAction: options.linkAction || 0
+		}
+	};
+
+	if (options.aggregateId)
+		entity.meta.aggregateId = options.aggregateId;
+
+	return entity;
+};
+
+const accountLinkDbTestUtils = {
+	db: {
+		createAccount,
+		createAccountLinkTransaction,
+		runDbTest: (dbEntities, collectionName, issueDbCommand, assertDbCommandResult) =>
+			dbTestUtils.db.runDbTest(dbEntities, collectionName, db => new AccountLinkDb(db), issueDbCommand, assertDbCommandResult)
+	}
+};
+Object.assign(accountLinkDbTestUtils, test);
+
+module.exports = accountLinkDbTestUtils;
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const accountLinkRoutes = require('../../../src/plugins/accountLink/accountLinkRoutes');
+const { test } = require('../../routes/utils/routeTestUtils');
+const routeAccountIdGetTestUtils = require('../multisig/routeAccountIdGetTestUtils');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+const { convert } = catapult.utils;
+const { publicKeys } = test.sets;
+
+describe('account link routes', () => {
+	describe('get by account', () => {
+		routeAccountIdGetTestUtils.addDefaultTests({
+			registerRoutes: accountLinkRoutes.register,
+			route: '/account/:accountId/link',
+			dbApiName: 'accountLinksByAccounts',
+			dbType: 'accountLinkEntry'
+		});
+	});
+
+	describe('get main account by remote account', () => {
+		test.route.document.addGetDocumentRouteTests(accountLinkRoutes.register, {
+			route: '/account/:publicKey/link/main',
+			inputs: {
+				valid: {
+					object: { publicKey: publicKeys.valid[0] },
+					parsed: [convert.hexToUint8(publicKeys.valid[0])],
+					printable: publicKeys.valid[0]
+				},
+				invalid: { object: { publicKey: '12345' }, error: 'publicKey has an invalid format' }
+			},
+			dbApiName: 'mainAccountsByRemotePublicKey',
+			type: 'accountWithMetadata'
+		});
+	});
+
+	describe('get account link transactions', () => {
+		const routeName = '/account/:publicKey/link/transactions';
+
+		const pagingTestsFactory = test.setup.createPagingTestsFactory(
+			{
+				routes: accountLinkRoutes,
+				routeName,
+				createDb: (queriedIdentifiers, transactions) => ({
+					accountLinkTransactions: (publicKey, pageId, pageSize) => {
+						queriedIdentifiers.push({ publicKey, pageId, pageSize });
+						return Promise.resolve(transactions);
+					}
+				})
+			},
+			{ publicKey: publicKeys.valid[0] },
+			{ publicKey: convert.hexToUint8(publicKeys.valid[0]) },
+			'transactionWithMetadata'
+		);
+
+		pagingTestsFactory.addDefault();
+		pagingTestsFactory.addNonPagingParamFailureTest('publicKey', '12345');
+
+		it('queries the database with ordering param', () => {
+			// Arrange:
+			const keyGroups = [];
+			const db = {
+				accountLinkTransactions: (publicKey, pageId, pageSize, ordering) => {
+					keyGroups.push({
+						publicKey, pageId, pageSize, ordering
+					});
+					return Promise.resolve([]);
+				}
+			};
+
+			// Act:
+			const params = { publicKey: publicKeys.valid[0], ordering: 'id' };
+			return test.route.executeSingle(accountLinkRoutes.register, routeName, 'get', params, db, {}, () => {
+				// Assert:
+				expect(keyGroups).to.deep.equal([{
+					publicKey: convert.hexToUint8(publicKeys.valid[0]), pageId: undefined, pageSize: 0, ordering: 1
+				}]);
+			});
+		});
+	});
+});
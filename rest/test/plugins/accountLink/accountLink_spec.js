@@ -0,0 +1,48 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const accountLink = require('../../../src/plugins/accountLink/accountLink');
+const AccountLinkDb = require('../../../src/plugins/accountLink/AccountLinkDb');
+const { test } = require('../../routes/utils/routeTestUtils');
+const pluginTest = require('../utils/pluginTestUtils');
+
+describe('account link plugin', () => {
+	pluginTest.assertThat.pluginCreatesDb(accountLink, AccountLinkDb);
+	pluginTest.assertThat.pluginDoesNotRegisterAdditionalTransactionStates(accountLink);
+	pluginTest.assertThat.pluginDoesNotRegisterAdditionalMessageChannels(accountLink);
+
+	describe('register routes', () => {
+		it('registers GET routes', () => {
+			// Arrange:
+			const routes = [];
+			const server = test.setup.createCapturingMockServer('get', routes);
+
+			// Act:
+			accountLink.registerRoutes(server, {});
+
+			// Assert:
+			test.assert.assertRoutes(routes, [
+				'/account/:accountId/link',
+				'/account/:publicKey/link/main',
+				'/account/:publicKey/link/transactions'
+			]);
+		});
+	});
+});
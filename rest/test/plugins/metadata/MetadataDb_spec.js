@@ -0,0 +1,182 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const test = require('./metadataDbTestUtils');
+const MetadataType = require('../../../src/plugins/metadata/MetadataType');
+const { expect } = require('chai');
+
+describe('metadata db', () => {
+	const { createMetadataEntry } = test.db;
+
+	describe('metadata by target', () => {
+		const addTargetTests = traits => {
+			const createEntries = (startId, count, target, options) => {
+				const entries = [];
+				for (let id = startId; id < startId + count; ++id)
+					entries.push(createMetadataEntry(id, traits.metadataType, target, options));
+
+				return entries;
+			};
+
+			it('returns empty array for target without metadata', () => {
+				// Arrange:
+				const seedEntries = createEntries(1, 3, traits.createTarget());
+
+				// Assert:
+				return test.db.runDbTest(
+					seedEntries,
+					db => db.metadataByTarget(traits.metadataType, traits.toDbApiId(traits.createTarget())),
+					entities => { expect(entities).to.deep.equal([]); }
+				);
+			});
+
+			it('returns all metadata entries attached to target', () => {
+				// Arrange:
+				const target = traits.createTarget();
+				const matchingEntries = createEntries(1, 4, target);
+				const otherEntries = createEntries(10, 3, traits.createTarget());
+
+				// Assert:
+				return test.db.runDbTest(
+					matchingEntries.concat(otherEntries),
+					db => db.metadataByTarget(traits.metadataType, traits.toDbApiId(target)),
+					entities => { expect(entities).to.deep.equal(matchingEntries.reverse()); }
+				);
+			});
+
+			it('ignores metadata entries of other types attached to same target', () => {
+				// Arrange:
+				const target = traits.createTarget();
+				const matchingEntries = createEntries(1, 2, target);
+				const otherTypeEntries = [createMetadataEntry(10, (traits.metadataType + 1) % 3, target)];
+
+				// Assert:
+				return test.db.runDbTest(
+					matchingEntries.concat(otherTypeEntries),
+					db => db.metadataByTarget(traits.metadataType, traits.toDbApiId(target)),
+					entities => { expect(entities).to.deep.equal(matchingEntries.reverse()); }
+				);
+			});
+
+			it('respects paging', () => {
+				// Arrange:
+				const target = traits.createTarget();
+				const seedEntries = createEntries(1, 20, target);
+				const pageId = seedEntries[14]._id.toString();
+				const expectedEntries = seedEntries.slice(0, 14).reverse().slice(0, 12);
+
+				// Assert:
+				return test.db.runDbTest(
+					seedEntries,
+					db => db.metadataByTarget(traits.metadataType, traits.toDbApiId(target), pageId, 12),
+					entities => { expect(entities).to.deep.equal(expectedEntries); }
+				);
+			});
+		};
+
+		describe('account', () => addTargetTests({
+			metadataType: MetadataType.account,
+			createTarget: () => ({ publicKey: test.random.publicKey() }),
+			toDbApiId: target => target.publicKey
+		}));
+
+		describe('mosaic', () => addTargetTests({
+			metadataType: MetadataType.mosaic,
+			createTarget: () => ({ id: Math.floor(Math.random() * 100000) + 1 }),
+			toDbApiId: target => [target.id, 0]
+		}));
+
+		describe('namespace', () => addTargetTests({
+			metadataType: MetadataType.namespace,
+			createTarget: () => ({ id: Math.floor(Math.random() * 100000) + 1 }),
+			toDbApiId: target => [target.id, 0]
+		}));
+	});
+
+	describe('metadata by target and key', () => {
+		const target = { id: 1234 };
+		const senderPublicKey = test.random.publicKey();
+		const seedEntries = () => [
+			createMetadataEntry(1, MetadataType.mosaic, target, { scopedMetadataKey: 11 }),
+			createMetadataEntry(2, MetadataType.mosaic, target, { scopedMetadataKey: 22, senderPublicKey }),
+			createMetadataEntry(3, MetadataType.mosaic, target, { scopedMetadataKey: 22 }),
+			createMetadataEntry(4, MetadataType.mosaic, { id: 5678 }, { scopedMetadataKey: 22, senderPublicKey })
+		];
+
+		it('returns all metadata entries with key', () => {
+			// Arrange:
+			const entries = seedEntries();
+
+			// Assert:
+			return test.db.runDbTest(
+				entries,
+				db => db.metadataByTargetAndKey(MetadataType.mosaic, [1234, 0], [22, 0]),
+				entities => { expect(entities).to.deep.equal([entries[1], entries[2]]); }
+			);
+		});
+
+		it('returns metadata entry with key and sender', () => {
+			// Arrange:
+			const entries = seedEntries();
+
+			// Assert:
+			return test.db.runDbTest(
+				entries,
+				db => db.metadataByTargetAndKey(MetadataType.mosaic, [1234, 0], [22, 0], senderPublicKey),
+				entities => { expect(entities).to.deep.equal([entries[1]]); }
+			);
+		});
+
+		it('returns empty array for unknown key', () =>
+			// Assert:
+			test.db.runDbTest(
+				seedEntries(),
+				db => db.metadataByTargetAndKey(MetadataType.mosaic, [1234, 0], [33, 0]),
+				entities => { expect(entities).to.deep.equal([]); }
+			));
+	});
+
+	describe('metadata by composite hashes', () => {
+		it('returns metadata entries with matching composite hashes', () => {
+			// Arrange:
+			const compositeHashes = [test.random.hash(), test.random.hash()];
+			const entries = [
+				createMetadataEntry(1, MetadataType.account, {}, { compositeHash: compositeHashes[0] }),
+				createMetadataEntry(2, MetadataType.mosaic, {}),
+				createMetadataEntry(3, MetadataType.namespace, {}, { compositeHash: compositeHashes[1] })
+			];
+
+			// Assert:
+			return test.db.runDbTest(
+				entries,
+				db => db.metadataByCompositeHashes(compositeHashes),
+				entities => { expect(entities).to.deep.equal([entries[0], entries[2]]); }
+			);
+		});
+
+		it('returns empty array for unknown composite hashes', () =>
+			// Assert:
+			test.db.runDbTest(
+				[createMetadataEntry(1, MetadataType.account, {})],
+				db => db.metadataByCompositeHashes([test.random.hash()]),
+				entities => { expect(entities).to.deep.equal([]); }
+			));
+	});
+});
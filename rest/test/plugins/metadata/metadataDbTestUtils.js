@@ -0,0 +1,55 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const MetadataDb = require('../../../src/plugins/metadata/MetadataDb');
+const dbTestUtils = require('../../db/utils/dbTestUtils');
+const test = require('../../testUtils');
+const MongoDb = require('mongodb');
+
+const { Binary, Long } = MongoDb;
+
+const createMetadataEntry = (id, metadataType, target, options = {}) => {
+	const value = test.random.bytes(12);
+	return {
+		_id: dbTestUtils.db.createObjectId(id),
+		meta: {},
+		metadataEntry: {
+			compositeHash: new Binary(options.compositeHash || test.random.hash()),
+			senderPublicKey: new Binary(options.senderPublicKey || test.random.publicKey()),
+			targetPublicKey: new Binary(target.publicKey || test.random.publicKey()),
+			scopedMetadataKey: Long.fromNumber(options.scopedMetadataKey || 0),
+			targetId: Long.fromNumber(target.id || 0),
+			metadataType,
+			valueSize: value.length,
+			value: new Binary(value)
+		}
+	};
+};
+
+const metadataDbTestUtils = {
+	db: {
+		createMetadataEntry,
+		runDbTest: (dbEntities, issueDbCommand, assertDbCommandResult) =>
+			dbTestUtils.db.runDbTest(dbEntities, 'metadata', db => new MetadataDb(db), issueDbCommand, assertDbCommandResult)
+	}
+};
+Object.assign(metadataDbTestUtils, test);
+
+module.exports = metadataDbTestUtils;
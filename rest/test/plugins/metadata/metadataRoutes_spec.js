@@ -0,0 +1,287 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const MetadataType = require('../../../src/plugins/metadata/MetadataType');
+const metadataRoutes = require('../../../src/plugins/metadata/metadataRoutes');
+const { test } = require('../../routes/utils/routeTestUtils');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { address } = catapult.model;
+const { convert, uint64 } = catapult.utils;
+const { addresses, publicKeys } = test.sets;
+const { Binary, Long } = MongoDb;
+
+describe('metadata routes', () => {
+	const scopedMetadataKey = '85BBEA6CC462B244';
+	const mosaicId = '1234567890ABCDEF';
+	const namespaceId = 'ABCDEF1234567890';
+
+	const createAccountsByIds = (accounts, capturedIds = []) => ids => {
+		capturedIds.push(...ids);
+		return Promise.resolve(accounts);
+	};
+
+	const createAccount = (publicKey, publicKeyHeight) => ({
+		meta: {},
+		account: { publicKey: new Binary(Buffer.from(publicKey)), publicKeyHeight: Long.fromNumber(publicKeyHeight) }
+	});
+
+	const targets = [
+		{
+			name: 'account (public key)',
+			base: '/account/:accountId',
+			params: { accountId: publicKeys.valid[0] },
+			expected: { metadataType: MetadataType.account, targetId: convert.hexToUint8(publicKeys.valid[0]) },
+			invalidParams: { accountId: publicKeys.invalid },
+			invalidParamName: 'accountId',
+			extendDb: () => {}
+		},
+		{
+			name: 'account (address)',
+			base: '/account/:accountId',
+			params: { accountId: addresses.valid[0] },
+			expected: { metadataType: MetadataType.account, targetId: Buffer.from(convert.hexToUint8(publicKeys.valid[0])) },
+			invalidParams: { accountId: addresses.invalid },
+			invalidParamName: 'accountId',
+			extendDb: db => {
+				db.catapultDb = { accountsByIds: createAccountsByIds([createAccount(convert.hexToUint8(publicKeys.valid[0]), 1)]) };
+			}
+		},
+		{
+			name: 'mosaic',
+			base: '/mosaic/:mosaicId',
+			params: { mosaicId },
+			expected: { metadataType: MetadataType.mosaic, targetId: uint64.fromHex(mosaicId) },
+			invalidParams: { mosaicId: '12345' },
+			invalidParamName: 'mosaicId',
+			extendDb: () => {}
+		},
+		{
+			name: 'namespace',
+			base: '/namespace/:namespaceId',
+			params: { namespaceId },
+			expected: { metadataType: MetadataType.namespace, targetId: uint64.fromHex(namespaceId) },
+			invalidParams: { namespaceId: '12345' },
+			invalidParamName: 'namespaceId',
+			extendDb: () => {}
+		}
+	];
+
+	targets.forEach(target => {
+		describe(`${target.name} metadata`, () => {
+			describe('get by target', () => {
+				const pagingTestsFactory = test.setup.createPagingTestsFactory(
+					{
+						routes: metadataRoutes,
+						routeName: `${target.base}/metadata`,
+						createDb: (keyGroups, documents) => {
+							const db = {
+								metadataByTarget: (metadataType, targetId, pageId, pageSize) => {
+									keyGroups.push({
+										metadataType, targetId, pageId, pageSize
+									});
+									return Promise.resolve(documents);
+								}
+							};
+							target.extendDb(db);
+							return db;
+						},
+						routeCaptureMethod: 'get'
+					},
+					target.params,
+					target.expected,
+					'metadata'
+				);
+
+				pagingTestsFactory.addDefault();
+				pagingTestsFactory.addNonPagingParamFailureTest(target.invalidParamName, target.invalidParams[target.invalidParamName]);
+			});
+
+			describe('get by target and key', () => {
+				const routeName = `${target.base}/metadata/:key`;
+				const createDb = (keyGroups, documents) => {
+					const db = test.setup.createCapturingDb('metadataByTargetAndKey', keyGroups, documents);
+					target.extendDb(db);
+					return db;
+				};
+
+				it('returns metadata entries', () => {
+					// Arrange:
+					const keyGroups = [];
+					const db = createDb(keyGroups, [{ id: 1 }, { id: 2 }]);
+					const params = Object.assign({ key: scopedMetadataKey }, target.params);
+
+					// Act:
+					return test.route.executeSingle(metadataRoutes.register, routeName, 'get', params, db, {}, response => {
+						// Assert:
+						expect(keyGroups).to.deep.equal([
+							target.expected.metadataType,
+							target.expected.targetId,
+							uint64.fromHex(scopedMetadataKey)
+						]);
+						expect(response).to.deep.equal({ payload: [{ id: 1 }, { id: 2 }], type: 'metadata' });
+					});
+				});
+
+				it('returns 409 if key is invalid', () => {
+					// Arrange:
+					const db = createDb([], []);
+					const params = Object.assign({ key: '12345' }, target.params);
+
+					// Act + Assert:
+					const errorMessage = 'key has an invalid format';
+					return test.route.executeThrows(metadataRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+				});
+
+				it('returns 409 if target is invalid', () => {
+					// Arrange:
+					const db = createDb([], []);
+					const params = Object.assign({ key: scopedMetadataKey }, target.invalidParams);
+
+					// Act + Assert:
+					const errorMessage = `${target.invalidParamName} has an invalid format`;
+					return test.route.executeThrows(metadataRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+				});
+			});
+
+			describe('get by target, key and sender', () => {
+				const routeName = `${target.base}/metadata/:key/sender/:publicKey`;
+				const createDb = (keyGroups, documents) => {
+					const db = test.setup.createCapturingDb('metadataByTargetAndKey', keyGroups, documents);
+					target.extendDb(db);
+					return db;
+				};
+
+				const createParams = () => Object.assign({ key: scopedMetadataKey, publicKey: publicKeys.valid[1] }, target.params);
+
+				it('returns metadata entry if found', () => {
+					// Arrange:
+					const keyGroups = [];
+					const db = createDb(keyGroups, [{ id: 1 }]);
+
+					// Act:
+					return test.route.executeSingle(metadataRoutes.register, routeName, 'get', createParams(), db, {}, response => {
+						// Assert:
+						expect(keyGroups).to.deep.equal([
+							target.expected.metadataType,
+							target.expected.targetId,
+							uint64.fromHex(scopedMetadataKey),
+							convert.hexToUint8(publicKeys.valid[1])
+						]);
+						expect(response).to.deep.equal({ payload: { id: 1 }, type: 'metadata' });
+					});
+				});
+
+				it('returns 404 if metadata entry is not found', () => {
+					// Arrange:
+					const db = createDb([], []);
+
+					// Act:
+					return test.route.executeSingle(metadataRoutes.register, routeName, 'get', createParams(), db, {}, response => {
+						// Assert:
+						expect(response.statusCode).to.equal(404);
+						expect(response.message).to.equal(`no resource exists with id '${scopedMetadataKey}'`);
+					});
+				});
+
+				it('returns 409 if sender is invalid', () => {
+					// Arrange:
+					const db = createDb([], []);
+					const params = Object.assign(createParams(), { publicKey: publicKeys.invalid });
+
+					// Act + Assert:
+					const errorMessage = 'publicKey has an invalid format';
+					return test.route.executeThrows(metadataRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+				});
+			});
+		});
+	});
+
+	describe('account address resolution', () => {
+		const runUnresolvedAddressTest = (accounts, routeName, additionalParams, assertResponse) => {
+			// Arrange:
+			let numMetadataCalls = 0;
+			const capturedIds = [];
+			const db = {
+				catapultDb: { accountsByIds: createAccountsByIds(accounts, capturedIds) },
+				metadataByTarget: () => { ++numMetadataCalls; },
+				metadataByTargetAndKey: () => { ++numMetadataCalls; }
+			};
+			const params = Object.assign({ accountId: addresses.valid[0] }, additionalParams);
+
+			// Act:
+			return test.route.executeSingle(metadataRoutes.register, routeName, 'get', params, db, {}, response => {
+				// Assert:
+				expect(capturedIds).to.deep.equal([{ address: address.stringToAddress(addresses.valid[0]) }]);
+				expect(numMetadataCalls).to.equal(0);
+				assertResponse(response);
+			});
+		};
+
+		const addUnresolvedAddressTests = (description, accounts) => {
+			it(`returns empty array for ${description}`, () => runUnresolvedAddressTest(
+				accounts,
+				'/account/:accountId/metadata',
+				{},
+				response => { expect(response).to.deep.equal({ payload: [], type: 'metadata' }); }
+			));
+
+			it(`returns 404 for ${description} with sender`, () => runUnresolvedAddressTest(
+				accounts,
+				'/account/:accountId/metadata/:key/sender/:publicKey',
+				{ key: scopedMetadataKey, publicKey: publicKeys.valid[1] },
+				response => { expect(response.statusCode).to.equal(404); }
+			));
+		};
+
+		addUnresolvedAddressTests('unknown account', []);
+		addUnresolvedAddressTests('account with unknown public key', [createAccount(Buffer.alloc(32), 0)]);
+	});
+
+	describe('get by composite hashes', () => {
+		const { hashes256 } = test.sets;
+
+		it('returns metadata entries', () => {
+			// Arrange:
+			const keyGroups = [];
+			const db = test.setup.createCapturingDb('metadataByCompositeHashes', keyGroups, [{ id: 1 }]);
+
+			// Act:
+			const params = { compositeHashes: hashes256.valid };
+			return test.route.executeSingle(metadataRoutes.register, '/metadata', 'post', params, db, {}, response => {
+				// Assert:
+				expect(keyGroups).to.deep.equal([hashes256.valid.map(convert.hexToUint8)]);
+				expect(response).to.deep.equal({ payload: [{ id: 1 }], type: 'metadata' });
+			});
+		});
+
+		it('returns 409 if any composite hash is invalid', () => {
+			// Arrange:
+			const db = test.setup.createCapturingDb('metadataByCompositeHashes', [], []);
+
+			// Act + Assert:
+			const params = { compositeHashes: [hashes256.valid[0], hashes256.invalid[0]] };
+			const errorMessage = 'element in array compositeHashes has an invalid format';
+			return test.route.executeThrows(metadataRoutes.register, '/metadata', 'post', params, db, {}, errorMessage, 409);
+		});
+	});
+});
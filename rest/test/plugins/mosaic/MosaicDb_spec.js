@@ -19,7 +19,13 @@
  */
 
 const test = require('./mosaicDbTestUtils');
+const CatapultDb = require('../../../src/db/CatapultDb');
+const MosaicDb = require('../../../src/plugins/mosaic/MosaicDb');
+const testDbOptions = require('../../db/utils/testDbOptions');
 const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Long } = MongoDb;
 
 describe('mosaic db', () => {
 	const createMosaics = (numNamespaces, numMosaicsPerNamespace) => {
@@ -76,4 +82,148 @@ describe('mosaic db', () => {
 			);
 		});
 	});
+
+	describe('mosaics', () => {
+		const ownerA = test.random.publicKey();
+		const ownerB = test.random.publicKey();
+
+		// chain height is 10
+		// [0] owner A, height 1, supply mutable and transferable, eternal
+		// [1] owner A, height 2, supply mutable, expired at height 7
+		// [2] owner B, height 3, transferable, expires at height 23
+		// [3] owner B, height 4, no flags, expired at height 10
+		const createSeedMosaics = () => [
+			test.db.createMosaicWithProperties(0, ownerA, 1, { flags: 3, duration: 0 }),
+			test.db.createMosaicWithProperties(1, ownerA, 2, { flags: 1, duration: 5 }),
+			test.db.createMosaicWithProperties(2, ownerB, 3, { flags: 2, duration: 20 }),
+			test.db.createMosaicWithProperties(3, ownerB, 4, { flags: 0, duration: 6 })
+		];
+
+		const runMosaicsTest = (filters, expectedIndexes) => {
+			// Arrange:
+			const db = new CatapultDb({ networkId: testDbOptions.networkId });
+			const mosaicDb = new MosaicDb(db);
+			const chainHeight = 10;
+			const mosaics = createSeedMosaics();
+
+			// Act + Assert:
+			return db.connect(testDbOptions.url, 'test')
+				.then(() => test.db.populateCollection(db, 'blocks', [...Array(chainHeight)].map(() => ({}))))
+				.then(() => test.db.populateCollection(db, 'mosaics', mosaics))
+				.then(() => test.db.sanitizeDbEntities('mosaics', mosaics))
+				.then(() => mosaicDb.mosaics(filters, undefined, 10))
+				.then(entities => { expect(entities).to.deep.equal(expectedIndexes.map(index => mosaics[index])); })
+				.then(() => db.close());
+		};
+
+		it('returns all mosaics when no filters are specified', () => runMosaicsTest({}, [3, 2, 1, 0]));
+
+		it('can filter by owner', () => runMosaicsTest({ owner: ownerA }, [1, 0]));
+
+		it('can filter expired mosaics', () => runMosaicsTest({ expired: true }, [3, 1]));
+
+		it('can filter active mosaics', () => runMosaicsTest({ expired: false }, [2, 0]));
+
+		it('can filter by supply mutable flag set', () => runMosaicsTest({ supplyMutable: true }, [1, 0]));
+
+		it('can filter by supply mutable flag clear', () => runMosaicsTest({ supplyMutable: false }, [3, 2]));
+
+		it('can filter by transferable flag set', () => runMosaicsTest({ transferable: true }, [2, 0]));
+
+		it('can filter by transferable flag clear', () => runMosaicsTest({ transferable: false }, [3, 1]));
+
+		it('can combine filters', () => runMosaicsTest({ owner: ownerB, expired: false, transferable: true }, [2]));
+	});
+
+	describe('mosaic holders', () => {
+		// [0] mosaic 100 (50), mosaic 200 (5)
+		// [1] mosaic 100 (300)
+		// [2] mosaic 100 (0)
+		// [3] mosaic 200 (70)
+		// [4] mosaic 100 (50)
+		const createAccounts = () => [
+			[{ id: 100, amount: 50 }, { id: 200, amount: 5 }],
+			[{ id: 100, amount: 300 }],
+			[{ id: 100, amount: 0 }],
+			[{ id: 200, amount: 70 }],
+			[{ id: 100, amount: 50 }]
+		].map((mosaics, index) => test.db.createAccount(index + 1, test.random.publicKey(), mosaics));
+
+		const toHolder = (account, amount) => ({
+			address: account.account.address,
+			publicKey: account.account.publicKey,
+			amount: Long.fromNumber(amount)
+		});
+
+		describe('holders', () => {
+			const runHoldersTest = (mosaicId, minAmount, offset, expectedHolders) => {
+				// Arrange:
+				const accounts = createAccounts();
+
+				// Assert:
+				return test.db.runAccountsDbTest(
+					accounts,
+					db => db.mosaicHolders(mosaicId, minAmount, 10, offset),
+					holders => {
+						expect(holders).to.deep.equal(expectedHolders.map(pair => toHolder(accounts[pair[0]], pair[1])));
+						expect(holders.pagination).to.deep.equal({ pageSize: 10, offset: offset || 0 });
+					}
+				);
+			};
+
+			it('returns empty array for unknown mosaic id', () => runHoldersTest([123, 0], undefined, undefined, []));
+
+			it('returns holders with positive amount sorted by amount', () =>
+				runHoldersTest([100, 0], undefined, undefined, [[1, 300], [0, 50], [4, 50]]));
+
+			it('returns only holders of requested mosaic', () => runHoldersTest([200, 0], undefined, undefined, [[3, 70], [0, 5]]));
+
+			it('respects minimum amount', () => runHoldersTest([100, 0], 60, undefined, [[1, 300]]));
+
+			it('includes zero balances when minimum amount is zero', () =>
+				runHoldersTest([100, 0], 0, undefined, [[1, 300], [0, 50], [4, 50], [2, 0]]));
+
+			it('respects offset', () => runHoldersTest([100, 0], undefined, 1, [[0, 50], [4, 50]]));
+		});
+
+		describe('distribution', () => {
+			it('returns empty distribution for unknown mosaic id', () =>
+				// Assert:
+				test.db.runAccountsDbTest(
+					createAccounts(),
+					db => db.mosaicDistribution([123, 0], 2),
+					distribution => {
+						expect(distribution).to.deep.equal({
+							mosaicId: Long.fromNumber(123),
+							holderCount: 0,
+							circulatingAmount: Long.ZERO,
+							topHolders: [],
+							topHoldersAmount: Long.ZERO,
+							topHoldersConcentration: 0
+						});
+					}
+				));
+
+			it('returns distribution summary with top holders', () => {
+				// Arrange:
+				const accounts = createAccounts();
+
+				// Assert:
+				return test.db.runAccountsDbTest(
+					accounts,
+					db => db.mosaicDistribution([100, 0], 2),
+					distribution => {
+						expect(distribution).to.deep.equal({
+							mosaicId: Long.fromNumber(100),
+							holderCount: 3,
+							circulatingAmount: Long.fromNumber(400),
+							topHolders: [toHolder(accounts[1], 300), toHolder(accounts[0], 50)],
+							topHoldersAmount: Long.fromNumber(350),
+							topHoldersConcentration: 0.875
+						});
+					}
+				);
+			});
+		});
+	});
 });
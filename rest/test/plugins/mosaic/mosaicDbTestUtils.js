@@ -19,10 +19,14 @@
  */
 
 const MosaicDb = require('../../../src/plugins/mosaic/MosaicDb');
+const MosaicPropertyId = require('../../../src/plugins/mosaic/MosaicPropertyId');
 const dbTestUtils = require('../../db/utils/dbTestUtils');
+const testDbOptions = require('../../db/utils/testDbOptions');
 const test = require('../../testUtils');
+const catapult = require('catapult-sdk');
 const MongoDb = require('mongodb');
 
+const { address } = catapult.model;
 const { Binary, Long } = MongoDb;
 
 const createMosaic = (id, mosaicId, owner, parentId) => {
@@ -36,6 +40,17 @@ const createMosaic = (id, mosaicId, owner, parentId) => {
 	return { _id: dbTestUtils.db.createObjectId(id), mosaic, meta: {} };
 };
 
+const createMosaicWithProperties = (id, owner, height, properties) => {
+	const mosaic = createMosaic(id, 10000 + id, owner, 20000);
+	mosaic.mosaic.height = Long.fromNumber(height);
+	mosaic.mosaic.properties = [
+		{ id: MosaicPropertyId.flags, value: Long.fromNumber(properties.flags) },
+		{ id: MosaicPropertyId.divisibility, value: Long.fromNumber(0) },
+		{ id: MosaicPropertyId.duration, value: Long.fromNumber(properties.duration) }
+	];
+	return mosaic;
+};
+
 const createMosaics = (owner, numNamespaces, numMosaicsPerNamespace) => {
 	// mosaic ids start at 10000, namespace ids start at 20000 in order to differentiate from db _id
 	const mosaics = [];
@@ -49,12 +64,31 @@ const createMosaics = (owner, numNamespaces, numMosaicsPerNamespace) => {
 	return mosaics;
 };
 
+const createAccount = (id, publicKey, mosaics) => ({
+	_id: dbTestUtils.db.createObjectId(id),
+	meta: {},
+	account: {
+		address: new Binary(Buffer.from(address.publicKeyToAddress(publicKey, testDbOptions.networkId))),
+		addressHeight: Long.fromNumber(123),
+		publicKey: new Binary(publicKey),
+		publicKeyHeight: Long.fromNumber(234),
+		importances: [],
+		mosaics: mosaics.map(mosaic => ({ id: Long.fromNumber(mosaic.id), amount: Long.fromNumber(mosaic.amount) }))
+	}
+});
+
 const mosaicDbTestUtils = {
 	db: {
 		createMosaic,
+		createMosaicWithProperties,
 		createMosaics,
+		createAccount,
+		populateCollection: dbTestUtils.db.populateCollection,
+		sanitizeDbEntities: dbTestUtils.db.sanitizeDbEntities,
 		runDbTest: (dbEntities, issueDbCommand, assertDbCommandResult) =>
-			dbTestUtils.db.runDbTest(dbEntities, 'mosaics', db => new MosaicDb(db), issueDbCommand, assertDbCommandResult)
+			dbTestUtils.db.runDbTest(dbEntities, 'mosaics', db => new MosaicDb(db), issueDbCommand, assertDbCommandResult),
+		runAccountsDbTest: (dbEntities, issueDbCommand, assertDbCommandResult) =>
+			dbTestUtils.db.runDbTest(dbEntities, 'accounts', db => new MosaicDb(db), issueDbCommand, assertDbCommandResult)
 	}
 };
 Object.assign(mosaicDbTestUtils, test);
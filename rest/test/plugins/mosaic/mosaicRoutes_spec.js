@@ -20,6 +20,14 @@
 
 const mosaicRoutes = require('../../../src/plugins/mosaic/mosaicRoutes');
 const { test } = require('../../routes/utils/routeTestUtils');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { address } = catapult.model;
+const { convert } = catapult.utils;
+const { addresses, publicKeys } = test.sets;
+const { Binary, Long } = MongoDb;
 
 describe('mosaic routes', () => {
 	describe('by id', () => {
@@ -41,4 +49,235 @@ describe('mosaic routes', () => {
 			type: 'mosaicDescriptor'
 		});
 	});
+
+	describe('mosaics', () => {
+		const defaultPagingOptions = { id: undefined, pageSize: 0 };
+		const ownerPublicKey = convert.hexToUint8(publicKeys.valid[0]);
+
+		const createAccount = (publicKey, publicKeyHeight) => ({
+			meta: {},
+			account: { publicKey: new Binary(Buffer.from(publicKey)), publicKeyHeight: Long.fromNumber(publicKeyHeight) }
+		});
+
+		const createDb = (capturedArgs, capturedIds, accounts = []) => ({
+			catapultDb: {
+				accountsByIds: ids => {
+					capturedIds.push(...ids);
+					return Promise.resolve(accounts);
+				}
+			},
+			mosaics: (...args) => {
+				capturedArgs.push(args);
+				return Promise.resolve([{ value: 'this is nonsense' }]);
+			}
+		});
+
+		const runMosaicsTest = (routeName, params, options) => {
+			// Arrange:
+			const capturedArgs = [];
+			const capturedIds = [];
+			const db = createDb(capturedArgs, capturedIds, options.accounts);
+
+			// Act:
+			return test.route.executeSingle(mosaicRoutes.register, routeName, 'get', params, db, {}, response => {
+				// Assert:
+				expect(capturedIds).to.deep.equal(options.expectedIds || []);
+				expect(capturedArgs).to.deep.equal(options.expectedArgs);
+				expect(response).to.deep.equal({ payload: options.expectedPayload, type: 'mosaicDescriptor' });
+			});
+		};
+
+		describe('all', () => {
+			const routeName = '/mosaics';
+			const emptyFilters = {
+				owner: undefined, expired: undefined, supplyMutable: undefined, transferable: undefined
+			};
+
+			it('returns mosaics without filters', () => runMosaicsTest(routeName, {}, {
+				expectedArgs: [[emptyFilters, undefined, 0, defaultPagingOptions]],
+				expectedPayload: [{ value: 'this is nonsense' }]
+			}));
+
+			it('returns mosaics with flag filters', () => runMosaicsTest(
+				routeName,
+				{ expired: 'false', supplyMutable: 'true', transferable: 'false' },
+				{
+					expectedArgs: [[
+						Object.assign({}, emptyFilters, { expired: false, supplyMutable: true, transferable: false }),
+						undefined,
+						0,
+						defaultPagingOptions
+					]],
+					expectedPayload: [{ value: 'this is nonsense' }]
+				}
+			));
+
+			it('returns mosaics with owner public key filter', () => runMosaicsTest(routeName, { owner: publicKeys.valid[0] }, {
+				expectedArgs: [[Object.assign({}, emptyFilters, { owner: ownerPublicKey }), undefined, 0, defaultPagingOptions]],
+				expectedPayload: [{ value: 'this is nonsense' }]
+			}));
+
+			it('returns mosaics with owner address filter', () => runMosaicsTest(routeName, { owner: addresses.valid[0] }, {
+				accounts: [createAccount(ownerPublicKey, 1)],
+				expectedIds: [{ address: address.stringToAddress(addresses.valid[0]) }],
+				expectedArgs: [[
+					Object.assign({}, emptyFilters, { owner: Buffer.from(ownerPublicKey) }),
+					undefined,
+					0,
+					defaultPagingOptions
+				]],
+				expectedPayload: [{ value: 'this is nonsense' }]
+			}));
+
+			it('returns empty array when owner address cannot be resolved', () => runMosaicsTest(routeName, { owner: addresses.valid[0] }, {
+				expectedIds: [{ address: address.stringToAddress(addresses.valid[0]) }],
+				expectedArgs: [],
+				expectedPayload: []
+			}));
+
+			it('forwards sort field', () => runMosaicsTest(routeName, { pageSize: '20', sortField: 'height' }, {
+				expectedArgs: [[emptyFilters, undefined, 20, { id: undefined, pageSize: 20, sortField: 'mosaic.height' }]],
+				expectedPayload: [{ value: 'this is nonsense' }]
+			}));
+
+			['owner', 'expired', 'supplyMutable', 'transferable'].forEach(key => {
+				it(`returns 409 if ${key} is invalid`, () => {
+					// Arrange:
+					const db = createDb([], []);
+
+					// Act + Assert:
+					const params = { [key]: 'abc' };
+					const errorMessage = `${key} has an invalid format`;
+					return test.route.executeThrows(mosaicRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+				});
+			});
+		});
+
+		describe('created by account', () => {
+			const routeName = '/account/:accountId/mosaics/created';
+
+			it('returns mosaics created by public key', () => runMosaicsTest(routeName, { accountId: publicKeys.valid[0] }, {
+				expectedArgs: [[{ owner: ownerPublicKey }, undefined, 0, defaultPagingOptions]],
+				expectedPayload: [{ value: 'this is nonsense' }]
+			}));
+
+			it('returns mosaics created by address', () => runMosaicsTest(routeName, { accountId: addresses.valid[0] }, {
+				accounts: [createAccount(ownerPublicKey, 1)],
+				expectedIds: [{ address: address.stringToAddress(addresses.valid[0]) }],
+				expectedArgs: [[{ owner: Buffer.from(ownerPublicKey) }, undefined, 0, defaultPagingOptions]],
+				expectedPayload: [{ value: 'this is nonsense' }]
+			}));
+
+			it('returns empty array when address cannot be resolved', () => runMosaicsTest(routeName, { accountId: addresses.valid[0] }, {
+				accounts: [createAccount(Buffer.alloc(32), 0)],
+				expectedIds: [{ address: address.stringToAddress(addresses.valid[0]) }],
+				expectedArgs: [],
+				expectedPayload: []
+			}));
+
+			it('returns 409 if account id is invalid', () => {
+				// Arrange:
+				const db = createDb([], []);
+
+				// Act + Assert:
+				const params = { accountId: publicKeys.invalid };
+				const errorMessage = 'accountId has an invalid format';
+				return test.route.executeThrows(mosaicRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+			});
+		});
+	});
+
+	describe('holders', () => {
+		const routeName = '/mosaic/:mosaicId/holders';
+		const mosaicId = '1234567890ABCDEF';
+		const uint64MosaicId = [0x90ABCDEF, 0x12345678];
+
+		const runHoldersTest = (params, expectedArgs, expectedResponse) => {
+			// Arrange:
+			const holders = [{ value: 'this is nonsense' }];
+			Object.defineProperty(holders, 'pagination', { value: { pageSize: 10, offset: 0 } });
+
+			const capturedArgs = [];
+			const db = {
+				mosaicHolders: (...args) => {
+					capturedArgs.push(args);
+					return Promise.resolve(holders);
+				}
+			};
+
+			// Act:
+			return test.route.executeSingle(mosaicRoutes.register, routeName, 'get', params, db, {}, response => {
+				// Assert:
+				expect(capturedArgs).to.deep.equal([expectedArgs]);
+				expect(response).to.deep.equal(Object.assign({ payload: holders, type: 'mosaicHolder' }, expectedResponse));
+			});
+		};
+
+		it('returns holders with default options', () => runHoldersTest({ mosaicId }, [uint64MosaicId, undefined, 0, undefined]));
+
+		it('returns holders with custom options', () => runHoldersTest(
+			{
+				mosaicId, minAmount: '1000', pageSize: '25', offset: '50'
+			},
+			[uint64MosaicId, 1000, 25, 50]
+		));
+
+		it('returns holders in envelope when requested', () => runHoldersTest(
+			{ mosaicId, envelope: 'true' },
+			[uint64MosaicId, undefined, 0, undefined],
+			{ pagination: { pageSize: 10, offset: 0 } }
+		));
+
+		const addFailureTest = (description, params, errorMessage) => {
+			it(`returns 409 if ${description}`, () => {
+				// Arrange:
+				const db = { mosaicHolders: () => Promise.resolve([]) };
+
+				// Act + Assert:
+				return test.route.executeThrows(mosaicRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+			});
+		};
+
+		addFailureTest('mosaic id is invalid', { mosaicId: '12345' }, 'mosaicId has an invalid format');
+		addFailureTest('minimum amount is invalid', { mosaicId, minAmount: '-1' }, 'minAmount has an invalid format');
+		addFailureTest('paging id is provided', { mosaicId, id: '112233445566778899AABBCC' }, 'id is not supported, use offset instead');
+	});
+
+	describe('distribution', () => {
+		const routeName = '/mosaic/:mosaicId/distribution';
+		const mosaicId = '1234567890ABCDEF';
+		const uint64MosaicId = [0x90ABCDEF, 0x12345678];
+
+		const runDistributionTest = (params, expectedArgs) => {
+			// Arrange:
+			const capturedArgs = [];
+			const db = {
+				mosaicDistribution: (...args) => {
+					capturedArgs.push(args);
+					return Promise.resolve({ value: 'this is nonsense' });
+				}
+			};
+
+			// Act:
+			return test.route.executeSingle(mosaicRoutes.register, routeName, 'get', params, db, {}, response => {
+				// Assert:
+				expect(capturedArgs).to.deep.equal([expectedArgs]);
+				expect(response).to.deep.equal({ payload: { value: 'this is nonsense' }, type: 'mosaicDistribution' });
+			});
+		};
+
+		it('returns distribution with default number of top holders', () => runDistributionTest({ mosaicId }, [uint64MosaicId, 10]));
+
+		it('returns distribution with custom number of top holders', () =>
+			runDistributionTest({ mosaicId, top: '25' }, [uint64MosaicId, 25]));
+
+		it('returns 409 if number of top holders is invalid', () => {
+			// Arrange:
+			const db = { mosaicDistribution: () => Promise.resolve({}) };
+
+			// Act + Assert:
+			const params = { mosaicId, top: 'abc' };
+			return test.route.executeThrows(mosaicRoutes.register, routeName, 'get', params, db, {}, 'top has an invalid format', 409);
+		});
+	});
 });
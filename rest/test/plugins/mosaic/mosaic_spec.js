@@ -39,7 +39,11 @@ describe('mosaic plugin', () => {
 
 			// Assert:
 			test.assert.assertRoutes(routes, [
-				'/mosaic/:mosaicId'
+				'/mosaic/:mosaicId',
+				'/mosaic/:mosaicId/holders',
+				'/mosaic/:mosaicId/distribution',
+				'/mosaics',
+				'/account/:accountId/mosaics/created'
 			]);
 		});
 
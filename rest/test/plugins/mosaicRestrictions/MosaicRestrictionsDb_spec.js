@@ -0,0 +1,130 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const test = require('./mosaicRestrictionsDbTestUtils');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+describe('mosaic restrictions db', () => {
+	const { createMosaicRestrictionEntry } = test.db;
+	const { address, global } = catapult.plugins.mosaicRestrictions.MosaicRestrictionEntryType;
+
+	describe('mosaic restrictions by mosaic id', () => {
+		it('returns empty array for mosaic without restrictions', () =>
+			// Assert:
+			test.db.runDbTest(
+				[createMosaicRestrictionEntry(1, global, 1234), createMosaicRestrictionEntry(2, address, 1234)],
+				db => db.mosaicRestrictionsByMosaicId([5678, 0]),
+				entities => { expect(entities).to.deep.equal([]); }
+			));
+
+		it('returns all restriction entries of mosaic', () => {
+			// Arrange:
+			const entries = [
+				createMosaicRestrictionEntry(1, global, 1234),
+				createMosaicRestrictionEntry(2, address, 1234),
+				createMosaicRestrictionEntry(3, address, 5678),
+				createMosaicRestrictionEntry(4, address, 1234)
+			];
+			const expectedEntries = [entries[3], entries[1], entries[0]];
+
+			// Assert:
+			return test.db.runDbTest(
+				entries,
+				db => db.mosaicRestrictionsByMosaicId([1234, 0]),
+				entities => { expect(entities).to.deep.equal(expectedEntries); }
+			);
+		});
+
+		it('respects paging', () => {
+			// Arrange:
+			const entries = [];
+			for (let id = 1; 20 >= id; ++id)
+				entries.push(createMosaicRestrictionEntry(id, address, 1234));
+
+			const pageId = entries[14]._id.toString();
+			const expectedEntries = entries.slice(0, 14).reverse().slice(0, 12);
+
+			// Assert:
+			return test.db.runDbTest(
+				entries,
+				db => db.mosaicRestrictionsByMosaicId([1234, 0], pageId, 12),
+				entities => { expect(entities).to.deep.equal(expectedEntries); }
+			);
+		});
+	});
+
+	describe('mosaic global restrictions by mosaic ids', () => {
+		it('returns global restriction entries of mosaics', () => {
+			// Arrange:
+			const entries = [
+				createMosaicRestrictionEntry(1, global, 1234),
+				createMosaicRestrictionEntry(2, address, 1234),
+				createMosaicRestrictionEntry(3, global, 5678),
+				createMosaicRestrictionEntry(4, global, 9999)
+			];
+
+			// Assert:
+			return test.db.runDbTest(
+				entries,
+				db => db.mosaicGlobalRestrictionsByMosaicIds([[1234, 0], [5678, 0]]),
+				entities => { expect(entities).to.deep.equal([entries[0], entries[2]]); }
+			);
+		});
+
+		it('returns empty array for unknown mosaic ids', () =>
+			// Assert:
+			test.db.runDbTest(
+				[createMosaicRestrictionEntry(1, global, 1234)],
+				db => db.mosaicGlobalRestrictionsByMosaicIds([[5678, 0]]),
+				entities => { expect(entities).to.deep.equal([]); }
+			));
+	});
+
+	describe('mosaic address restrictions by addresses', () => {
+		const targetAddresses = [test.random.address(), test.random.address()];
+
+		it('returns address restriction entries of mosaic for addresses', () => {
+			// Arrange:
+			const entries = [
+				createMosaicRestrictionEntry(1, address, 1234, targetAddresses[0]),
+				createMosaicRestrictionEntry(2, address, 5678, targetAddresses[0]),
+				createMosaicRestrictionEntry(3, address, 1234),
+				createMosaicRestrictionEntry(4, address, 1234, targetAddresses[1]),
+				createMosaicRestrictionEntry(5, global, 1234)
+			];
+
+			// Assert:
+			return test.db.runDbTest(
+				entries,
+				db => db.mosaicAddressRestrictionsByAddresses([1234, 0], targetAddresses),
+				entities => { expect(entities).to.deep.equal([entries[0], entries[3]]); }
+			);
+		});
+
+		it('returns empty array for addresses without restrictions', () =>
+			// Assert:
+			test.db.runDbTest(
+				[createMosaicRestrictionEntry(1, address, 1234, targetAddresses[0])],
+				db => db.mosaicAddressRestrictionsByAddresses([5678, 0], targetAddresses),
+				entities => { expect(entities).to.deep.equal([]); }
+			));
+	});
+});
@@ -0,0 +1,64 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const MosaicRestrictionsDb = require('../../../src/plugins/mosaicRestrictions/MosaicRestrictionsDb');
+const dbTestUtils = require('../../db/utils/dbTestUtils');
+const test = require('../../testUtils');
+const catapult = require('catapult-sdk');
+const MongoDb = require('mongodb');
+
+const { MosaicRestrictionEntryType } = catapult.plugins.mosaicRestrictions;
+const { Binary, Long } = MongoDb;
+
+const createMosaicRestrictionEntry = (id, entryType, mosaicId, targetAddress) => {
+	const mosaicRestrictionEntry = {
+		compositeHash: new Binary(test.random.hash()),
+		entryType,
+		mosaicId: Long.fromNumber(mosaicId)
+	};
+
+	if (MosaicRestrictionEntryType.address === entryType) {
+		mosaicRestrictionEntry.targetAddress = new Binary(targetAddress || test.random.address());
+		mosaicRestrictionEntry.restrictions = [{ key: Long.fromNumber(1), value: Long.fromNumber(100) }];
+	} else {
+		mosaicRestrictionEntry.restrictions = [{
+			key: Long.fromNumber(1),
+			restriction: { referenceMosaicId: Long.fromNumber(0), restrictionValue: Long.fromNumber(100), restrictionType: 1 }
+		}];
+	}
+
+	return { _id: dbTestUtils.db.createObjectId(id), meta: {}, mosaicRestrictionEntry };
+};
+
+const mosaicRestrictionsDbTestUtils = {
+	db: {
+		createMosaicRestrictionEntry,
+		runDbTest: (dbEntities, issueDbCommand, assertDbCommandResult) => dbTestUtils.db.runDbTest(
+			dbEntities,
+			'mosaicRestrictions',
+			db => new MosaicRestrictionsDb(db),
+			issueDbCommand,
+			assertDbCommandResult
+		)
+	}
+};
+Object.assign(mosaicRestrictionsDbTestUtils, test);
+
+module.exports = mosaicRestrictionsDbTestUtils;
@@ -0,0 +1,157 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const mosaicRestrictionsRoutes = require('../../../src/plugins/mosaicRestrictions/mosaicRestrictionsRoutes');
+const { test } = require('../../routes/utils/routeTestUtils');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+const { address } = catapult.model;
+const { uint64 } = catapult.utils;
+const { addresses } = test.sets;
+
+describe('mosaic restrictions routes', () => {
+	const mosaicId = '1234567890ABCDEF';
+
+	describe('get by mosaic id', () => {
+		const pagingTestsFactory = test.setup.createPagingTestsFactory(
+			{
+				routes: mosaicRestrictionsRoutes,
+				routeName: '/mosaic/:mosaicId/restrictions',
+				createDb: (keyGroups, documents) => ({
+					mosaicRestrictionsByMosaicId: (id, pageId, pageSize) => {
+						keyGroups.push({ id, pageId, pageSize });
+						return Promise.resolve(documents);
+					}
+				}),
+				routeCaptureMethod: 'get'
+			},
+			{ mosaicId },
+			{ id: uint64.fromHex(mosaicId) },
+			'mosaicRestrictions'
+		);
+
+		pagingTestsFactory.addDefault();
+		pagingTestsFactory.addNonPagingParamFailureTest('mosaicId', '12345');
+	});
+
+	describe('global restrictions', () => {
+		const mosaicIds = ['1234567890ABCDEF', 'ABCDEF0123456789'];
+		const uint64MosaicIds = [[0x90ABCDEF, 0x12345678], [0x23456789, 0xABCDEF01]];
+		const errorMessage = 'has an invalid format';
+		test.route.document.addGetPostDocumentRouteTests(mosaicRestrictionsRoutes.register, {
+			routes: { singular: '/mosaic/:mosaicId/restrictions/global', plural: '/mosaic/restrictions' },
+			inputs: {
+				valid: { object: { mosaicId: mosaicIds[0] }, parsed: [uint64MosaicIds[0]], printable: mosaicIds[0] },
+				validMultiple: { object: { mosaicIds }, parsed: uint64MosaicIds },
+				invalid: { object: { mosaicId: '12345' }, error: `mosaicId ${errorMessage}` },
+				invalidMultiple: {
+					object: { mosaicIds: [mosaicIds[0], '12345', mosaicIds[1]] },
+					error: `element in array mosaicIds ${errorMessage}`
+				}
+			},
+			dbApiName: 'mosaicGlobalRestrictionsByMosaicIds',
+			type: 'mosaicRestrictions'
+		});
+	});
+
+	describe('address restrictions', () => {
+		const dbApiName = 'mosaicAddressRestrictionsByAddresses';
+
+		describe('GET', () => {
+			const routeName = '/mosaic/:mosaicId/restrictions/address/:address';
+
+			it('returns address restriction entry if found', () => {
+				// Arrange:
+				const keyGroups = [];
+				const db = test.setup.createCapturingDb(dbApiName, keyGroups, [{ id: 1 }]);
+				const params = { mosaicId, address: addresses.valid[0] };
+
+				// Act:
+				return test.route.executeSingle(mosaicRestrictionsRoutes.register, routeName, 'get', params, db, {}, response => {
+					// Assert:
+					expect(keyGroups).to.deep.equal([uint64.fromHex(mosaicId), [address.stringToAddress(addresses.valid[0])]]);
+					expect(response).to.deep.equal({ payload: { id: 1 }, type: 'mosaicRestrictions' });
+				});
+			});
+
+			it('returns 404 if address restriction entry is not found', () => {
+				// Arrange:
+				const db = test.setup.createCapturingDb(dbApiName, [], []);
+				const params = { mosaicId, address: addresses.valid[0] };
+
+				// Act:
+				return test.route.executeSingle(mosaicRestrictionsRoutes.register, routeName, 'get', params, db, {}, response => {
+					// Assert:
+					expect(response.statusCode).to.equal(404);
+					expect(response.message).to.equal(`no resource exists with id '${addresses.valid[0]}'`);
+				});
+			});
+
+			it('returns 409 if mosaic id is invalid', () => {
+				// Arrange:
+				const db = test.setup.createCapturingDb(dbApiName, [], []);
+				const params = { mosaicId: '12345', address: addresses.valid[0] };
+
+				// Act + Assert:
+				const errorMessage = 'mosaicId has an invalid format';
+				return test.route.executeThrows(mosaicRestrictionsRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+			});
+
+			it('returns 409 if address is invalid', () => {
+				// Arrange:
+				const db = test.setup.createCapturingDb(dbApiName, [], []);
+				const params = { mosaicId, address: addresses.invalid };
+
+				// Act + Assert:
+				const errorMessage = 'address has an invalid format';
+				return test.route.executeThrows(mosaicRestrictionsRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+			});
+		});
+
+		describe('POST', () => {
+			const routeName = '/mosaic/:mosaicId/restrictions/address';
+
+			it('returns address restriction entries', () => {
+				// Arrange:
+				const keyGroups = [];
+				const db = test.setup.createCapturingDb(dbApiName, keyGroups, [{ id: 1 }, { id: 2 }]);
+				const params = { mosaicId, addresses: addresses.valid };
+
+				// Act:
+				return test.route.executeSingle(mosaicRestrictionsRoutes.register, routeName, 'post', params, db, {}, response => {
+					// Assert:
+					expect(keyGroups).to.deep.equal([uint64.fromHex(mosaicId), addresses.valid.map(address.stringToAddress)]);
+					expect(response).to.deep.equal({ payload: [{ id: 1 }, { id: 2 }], type: 'mosaicRestrictions' });
+				});
+			});
+
+			it('returns 409 if any address is invalid', () => {
+				// Arrange:
+				const db = test.setup.createCapturingDb(dbApiName, [], []);
+				const params = { mosaicId, addresses: [addresses.valid[0], addresses.invalid] };
+
+				// Act + Assert:
+				const errorMessage = 'element in array addresses has an invalid format';
+				return test.route.executeThrows(mosaicRestrictionsRoutes.register, routeName, 'post', params, db, {}, errorMessage, 409);
+			});
+		});
+	});
+});
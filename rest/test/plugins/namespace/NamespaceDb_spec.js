@@ -242,6 +242,95 @@ describe('namespace db', () => {
 			.catch(() => Promise.resolve())
 			.then(() => db.database.collection(collectionName)[Array.isArray(entities) ? 'insertMany' : 'insertOne'](entities));
 
+	describe('namespace hierarchy', () => {
+		const owner = createOwner();
+		const createRoot = (id, path, end, active = true) =>
+			test.db.createNamespace(id, owner, 0, 100, path, { start: 0, end }, active, { type: 0 });
+		const createChild = (id, parentId, path, active = true) =>
+			test.db.createNamespace(id, owner, 1, parentId, path, { start: 0, end: 50 }, active, { type: 0 });
+
+		const createSeedNamespaces = () => [
+			createRoot(10, [100], 50),
+			createChild(11, 100, [100, 200]),
+			createChild(12, 200, [100, 200, 300]),
+			createChild(13, 100, [100, 201]),
+			createChild(14, 100, [100, 202], false),
+			createRoot(15, [500], 200),
+			createRoot(16, [600], -1),
+			createRoot(17, [700], 60, false),
+			createRoot(18, [800], 5)
+		];
+
+		const getNames = namespaces => namespaces.map(namespace => namespace.namespace.name);
+
+		describe('namespace children', () => {
+			it('returns active direct children of namespace', () =>
+				// Assert:
+				test.db.runDbTest(
+					createSeedNamespaces(),
+					db => db.namespaceChildren([100, 0], undefined, 10),
+					namespaces => { expect(getNames(namespaces)).to.deep.equal(['child13', 'child11']); }
+				));
+
+			it('returns empty array for namespace without children', () =>
+				// Assert:
+				test.db.runDbTest(
+					createSeedNamespaces(),
+					db => db.namespaceChildren([300, 0], undefined, 10),
+					namespaces => { expect(namespaces).to.deep.equal([]); }
+				));
+		});
+
+		describe('namespace tree', () => {
+			it('returns active namespace and descendants ordered by depth', () =>
+				// Assert:
+				test.db.runDbTest(
+					createSeedNamespaces(),
+					db => db.namespaceTree([200, 0]),
+					namespaces => { expect(getNames(namespaces)).to.deep.equal(['child11', 'child12']); }
+				));
+
+			it('returns root namespace without descendants', () =>
+				// Assert:
+				test.db.runDbTest(
+					createSeedNamespaces(),
+					db => db.namespaceTree([500, 0]),
+					namespaces => { expect(getNames(namespaces)).to.deep.equal(['root15']); }
+				));
+
+			it('returns empty array for unknown namespace', () =>
+				// Assert:
+				test.db.runDbTest(
+					createSeedNamespaces(),
+					db => db.namespaceTree([900, 0]),
+					namespaces => { expect(namespaces).to.deep.equal([]); }
+				));
+		});
+
+		describe('namespaces expiring', () => {
+			const runExpiringTest = (numBlocks, expectedNames) => {
+				// Arrange:
+				const db = new CatapultDb({ networkId: testDbOptions.networkId });
+				const dbFacade = new NamespaceDb(db);
+				const chainHeight = 10;
+
+				// Act + Assert:
+				return db.connect(testDbOptions.url, 'test')
+					.then(() => populateCollection(db, 'blocks', [...Array(chainHeight)].map(() => ({}))))
+					.then(() => populateCollection(db, 'namespaces', createSeedNamespaces()))
+					.then(() => dbFacade.namespacesExpiring(numBlocks, undefined, 10))
+					.then(namespaces => { expect(getNames(namespaces)).to.deep.equal(expectedNames); })
+					.then(() => db.close());
+			};
+
+			it('returns active root namespaces expiring within blocks', () => runExpiringTest(100, ['root10']));
+
+			it('returns expiring namespaces ordered by ascending end height', () => runExpiringTest(1000, ['root10', 'root15']));
+
+			it('returns empty array when no namespaces expire within blocks', () => runExpiringTest(10, []));
+		});
+	});
+
 	describe('activeNamespacesWithAlias', () => {
 		const aliasTypeMosaic = catapult.model.namespace.aliasType.mosaic;
 		const aliasTypeAddress = catapult.model.namespace.aliasType.address;
@@ -27,7 +27,7 @@ const { expect } = require('chai');
 const MongoDb = require('mongodb');
 const sinon = require('sinon');
 
-const { Binary } = MongoDb;
+const { Binary, Long } = MongoDb;
 const { convert } = catapult.utils;
 const { address } = catapult.model;
 
@@ -283,6 +283,139 @@ describe('namespace routes', () => {
 		}));
 	});
 
+	describe('namespace hierarchy', () => {
+		// alice (100) -> bob (200) -> carol (300)
+		const nameTuples = [
+			{ namespaceId: Long.fromNumber(100), name: 'alice', parentId: null },
+			{ namespaceId: Long.fromNumber(200), name: 'bob', parentId: Long.fromNumber(100) },
+			{ namespaceId: Long.fromNumber(300), name: new Binary(Buffer.from('carol')), parentId: Long.fromNumber(200) }
+		];
+
+		const createNamespace = path => ({
+			meta: { active: true },
+			namespace: Object.assign(
+				{ depth: path.length },
+				...path.map((id, level) => ({ [`level${level}`]: Long.fromNumber(id) }))
+			)
+		});
+
+		const createNamespaceWithName = (path, name) => {
+			const namespace = createNamespace(path);
+			namespace.namespace.name = name;
+			return namespace;
+		};
+
+		const createDb = (dbApiName, capturedArgs, namespaces) => ({
+			catapultDb: {
+				findNamesByIds: ids => Promise.resolve(nameTuples
+					.filter(nameTuple => ids.some(id => nameTuple.namespaceId.equals(id)))
+					.map(nameTuple => Object.assign({}, nameTuple)))
+			},
+			[dbApiName]: (...args) => {
+				capturedArgs.push(args);
+				return Promise.resolve(namespaces);
+			}
+		});
+
+		const runHierarchyTest = (routeName, dbApiName, params, expectedArgs) => {
+			// Arrange:
+			const capturedArgs = [];
+			const namespaces = [[100], [100, 200], [100, 200, 300], [400]].map(createNamespace);
+			const db = createDb(dbApiName, capturedArgs, namespaces);
+
+			// Act:
+			return test.route.executeSingle(namespaceRoutes.register, routeName, 'get', params, db, {}, response => {
+				// Assert:
+				expect(capturedArgs).to.deep.equal([expectedArgs]);
+				expect(response).to.deep.equal({
+					payload: [
+						createNamespaceWithName([100], 'alice'),
+						createNamespaceWithName([100, 200], 'alice.bob'),
+						createNamespaceWithName([100, 200, 300], 'alice.bob.carol'),
+						createNamespace([400])
+					],
+					type: 'namespaceDescriptor'
+				});
+			});
+		};
+
+		const runEmptyTest = (routeName, dbApiName, params) => {
+			// Arrange:
+			const db = createDb(dbApiName, [], []);
+			db.catapultDb.findNamesByIds = () => { throw Error('names should not be queried'); };
+
+			// Act:
+			return test.route.executeSingle(namespaceRoutes.register, routeName, 'get', params, db, {}, response => {
+				// Assert:
+				expect(response).to.deep.equal({ payload: [], type: 'namespaceDescriptor' });
+			});
+		};
+
+		const namespaceId = '1234567890ABCDEF';
+		const uint64NamespaceId = [0x90ABCDEF, 0x12345678];
+		const defaultPagingOptions = { id: undefined, pageSize: 0 };
+
+		describe('children', () => {
+			const routeName = '/namespace/:namespaceId/children';
+
+			it('returns children with names', () => runHierarchyTest(
+				routeName,
+				'namespaceChildren',
+				{ namespaceId },
+				[uint64NamespaceId, undefined, 0, defaultPagingOptions]
+			));
+
+			it('returns empty array if there are no children', () => runEmptyTest(routeName, 'namespaceChildren', { namespaceId }));
+
+			it('returns 409 if namespace id is invalid', () => {
+				// Arrange:
+				const db = createDb('namespaceChildren', [], []);
+
+				// Act + Assert:
+				const params = { namespaceId: '12345' };
+				const errorMessage = 'namespaceId has an invalid format';
+				return test.route.executeThrows(namespaceRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+			});
+		});
+
+		describe('tree', () => {
+			const routeName = '/namespace/:namespaceId/tree';
+
+			it('returns tree with names', () => runHierarchyTest(routeName, 'namespaceTree', { namespaceId }, [uint64NamespaceId]));
+
+			it('returns empty array if namespace is unknown', () => runEmptyTest(routeName, 'namespaceTree', { namespaceId }));
+		});
+
+		describe('expiring', () => {
+			const routeName = '/namespaces/expiring';
+
+			it('returns expiring namespaces with names', () => runHierarchyTest(
+				routeName,
+				'namespacesExpiring',
+				{ withinBlocks: '1000', sortField: 'endHeight' },
+				[1000, undefined, 0, { id: undefined, pageSize: 0, sortField: 'namespace.endHeight' }]
+			));
+
+			it('returns empty array if no namespaces are expiring', () => runEmptyTest(
+				routeName,
+				'namespacesExpiring',
+				{ withinBlocks: '1000' }
+			));
+
+			['abc', undefined].forEach(withinBlocks => {
+				it(`returns 409 if number of blocks is ${withinBlocks}`, () => {
+					// Arrange:
+					const db = createDb('namespacesExpiring', [], []);
+
+					// Act + Assert:
+					const params = { withinBlocks };
+					const errorMessage = 'withinBlocks has an invalid format';
+					return test.route.executeThrows(namespaceRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+				});
+			});
+		});
+	});
+
 	describe('get mosaic names', () => {
 		describe('calls aliasNamesRoutesProcessor with correct params', () => {
 			it('is called once for each endpoint using it with correct parameters', () => {
@@ -22,9 +22,13 @@ const { convertToLong } = require('../../../src/db/dbUtils');
 const namespaceUtils = require('../../../src/plugins/namespace/namespaceUtils');
 const catapult = require('catapult-sdk');
 const { expect } = require('chai');
+const MongoDb = require('mongodb');
 const sinon = require('sinon');
 
-const { aliasNamesRoutesProcessor } = namespaceUtils;
+const { aliasNamesRoutesProcessor, createNamespaceNameResolver } = namespaceUtils;
+const { address, idGenerator } = catapult.model;
+const AliasType = catapult.model.namespace.aliasType;
+const { Binary } = MongoDb;
 
 describe('namespace utils', () => {
 	describe('aliasNamesRoutesProcessor', () => {
@@ -179,4 +183,206 @@ describe('namespace utils', () => {
 			});
 		});
 	});
+
+	describe('createNamespaceNameResolver', () => {
+		const testAddress = 'SBZ22LWA7GDZLPLQF7PXTMNLWSEZ7ZRVGRMWLXWV';
+		const testMosaicId = '78A4895CB6653DE4';
+		const chainHeight = 100;
+
+		const createNamespace = (type, endHeight) => ({
+			namespace: {
+				endHeight: convertToLong(endHeight),
+				alias: {
+					type,
+					address: AliasType.address === type ? new Binary(Buffer.from(address.stringToAddress(testAddress))) : undefined,
+					mosaicId: AliasType.mosaic === type ? convertToLong([0xB6653DE4, 0x78A4895C]) : undefined
+				}
+			}
+		});
+
+		const createDb = namespace => ({
+			namespaceById: sinon.fake.resolves(namespace),
+			catapultDb: { chainInfo: sinon.fake.resolves({ height: convertToLong(chainHeight) }) }
+		});
+
+		const runResolverTest = (db, params) => {
+			const req = { params };
+			const nextFake = sinon.fake();
+			const result = createNamespaceNameResolver(db)(req, {}, nextFake);
+			return Promise.resolve(result).then(() => ({ params: req.params, nextFake }));
+		};
+
+		const assertResolverFails = (db, params, expectedError) => runResolverTest(db, params).then(
+			() => { throw Error('no exception was thrown by test'); },
+			err => {
+				expect(err.statusCode).to.equal(expectedError.statusCode);
+				expect(err.message).to.equal(expectedError.message);
+			}
+		);
+
+		it('does not resolve raw ids', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.address, -1));
+			const params = { accountId: testAddress, owner: testAddress, mosaicId: testMosaicId };
+
+			// Act:
+			return runResolverTest(db, Object.assign({}, params)).then(context => {
+				// Assert:
+				expect(context.params).to.deep.equal(params);
+				expect(context.nextFake.calledOnce).to.equal(true);
+				expect(db.namespaceById.called).to.equal(false);
+			});
+		});
+
+		it('resolves namespace names linked to addresses', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.address, chainHeight + 1));
+
+			// Act:
+			return runResolverTest(db, { accountId: 'acme.treasury', owner: 'acme' }).then(context => {
+				// Assert:
+				expect(context.params).to.deep.equal({ accountId: testAddress, owner: testAddress });
+				expect(context.nextFake.calledOnce).to.equal(true);
+				expect(db.namespaceById.firstCall.args).to.deep.equal([idGenerator.generateNamespacePath('acme.treasury')[1]]);
+				expect(db.namespaceById.secondCall.args).to.deep.equal([idGenerator.generateNamespacePath('acme')[0]]);
+			});
+		});
+
+		it('resolves namespace name linked to mosaic', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.mosaic, chainHeight + 1));
+
+			// Act:
+			return runResolverTest(db, { mosaicId: 'acme.token' }).then(context => {
+				// Assert:
+				expect(context.params).to.deep.equal({ mosaicId: testMosaicId });
+				expect(context.nextFake.calledOnce).to.equal(true);
+			});
+		});
+
+		it('resolves namespace names in transaction filters', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.address, -1));
+
+			// Act:
+			return runResolverTest(db, { recipient: 'acme.treasury', address: 'acme' }).then(context => {
+				// Assert:
+				expect(context.params).to.deep.equal({ recipient: testAddress, address: testAddress });
+				expect(context.nextFake.calledOnce).to.equal(true);
+			});
+		});
+
+		it('resolves namespace names in array arguments', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.mosaic, -1));
+			const otherMosaicId = '0DC67FBE1CAD29E3';
+
+			// Act:
+			return runResolverTest(db, { mosaicIds: ['acme.token', otherMosaicId, 'acme.coin'] }).then(context => {
+				// Assert: only names are resolved
+				expect(context.params).to.deep.equal({ mosaicIds: [testMosaicId, otherMosaicId, testMosaicId] });
+				expect(context.nextFake.calledOnce).to.equal(true);
+				expect(db.namespaceById.callCount).to.equal(2);
+			});
+		});
+
+		it('does not resolve raw ids in array arguments', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.address, -1));
+			const params = { addresses: [testAddress, testAddress] };
+
+			// Act:
+			return runResolverTest(db, Object.assign({}, params)).then(context => {
+				// Assert:
+				expect(context.params).to.deep.equal(params);
+				expect(context.nextFake.calledOnce).to.equal(true);
+				expect(db.namespaceById.called).to.equal(false);
+			});
+		});
+
+		describe('public key', () => {
+			const testPublicKey = '7DE16AEDF57EB9561D3E6EFA4AE66F27ABDA8AEC8BC020B6277360E31619DCE7';
+
+			const createDbWithAccount = publicKeyHeight => {
+				const db = createDb(createNamespace(AliasType.address, -1));
+				db.catapultDb.accountsByIds = sinon.fake.resolves([{
+					account: {
+						publicKey: new Binary(Buffer.from(testPublicKey, 'hex')),
+						publicKeyHeight: convertToLong(publicKeyHeight)
+					}
+				}]);
+				return db;
+			};
+
+			it('resolves namespace names linked to addresses with known public keys', () => {
+				// Arrange:
+				const db = createDbWithAccount(10);
+
+				// Act:
+				return runResolverTest(db, { signer: 'acme', publicKeys: ['acme.treasury'] }).then(context => {
+					// Assert:
+					expect(context.params).to.deep.equal({ signer: testPublicKey, publicKeys: [testPublicKey] });
+					expect(context.nextFake.calledOnce).to.equal(true);
+					expect(db.catapultDb.accountsByIds.firstCall.args).to.deep.equal([
+						[{ address: Buffer.from(address.stringToAddress(testAddress)) }]
+					]);
+				});
+			});
+
+			it('fails when namespace is linked to address with unknown public key', () => assertResolverFails(
+				createDbWithAccount(0),
+				{ signer: 'acme.treasury' },
+				{ statusCode: 409, message: 'namespace \'acme.treasury\' is linked to an account with unknown public key' }
+			));
+		});
+
+		it('resolves namespace name of eternal namespace', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.mosaic, -1));
+
+			// Act:
+			return runResolverTest(db, { mosaicId: 'acme.token' }).then(context => {
+				// Assert:
+				expect(context.params).to.deep.equal({ mosaicId: testMosaicId });
+			});
+		});
+
+		it('fails when namespace name is unknown', () => assertResolverFails(createDb(undefined), { accountId: 'acme.treasury' }, {
+			statusCode: 404,
+			message: 'no resource exists with id \'acme.treasury\''
+		}));
+
+		it('fails when namespace is expired', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.address, chainHeight));
+
+			// Act + Assert:
+			return assertResolverFails(db, { accountId: 'acme.treasury' }, {
+				statusCode: 409,
+				message: 'namespace \'acme.treasury\' has expired'
+			});
+		});
+
+		it('fails when namespace is not linked', () => {
+			// Arrange: alias type zero indicates that no alias is set
+			const db = createDb(createNamespace(0, -1));
+
+			// Act + Assert:
+			return assertResolverFails(db, { accountId: 'acme.treasury' }, {
+				statusCode: 409,
+				message: 'namespace \'acme.treasury\' is not linked to an address'
+			});
+		});
+
+		it('fails when namespace is linked to different alias type', () => {
+			// Arrange:
+			const db = createDb(createNamespace(AliasType.address, -1));
+
+			// Act + Assert:
+			return assertResolverFails(db, { mosaicId: 'acme.treasury' }, {
+				statusCode: 409,
+				message: 'namespace \'acme.treasury\' is not linked to a mosaic'
+			});
+		});
+	});
 });
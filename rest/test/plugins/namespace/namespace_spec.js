@@ -22,6 +22,7 @@ const namespace = require('../../../src/plugins/namespace/namespace');
 const NamespaceDb = require('../../../src/plugins/namespace/NamespaceDb');
 const { test } = require('../../routes/utils/routeTestUtils');
 const pluginTest = require('../utils/pluginTestUtils');
+const { expect } = require('chai');
 
 describe('namespace plugin', () => {
 	pluginTest.assertThat.pluginCreatesDb(namespace, NamespaceDb);
@@ -40,7 +41,10 @@ describe('namespace plugin', () => {
 			// Assert:
 			test.assert.assertRoutes(routes, [
 				'/account/:accountId/namespaces',
-				'/namespace/:namespaceId'
+				'/namespace/:namespaceId',
+				'/namespace/:namespaceId/children',
+				'/namespace/:namespaceId/tree',
+				'/namespaces/expiring'
 			]);
 		});
 
@@ -60,5 +64,18 @@ describe('namespace plugin', () => {
 				'/account/names'
 			]);
 		});
+
+		it('registers namespace name resolver', () => {
+			// Arrange:
+			const handlers = [];
+			const server = test.setup.createCapturingMockServer('use', handlers);
+
+			// Act:
+			namespace.registerRoutes(server, {});
+
+			// Assert:
+			expect(handlers.length).to.equal(1);
+			expect(handlers[0]).to.be.a('function');
+		});
 	});
 });
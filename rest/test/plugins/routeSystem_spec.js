@@ -43,7 +43,9 @@ describe('route system', () => {
 			'aggregate',
 			'lockHash',
 			'lockSecret',
+			'metadata',
 			'mosaic',
+			'mosaicRestrictions',
 			'multisig',
 			'namespace',
 			'receipts',
@@ -103,6 +105,31 @@ describe('route system', () => {
 		});
 	});
 
+	describe('plugin dbs', () => {
+		it('does not return dbs for plugins without db', () => {
+			// Act:
+			const { pluginDbs } = routeSystem.configure(['aggregate', 'transfer'], ...configureTrailingParameters);
+
+			// Assert:
+			expect(pluginDbs).to.deep.equal({});
+		});
+
+		it('returns dbs for plugins with db', () => {
+			// Arrange:
+			const db = {};
+			const server = test.setup.createMockServer('get', {});
+
+			// Act:
+			const { pluginDbs } = routeSystem.configure(['mosaic', 'transfer', 'namespace'], server, db, servicesTemplate);
+
+			// Assert:
+			expect(Object.keys(pluginDbs)).to.deep.equal(['mosaic', 'namespace']);
+			expect(pluginDbs.mosaic.constructor.name).to.equal('MosaicDb');
+			expect(pluginDbs.namespace.constructor.name).to.equal('NamespaceDb');
+			expect(pluginDbs.mosaic.catapultDb).to.equal(db);
+		});
+	});
+
 	describe('transaction states', () => {
 		it('can register single extension without custom transaction states', () => {
 			// Act:
@@ -51,18 +51,31 @@ describe('all routes', () => {
 			'/block/:height',
 			'/block/:height/transaction/:hash/merkle',
 			'/block/:height/transactions',
+			'/block/hash/:hash',
+			'/account/:accountId/blocks',
 			'/blocks/:height/limit/:limit',
 
 			'/chain/height',
 			'/chain/score',
 
+			'/export/blocks',
+
 			'/network',
+			'/network/fees',
+			'/node/health',
 			'/node/info',
 			'/node/time',
 
+			'/openapi.json',
+
+			'/statistics/blocks',
+			'/statistics/transactions/daily',
+
 			'/transaction/:transactionId',
 			'/transaction/:hash/status',
+			'/transactions',
 
+			'/diagnostic/apiNodes',
 			'/diagnostic/blocks/:height/limit/:limit',
 			'/diagnostic/server',
 			'/diagnostic/storage'
@@ -81,6 +94,9 @@ describe('all routes', () => {
 		test.assert.assertRoutes(routes, [
 			'/account',
 			'/transaction',
+			'/transaction/decode',
+			'/transaction/fee',
+			'/transaction/prepare',
 			'/transaction/statuses'
 		]);
 	});
@@ -95,7 +111,8 @@ describe('all routes', () => {
 
 		// Assert:
 		test.assert.assertRoutes(routes, [
-			'/transaction'
+			'/transaction',
+			'/transaction/sync'
 		]);
 	});
 
@@ -21,9 +21,15 @@
 const { MockServer, test } = require('./utils/routeTestUtils');
 const blockRoutes = require('../../src/routes/blockRoutes');
 const routeUtils = require('../../src/routes/routeUtils');
+const catapult = require('catapult-sdk');
 const { expect } = require('chai');
+const MongoDb = require('mongodb');
 const sinon = require('sinon');
 
+const { address } = catapult.model;
+const { convert } = catapult.utils;
+const { Binary, Long } = MongoDb;
+
 describe('block routes', () => {
 	const addChainInfoToDb = db => { db.chainInfo = () => Promise.resolve({ height: 10 }); };
 	const routeConfig = { pageSize: { min: 30, max: 80, step: 12 } };
@@ -43,6 +49,24 @@ describe('block routes', () => {
 		builder.addNotFoundInputTest({ object: { height: '11' }, parsed: [11], printable: '11' }, 'chain height is too small');
 	});
 
+	describe('block by hash', () => {
+		const { hashes256 } = test.sets;
+		const builder = test.route.document.prepareGetDocumentRouteTests(blockRoutes.register, {
+			route: '/block/hash/:hash',
+			dbApiName: 'blockByHash',
+			type: 'blockHeaderWithMetadata',
+			config: routeConfig
+		});
+		builder.addDefault({
+			valid: {
+				object: { hash: hashes256.valid[0] },
+				parsed: [convert.hexToUint8(hashes256.valid[0])],
+				printable: hashes256.valid[0]
+			},
+			invalid: { object: { hash: hashes256.invalid[0] }, error: 'hash has an invalid format' }
+		});
+	});
+
 	describe('blocks from height', () => {
 		const builder = test.route.document.prepareGetDocumentsRouteTests(blockRoutes.register, {
 			route: '/blocks/:height/limit/:limit',
@@ -86,6 +110,7 @@ describe('block routes', () => {
 	});
 
 	describe('block transactions', () => {
+		const defaultPagingOptions = { id: undefined, pageSize: 0 };
 		const builder = test.route.document.prepareGetDocumentsRouteTests(blockRoutes.register, {
 			route: '/block/:height/transactions',
 			dbApiName: 'transactionsAtHeight',
@@ -94,10 +119,10 @@ describe('block routes', () => {
 			config: routeConfig
 		});
 
-		builder.addValidInputTest({ object: { height: '3' }, parsed: [3, undefined, 0], printable: '3' });
-		builder.addEmptyArrayTest({ object: { height: '3' }, parsed: [3, undefined, 0], printable: '3' });
+		builder.addValidInputTest({ object: { height: '3' }, parsed: [3, undefined, 0, defaultPagingOptions], printable: '3' });
+		builder.addEmptyArrayTest({ object: { height: '3' }, parsed: [3, undefined, 0, defaultPagingOptions], printable: '3' });
 		builder.addNotFoundInputTest(
-			{ object: { height: '11' }, parsed: [11, undefined, 0], printable: '11' },
+			{ object: { height: '11' }, parsed: [11, undefined, 0, defaultPagingOptions], printable: '11' },
 			'chain height is too small'
 		);
 		builder.addInvalidKeyTest({ object: { height: '10A' }, error: 'height has an invalid format' });
@@ -126,6 +151,92 @@ describe('block routes', () => {
 		});
 	});
 
+	describe('account blocks', () => {
+		const { addresses, publicKeys } = test.sets;
+		const defaultPagingOptions = { id: undefined, pageSize: 0 };
+
+		describe('by public key', () => {
+			const publicKey = convert.hexToUint8(publicKeys.valid[0]);
+			const defaultInput = {
+				object: { accountId: publicKeys.valid[0] },
+				parsed: [publicKey, undefined, 0, -1, defaultPagingOptions]
+			};
+			const builder = test.route.document.prepareGetDocumentsRouteTests(blockRoutes.register, {
+				route: '/account/:accountId/blocks',
+				dbApiName: 'blocksBySignerOrBeneficiary',
+				type: 'blockHeaderWithMetadata',
+				config: routeConfig
+			});
+
+			builder.addValidInputTest(defaultInput);
+			builder.addValidInputTest(
+				{
+					object: {
+						accountId: publicKeys.valid[0], pageSize: '12', ordering: 'id', sortField: 'height'
+					},
+					parsed: [publicKey, undefined, 12, 1, { id: undefined, pageSize: 12, sortField: 'block.height' }]
+				},
+				'(custom paging)'
+			);
+			builder.addEmptyArrayTest(defaultInput);
+			builder.addInvalidKeyTest({ object: { accountId: publicKeys.invalid }, error: 'accountId has an invalid format' });
+			builder.addInvalidKeyTest(
+				{ object: { accountId: publicKeys.valid[0], sortField: 'signer' }, error: 'sortField is not a valid sort field' },
+				'(sort field)'
+			);
+		});
+
+		describe('by address', () => {
+			const createAccount = (publicKey, publicKeyHeight) => ({
+				meta: {},
+				account: { publicKey: new Binary(Buffer.from(publicKey)), publicKeyHeight: Long.fromNumber(publicKeyHeight) }
+			});
+
+			const runAddressTest = (accounts, expectedBlockQueries, expectedPayload) => {
+				// Arrange:
+				const capturedIds = [];
+				const blockQueries = [];
+				const db = {
+					accountsByIds: ids => {
+						capturedIds.push(...ids);
+						return Promise.resolve(accounts);
+					},
+					blocksBySignerOrBeneficiary: (...args) => {
+						blockQueries.push(args);
+						return Promise.resolve([{ value: 'this is nonsense' }]);
+					}
+				};
+
+				// Act:
+				const params = { accountId: addresses.valid[0] };
+				const routeName = '/account/:accountId/blocks';
+				return test.route.executeSingle(blockRoutes.register, routeName, 'get', params, db, routeConfig, response => {
+					// Assert:
+					expect(capturedIds).to.deep.equal([{ address: address.stringToAddress(addresses.valid[0]) }]);
+					expect(blockQueries).to.deep.equal(expectedBlockQueries);
+					expect(response).to.deep.equal({ payload: expectedPayload, type: 'blockHeaderWithMetadata' });
+				});
+			};
+
+			it('resolves address to public key', () => {
+				// Arrange:
+				const publicKey = Buffer.from(convert.hexToUint8(publicKeys.valid[0]));
+
+				// Act + Assert:
+				return runAddressTest(
+					[createAccount(publicKey, 1)],
+					[[publicKey, undefined, 0, -1, defaultPagingOptions]],
+					[{ value: 'this is nonsense' }]
+				);
+			});
+
+			it('returns empty array for unknown account', () => runAddressTest([], [], []));
+
+			it('returns empty array for account with unknown public key', () =>
+				runAddressTest([createAccount(Buffer.alloc(32), 0)], [], []));
+		});
+	});
+
 	describe('block with merkle tree', () => {
 		it('calls blockRouteMerkleProcessor with correct params', () => {
 			// Arrange:
@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const cachePolicies = require('../../src/routes/cachePolicies');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Long } = MongoDb;
+
+describe('cache policies', () => {
+	describe('height param', () => {
+		const heightRoutes = [
+			'/block/:height',
+			'/block/:height/transactions',
+			'/block/:height/transaction/:hash/merkle',
+			'/block/:height/receipts',
+			'/block/:height/receipt/:hash/merkle'
+		];
+
+		heightRoutes.forEach(route => {
+			describe(route, () => {
+				it('returns height of valid height', () => {
+					expect(cachePolicies[route].getHeight({ height: '1234' })).to.equal(1234);
+				});
+
+				it('returns undefined for invalid height', () => {
+					expect(cachePolicies[route].getHeight({ height: 'abc' })).to.equal(undefined);
+				});
+
+				it('returns undefined for zero height', () => {
+					expect(cachePolicies[route].getHeight({ height: '0' })).to.equal(undefined);
+				});
+			});
+		});
+	});
+
+	describe('/blocks/:height/limit/:limit', () => {
+		const { getHeight } = cachePolicies['/blocks/:height/limit/:limit'];
+
+		it('returns height of last block in page', () => {
+			expect(getHeight({ height: '1234', limit: '25' })).to.equal(1258);
+		});
+
+		it('returns undefined for latest blocks', () => {
+			expect(getHeight({ height: '0', limit: '25' })).to.equal(undefined);
+		});
+
+		it('returns undefined for invalid params', () => {
+			expect(getHeight({ height: 'abc', limit: '25' })).to.equal(undefined);
+			expect(getHeight({ height: '1234', limit: 'abc' })).to.equal(undefined);
+		});
+	});
+
+	describe('/block/hash/:hash', () => {
+		const { getHeight } = cachePolicies['/block/hash/:hash'];
+
+		it('returns height of long block height', () => {
+			expect(getHeight({}, { payload: { block: { height: Long.fromNumber(1234) } } })).to.equal(1234);
+		});
+
+		it('returns height of uint64 block height', () => {
+			expect(getHeight({}, { payload: { block: { height: [1234, 0] } } })).to.equal(1234);
+		});
+	});
+
+	describe('chain dependent routes', () => {
+		it('have no height', () => {
+			['/chain/height', '/chain/score', '/account/:accountId', '/account/:publicKey/transactions'].forEach(route => {
+				expect(cachePolicies[route], route).to.deep.equal({});
+			});
+		});
+
+		it('unconfirmed transactions expire', () => {
+			expect(cachePolicies['/account/:publicKey/transactions/unconfirmed']).to.deep.equal({ maxAge: 1 });
+		});
+	});
+});
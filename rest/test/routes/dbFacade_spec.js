@@ -19,7 +19,11 @@
  */
 
 const dbFacade = require('../../src/routes/dbFacade');
+const AccountType = require('../../src/plugins/AccountType');
 const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Binary, Long } = MongoDb;
 
 describe('db facade', () => {
 	describe('run height dependent operation', () => {
@@ -42,6 +46,46 @@ describe('db facade', () => {
 		it('returns undefined when request height is greater than chain height', () => runHeightDependentOperationTest(11, 10, false));
 	});
 
+	describe('account id to public key', () => {
+		const publicKey = Buffer.from('3485D98EFD7EB07ADAFCFD1A157D89DE2796A95E780813C0258AF3F5F84ED8CB', 'hex');
+		const accountAddress = Buffer.from('9022D04F6C26C9B2A2C1C5D8A9C7F4D8C4E2F9D8C7B6A5E4D3', 'hex');
+
+		const createAccount = publicKeyHeight => ({
+			meta: {},
+			account: { publicKey: new Binary(publicKey), publicKeyHeight: Long.fromNumber(publicKeyHeight) }
+		});
+
+		const runAccountIdToPublicKeyTest = (type, accountId, accounts, expectedIds, expectedPublicKey) => {
+			// Arrange:
+			const capturedIds = [];
+			const db = {
+				accountsByIds: ids => {
+					capturedIds.push(...ids);
+					return Promise.resolve(accounts);
+				}
+			};
+
+			// Act:
+			return dbFacade.accountIdToPublicKey(db, type, accountId).then(result => {
+				// Assert:
+				expect(capturedIds).to.deep.equal(expectedIds);
+				expect(result).to.deep.equal(expectedPublicKey);
+			});
+		};
+
+		it('returns public key without lookup', () =>
+			runAccountIdToPublicKeyTest(AccountType.publicKey, publicKey, [], [], publicKey));
+
+		it('returns public key of account with known public key', () =>
+			runAccountIdToPublicKeyTest(AccountType.address, accountAddress, [createAccount(1)], [{ address: accountAddress }], publicKey));
+
+		it('returns undefined for unknown account', () =>
+			runAccountIdToPublicKeyTest(AccountType.address, accountAddress, [], [{ address: accountAddress }], undefined));
+
+		it('returns undefined for account with unknown public key', () =>
+			runAccountIdToPublicKeyTest(AccountType.address, accountAddress, [createAccount(0)], [{ address: accountAddress }], undefined));
+	});
+
 	describe('transaction statuses by hashes', () => {
 		const createHandler = (dbApiName, db, collected, traits) => {
 			collected[dbApiName] = [];
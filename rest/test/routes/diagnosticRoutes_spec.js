@@ -89,4 +89,29 @@ describe('diagnostic routes', () => {
 			});
 		});
 	});
+
+	describe('api nodes', () => {
+		it('can retrieve pool state', () => {
+			// Arrange:
+			const poolState = [
+				{
+					publicKey: 'AABB', priority: 0, isHealthy: true, isConnected: true, numConsecutiveFailures: 0
+				},
+				{
+					publicKey: 'CCDD', priority: 1, isHealthy: false, isConnected: false, numConsecutiveFailures: 3
+				}
+			];
+			const services = { connections: { poolState: () => poolState } };
+			const routeName = '/diagnostic/apiNodes';
+
+			// Act:
+			return test.route.prepareExecuteRoute(diagnosticRoutes.register, routeName, 'get', {}, {}, services, routeContext => {
+				routeContext.routeInvoker();
+
+				// Assert:
+				expect(routeContext.numNextCalls).to.equal(1);
+				expect(routeContext.responses).to.deep.equal([{ apiNodes: poolState }]);
+			});
+		});
+	});
 });
@@ -0,0 +1,293 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { test } = require('./utils/routeTestUtils');
+const dbFormattingRules = require('../../src/db/dbFormattingRules');
+const exportRoutes = require('../../src/routes/exportRoutes');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+const EventEmitter = require('events');
+
+const { Long, ObjectId } = MongoDb;
+
+describe('export routes', () => {
+	const { schema: modelSchema } = catapult.plugins.catapultModelSystem.configure([], { json: dbFormattingRules });
+
+	const createBlock = height => ({ meta: { numTransactions: height % 3 }, block: { height: Long.fromNumber(height) } });
+	const createTransaction = (id, height) => ({
+		meta: { height: Long.fromNumber(height), id: new ObjectId(`${'0'.repeat(23)}${id}`) },
+		transaction: { type: 0x4154 }
+	});
+
+	const createCursor = blocks => {
+		const cursor = { numNextCalls: 0, numCloseCalls: 0 };
+		cursor.next = () => {
+			++cursor.numNextCalls;
+			return Promise.resolve(cursor.numNextCalls <= blocks.length ? blocks[cursor.numNextCalls - 1] : null);
+		};
+		cursor.close = () => {
+			++cursor.numCloseCalls;
+			return Promise.resolve();
+		};
+		return cursor;
+	};
+
+	const createDb = (chainHeight, blocks, transactions) => {
+		const db = {
+			cursor: createCursor(blocks),
+			blocksCursorCalls: [],
+			transactionsAtHeightsCalls: []
+		};
+		db.chainInfo = () => Promise.resolve({ height: Long.fromNumber(chainHeight) });
+		db.blocksCursor = (fromHeight, toHeight) => {
+			db.blocksCursorCalls.push({ fromHeight, toHeight });
+			return db.cursor;
+		};
+		db.transactionsAtHeights = heights => {
+			db.transactionsAtHeightsCalls.push(heights.map(height => height.toNumber()));
+			return Promise.resolve(transactions.filter(transaction =>
+				heights.some(height => height.equals(transaction.meta.height))));
+		};
+		return db;
+	};
+
+	const createResponse = (options = {}) => {
+		const res = new EventEmitter();
+		Object.assign(res, {
+			statusCode: undefined,
+			headers: undefined,
+			lines: [],
+			isEnded: false,
+			isDestroyed: false
+		});
+
+		res.writeHead = (statusCode, headers) => {
+			res.statusCode = statusCode;
+			res.headers = headers;
+		};
+		res.write = data => {
+			res.lines.push(data);
+			if (options.onWrite)
+				options.onWrite(res);
+
+			return !options.isBufferFull;
+		};
+		res.end = () => { res.isEnded = true; };
+		res.destroy = () => { res.isDestroyed = true; };
+		return res;
+	};
+
+	const executeRoute = (params, db, res) => {
+		// Arrange:
+		const routes = {};
+		const server = test.setup.createMockServer('get', routes);
+		exportRoutes.register(server, db, { config: { export: { batchSize: 2 } }, modelSchema });
+
+		const routeContext = { numNextCalls: 0, nextArgs: [] };
+		const next = (...args) => {
+			++routeContext.numNextCalls;
+			routeContext.nextArgs.push(args);
+		};
+
+		// Act:
+		const route = test.setup.findRoute(routes, '/export/blocks');
+		return route({ params }, res, next).then(() => routeContext);
+	};
+
+	const parseLines = res => res.lines.map(line => {
+		expect(line.endsWith('\n')).to.equal(true);
+		return JSON.parse(line);
+	});
+
+	describe('range', () => {
+		const assertRange = (params, chainHeight, expectedRange) => {
+			// Arrange:
+			const db = createDb(chainHeight, [], []);
+			const res = createResponse();
+
+			// Act:
+			return executeRoute(params, db, res).then(routeContext => {
+				// Assert:
+				expect(db.blocksCursorCalls).to.deep.equal([expectedRange]);
+				expect(res.statusCode).to.equal(200);
+				expect(res.headers).to.deep.equal({ 'Content-Type': 'application/x-ndjson' });
+				expect(res.isEnded).to.equal(true);
+				expect(routeContext.numNextCalls).to.equal(1);
+			});
+		};
+
+		it('defaults to all blocks', () => assertRange({}, 100, { fromHeight: 1, toHeight: 100 }));
+
+		it('can export blocks from height', () => assertRange({ from: '25' }, 100, { fromHeight: 25, toHeight: 100 }));
+
+		it('can export blocks in range', () => assertRange({ from: '25', to: '50' }, 100, { fromHeight: 25, toHeight: 50 }));
+
+		it('limits range to chain height', () => assertRange({ from: '25', to: '150' }, 100, { fromHeight: 25, toHeight: 100 }));
+
+		it('exports no blocks when range is above chain height', () => {
+			// Arrange:
+			const db = createDb(100, [], []);
+			const res = createResponse();
+
+			// Act:
+			return executeRoute({ from: '101' }, db, res).then(routeContext => {
+				// Assert:
+				expect(db.blocksCursorCalls).to.deep.equal([]);
+				expect(res.statusCode).to.equal(200);
+				expect(res.lines).to.deep.equal([]);
+				expect(res.isEnded).to.equal(true);
+				expect(routeContext.numNextCalls).to.equal(1);
+			});
+		});
+
+		const assertInvalidRange = params => {
+			// Arrange:
+			const db = createDb(100, [], []);
+			const res = createResponse();
+
+			// Act + Assert:
+			return executeRoute(params, db, res).then(
+				() => { throw Error('expected route to fail'); },
+				err => {
+					expect(err.statusCode).to.equal(409);
+					expect(err.message).to.equal('from must be nonzero and not greater than to');
+					expect(res.statusCode).to.equal(undefined);
+				}
+			);
+		};
+
+		it('rejects zero from height', () => assertInvalidRange({ from: '0' }));
+
+		it('rejects from height greater than to height', () => assertInvalidRange({ from: '51', to: '50' }));
+
+		it('rejects invalid with transactions flag', () => {
+			// Arrange:
+			const db = createDb(100, [], []);
+
+			// Act + Assert:
+			expect(() => executeRoute({ withTransactions: 'yes' }, db, createResponse()))
+				.to.throw('withTransactions has an invalid format');
+		});
+	});
+
+	describe('blocks', () => {
+		it('writes one formatted block per line', () => {
+			// Arrange:
+			const db = createDb(100, [createBlock(10), createBlock(11), createBlock(12)], []);
+			const res = createResponse();
+
+			// Act:
+			return executeRoute({ from: '10', to: '12' }, db, res).then(() => {
+				// Assert:
+				expect(parseLines(res)).to.deep.equal([
+					{ meta: { numTransactions: 1 }, block: { height: [10, 0] } },
+					{ meta: { numTransactions: 2 }, block: { height: [11, 0] } },
+					{ meta: { numTransactions: 0 }, block: { height: [12, 0] } }
+				]);
+				expect(db.transactionsAtHeightsCalls).to.deep.equal([]);
+				expect(res.isEnded).to.equal(true);
+				expect(db.cursor.numCloseCalls).to.equal(1);
+			});
+		});
+
+		it('writes blocks with transactions', () => {
+			// Arrange:
+			const transactions = [createTransaction(1, 10), createTransaction(2, 12), createTransaction(3, 12)];
+			const db = createDb(100, [createBlock(10), createBlock(11), createBlock(12)], transactions);
+			const res = createResponse();
+
+			// Act:
+			return executeRoute({ from: '10', to: '12', withTransactions: 'true' }, db, res).then(() => {
+				// Assert: transactions are loaded once per batch of blocks
+				expect(db.transactionsAtHeightsCalls).to.deep.equal([[10, 11], [12]]);
+
+				const views = parseLines(res);
+				expect(views.map(view => view.block.height)).to.deep.equal([[10, 0], [11, 0], [12, 0]]);
+				expect(views.map(view => view.transactions.map(transaction => transaction.meta.id))).to.deep.equal([
+					['000000000000000000000001'],
+					[],
+					['000000000000000000000002', '000000000000000000000003']
+				]);
+				expect(views[0].transactions[0]).to.deep.equal({
+					meta: { height: [10, 0], id: '000000000000000000000001' },
+					transaction: { type: 0x4154 }
+				});
+			});
+		});
+
+		it('waits for response to drain before reading next batch', () => {
+			// Arrange:
+			const db = createDb(100, [createBlock(10), createBlock(11), createBlock(12)], []);
+			const numNextCallsAtWrite = [];
+			const res = createResponse({
+				isBufferFull: true,
+				onWrite: response => {
+					numNextCallsAtWrite.push(db.cursor.numNextCalls);
+					setImmediate(() => response.emit('drain'));
+				}
+			});
+
+			// Act:
+			return executeRoute({ from: '10', to: '12' }, db, res).then(() => {
+				// Assert: the second batch is only read after the first batch has been written and drained
+				expect(numNextCallsAtWrite).to.deep.equal([2, 2, 4]);
+				expect(res.lines.length).to.equal(3);
+				expect(res.isEnded).to.equal(true);
+			});
+		});
+
+		it('stops reading blocks when client disconnects', () => {
+			// Arrange:
+			const db = createDb(100, [createBlock(10), createBlock(11), createBlock(12), createBlock(13)], []);
+			const res = createResponse({
+				isBufferFull: true,
+				onWrite: response => {
+					setImmediate(() => response.emit('close'));
+				}
+			});
+
+			// Act:
+			return executeRoute({ from: '10', to: '13' }, db, res).then(() => {
+				// Assert: only the first batch is written
+				expect(res.lines.length).to.equal(2);
+				expect(db.cursor.numNextCalls).to.equal(2);
+				expect(db.cursor.numCloseCalls).to.equal(1);
+			});
+		});
+
+		it('aborts response when export fails', () => {
+			// Arrange:
+			const db = createDb(100, [createBlock(10), createBlock(11), createBlock(12)], []);
+			db.transactionsAtHeights = () => Promise.reject(Error('database failure'));
+			const res = createResponse();
+
+			// Act:
+			return executeRoute({ from: '10', to: '12', withTransactions: 'true' }, db, res).then(routeContext => {
+				// Assert:
+				expect(res.lines).to.deep.equal([]);
+				expect(res.isEnded).to.equal(false);
+				expect(res.isDestroyed).to.equal(true);
+				expect(routeContext.nextArgs).to.deep.equal([[false]]);
+				expect(db.cursor.numCloseCalls).to.equal(1);
+			});
+		});
+	});
+});
@@ -0,0 +1,311 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const feeUtils = require('../../src/routes/feeUtils');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Binary, Long, ObjectId } = MongoDb;
+const { EntityType } = catapult.model;
+
+describe('fee utils', () => {
+	describe('collect fee samples', () => {
+		const { codec } = catapult.plugins.catapultModelSystem.configure(['transfer'], {});
+
+		// transfer with a single mosaic has a size of 120 + 25 + 2 + 1 + 16 = 164 bytes
+		const createTransferDocument = maxFee => ({
+			meta: { height: Long.fromNumber(10) },
+			transaction: {
+				signature: new Binary(Buffer.alloc(64)),
+				signer: new Binary(Buffer.alloc(32)),
+				version: 0x9001,
+				type: EntityType.transfer,
+				maxFee: Long.fromNumber(maxFee),
+				deadline: Long.fromNumber(12345),
+				recipient: new Binary(Buffer.alloc(25)),
+				mosaics: [{ id: Long.fromNumber(1), amount: Long.fromNumber(100) }]
+			}
+		});
+
+		const createBlock = (feeMultiplier, numTransactions, totalFee) => ({
+			meta: { totalFee: Long.fromNumber(totalFee), numTransactions },
+			block: { feeMultiplier }
+		});
+
+		const createDb = (blocks, unconfirmedDocuments, capturedArgs) => ({
+			blocksFrom: (height, numBlocks) => {
+				capturedArgs.push({ height, numBlocks });
+				return Promise.resolve(blocks);
+			},
+			transactionsByFilters: (filters, id, pageSize, ordering) => {
+				capturedArgs.push({
+					filters, id, pageSize, ordering
+				});
+				return Promise.resolve(unconfirmedDocuments);
+			}
+		});
+
+		it('queries latest blocks and most recent unconfirmed transactions', () => {
+			// Arrange:
+			const capturedArgs = [];
+			const db = createDb([], [], capturedArgs);
+
+			// Act:
+			return feeUtils.collectFeeSamples(db, codec, { numBlocks: 10, pageSize: 25 }).then(() => {
+				// Assert:
+				expect(capturedArgs).to.deep.equal([
+					{ height: 0, numBlocks: 10 },
+					{
+						filters: { group: 'unconfirmed' }, id: undefined, pageSize: 25, ordering: -1
+					}
+				]);
+			});
+		});
+
+		it('uses block fee multipliers weighted by number of transactions for confirmed samples', () => {
+			// Arrange:
+			const db = createDb([createBlock(10, 3, 4920), createBlock(25, 1, 4100)], [], []);
+
+			// Act:
+			return feeUtils.collectFeeSamples(db, codec, { numBlocks: 10, pageSize: 25 }).then(samples => {
+				// Assert:
+				expect(samples).to.deep.equal({ confirmed: [{ multiplier: 10, count: 3 }, { multiplier: 25, count: 1 }], unconfirmed: [] });
+			});
+		});
+
+		it('skips blocks without transactions', () => {
+			// Arrange:
+			const db = createDb([createBlock(10, 0, 0), createBlock(25, 1, 4100)], [], []);
+
+			// Act:
+			return feeUtils.collectFeeSamples(db, codec, { numBlocks: 10, pageSize: 25 }).then(samples => {
+				// Assert:
+				expect(samples.confirmed).to.deep.equal([{ multiplier: 25, count: 1 }]);
+			});
+		});
+
+		it('uses zero fee multiplier for blocks without fees', () => {
+			// Arrange:
+			const db = createDb([createBlock(10, 2, 0)], [], []);
+
+			// Act:
+			return feeUtils.collectFeeSamples(db, codec, { numBlocks: 10, pageSize: 25 }).then(samples => {
+				// Assert:
+				expect(samples.confirmed).to.deep.equal([{ multiplier: 0, count: 2 }]);
+			});
+		});
+
+		it('calculates unconfirmed fee multipliers from transaction sizes', () => {
+			// Arrange:
+			const db = createDb([], [createTransferDocument(1640), createTransferDocument(16400)], []);
+
+			// Act:
+			return feeUtils.collectFeeSamples(db, codec, { numBlocks: 10, pageSize: 25 }).then(samples => {
+				// Assert:
+				expect(samples).to.deep.equal({
+					confirmed: [],
+					unconfirmed: [
+						{ type: EntityType.transfer, multiplier: 10, count: 1 },
+						{ type: EntityType.transfer, multiplier: 100, count: 1 }
+					]
+				});
+			});
+		});
+
+		it('calculates unconfirmed fee multipliers of aggregate transactions from embedded transactions', () => {
+			// Arrange: aggregate with a single embedded transfer has a size of 120 + 4 + 4 + 40 + 25 + 2 + 1 + 16 = 212 bytes
+			const { codec: aggregateCodec } = catapult.plugins.catapultModelSystem.configure(['transfer', 'aggregate'], {});
+			const transferDocument = createTransferDocument(0);
+			const aggregateDocument = {
+				meta: {},
+				transaction: {
+					signature: new Binary(Buffer.alloc(64)),
+					signer: new Binary(Buffer.alloc(32)),
+					version: 0x9001,
+					type: EntityType.aggregateComplete,
+					maxFee: Long.fromNumber(2120),
+					deadline: Long.fromNumber(12345),
+					transactions: [{
+						meta: { aggregateId: new ObjectId() },
+						transaction: {
+							signer: transferDocument.transaction.signer,
+							version: 0x9001,
+							type: EntityType.transfer,
+							recipient: transferDocument.transaction.recipient,
+							mosaics: transferDocument.transaction.mosaics
+						}
+					}],
+					cosignatures: []
+				}
+			};
+			const db = createDb([], [aggregateDocument], []);
+
+			// Act:
+			return feeUtils.collectFeeSamples(db, aggregateCodec, { numBlocks: 10, pageSize: 25 }).then(samples => {
+				// Assert:
+				expect(samples.unconfirmed).to.deep.equal([{ type: EntityType.aggregateComplete, multiplier: 10, count: 1 }]);
+			});
+		});
+
+		it('skips unconfirmed transactions that cannot be serialized', () => {
+			// Arrange:
+			const malformedDocument = createTransferDocument(1640);
+			delete malformedDocument.transaction.recipient;
+			const db = createDb([], [malformedDocument, createTransferDocument(3280)], []);
+
+			// Act:
+			return feeUtils.collectFeeSamples(db, codec, { numBlocks: 10, pageSize: 25 }).then(samples => {
+				// Assert:
+				expect(samples).to.deep.equal({ confirmed: [], unconfirmed: [{ type: EntityType.transfer, multiplier: 20, count: 1 }] });
+			});
+		});
+	});
+
+	const createSamples = (type, multipliers) => multipliers.map(multiplier => ({ type, multiplier, count: 1 }));
+
+	describe('calculate statistics', () => {
+		it('returns zeros when there are no samples', () => {
+			// Act:
+			const statistics = feeUtils.calculateStatistics([]);
+
+			// Assert:
+			expect(statistics).to.deep.equal({
+				numTransactions: 0, average: 0, median: 0, min: 0, max: 0
+			});
+		});
+
+		it('can calculate statistics for odd number of samples', () => {
+			// Act:
+			const statistics = feeUtils.calculateStatistics(createSamples(1, [50, 10, 30, 100, 20]));
+
+			// Assert:
+			expect(statistics).to.deep.equal({
+				numTransactions: 5, average: 42, median: 30, min: 10, max: 100
+			});
+		});
+
+		it('can calculate statistics for even number of samples', () => {
+			// Act:
+			const statistics = feeUtils.calculateStatistics(createSamples(1, [50, 10, 25, 100]));
+
+			// Assert:
+			expect(statistics).to.deep.equal({
+				numTransactions: 4, average: 46, median: 37, min: 10, max: 100
+			});
+		});
+
+		it('can calculate statistics for weighted samples', () => {
+			// Arrange: multipliers are 10, 10, 10, 30, 50, 50
+			const samples = [{ multiplier: 50, count: 2 }, { multiplier: 10, count: 3 }, { multiplier: 30, count: 1 }];
+
+			// Act:
+			const statistics = feeUtils.calculateStatistics(samples);
+
+			// Assert:
+			expect(statistics).to.deep.equal({
+				numTransactions: 6, average: 26, median: 20, min: 10, max: 50
+			});
+		});
+
+		it('ignores samples without transactions', () => {
+			// Act:
+			const statistics = feeUtils.calculateStatistics([{ multiplier: 5, count: 0 }, { multiplier: 20, count: 1 }]);
+
+			// Assert:
+			expect(statistics).to.deep.equal({
+				numTransactions: 1, average: 20, median: 20, min: 20, max: 20
+			});
+		});
+	});
+
+	describe('suggest max fees', () => {
+		const options = { minSamples: 3, defaultFeeMultiplier: 7 };
+
+		it('uses default fee multiplier when there are no samples', () => {
+			// Act:
+			const suggestion = feeUtils.suggestMaxFees([], { size: 200, type: 1 }, options);
+
+			// Assert:
+			expect(suggestion).to.deep.equal({
+				size: 200,
+				numSamples: 0,
+				feeMultipliers: { low: 7, normal: 7, high: 7 },
+				maxFees: { low: 1400, normal: 1400, high: 1400 }
+			});
+		});
+
+		it('prefers samples with same transaction type', () => {
+			// Arrange:
+			const samples = createSamples(1, [10, 20, 90]).concat(createSamples(2, [1000, 1000, 1000]));
+
+			// Act:
+			const suggestion = feeUtils.suggestMaxFees(samples, { size: 100, type: 1 }, options);
+
+			// Assert: high uses average because it exceeds median
+			expect(suggestion).to.deep.equal({
+				size: 100,
+				numSamples: 3,
+				feeMultipliers: { low: 10, normal: 20, high: 40 },
+				maxFees: { low: 1000, normal: 2000, high: 4000 }
+			});
+		});
+
+		it('uses all samples when there are not enough samples with same transaction type', () => {
+			// Arrange:
+			const samples = createSamples(1, [10, 20]).concat(createSamples(2, [30, 30, 30]));
+
+			// Act:
+			const suggestion = feeUtils.suggestMaxFees(samples, { size: 100, type: 1 }, options);
+
+			// Assert: high uses median because it exceeds average
+			expect(suggestion).to.deep.equal({
+				size: 100,
+				numSamples: 5,
+				feeMultipliers: { low: 10, normal: 30, high: 30 },
+				maxFees: { low: 1000, normal: 3000, high: 3000 }
+			});
+		});
+
+		it('falls back to untyped samples when there are not enough samples with same transaction type', () => {
+			// Arrange: confirmed samples do not have a type
+			const samples = createSamples(1, [10, 20]).concat([{ multiplier: 40, count: 3 }]);
+
+			// Act:
+			const suggestion = feeUtils.suggestMaxFees(samples, { size: 100, type: 1 }, options);
+
+			// Assert:
+			expect(suggestion.numSamples).to.equal(5);
+			expect(suggestion.feeMultipliers).to.deep.equal({ low: 10, normal: 40, high: 40 });
+		});
+
+		it('uses all samples when transaction type is unknown', () => {
+			// Arrange:
+			const samples = createSamples(1, [10, 20, 30]).concat(createSamples(2, [40]));
+
+			// Act:
+			const suggestion = feeUtils.suggestMaxFees(samples, { size: 10 }, options);
+
+			// Assert:
+			expect(suggestion.numSamples).to.equal(4);
+			expect(suggestion.feeMultipliers).to.deep.equal({ low: 10, normal: 25, high: 25 });
+		});
+	});
+});
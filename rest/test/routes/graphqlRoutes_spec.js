@@ -0,0 +1,186 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { test } = require('./utils/routeTestUtils');
+const dbFormattingRules = require('../../src/db/dbFormattingRules');
+const graphqlRoutes = require('../../src/routes/graphqlRoutes');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Long } = MongoDb;
+
+describe('graphql routes', () => {
+	const { schema: modelSchema } = catapult.plugins.catapultModelSystem.configure([], { json: dbFormattingRules });
+
+	const createServices = enabled => ({
+		config: { graphql: { enabled, maxDepth: 3 }, pageSize: { min: 10, max: 100, step: 25 } },
+		modelSchema,
+		pluginDbs: {}
+	});
+
+	const createDb = () => ({
+		chainInfo: () => Promise.resolve({ height: Long.fromNumber(1234), scoreLow: Long.ZERO, scoreHigh: Long.ZERO })
+	});
+
+	describe('registration', () => {
+		const registerRoutes = (method, services) => {
+			const routes = {};
+			const server = test.setup.createMockServer(method, routes);
+			graphqlRoutes.register(server, createDb(), services);
+			return routes;
+		};
+
+		['get', 'post'].forEach(method => {
+			it(`registers ${method} route when enabled`, () => {
+				expect(Object.keys(registerRoutes(method, createServices(true)))).to.deep.equal(['/graphql']);
+			});
+
+			it(`does not register ${method} route when disabled`, () => {
+				expect(Object.keys(registerRoutes(method, createServices(false)))).to.deep.equal([]);
+			});
+		});
+
+		it('does not register routes when config is missing', () => {
+			expect(Object.keys(registerRoutes('get', { config: {}, modelSchema }))).to.deep.equal([]);
+		});
+	});
+
+	describe('execution', () => {
+		const executeQuery = (method, params, assertResponse) => test.route.prepareExecuteRoute(
+			graphqlRoutes.register,
+			'/graphql',
+			method,
+			params,
+			createDb(),
+			createServices(true),
+			routeContext => routeContext.routeInvoker().then(() => {
+				expect(routeContext.numNextCalls, 'next should be called once').to.equal(1);
+				expect(routeContext.responses.length, 'single response is expected').to.equal(1);
+				assertResponse(routeContext.responses[0]);
+			})
+		);
+
+		const executeThrows = (params, expectedMessage) => test.route.prepareExecuteRoute(
+			graphqlRoutes.register,
+			'/graphql',
+			'get',
+			params,
+			createDb(),
+			createServices(true),
+			routeContext => {
+				test.assert.invokerThrowsError(routeContext.routeInvoker, { statusCode: 409, message: expectedMessage });
+			}
+		);
+
+		['get', 'post'].forEach(method => {
+			it(`can execute query (${method})`, () => executeQuery(method, { query: '{ chainInfo { height } }' }, response => {
+				// Assert:
+				expect(response).to.deep.equal({ data: { chainInfo: { height: '1234' } } });
+			}));
+		});
+
+		it('can execute query with variables and operation name', () => {
+			// Arrange:
+			const params = {
+				query: 'query Foo { chainInfo { scoreLow } } query Bar($skip: Boolean!) { chainInfo { height @skip(if: $skip) } }',
+				operationName: 'Bar',
+				variables: '{ "skip": false }'
+			};
+
+			// Act:
+			return executeQuery('get', params, response => {
+				// Assert:
+				expect(response).to.deep.equal({ data: { chainInfo: { height: '1234' } } });
+			});
+		});
+
+		it('can execute query with object variables', () => {
+			// Arrange:
+			const params = {
+				query: 'query Bar($skip: Boolean!) { chainInfo { height @skip(if: $skip) } }',
+				variables: { skip: true }
+			};
+
+			// Act:
+			return executeQuery('post', params, response => {
+				// Assert:
+				expect(response).to.deep.equal({ data: { chainInfo: {} } });
+			});
+		});
+
+		it('sends formatted errors', () => executeQuery('get', { query: '{ chainInfo { foo } }' }, response => {
+			// Assert:
+			expect(response).to.deep.equal({
+				errors: [{
+					message: 'Cannot query field "foo" on type "ChainInfo".',
+					locations: [{ line: 1, column: 15 }],
+					path: undefined
+				}]
+			});
+		}));
+
+		it('sends formatted syntax errors', () => executeQuery('get', { query: '{ chainInfo { height }' }, response => {
+			// Assert:
+			expect(response).to.deep.equal({
+				errors: [{
+					message: 'Syntax Error: Expected Name, found <EOF>',
+					locations: [{ line: 1, column: 23 }],
+					path: undefined
+				}]
+			});
+		}));
+
+		['get', 'post'].forEach(method => {
+			it(`rejects query exceeding max depth (${method})`, () => {
+				// Arrange:
+				const db = {
+					chainInfo: () => { throw Error('chainInfo should not be called'); }
+				};
+				const query = '{ chainInfo { height } __schema { queryType { fields { name } } } }';
+
+				// Act:
+				return test.route.prepareExecuteRoute(
+					graphqlRoutes.register,
+					'/graphql',
+					method,
+					{ query },
+					db,
+					createServices(true),
+					routeContext => routeContext.routeInvoker().then(() => {
+						// Assert:
+						expect(routeContext.responses).to.deep.equal([{
+							errors: [{
+								message: 'operation has depth 4, which exceeds maximum depth 3',
+								locations: [{ line: 1, column: 1 }],
+								path: undefined
+							}]
+						}]);
+					})
+				);
+			});
+		});
+
+		it('rejects missing query', () => executeThrows({}, 'query must be a string'));
+
+		it('rejects variables with invalid format', () =>
+			executeThrows({ query: '{ chainInfo { height } }', variables: '{ skip' }, 'variables has an invalid format'));
+	});
+});
@@ -0,0 +1,193 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const healthUtils = require('../../src/routes/healthUtils');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+const net = require('net');
+
+const { Long } = MongoDb;
+
+describe('health utils', () => {
+	const { Status } = healthUtils;
+
+	describe('check database', () => {
+		const Network_Epoch_Timestamp = 1459468800000;
+
+		const createDb = (height, timestamp) => ({
+			chainInfo: () => Promise.resolve({ height: Long.fromNumber(height) }),
+			blockAtHeight: requestedHeight => Promise.resolve(height === requestedHeight[0]
+				? { block: { height: Long.fromNumber(height), timestamp: Long.fromNumber(timestamp) } }
+				: undefined)
+		});
+
+		const checkDatabase = (db, blockAgeMilliseconds) => healthUtils.checkDatabase(db, {
+			networkEpochTimestamp: Network_Epoch_Timestamp,
+			maxBlockAgeSeconds: 300,
+			now: Network_Epoch_Timestamp + 1000000 + blockAgeMilliseconds
+		});
+
+		it('is up when latest block is not older than max block age', () => {
+			// Arrange:
+			const db = createDb(1234, 1000000);
+
+			// Act:
+			return checkDatabase(db, 300999).then(result => {
+				// Assert:
+				expect(result).to.deep.equal({ status: Status.up, height: '1234', blockAgeSeconds: 300 });
+			});
+		});
+
+		it('is down when latest block is older than max block age', () => {
+			// Arrange:
+			const db = createDb(1234, 1000000);
+
+			// Act:
+			return checkDatabase(db, 301000).then(result => {
+				// Assert:
+				expect(result).to.deep.equal({
+					status: Status.down,
+					height: '1234',
+					blockAgeSeconds: 301,
+					message: 'latest block is older than 300 seconds'
+				});
+			});
+		});
+
+		it('is down when database cannot be queried', () => {
+			// Arrange:
+			const db = { chainInfo: () => Promise.reject(Error('connection to mongodb://10.0.0.1 failed')) };
+
+			// Act:
+			return checkDatabase(db, 0).then(result => {
+				// Assert: error details are not exposed
+				expect(result).to.deep.equal({ status: Status.down, message: 'database is not reachable' });
+			});
+		});
+	});
+
+	describe('check api node', () => {
+		const createConnections = pushPull => ({
+			singleUse: () => Promise.resolve({ pushPull })
+		});
+
+		it('is up when api node responds to time request', () => {
+			// Arrange:
+			const pushPullArgs = [];
+			const connections = createConnections((...args) => {
+				pushPullArgs.push(args);
+				return Promise.resolve({});
+			});
+
+			// Act:
+			return healthUtils.checkApiNode(connections, 1000).then(result => {
+				// Assert:
+				expect(result).to.deep.equal({ status: Status.up });
+				expect(pushPullArgs.length).to.equal(1);
+				expect(pushPullArgs[0][0].readUInt32LE(4)).to.equal(0x2BC); // time sync node time
+				expect(pushPullArgs[0][1]).to.equal(1000);
+			});
+		});
+
+		it('is down when connection cannot be opened', () => {
+			// Arrange:
+			const connections = { singleUse: () => Promise.reject(Error('connection failed')) };
+
+			// Act:
+			return healthUtils.checkApiNode(connections, 1000).then(result => {
+				// Assert:
+				expect(result).to.deep.equal({ status: Status.down, message: 'api node is not reachable' });
+			});
+		});
+
+		it('is down when api node does not respond within timeout', () => {
+			// Arrange:
+			const connections = createConnections(() => new Promise(() => {}));
+
+			// Act:
+			return healthUtils.checkApiNode(connections, 10).then(result => {
+				// Assert:
+				expect(result).to.deep.equal({ status: Status.down, message: 'api node is not reachable' });
+			});
+		});
+	});
+
+	describe('check broker', () => {
+		const listen = () => new Promise(resolve => {
+			const server = net.createServer(socket => socket.destroy());
+			server.listen(0, '127.0.0.1', () => resolve(server));
+		});
+
+		const close = server => new Promise(resolve => server.close(resolve));
+
+		it('is up when tcp connection can be opened', () => listen().then(server => {
+			// Act:
+			const mqConfig = { host: '127.0.0.1', port: server.address().port };
+			return healthUtils.checkBroker(mqConfig, 1000)
+				.then(result => {
+					// Assert:
+					expect(result).to.deep.equal({ status: Status.up });
+				})
+				.finally(() => close(server));
+		}));
+
+		it('is down when tcp connection is refused', () => listen()
+			.then(server => {
+				// Arrange: find a port without listener
+				const { port } = server.address();
+				return close(server).then(() => port);
+			})
+			.then(port => healthUtils.checkBroker({ host: '127.0.0.1', port }, 1000))
+			.then(result => {
+				// Assert:
+				expect(result).to.deep.equal({ status: Status.down, message: 'zmq broker is not reachable' });
+			}));
+	});
+
+	describe('overall status', () => {
+		const runOverallStatusTest = (statuses, expectedStatus) => {
+			// Arrange:
+			const dependencies = {
+				database: { status: statuses[0] },
+				apiNode: { status: statuses[1] },
+				broker: { status: statuses[2] }
+			};
+
+			// Act:
+			const status = healthUtils.overallStatus(dependencies);
+
+			// Assert:
+			expect(status).to.equal(expectedStatus);
+		};
+
+		it('is up when all dependencies are up', () => runOverallStatusTest([Status.up, Status.up, Status.up], Status.up));
+
+		it('is degraded when other dependency is down', () => {
+			runOverallStatusTest([Status.up, Status.down, Status.up], Status.degraded);
+			runOverallStatusTest([Status.up, Status.up, Status.down], Status.degraded);
+			runOverallStatusTest([Status.up, Status.down, Status.down], Status.degraded);
+		});
+
+		it('is down when database is down', () => {
+			runOverallStatusTest([Status.down, Status.up, Status.up], Status.down);
+			runOverallStatusTest([Status.down, Status.down, Status.down], Status.down);
+		});
+	});
+});
@@ -0,0 +1,65 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { test } = require('./utils/routeTestUtils');
+const metricsRoutes = require('../../src/routes/metricsRoutes');
+const { expect } = require('chai');
+
+describe('metrics routes', () => {
+	it('does not register route when metrics are disabled', () => {
+		// Arrange:
+		const routes = [];
+		const server = test.setup.createCapturingMockServer('get', routes);
+
+		// Act:
+		metricsRoutes.register(server, {}, { config: {} });
+
+		// Assert:
+		expect(routes).to.deep.equal([]);
+	});
+
+	it('returns serialized metrics as plain text', () => {
+		// Arrange:
+		const routes = {};
+		const server = test.setup.createMockServer('get', routes);
+		const metrics = { serialize: () => '# HELP foo Foo.\n# TYPE foo counter\nfoo 3\n' };
+		metricsRoutes.register(server, {}, { config: {}, metrics });
+
+		const context = { numNextCalls: 0 };
+		const res = {
+			writeHead: (statusCode, headers) => {
+				context.statusCode = statusCode;
+				context.headers = headers;
+			},
+			end: body => { context.body = body; }
+		};
+
+		// Act:
+		test.setup.findRoute(routes, '/metrics')({ params: {} }, res, () => { ++context.numNextCalls; });
+
+		// Assert:
+		expect(context).to.deep.equal({
+			numNextCalls: 1,
+			statusCode: 200,
+			headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+			body: '# HELP foo Foo.\n# TYPE foo counter\nfoo 3\n'
+		});
+	});
+});
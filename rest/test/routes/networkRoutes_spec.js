@@ -20,7 +20,11 @@
 
 const { test } = require('./utils/routeTestUtils');
 const networkRoutes = require('../../src/routes/networkRoutes');
+const catapult = require('catapult-sdk');
 const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Long } = MongoDb;
 
 describe('network routes', () => {
 	describe('get', () => {
@@ -42,5 +46,56 @@ describe('network routes', () => {
 				expect(response).to.equal(services.config.network);
 			});
 		});
+
+		it('can retrieve network fees', () => {
+			// Arrange: transfers without mosaics have a size of 120 + 25 + 2 + 1 = 148 bytes
+			const createDocument = maxFee => ({
+				transaction: {
+					signature: new MongoDb.Binary(Buffer.alloc(64)),
+					signer: new MongoDb.Binary(Buffer.alloc(32)),
+					version: 0x9001,
+					type: 0x4154,
+					maxFee: Long.fromNumber(maxFee),
+					deadline: Long.fromNumber(12345),
+					recipient: new MongoDb.Binary(Buffer.alloc(25))
+				}
+			});
+			const createBlock = (feeMultiplier, numTransactions) => ({
+				meta: { totalFee: Long.fromNumber(1000), numTransactions },
+				block: { feeMultiplier }
+			});
+			const capturedArgs = [];
+			const db = {
+				blocksFrom: (height, numBlocks) => {
+					capturedArgs.push({ height, numBlocks });
+					return Promise.resolve([createBlock(30, 1), createBlock(10, 2), createBlock(20, 0)]);
+				},
+				transactionsByFilters: filters => {
+					capturedArgs.push(filters);
+					return Promise.resolve([createDocument(14800)]);
+				}
+			};
+			const services = {
+				codec: catapult.plugins.catapultModelSystem.configure(['transfer'], {}).codec,
+				config: { fees: { numBlocks: 20 }, pageSize: { max: 50 } }
+			};
+
+			// Act:
+			return test.route.prepareExecuteRoute(networkRoutes.register, '/network/fees', 'get', {}, db, services, routeContext =>
+				routeContext.routeInvoker().then(() => {
+					// Assert:
+					expect(capturedArgs).to.deep.equal([{ height: 0, numBlocks: 20 }, { group: 'unconfirmed' }]);
+					expect(routeContext.numNextCalls).to.equal(1);
+					expect(routeContext.responses).to.deep.equal([{
+						numBlocks: 20,
+						confirmed: {
+							numTransactions: 3, average: 16, median: 10, min: 10, max: 30
+						},
+						unconfirmed: {
+							numTransactions: 1, average: 100, median: 100, min: 100, max: 100
+						}
+					}]);
+				}));
+		});
 	});
 });
@@ -22,8 +22,11 @@ const { test } = require('./utils/routeTestUtils');
 const nodeRoutes = require('../../src/routes/nodeRoutes');
 const catapult = require('catapult-sdk');
 const { expect } = require('chai');
+const MongoDb = require('mongodb');
+const net = require('net');
 
 const { convert } = catapult.utils;
+const { Long } = MongoDb;
 
 describe('node routes', () => {
 	describe('get', () => {
@@ -106,4 +109,97 @@ describe('node routes', () => {
 				}));
 		});
 	});
+
+	describe('health', () => {
+		const Network_Epoch_Timestamp = 1459468800000;
+
+		const createDb = blockAgeSeconds => {
+			const timestamp = Long.fromNumber(Date.now() - Network_Epoch_Timestamp - (blockAgeSeconds * 1000));
+			return {
+				chainInfo: () => Promise.resolve({ height: Long.fromNumber(1234) }),
+				blockAtHeight: () => Promise.resolve({ block: { height: Long.fromNumber(1234), timestamp } })
+			};
+		};
+
+		const createServices = (isApiNodeAvailable, brokerPort) => ({
+			connections: {
+				singleUse: () => (isApiNodeAvailable
+					? Promise.resolve({ pushPull: () => Promise.resolve({}) })
+					: Promise.reject(Error('connection failed')))
+			},
+			config: {
+				apiNode: { timeout: 1000 },
+				network: { epochTimestamp: Network_Epoch_Timestamp },
+				health: { maxBlockAgeSeconds: 300, brokerTimeout: 1000 },
+				websocket: { mq: { host: '127.0.0.1', port: brokerPort } }
+			}
+		});
+
+		const runHealthTest = (db, isApiNodeAvailable, isBrokerAvailable, assertResponse) => new Promise(resolve => {
+			const broker = net.createServer(socket => socket.destroy());
+			broker.listen(0, '127.0.0.1', () => resolve(broker));
+		}).then(broker => {
+			const { port } = broker.address();
+			return (isBrokerAvailable ? Promise.resolve() : new Promise(resolve => broker.close(resolve))).then(() => {
+				// Arrange:
+				const routes = {};
+				const server = test.setup.createMockServer('get', routes);
+				nodeRoutes.register(server, db, createServices(isApiNodeAvailable, port));
+
+				const context = { numNextCalls: 0, responses: [] };
+				const res = { send: (...args) => { context.responses.push(args); } };
+
+				// Act:
+				return test.setup.findRoute(routes, '/node/health')({ params: {} }, res, () => { ++context.numNextCalls; })
+					.then(() => {
+						// Assert:
+						expect(context.numNextCalls).to.equal(1);
+						expect(context.responses.length).to.equal(1);
+						assertResponse(...context.responses[0]);
+					})
+					.finally(() => (isBrokerAvailable ? new Promise(resolve => broker.close(resolve)) : undefined));
+			});
+		});
+
+		it('returns up when all dependencies are up', () => runHealthTest(createDb(10), true, true, (statusCode, body) => {
+			expect(statusCode).to.equal(200);
+			expect(body).to.deep.equal({
+				status: 'up',
+				dependencies: {
+					database: { status: 'up', height: '1234', blockAgeSeconds: 10 },
+					apiNode: { status: 'up' },
+					broker: { status: 'up' }
+				}
+			});
+		}));
+
+		it('returns degraded when api node and broker are down', () => runHealthTest(createDb(10), false, false, (statusCode, body) => {
+			expect(statusCode).to.equal(200);
+			expect(body).to.deep.equal({
+				status: 'degraded',
+				dependencies: {
+					database: { status: 'up', height: '1234', blockAgeSeconds: 10 },
+					apiNode: { status: 'down', message: 'api node is not reachable' },
+					broker: { status: 'down', message: 'zmq broker is not reachable' }
+				}
+			});
+		}));
+
+		it('returns down when database has stopped syncing', () => runHealthTest(createDb(400), true, true, (statusCode, body) => {
+			expect(statusCode).to.equal(503);
+			expect(body).to.deep.equal({
+				status: 'down',
+				dependencies: {
+					database: {
+						status: 'down',
+						height: '1234',
+						blockAgeSeconds: 400,
+						message: 'latest block is older than 300 seconds'
+					},
+					apiNode: { status: 'up' },
+					broker: { status: 'up' }
+				}
+			});
+		}));
+	});
 });
@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { test } = require('./utils/routeTestUtils');
+const openApiRoutes = require('../../src/routes/openApiRoutes');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+const { ModelType } = catapult.model;
+
+describe('openApi routes', () => {
+	describe('get', () => {
+		const createServer = (routes, registeredRoutes) => {
+			const server = test.setup.createMockServer('get', routes);
+			server.routes = () => registeredRoutes;
+			return server;
+		};
+
+		const services = {
+			config: { network: { name: 'mijinTest', description: 'catapult development network' } },
+			modelSchema: { foo: { alpha: ModelType.uint16 } }
+		};
+
+		const invokeRoute = route => {
+			const responses = [];
+			let numNextCalls = 0;
+			route({ params: {} }, { send: response => responses.push(response) }, () => { ++numNextCalls; });
+			return { responses, numNextCalls };
+		};
+
+		it('can retrieve openApi document', () => {
+			// Arrange:
+			const routes = {};
+			const server = createServer(routes, [{ method: 'get', route: '/foo/:height' }]);
+			openApiRoutes.register(server, {}, services);
+
+			// Act:
+			const { responses, numNextCalls } = invokeRoute(test.setup.findRoute(routes, '/openapi.json'));
+
+			// Assert:
+			expect(numNextCalls).to.equal(1);
+			expect(responses.length).to.equal(1);
+
+			const document = responses[0];
+			expect(document.openapi).to.equal('3.0.3');
+			expect(document.info.title).to.equal('catapult-rest');
+			expect(document.info.description).to.equal('REST gateway for mijinTest (catapult development network)');
+			expect(Object.keys(document.paths)).to.deep.equal(['/foo/{height}']);
+			expect(Object.keys(document.components.schemas)).to.deep.equal(['error', 'pagination', 'foo']);
+		});
+
+		it('creates document once on first request', () => {
+			// Arrange: register a route after the openApi route
+			const routes = {};
+			const registeredRoutes = [{ method: 'get', route: '/foo' }];
+			const server = createServer(routes, registeredRoutes);
+			openApiRoutes.register(server, {}, services);
+			registeredRoutes.push({ method: 'get', route: '/bar' });
+
+			const route = test.setup.findRoute(routes, '/openapi.json');
+
+			// Act:
+			const document1 = invokeRoute(route).responses[0];
+			registeredRoutes.push({ method: 'get', route: '/baz' });
+			const document2 = invokeRoute(route).responses[0];
+
+			// Assert: routes registered before the first request are included
+			expect(Object.keys(document1.paths)).to.deep.equal(['/bar', '/foo']);
+			expect(document2).to.equal(document1);
+		});
+	});
+});
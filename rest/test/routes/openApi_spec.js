@@ -0,0 +1,435 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const openApi = require('../../src/routes/openApi');
+const routeUtils = require('../../src/routes/routeUtils');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+const { ModelType } = catapult.model;
+
+describe('openApi', () => {
+	const Info = { title: 'foo', version: '1.2.3', description: 'bar' };
+	const Uint64_Schema = {
+		type: 'array',
+		items: { type: 'integer', minimum: 0, maximum: 0xFFFFFFFF },
+		minItems: 2,
+		maxItems: 2,
+		description: 'uint64 as [low, high] uint32 pair'
+	};
+
+	const Pagination_Schema = {
+		type: 'object',
+		properties: {
+			pageSize: { type: 'integer' },
+			offset: { type: 'integer' },
+			totalCount: { type: 'integer' },
+			previous: routeUtils.getNamedParserSchema('objectId'),
+			next: routeUtils.getNamedParserSchema('objectId')
+		}
+	};
+
+	const createDocument = (routes, modelSchema, routeDescriptions) => openApi.createDocument({
+		routes,
+		modelSchema: modelSchema || {},
+		routeDescriptions: routeDescriptions || {},
+		info: Info
+	});
+
+	describe('document', () => {
+		it('can create document without routes and schemas', () => {
+			// Act:
+			const document = createDocument([]);
+
+			// Assert:
+			expect(document).to.deep.equal({
+				openapi: '3.0.3',
+				info: Info,
+				paths: {},
+				components: {
+					schemas: {
+						error: { type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' } } },
+						pagination: Pagination_Schema
+					}
+				}
+			});
+		});
+	});
+
+	describe('paths', () => {
+		it('adds sorted paths for all routes', () => {
+			// Act:
+			const document = createDocument([
+				{ method: 'get', route: '/foo/bar' },
+				{ method: 'post', route: '/alpha' },
+				{ method: 'get', route: '/foo/:height' },
+				{ method: 'put', route: '/foo/bar' }
+			]);
+
+			// Assert:
+			expect(Object.keys(document.paths)).to.deep.equal(['/alpha', '/foo/{height}', '/foo/bar']);
+			expect(Object.keys(document.paths['/foo/bar'])).to.deep.equal(['get', 'put']);
+		});
+
+		it('creates unique operation ids and tags from routes', () => {
+			// Act:
+			const document = createDocument([
+				{ method: 'get', route: '/block/:height' },
+				{ method: 'get', route: '/block/hash/:hash' },
+				{ method: 'post', route: '/transaction/decode' },
+				{ method: 'get', route: '/statistics/transactions/daily' },
+				{ method: 'get', route: '/openapi.json' }
+			]);
+
+			// Assert:
+			const getOperation = (path, method) => document.paths[path][method];
+			expect(getOperation('/block/{height}', 'get').operationId).to.equal('getBlockByHeight');
+			expect(getOperation('/block/hash/{hash}', 'get').operationId).to.equal('getBlockHashByHash');
+			expect(getOperation('/transaction/decode', 'post').operationId).to.equal('postTransactionDecode');
+			expect(getOperation('/statistics/transactions/daily', 'get').operationId).to.equal('getStatisticsTransactionsDaily');
+			expect(getOperation('/openapi.json', 'get').operationId).to.equal('getOpenapiJson');
+
+			expect(getOperation('/block/{height}', 'get').tags).to.deep.equal(['block']);
+			expect(getOperation('/transaction/decode', 'post').tags).to.deep.equal(['transaction']);
+		});
+
+		it('adds request body only to routes with body', () => {
+			// Act:
+			const document = createDocument(['get', 'post', 'put'].map(method => ({ method, route: '/foo' })));
+
+			// Assert:
+			const operations = document.paths['/foo'];
+			expect(operations.get.requestBody).to.equal(undefined);
+			['post', 'put'].forEach(method => {
+				expect(operations[method].requestBody, method).to.deep.equal({
+					required: true,
+					content: { 'application/json': { schema: { type: 'object' } } }
+				});
+			});
+		});
+
+		it('adds success and error responses', () => {
+			// Act:
+			const document = createDocument([{ method: 'get', route: '/foo' }]);
+
+			// Assert:
+			expect(document.paths['/foo'].get.responses).to.deep.equal({
+				200: { description: 'success', content: { 'application/json': { schema: {} } } },
+				default: { description: 'error', content: { 'application/json': { schema: { $ref: '#/components/schemas/error' } } } }
+			});
+		});
+
+		describe('success responses', () => {
+			const getSuccessSchema = (description, modelSchema) => {
+				const routeDescriptions = { '/foo': { get: description } };
+				const document = createDocument([{ method: 'get', route: '/foo' }], modelSchema || { bar: {} }, routeDescriptions);
+				return document.paths['/foo'].get.responses[200].content['application/json'].schema;
+			};
+
+			const createDescription = shape => ({
+				type: 'bar', shape, query: {}, requiredQuery: []
+			});
+
+			it('references schema of object result', () => {
+				// Act:
+				const schema = getSuccessSchema(createDescription('object'));
+
+				// Assert:
+				expect(schema).to.deep.equal({ $ref: '#/components/schemas/bar' });
+			});
+
+			it('references schema of array result items', () => {
+				// Act:
+				const schema = getSuccessSchema(createDescription('array'));
+
+				// Assert:
+				expect(schema).to.deep.equal({ type: 'array', items: { $ref: '#/components/schemas/bar' } });
+			});
+
+			it('describes page result as array or envelope with pagination', () => {
+				// Act:
+				const schema = getSuccessSchema(createDescription('page'));
+
+				// Assert:
+				const arraySchema = { type: 'array', items: { $ref: '#/components/schemas/bar' } };
+				expect(schema).to.deep.equal({
+					oneOf: [
+						arraySchema,
+						{ type: 'object', properties: { data: arraySchema, pagination: { $ref: '#/components/schemas/pagination' } } }
+					]
+				});
+			});
+
+			it('does not describe result without type', () => {
+				// Act:
+				const schema = getSuccessSchema({ query: {}, requiredQuery: [] });
+
+				// Assert:
+				expect(schema).to.deep.equal({});
+			});
+
+			it('does not describe result with unknown type', () => {
+				// Act:
+				const schema = getSuccessSchema(createDescription('object'), { baz: {} });
+
+				// Assert:
+				expect(schema).to.deep.equal({});
+			});
+
+			it('ignores descriptions of other methods', () => {
+				// Act:
+				const routeDescriptions = { '/foo': { get: createDescription('object') } };
+				const document = createDocument([{ method: 'post', route: '/foo' }], { bar: {} }, routeDescriptions);
+
+				// Assert:
+				expect(document.paths['/foo'].post.responses[200].content['application/json'].schema).to.deep.equal({});
+				expect(document.paths['/foo'].post.parameters).to.deep.equal([]);
+			});
+		});
+
+		describe('query parameters', () => {
+			const getParameters = (route, description) => {
+				const document = createDocument([{ method: 'get', route }], {}, { [route]: { get: description } });
+				return document.paths[Object.keys(document.paths)[0]].get.parameters;
+			};
+
+			it('describes query parameters with named parsers and schemas', () => {
+				// Act:
+				const parameters = getParameters('/foo', {
+					shape: 'array',
+					query: { alpha: 'uint', beta: { type: 'string', enum: ['x', 'y'] }, gamma: 'publicKey' },
+					requiredQuery: ['gamma']
+				});
+
+				// Assert:
+				expect(parameters).to.deep.equal([
+					{
+						name: 'alpha', in: 'query', required: false, schema: routeUtils.getNamedParserSchema('uint')
+					},
+					{
+						name: 'beta', in: 'query', required: false, schema: { type: 'string', enum: ['x', 'y'] }
+					},
+					{
+						name: 'gamma', in: 'query', required: true, schema: routeUtils.getNamedParserSchema('publicKey')
+					}
+				]);
+			});
+
+			it('adds query parameters after path parameters', () => {
+				// Act:
+				const parameters = getParameters('/foo/:height', { shape: 'object', query: { alpha: 'boolean' }, requiredQuery: [] });
+
+				// Assert:
+				expect(parameters.map(parameter => `${parameter.in} ${parameter.name}`)).to.deep.equal(['path height', 'query alpha']);
+			});
+
+			it('adds paging parameters to pages', () => {
+				// Act:
+				const parameters = getParameters('/foo', {
+					shape: 'page', sortFields: ['height'], query: { alpha: 'uint' }, requiredQuery: []
+				});
+
+				// Assert:
+				const createParameter = (name, schema) => ({
+					name, in: 'query', required: false, schema
+				});
+				expect(parameters).to.deep.equal([
+					createParameter('alpha', routeUtils.getNamedParserSchema('uint')),
+					createParameter('pageSize', routeUtils.getNamedParserSchema('uint')),
+					createParameter('id', routeUtils.getNamedParserSchema('objectId')),
+					createParameter('before', routeUtils.getNamedParserSchema('objectId')),
+					createParameter('offset', routeUtils.getNamedParserSchema('uint')),
+					createParameter('includeTotal', routeUtils.getNamedParserSchema('boolean')),
+					createParameter('envelope', routeUtils.getNamedParserSchema('boolean')),
+					createParameter('sortField', { type: 'string', enum: ['id', 'height'] })
+				]);
+			});
+		});
+
+		it('describes path parameters with named parsers', () => {
+			// Act:
+			const document = createDocument([{ method: 'get', route: '/account/:accountId/foo/:hash/bar/:limit' }]);
+
+			// Assert:
+			const { parameters } = document.paths['/account/{accountId}/foo/{hash}/bar/{limit}'].get;
+			expect(parameters).to.deep.equal([
+				{
+					name: 'accountId', in: 'path', required: true, schema: routeUtils.getNamedParserSchema('accountId')
+				},
+				{
+					name: 'hash', in: 'path', required: true, schema: routeUtils.getNamedParserSchema('hash256')
+				},
+				{
+					name: 'limit', in: 'path', required: true, schema: routeUtils.getNamedParserSchema('uint')
+				}
+			]);
+		});
+
+		it('describes path parameters with custom and unknown parsers', () => {
+			// Act:
+			const document = createDocument([{ method: 'get', route: '/namespace/:namespaceId/:unknown' }]);
+
+			// Assert:
+			const { parameters } = document.paths['/namespace/{namespaceId}/{unknown}'].get;
+			expect(parameters).to.deep.equal([
+				{
+					name: 'namespaceId', in: 'path', required: true, schema: { type: 'string', pattern: '^[0-9A-Fa-f]{16}$' }
+				},
+				{
+					name: 'unknown', in: 'path', required: true, schema: { type: 'string' }
+				}
+			]);
+		});
+	});
+
+	describe('component schemas', () => {
+		const createComponentSchemas = modelSchema => {
+			const { schemas } = createDocument([], modelSchema).components;
+			delete schemas.error;
+			delete schemas.pagination;
+			return schemas;
+		};
+
+		it('adds sorted schemas for all model schemas', () => {
+			// Act:
+			const schemas = createComponentSchemas({ foo: {}, bar: {}, baz: {} });
+
+			// Assert:
+			expect(schemas).to.deep.equal({
+				bar: { type: 'object', properties: {} },
+				baz: { type: 'object', properties: {} },
+				foo: { type: 'object', properties: {} }
+			});
+		});
+
+		it('maps model types to json representations', () => {
+			// Act:
+			const schemas = createComponentSchemas({
+				foo: {
+					alpha: ModelType.none,
+					beta: ModelType.binary,
+					gamma: ModelType.objectId,
+					delta: ModelType.statusCode,
+					epsilon: ModelType.string,
+					zeta: ModelType.uint16,
+					eta: ModelType.uint64,
+					theta: { type: ModelType.uint64 },
+					iota: ModelType.double,
+					kappa: ModelType.uint32
+				}
+			});
+
+			// Assert:
+			expect(schemas.foo.properties).to.deep.equal({
+				alpha: {},
+				beta: { type: 'string', pattern: '^([0-9A-F]{2})*$' },
+				gamma: { type: 'string', pattern: '^[0-9A-F]{24}$' },
+				delta: { type: 'string' },
+				epsilon: { type: 'string' },
+				zeta: { type: 'integer', minimum: 0, maximum: 0xFFFF },
+				eta: Uint64_Schema,
+				theta: Uint64_Schema,
+				iota: { type: 'number' },
+				kappa: { type: 'integer', minimum: 0, maximum: 0xFFFFFFFF }
+			});
+		});
+
+		it('maps composite types to references', () => {
+			// Act:
+			const schemas = createComponentSchemas({
+				foo: {
+					alpha: { type: ModelType.object, schemaName: 'bar' },
+					beta: { type: ModelType.array, schemaName: 'bar' },
+					gamma: { type: ModelType.array, schemaName: ModelType.uint64 },
+					delta: { type: ModelType.dictionary, schemaName: 'bar' }
+				},
+				bar: {}
+			});
+
+			// Assert:
+			expect(schemas.foo.properties).to.deep.equal({
+				alpha: { $ref: '#/components/schemas/bar' },
+				beta: { type: 'array', items: { $ref: '#/components/schemas/bar' } },
+				gamma: { type: 'array', items: Uint64_Schema },
+				delta: { type: 'object', additionalProperties: { $ref: '#/components/schemas/bar' } }
+			});
+		});
+
+		it('maps entity dependent schema names to generic objects', () => {
+			// Act:
+			const schemas = createComponentSchemas({
+				foo: {
+					alpha: { type: ModelType.object, schemaName: () => 'bar' },
+					beta: { type: ModelType.array, schemaName: () => 'bar' }
+				}
+			});
+
+			// Assert:
+			expect(schemas.foo.properties).to.deep.equal({
+				alpha: { type: 'object' },
+				beta: { type: 'array', items: { type: 'object' } }
+			});
+		});
+
+		it('uses result keys as property names', () => {
+			// Act:
+			const schemas = createComponentSchemas({ foo: { alpha: { type: ModelType.uint16, resultKey: 'beta' } } });
+
+			// Assert:
+			expect(schemas.foo.properties).to.deep.equal({ beta: { type: 'integer', minimum: 0, maximum: 0xFFFF } });
+		});
+
+		it('can describe complete model system', () => {
+			// Arrange:
+			const pluginNames = catapult.plugins.catapultModelSystem.supportedPluginNames();
+			const modelSystem = catapult.plugins.catapultModelSystem.configure(pluginNames, {});
+
+			// Act:
+			const schemas = createComponentSchemas(modelSystem.schema);
+
+			// Assert: all model schemas (including extension schemas) are described and all references can be resolved
+			expect(Object.keys(schemas).length).to.equal(Object.keys(modelSystem.schema).length);
+			expect(schemas).to.include.all.keys('blockHeaderWithMetadata', 'mosaicDescriptor', 'namespaceDescriptor', 'receipts');
+
+			const references = JSON.stringify(schemas).match(/#\/components\/schemas\/[^"]+/g);
+			references.forEach(reference => {
+				expect(schemas, reference).to.have.property(reference.split('/').pop());
+			});
+		});
+
+		it('describes all mosaic distribution properties', () => {
+			// Arrange:
+			const modelSystem = catapult.plugins.catapultModelSystem.configure(['mosaic'], {});
+
+			// Act:
+			const schemas = createComponentSchemas(modelSystem.schema);
+
+			// Assert:
+			expect(schemas.mosaicDistribution.properties).to.deep.equal({
+				mosaicId: Uint64_Schema,
+				holderCount: { type: 'integer', minimum: 0, maximum: 0xFFFFFFFF },
+				circulatingAmount: Uint64_Schema,
+				topHolders: { type: 'array', items: { $ref: '#/components/schemas/mosaicHolder' } },
+				topHoldersAmount: Uint64_Schema,
+				topHoldersConcentration: { type: 'number' }
+			});
+		});
+	});
+});
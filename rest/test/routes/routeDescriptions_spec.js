@@ -0,0 +1,92 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { test } = require('./utils/routeTestUtils');
+const allRoutes = require('../../src/routes/allRoutes');
+const routeDescriptions = require('../../src/routes/routeDescriptions');
+const routeUtils = require('../../src/routes/routeUtils');
+const routeSystem = require('../../src/plugins/routeSystem');
+const restSchemas = require('../../src/server/restSchemas');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+describe('route descriptions', () => {
+	const pluginNames = catapult.plugins.catapultModelSystem.supportedPluginNames();
+
+	const forEachDescription = action => {
+		Object.keys(routeDescriptions).forEach(route => {
+			Object.keys(routeDescriptions[route]).forEach(method => action(`${method} ${route}`, routeDescriptions[route][method]));
+		});
+	};
+
+	it('only describes routes registered by core and plugins', () => {
+		// Arrange:
+		const registeredRoutes = new Set();
+		const server = test.setup.createMockServer('get', {});
+		['get', 'put', 'post'].forEach(method => {
+			server[method] = route => registeredRoutes.add(`${method} ${route}`);
+		});
+
+		const services = {
+			config: {
+				pageSize: { min: 10, max: 100, step: 25 },
+				transactionStates: [{ friendlyName: 'partial', dbPostfix: 'Partial', routePostfix: '/partial' }],
+				apiNode: { timeout: 1000 },
+				websocket: {}
+			}
+		};
+
+		// Act:
+		allRoutes.register(server, {}, services);
+		routeSystem.configure(routeSystem.supportedPluginNames(), server, {}, services);
+
+		// Assert:
+		forEachDescription(key => {
+			expect(registeredRoutes.has(key), key).to.equal(true);
+		});
+	});
+
+	it('only references schemas of complete model system', () => {
+		// Arrange:
+		const modelSystem = restSchemas.extendModelSystem(catapult.plugins.catapultModelSystem.configure(pluginNames, {}), {});
+
+		// Act + Assert:
+		forEachDescription((key, description) => {
+			if (undefined !== description.type)
+				expect(modelSystem.schema, key).to.have.property(description.type);
+		});
+	});
+
+	it('only uses known shapes, named parsers and required query parameters', () => {
+		forEachDescription((key, description) => {
+			// Assert:
+			if (undefined !== description.type)
+				expect(['object', 'array', 'page'], key).to.include(description.shape);
+
+			Object.keys(description.query).forEach(name => {
+				const parser = description.query[name];
+				if ('string' === typeof parser)
+					expect(() => routeUtils.getNamedParserSchema(parser), `${key} ${name}`).to.not.throw();
+			});
+
+			expect(Object.keys(description.query), key).to.include.members(description.requiredQuery);
+		});
+	});
+});
@@ -23,7 +23,7 @@ const { expect } = require('chai');
 
 describe('routeResultTypes', () => {
 	it('has correct links to schema', () => {
-		expect(Object.keys(routeResultTypes).length).to.equal(11);
+		expect(Object.keys(routeResultTypes).length).to.equal(13);
 		expect(routeResultTypes).to.deep.equal({
 			account: 'accountWithMetadata',
 			block: 'blockHeaderWithMetadata',
@@ -35,7 +35,9 @@ describe('routeResultTypes', () => {
 			nodeInfo: 'nodeInfo',
 			nodeTime: 'nodeTime',
 			serverInfo: 'serverInfo',
-			storageInfo: 'storageInfo'
+			storageInfo: 'storageInfo',
+			blockStatistics: 'blockStatistics',
+			dailyTransactionStatistics: 'dailyTransactionStatistics'
 		});
 	});
 });
@@ -19,6 +19,7 @@
  */
 
 const { test } = require('./utils/routeTestUtils');
+const errors = require('../../src/server/errors');
 const routeUtils = require('../../src/routes/routeUtils');
 const catapult = require('catapult-sdk');
 const { expect } = require('chai');
@@ -75,6 +76,15 @@ describe('route utils', () => {
 			invalid: invalidObjectIdStrings.map(id => ({ id, error: 'must be 12-byte hex string' }))
 		}));
 
+		describe('boolean', () => addParserTests({
+			parser: 'boolean',
+			valid: [
+				{ id: 'true', parsed: true },
+				{ id: 'false', parsed: false }
+			],
+			invalid: ['1', '0', 'TRUE', 'yes'].map(id => ({ id, error: 'must be true or false' }))
+		}));
+
 		describe('uint', () => addParserTests({
 			parser: 'uint',
 			valid: [
@@ -92,7 +102,8 @@ describe('route utils', () => {
 			valid: addresses.valid.map(id => ({ id, parsed: catapult.model.address.stringToAddress(id) })),
 			invalid: [
 				{ id: addresses.invalid, error: 'illegal base32 character 1' },
-				{ id: '12345', error: 'invalid length of address \'5\'' }
+				{ id: '12345', error: 'invalid length of address \'5\'' },
+				{ id: 'acme.treasury', error: 'namespace name \'acme.treasury\' could not be resolved to an address' }
 			]
 		}));
 
@@ -101,7 +112,8 @@ describe('route utils', () => {
 			valid: publicKeys.valid.map(id => ({ id, parsed: catapult.utils.convert.hexToUint8(id) })),
 			invalid: [
 				{ id: publicKeys.invalid, error: 'unrecognized hex char \'1G\'' },
-				{ id: '12345', error: 'invalid length of publicKey \'5\'' }
+				{ id: '12345', error: 'invalid length of publicKey \'5\'' },
+				{ id: 'acme.treasury', error: 'namespace name \'acme.treasury\' could not be resolved to a public key' }
 			]
 		}));
 
@@ -138,8 +150,38 @@ describe('route utils', () => {
 					});
 				});
 			});
+
+			it('maps unresolved namespace name to 409 error', () => {
+				// Act:
+				['alice', 'acme.treasury', 'acme.treasury.cold'].forEach(str => {
+					test.assert.invokerThrowsError(() => routeUtils.parseArgument({ foo: str }, 'foo', 'accountId'), {
+						statusCode: 409,
+						message: 'foo has an invalid format'
+					});
+				});
+			});
 		});
 
+		describe('mosaicId', () => addParserTests({
+			parser: 'mosaicId',
+			valid: [
+				{ id: '78A4895CB6653DE4', parsed: [0xB6653DE4, 0x78A4895C] },
+				{ id: '0000000000000001', parsed: [1, 0] }
+			],
+			invalid: [
+				{ id: '78A4895CB6653DE', error: 'hex string has unexpected size \'15\'' },
+				{ id: '78A4895CB6653DEZ', error: 'unrecognized hex char \'EZ\'' },
+				{ id: 'acme.token', error: 'namespace name \'acme.token\' could not be resolved to a mosaic' }
+			]
+		}));
+
+		describe('namespaceName', () => addParserTests({
+			parser: 'namespaceName',
+			valid: ['acme', 'acme.treasury', 'acme.treasury-1.cold_2'].map(id => ({ id, parsed: id })),
+			invalid: ['', 'Acme', 'acme.', '.acme', 'a.b.c.d', '_acme', 'ac me', 'a'.repeat(65)]
+				.map(id => ({ id, error: 'must be a fully qualified namespace name' }))
+		}));
+
 		describe('hash256', () => addParserTests({
 			parser: 'hash256',
 			valid: hashes256.valid.map(hash => ({ id: hash, parsed: catapult.utils.convert.hexToUint8(hash) })),
@@ -153,6 +195,40 @@ describe('route utils', () => {
 		}));
 	});
 
+	describe('parse optional argument', () => {
+		it('returns undefined when argument is not present', () => {
+			// Act:
+			const result = routeUtils.parseOptionalArgument({ bar: '12' }, 'foo', 'uint');
+
+			// Assert:
+			expect(result).to.equal(undefined);
+		});
+
+		it('returns default value when argument is not present', () => {
+			// Act:
+			const result = routeUtils.parseOptionalArgument({ bar: '12' }, 'foo', 'uint', 7);
+
+			// Assert:
+			expect(result).to.equal(7);
+		});
+
+		it('parses argument when present', () => {
+			// Act:
+			const result = routeUtils.parseOptionalArgument({ foo: '12' }, 'foo', 'uint', 7);
+
+			// Assert:
+			expect(result).to.equal(12);
+		});
+
+		it('maps parser error to 409 error when argument is present', () => {
+			// Act + Assert:
+			test.assert.invokerThrowsError(() => routeUtils.parseOptionalArgument({ foo: 'abc' }, 'foo', 'uint', 7), {
+				statusCode: 409,
+				message: 'foo has an invalid format'
+			});
+		});
+	});
+
 	describe('parse argument array', () => {
 		it('succeeds when parser does not error', () => {
 			// Act:
@@ -187,6 +263,114 @@ describe('route utils', () => {
 		});
 	});
 
+	describe('get named parser schema', () => {
+		const namedParserNames = [
+			'objectId', 'boolean', 'uint', 'address', 'publicKey', 'accountId', 'mosaicId', 'namespaceName', 'hash256', 'hash512'
+		];
+
+		it('returns string schema for all named parsers', () => {
+			namedParserNames.forEach(parserName => {
+				// Act:
+				const schema = routeUtils.getNamedParserSchema(parserName);
+
+				// Assert:
+				expect(schema.type, parserName).to.equal('string');
+			});
+		});
+
+		it('returns schema matching values accepted by named parser', () => {
+			// Arrange:
+			const validValues = {
+				objectId: '112233445566778899AABBCC',
+				boolean: 'true',
+				uint: '12345',
+				publicKey: test.sets.publicKeys.valid[0],
+				hash256: '00112233445566778899AABBCCDDEEFF00112233445566778899AABBCCDDEEFF',
+				hash512: '00112233445566778899AABBCCDDEEFF00112233445566778899AABBCCDDEEFF'.repeat(2)
+			};
+
+			Object.keys(validValues).forEach(parserName => {
+				// Act:
+				const schema = routeUtils.getNamedParserSchema(parserName);
+				const isMatch = schema.pattern ? new RegExp(schema.pattern).test(validValues[parserName]) : schema.enum.includes('true');
+
+				// Assert:
+				expect(isMatch, parserName).to.equal(true);
+				routeUtils.parseArgument(validValues, parserName, parserName);
+			});
+		});
+
+		it('returns copy of schema', () => {
+			// Act:
+			const schema1 = routeUtils.getNamedParserSchema('uint');
+			schema1.type = 'integer';
+			const schema2 = routeUtils.getNamedParserSchema('uint');
+
+			// Assert:
+			expect(schema2).to.deep.equal({ type: 'string', pattern: '^[0-9]+$' });
+		});
+
+		it('rejects unknown named parser', () => {
+			// Act + Assert:
+			expect(() => routeUtils.getNamedParserSchema('foo')).to.throw('unknown named parser \'foo\'');
+		});
+	});
+
+	describe('is namespace name argument', () => {
+		const { addresses, publicKeys } = test.sets;
+
+		it('returns true for namespace names', () => {
+			['acme', 'acme.treasury', 'acme.treasury.cold'].forEach(name => {
+				['address', 'publicKey', 'accountId', 'mosaicId'].forEach(parserName => {
+					// Act + Assert:
+					expect(routeUtils.isNamespaceNameArgument({ foo: name }, 'foo', parserName), `${parserName} ${name}`).to.equal(true);
+				});
+			});
+		});
+
+		it('returns true for namespace names in arrays', () => {
+			// Act + Assert:
+			expect(routeUtils.isNamespaceNameArgument([addresses.valid[0], 'acme'], 1, 'address')).to.equal(true);
+		});
+
+		it('returns false for raw account ids', () => {
+			// Arrange: lowercase public keys are also valid namespace names
+			const accountIds = [addresses.valid[0], publicKeys.valid[0], publicKeys.valid[0].toLowerCase()];
+
+			accountIds.forEach(accountId => {
+				// Act + Assert:
+				expect(routeUtils.isNamespaceNameArgument({ foo: accountId }, 'foo', 'accountId'), accountId).to.equal(false);
+			});
+		});
+
+		it('returns false for raw addresses and public keys', () => {
+			// Act + Assert:
+			expect(routeUtils.isNamespaceNameArgument({ foo: addresses.valid[0] }, 'foo', 'address')).to.equal(false);
+			expect(routeUtils.isNamespaceNameArgument({ foo: publicKeys.valid[0].toLowerCase() }, 'foo', 'publicKey')).to.equal(false);
+		});
+
+		it('returns false for raw mosaic ids', () => {
+			// Arrange: lowercase mosaic ids are also valid namespace names
+			['78A4895CB6653DE4', '78a4895cb6653de4'].forEach(mosaicId => {
+				// Act + Assert:
+				expect(routeUtils.isNamespaceNameArgument({ foo: mosaicId }, 'foo', 'mosaicId'), mosaicId).to.equal(false);
+			});
+		});
+
+		it('returns false for missing and non string arguments', () => {
+			// Act + Assert:
+			expect(routeUtils.isNamespaceNameArgument({}, 'foo', 'accountId')).to.equal(false);
+			expect(routeUtils.isNamespaceNameArgument({ foo: ['acme'] }, 'foo', 'accountId')).to.equal(false);
+		});
+
+		it('returns false for invalid namespace names', () => {
+			['Acme', 'acme.', 'a.b.c.d'].forEach(name => {
+				// Act + Assert:
+				expect(routeUtils.isNamespaceNameArgument({ foo: name }, 'foo', 'accountId'), name).to.equal(false);
+			});
+		});
+	});
+
 	describe('parse paging arguments', () => {
 		it('succeeds when no arguments are provided', () => {
 			// Act:
@@ -233,6 +417,96 @@ describe('route utils', () => {
 			expect(() => routeUtils.parsePagingArguments({ id: '112233445566778899AABBCC', pageSize: '1Y2' }))
 				.to.throw('pageSize is not a valid unsigned integer');
 		});
+
+		it('succeeds when valid extended paging arguments are provided', () => {
+			// Act:
+			const options = routeUtils.parsePagingArguments(
+				{
+					pageSize: '12', offset: '20', sortField: 'height', includeTotal: 'true', envelope: 'false'
+				},
+				{ height: 'meta.height' }
+			);
+
+			// Assert:
+			expect(options).to.deep.equal({
+				id: undefined,
+				pageSize: 12,
+				offset: 20,
+				sortField: 'meta.height',
+				includeTotal: true,
+				envelope: false
+			});
+		});
+
+		it('succeeds when zero offset is provided', () => {
+			// Act:
+			const options = routeUtils.parsePagingArguments({ offset: '0' });
+
+			// Assert:
+			expect(options).to.deep.equal({ id: undefined, pageSize: 0, offset: 0 });
+		});
+
+		it('succeeds when valid before cursor is provided', () => {
+			// Act:
+			const options = routeUtils.parsePagingArguments({ before: '112233445566778899AABBCC', pageSize: '12' });
+
+			// Assert:
+			expect(options).to.deep.equal({ id: undefined, pageSize: 12, before: '112233445566778899AABBCC' });
+		});
+
+		it('fails when invalid before cursor is provided', () => {
+			// Act:
+			invalidObjectIdStrings.forEach(str => {
+				expect(() => routeUtils.parsePagingArguments({ before: str }), `before ${str}`)
+					.to.throw('before is not a valid object id');
+			});
+		});
+
+		it('fails when page start arguments are combined', () => {
+			// Arrange:
+			const id = '112233445566778899AABBCC';
+
+			// Act:
+			expect(() => routeUtils.parsePagingArguments({ id, offset: '0' })).to.throw('id and offset cannot be combined');
+			expect(() => routeUtils.parsePagingArguments({ before: id, offset: '20' })).to.throw('before and offset cannot be combined');
+			expect(() => routeUtils.parsePagingArguments({ id, before: id })).to.throw('id and before cannot be combined');
+		});
+
+		it('maps id sort field to document id', () => {
+			// Act:
+			const options = routeUtils.parsePagingArguments({ sortField: 'id' });
+
+			// Assert:
+			expect(options).to.deep.equal({ id: undefined, pageSize: 0, sortField: '_id' });
+		});
+
+		it('fails when zero page size is provided', () => {
+			// Act:
+			expect(() => routeUtils.parsePagingArguments({ pageSize: '0' }))
+				.to.throw('pageSize is not a valid unsigned integer');
+		});
+
+		it('fails when invalid offset is provided', () => {
+			// Act:
+			expect(() => routeUtils.parsePagingArguments({ offset: '-1' }))
+				.to.throw('offset is not a valid unsigned integer');
+		});
+
+		it('fails when unsupported sort field is provided', () => {
+			// Act:
+			['height', 'foo', 'toString', '__proto__'].forEach(sortField => {
+				expect(() => routeUtils.parsePagingArguments({ sortField }), `sortField ${sortField}`)
+					.to.throw('sortField is not a valid sort field');
+			});
+		});
+
+		it('fails when invalid boolean flag is provided', () => {
+			// Act:
+			['includeTotal', 'envelope'].forEach(key => {
+				expect(() => routeUtils.parsePagingArguments({ [key]: 'yes' }), key)
+					.to.throw(`${key} is not a valid boolean`);
+			});
+		});
 	});
 
 	describe('generate valid page sizes', () => {
@@ -339,6 +613,51 @@ describe('route utils', () => {
 			});
 		});
 
+		describe('send page', () => {
+			const send = (object, pagingOptions, assertResponse) => {
+				const sender = routeUtils.createSender('foo');
+				sendTest((res, next) => sender.sendPage('alpha-7', pagingOptions, res, next)(object), assertResponse);
+			};
+
+			const createPagedArray = (array, pagination) => {
+				Object.defineProperty(array, 'pagination', { value: pagination, enumerable: false });
+				return array;
+			};
+
+			it('forwards array when envelope is not requested', () => {
+				// Act:
+				send(createPagedArray([{ alpha: 7 }], { pageSize: 10 }), { pageSize: 10 }, response => {
+					// Assert:
+					expect(response).to.deep.equal({ payload: [{ alpha: 7 }], type: 'foo' });
+					expect(response.pagination).to.equal(undefined);
+				});
+			});
+
+			it('forwards array with pagination when envelope is requested', () => {
+				// Act:
+				send(createPagedArray([{ alpha: 7 }], { pageSize: 10, next: 'abc' }), { pageSize: 10, envelope: true }, response => {
+					// Assert:
+					expect(response).to.deep.equal({ payload: [{ alpha: 7 }], type: 'foo', pagination: { pageSize: 10, next: 'abc' } });
+				});
+			});
+
+			it('forwards array with empty pagination when envelope is requested but array has no pagination', () => {
+				// Act:
+				send([{ alpha: 7 }], { envelope: true }, response => {
+					// Assert:
+					expect(response).to.deep.equal({ payload: [{ alpha: 7 }], type: 'foo', pagination: {} });
+				});
+			});
+
+			it('sends error when envelope is requested and array is undefined', () => {
+				// Act:
+				send(undefined, { envelope: true }, response => {
+					// Assert:
+					expect(response.body).to.deep.equal({ code: 'Internal', message: 'error retrieving data for id: \'alpha-7\'' });
+				});
+			});
+		});
+
 		describe('send one', () => {
 			const send = (object, id, type, assertResponse) => {
 				sendTest((res, next) => routeUtils.createSender(type).sendOne(id, res, next)(object), assertResponse);
@@ -425,6 +744,20 @@ describe('route utils', () => {
 		});
 	});
 
+	describe('createPacketFromBuffer', () => {
+		it('prepends packet header to payload', () => {
+			// Act:
+			const packet = routeUtils.createPacketFromBuffer(new Uint8Array([0x12, 0x34, 0x99]), 987);
+
+			// Assert:
+			expect(packet).to.deep.equal(Buffer.of(
+				0x0B, 0x00, 0x00, 0x00, // size (header)
+				0xDB, 0x03, 0x00, 0x00, // type (header)
+				0x12, 0x34, 0x99 // payload
+			));
+		});
+	});
+
 	describe('addPutPacketRoute', () => {
 		const registrar = (server, db, services) => {
 			const parseHexParam = (params, key) => routeUtils.parseArgument(params, key, catapult.utils.convert.hexToUint8);
@@ -454,6 +787,59 @@ describe('route utils', () => {
 				}
 			}
 		});
+
+		describe('with validator', () => {
+			const runValidatorTest = (validator, assertRoute) => {
+				// Arrange:
+				const routes = {};
+				const server = test.setup.createMockServer('put', routes);
+
+				const sendPayloads = [];
+				const connections = {
+					send: payload => {
+						sendPayloads.push(payload);
+						return Promise.resolve();
+					}
+				};
+
+				routeUtils.addPutPacketRoute(
+					server,
+					connections,
+					{ routeName: '/foo/bar', packetType: 987 },
+					params => convert.hexToUint8(params.alpha),
+					validator
+				);
+
+				const route = test.setup.findRoute(routes, '/foo/bar');
+				const res = { send: () => {} };
+				return assertRoute(() => route({ params: { alpha: '1234' } }, res, () => {}), sendPayloads);
+			};
+
+			it('sends packet when payload passes validation', () => {
+				// Arrange:
+				const validatedPayloads = [];
+
+				// Act:
+				return runValidatorTest(payload => validatedPayloads.push(payload), (routeInvoker, sendPayloads) =>
+					routeInvoker().then(() => {
+						// Assert:
+						expect(validatedPayloads).to.deep.equal([new Uint8Array([0x12, 0x34])]);
+						expect(sendPayloads.length).to.equal(1);
+					}));
+			});
+
+			it('does not send packet when payload fails validation', () => {
+				// Arrange:
+				const validator = () => { throw errors.createValidationError('badness', 'foo'); };
+
+				// Act:
+				return runValidatorTest(validator, (routeInvoker, sendPayloads) => {
+					// Assert:
+					expect(routeInvoker).to.throw('badness');
+					expect(sendPayloads.length).to.equal(0);
+				});
+			});
+		});
 	});
 
 	describe('blockRouteMerkleProcessor', () => {
@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const { test } = require('./utils/routeTestUtils');
+const StatisticsDb = require('../../src/db/StatisticsDb');
+const statisticsRoutes = require('../../src/routes/statisticsRoutes');
+const { expect } = require('chai');
+const MongoDb = require('mongodb');
+const sinon = require('sinon');
+
+const { Long } = MongoDb;
+
+describe('statistics routes', () => {
+	const statisticsConfig = {
+		maxBlockRange: 1000,
+		defaultInterval: 100,
+		defaultDays: 30,
+		maxDays: 365,
+		maxRollbackBlocks: 40,
+		cacheSize: 2
+	};
+
+	const createDb = chainHeight => ({ chainInfo: () => Promise.resolve({ height: Long.fromNumber(chainHeight) }) });
+
+	describe('blocks', () => {
+		const Valid_Statistics = [{ numBlocks: 10 }, { numBlocks: 20 }];
+		let blockStatisticsStub;
+
+		beforeEach(() => {
+			blockStatisticsStub = sinon.stub(StatisticsDb.prototype, 'blockStatistics').resolves(Valid_Statistics);
+		});
+
+		afterEach(() => {
+			blockStatisticsStub.restore();
+		});
+
+		const runBlockStatisticsTest = (params, expectedArgs) => test.route.executeSingle(
+			statisticsRoutes.register,
+			'/statistics/blocks',
+			'get',
+			params,
+			createDb(1000),
+			{ statistics: statisticsConfig },
+			response => {
+				// Assert:
+				expect(blockStatisticsStub.calledOnceWith(...expectedArgs)).to.equal(true);
+				expect(response).to.deep.equal({ payload: Valid_Statistics, type: 'blockStatistics' });
+			}
+		);
+
+		it('can retrieve statistics with default interval', () =>
+			runBlockStatisticsTest({ from: '101', to: '300' }, [101, 300, 100]));
+
+		it('can retrieve statistics with custom interval', () =>
+			runBlockStatisticsTest({ from: '101', to: '300', interval: '25' }, [101, 300, 25]));
+
+		it('can retrieve statistics for maximum block range', () =>
+			runBlockStatisticsTest({ from: '1', to: '1000' }, [1, 1000, 100]));
+
+		const assertInvalidRange = (params, expectedMessage) => test.route.executeThrows(
+			statisticsRoutes.register,
+			'/statistics/blocks',
+			'get',
+			params,
+			createDb(1000),
+			{ statistics: statisticsConfig },
+			expectedMessage,
+			409
+		);
+
+		it('rejects missing or malformed heights', () => {
+			assertInvalidRange({ to: '300' }, 'from has an invalid format');
+			assertInvalidRange({ from: '101' }, 'to has an invalid format');
+			assertInvalidRange({ from: '101', to: 'abc' }, 'to has an invalid format');
+			assertInvalidRange({ from: '101', to: '300', interval: '-1' }, 'interval has an invalid format');
+		});
+
+		it('rejects invalid ranges', () => {
+			assertInvalidRange({ from: '0', to: '300' }, 'from must be nonzero and not greater than to');
+			assertInvalidRange({ from: '301', to: '300' }, 'from must be nonzero and not greater than to');
+			assertInvalidRange({ from: '1', to: '1001' }, 'block range cannot contain more than 1000 blocks');
+			assertInvalidRange({ from: '101', to: '300', interval: '0' }, 'interval must be nonzero');
+		});
+
+		const runCachingTest = (params, chainHeight, expectedNumDbCalls) => test.route.prepareExecuteRoute(
+			statisticsRoutes.register,
+			'/statistics/blocks',
+			'get',
+			params,
+			createDb(chainHeight),
+			{ config: { statistics: statisticsConfig } },
+			routeContext => routeContext.routeInvoker()
+				.then(() => routeContext.routeInvoker())
+				.then(() => {
+					// Assert:
+					expect(blockStatisticsStub.callCount).to.equal(expectedNumDbCalls);
+					expect(routeContext.numNextCalls).to.equal(2);
+					expect(routeContext.responses).to.deep.equal([
+						{ payload: Valid_Statistics, type: 'blockStatistics' },
+						{ payload: Valid_Statistics, type: 'blockStatistics' }
+					]);
+				})
+		);
+
+		it('caches statistics for finalized ranges', () => runCachingTest({ from: '101', to: '300' }, 340, 1));
+
+		it('does not cache statistics for ranges that can still change', () => runCachingTest({ from: '101', to: '300' }, 339, 2));
+
+		it('evicts oldest cached range when cache is full', () => {
+			// Arrange:
+			const routes = {};
+			const server = test.setup.createMockServer('get', routes);
+			statisticsRoutes.register(server, createDb(1000), { config: { statistics: statisticsConfig } });
+
+			const route = test.setup.findRoute(routes, '/statistics/blocks');
+			const invokeRoute = to => route({ params: { from: '1', to } }, { send: () => {} }, () => {});
+
+			// Act: third range evicts the first one
+			return invokeRoute('100')
+				.then(() => invokeRoute('200'))
+				.then(() => invokeRoute('300'))
+				.then(() => invokeRoute('200'))
+				.then(() => invokeRoute('100'))
+				.then(() => {
+					// Assert: only the evicted range is retrieved twice
+					expect(blockStatisticsStub.callCount).to.equal(4);
+					expect(blockStatisticsStub.args.map(args => args[1])).to.deep.equal([100, 200, 300, 100]);
+				});
+		});
+	});
+
+	describe('daily transactions', () => {
+		const Valid_Statistics = [{ day: 1 }, { day: 2 }];
+		let dailyTransactionStatisticsStub;
+
+		beforeEach(() => {
+			dailyTransactionStatisticsStub = sinon.stub(StatisticsDb.prototype, 'dailyTransactionStatistics').resolves(Valid_Statistics);
+		});
+
+		afterEach(() => {
+			dailyTransactionStatisticsStub.restore();
+		});
+
+		const runDailyStatisticsTest = (params, expectedNumDays) => test.route.executeSingle(
+			statisticsRoutes.register,
+			'/statistics/transactions/daily',
+			'get',
+			params,
+			createDb(1000),
+			{ statistics: statisticsConfig },
+			response => {
+				// Assert:
+				expect(dailyTransactionStatisticsStub.calledOnceWith(expectedNumDays)).to.equal(true);
+				expect(response).to.deep.equal({ payload: Valid_Statistics, type: 'dailyTransactionStatistics' });
+			}
+		);
+
+		it('can retrieve statistics for default number of days', () => runDailyStatisticsTest({}, 30));
+
+		it('can retrieve statistics for custom number of days', () => runDailyStatisticsTest({ days: '7' }, 7));
+
+		it('can retrieve statistics for maximum number of days', () => runDailyStatisticsTest({ days: '365' }, 365));
+
+		it('rejects invalid number of days', () => {
+			[['0', 'days must be in range [1, 365]'], ['366', 'days must be in range [1, 365]'], ['abc', 'days has an invalid format']]
+				.forEach(pair => {
+					test.route.executeThrows(
+						statisticsRoutes.register,
+						'/statistics/transactions/daily',
+						'get',
+						{ days: pair[0] },
+						createDb(1000),
+						{ statistics: statisticsConfig },
+						pair[1],
+						409
+					);
+				});
+		});
+	});
+});
@@ -20,9 +20,15 @@
 
 const { test } = require('./utils/routeTestUtils');
 const transactionRoutes = require('../../src/routes/transactionRoutes');
+const messageFormattingRules = require('../../src/server/messageFormattingRules');
+const messageParsingRules = require('../../src/server/messageParsingRules');
 const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+const EventEmitter = require('events');
 
-const { convert } = catapult.utils;
+const { address, EntityType } = catapult.model;
+const { serialize, transactionExtensions } = catapult.modelBinary;
+const { convert, uint64 } = catapult.utils;
 
 describe('transaction routes', () => {
 	describe('PUT transaction', () => {
@@ -46,6 +52,459 @@ describe('transaction routes', () => {
 		});
 	});
 
+	describe('codec dependent routes', () => {
+		const modelSystem = catapult.plugins.catapultModelSystem.configure(['transfer', 'aggregate'], {
+			ws: messageFormattingRules,
+			parse: messageParsingRules
+		});
+		const { codec } = modelSystem;
+		const services = { codec, modelParser: modelSystem.formatters.parse };
+		const keyPair = catapult.crypto.createKeyPairFromPrivateKeyString(
+			'8D31B712AB28D49591EAF5066E9E967B44507FC19C3D54D742F7B3A255CFF4AB'
+		);
+
+		const createTransfer = () => ({
+			version: (0x90 << 8) + 1,
+			type: EntityType.transfer,
+			recipient: new Uint8Array(25).fill(0x98),
+			mosaics: [{ id: [1, 2], amount: [1000, 0] }]
+		});
+
+		const createSignedTransfer = () => {
+			const transaction = Object.assign(createTransfer(), {
+				signature: new Uint8Array(64),
+				signer: keyPair.publicKey,
+				maxFee: uint64.fromUint(100),
+				deadline: uint64.fromUint(12345)
+			});
+			transactionExtensions.sign(codec, keyPair, transaction);
+			return transaction;
+		};
+
+		const createSignedAggregate = () => {
+			const embedded = Object.assign(createTransfer(), { signer: keyPair.publicKey });
+			const transaction = {
+				signature: new Uint8Array(64),
+				signer: keyPair.publicKey,
+				version: (0x90 << 8) + 1,
+				type: EntityType.aggregateComplete,
+				maxFee: uint64.fromUint(100),
+				deadline: uint64.fromUint(12345),
+				transactions: [{ transaction: embedded }, { transaction: embedded }]
+			};
+			transactionExtensions.sign(codec, keyPair, transaction);
+			return transaction;
+		};
+
+		const formatTransaction = transaction => modelSystem.formatters.ws.transactionWithMetadata.format({ transaction }).transaction;
+
+		const runRoute = (routeName, params, assertRoute) => test.route.prepareExecuteRoute(
+			transactionRoutes.register,
+			routeName,
+			'post',
+			params,
+			{},
+			services,
+			routeContext => {
+				// Act:
+				routeContext.routeInvoker();
+
+				// Assert:
+				expect(routeContext.numNextCalls).to.equal(1);
+				expect(routeContext.responses.length).to.equal(1);
+				assertRoute(routeContext.responses[0]);
+			}
+		);
+
+		const runRouteThrows = (routeName, params, expectedMessage, expectedStatusCode) => test.route.prepareExecuteRoute(
+			transactionRoutes.register,
+			routeName,
+			'post',
+			params,
+			{},
+			services,
+			routeContext => {
+				// Act + Assert:
+				test.assert.invokerThrowsError(routeContext.routeInvoker, { statusCode: expectedStatusCode, message: expectedMessage });
+			}
+		);
+
+		describe('PUT sync', () => {
+			const signerAddress = address.addressToString(address.publicKeyToAddress(keyPair.publicKey, 0x90));
+
+			const runSyncTest = (params, onAnnounce, assertRoute, config) => {
+				// Arrange:
+				const zmqService = new EventEmitter();
+				const sendPayloads = [];
+				const syncServices = Object.assign({}, services, {
+					config: Object.assign({ transactionSync: { timeout: 100 } }, config),
+					zmqService,
+					connections: {
+						send: payload => {
+							sendPayloads.push(payload);
+							onAnnounce(zmqService);
+							return Promise.resolve();
+						}
+					}
+				});
+
+				return test.route.prepareExecuteRoute(
+					transactionRoutes.register,
+					'/transaction/sync',
+					'put',
+					params,
+					{},
+					syncServices,
+					routeContext => assertRoute(routeContext, sendPayloads)
+				);
+			};
+
+			const emitConfirmed = transaction => zmqService => {
+				const meta = { hash: Buffer.from(transactionExtensions.hash(codec, transaction)), height: [987, 0] };
+				zmqService.emit(`confirmedAdded/${signerAddress}`, { payload: { transaction, meta } });
+			};
+
+			it('announces transaction and responds with confirmed status', () => {
+				// Arrange:
+				const transaction = createSignedTransfer();
+				const payload = serialize.toHex(codec, transaction);
+
+				// Act:
+				return runSyncTest({ payload }, emitConfirmed(transaction), (routeContext, sendPayloads) =>
+					routeContext.routeInvoker().then(() => {
+						// Assert:
+						expect(sendPayloads).to.deep.equal([Buffer.concat([
+							Buffer.of(0x08 + (payload.length / 2), 0x00, 0x00, 0x00, 0x09, 0x00, 0x00, 0x00),
+							Buffer.from(payload, 'hex')
+						])]);
+						expect(routeContext.numNextCalls).to.equal(1);
+						expect(routeContext.responses).to.deep.equal([{
+							payload: {
+								group: 'confirmed',
+								status: 0,
+								hash: Buffer.from(transactionExtensions.hash(codec, transaction)),
+								deadline: transaction.deadline,
+								height: [987, 0]
+							},
+							type: 'transactionStatus',
+							formatter: 'ws'
+						}]);
+					}));
+			});
+
+			it('can wait for unconfirmed state', () => {
+				// Arrange:
+				const transaction = createSignedTransfer();
+				const payload = serialize.toHex(codec, transaction);
+				const emitUnconfirmed = zmqService => {
+					const meta = { hash: Buffer.from(transactionExtensions.hash(codec, transaction)), height: [0, 0] };
+					zmqService.emit(`unconfirmedAdded/${signerAddress}`, { payload: { transaction, meta } });
+				};
+
+				// Act:
+				return runSyncTest({ payload, wait: 'unconfirmed' }, emitUnconfirmed, routeContext =>
+					routeContext.routeInvoker().then(() => {
+						// Assert:
+						expect(routeContext.responses.length).to.equal(1);
+						expect(routeContext.responses[0].payload.group).to.equal('unconfirmed');
+					}));
+			});
+
+			it('responds with failure status when transaction is rejected', () => {
+				// Arrange:
+				const transaction = createSignedTransfer();
+				const payload = serialize.toHex(codec, transaction);
+				const hash = Buffer.from(transactionExtensions.hash(codec, transaction));
+				const emitStatus = zmqService => {
+					zmqService.emit(`status/${signerAddress}`, { payload: { hash, status: 0x80530001, deadline: transaction.deadline } });
+				};
+
+				// Act:
+				return runSyncTest({ payload }, emitStatus, routeContext =>
+					routeContext.routeInvoker().then(() => {
+						// Assert:
+						expect(routeContext.responses[0].payload).to.deep.equal({
+							group: 'failed', status: 0x80530001, hash, deadline: transaction.deadline
+						});
+					}));
+			});
+
+			it('fails when transaction does not reach state before timeout', () => {
+				// Arrange:
+				const payload = serialize.toHex(codec, createSignedTransfer());
+
+				// Act:
+				return runSyncTest({ payload }, () => {}, (routeContext, sendPayloads) =>
+					routeContext.routeInvoker().then(
+						() => { throw Error('route should have failed'); },
+						err => {
+							// Assert:
+							expect(err.statusCode).to.equal(504);
+							expect(sendPayloads.length).to.equal(1);
+							expect(routeContext.responses.length).to.equal(0);
+						}
+					));
+			});
+
+			const assertThrowsWithoutAnnouncing = (params, expectedMessage, expectedStatusCode, config) =>
+				runSyncTest(params, () => {}, (routeContext, sendPayloads) => {
+					// Act + Assert:
+					test.assert.invokerThrowsError(routeContext.routeInvoker, { statusCode: expectedStatusCode, message: expectedMessage });
+					expect(sendPayloads.length).to.equal(0);
+				}, config);
+
+			it('fails when wait state is invalid', () => {
+				// Arrange:
+				const payload = serialize.toHex(codec, createSignedTransfer());
+
+				// Act + Assert:
+				assertThrowsWithoutAnnouncing({ payload, wait: 'partial' }, 'wait has an invalid format', 409);
+			});
+
+			it('fails when payload is malformed', () => {
+				// Arrange:
+				const payload = serialize.toHex(codec, createSignedTransfer()).substring(2);
+
+				// Act + Assert:
+				assertThrowsWithoutAnnouncing({ payload }, 'does not match payload size', 400);
+			});
+
+			it('fails when payload fails enabled validation', () => {
+				// Arrange:
+				const payload = serialize.toHex(codec, createSignedTransfer());
+				const transactionValidationConfig = {
+					enabled: true,
+					maxTransactionLifetimeHours: 1,
+					maxFee: 0
+				};
+
+				// Act + Assert:
+				assertThrowsWithoutAnnouncing(
+					{ payload },
+					'transaction deadline has already passed',
+					400,
+					{ network: { name: 'mijinTest', epochTimestamp: 0 }, transactionValidation: transactionValidationConfig }
+				);
+			});
+		});
+
+		describe('POST fee', () => {
+			const runFeeTest = (params, assertRoute) => {
+				// Arrange: no fee samples are available, so the default fee multiplier is used
+				const db = {
+					blocksFrom: () => Promise.resolve([]),
+					transactionsByFilters: () => Promise.resolve([])
+				};
+				const feeServices = Object.assign({}, services, {
+					config: { fees: { numBlocks: 10, minSamples: 5, defaultFeeMultiplier: 3 }, pageSize: { max: 50 } }
+				});
+
+				const routeName = '/transaction/fee';
+				return test.route.prepareExecuteRoute(transactionRoutes.register, routeName, 'post', params, db, feeServices, assertRoute);
+			};
+
+			const assertSuggestion = (params, expectedSize) => runFeeTest(params, routeContext =>
+				routeContext.routeInvoker().then(() => {
+					// Assert:
+					expect(routeContext.numNextCalls).to.equal(1);
+					expect(routeContext.responses).to.deep.equal([{
+						size: expectedSize,
+						numSamples: 0,
+						feeMultipliers: { low: 3, normal: 3, high: 3 },
+						maxFees: { low: 3 * expectedSize, normal: 3 * expectedSize, high: 3 * expectedSize }
+					}]);
+				}));
+
+			it('can suggest max fees for payload', () => {
+				// Arrange:
+				const payload = serialize.toHex(codec, createSignedTransfer());
+
+				// Act:
+				return assertSuggestion({ payload }, payload.length / 2);
+			});
+
+			it('can suggest max fees for size and type', () => assertSuggestion({ size: '250', type: '16724' }, 250));
+
+			it('can suggest max fees for size', () => assertSuggestion({ size: '250' }, 250));
+
+			it('cannot suggest max fees for payload without complete transaction header', () => runFeeTest(
+				{ payload: '00'.repeat(119) },
+				routeContext => test.assert.invokerThrowsError(routeContext.routeInvoker, {
+					statusCode: 409,
+					message: 'payload must contain complete transaction header'
+				})
+			));
+
+			it('cannot suggest max fees without payload or size', () => runFeeTest(
+				{ type: '16724' },
+				routeContext => test.assert.invokerThrowsError(routeContext.routeInvoker, {
+					statusCode: 409,
+					message: 'size has an invalid format'
+				})
+			));
+		});
+
+		describe('POST decode', () => {
+			it('can decode transaction', () => {
+				// Arrange:
+				const transaction = createSignedTransfer();
+				const payload = serialize.toHex(codec, transaction);
+
+				// Act:
+				runRoute('/transaction/decode', { payload }, response => {
+					// Assert:
+					expect(response.type).to.equal('transactionWithMetadata');
+					expect(response.formatter).to.equal('ws');
+					expect(response.payload.meta).to.deep.equal({ hash: transactionExtensions.hash(codec, transaction) });
+					expect(formatTransaction(response.payload.transaction)).to.deep.equal(formatTransaction(transaction));
+				});
+			});
+
+			it('can decode aggregate transaction with embedded transactions', () => {
+				// Arrange:
+				const transaction = createSignedAggregate();
+				const payload = serialize.toHex(codec, transaction);
+				const hash = transactionExtensions.hash(codec, transaction);
+
+				// Act:
+				runRoute('/transaction/decode', { payload }, response => {
+					// Assert:
+					const decodedTransaction = response.payload.transaction;
+					expect(response.payload.meta).to.deep.equal({ hash });
+					expect(decodedTransaction.transactions.length).to.equal(2);
+					const expectedEmbedded = formatTransaction(transaction.transactions[0].transaction);
+					decodedTransaction.transactions.forEach((embedded, index) => {
+						expect(embedded.meta).to.deep.equal({ aggregateHash: hash, index });
+						expect(formatTransaction(embedded.transaction)).to.deep.equal(expectedEmbedded);
+					});
+				});
+			});
+
+			it('cannot decode payload that is not hex', () => runRouteThrows(
+				'/transaction/decode',
+				{ payload: '12345S' },
+				'payload has an invalid format',
+				409
+			));
+
+			it('cannot decode malformed transaction', () => {
+				// Arrange:
+				const payload = serialize.toHex(codec, createSignedTransfer()).substring(2);
+
+				// Act + Assert:
+				runRouteThrows('/transaction/decode', { payload }, 'does not match payload size', 400);
+			});
+		});
+
+		describe('POST prepare', () => {
+			const createPrepareParams = transaction => {
+				const unsignedTransaction = formatTransaction(transaction);
+				delete unsignedTransaction.signature;
+				return { transaction: unsignedTransaction };
+			};
+
+			const assertPrepared = (transaction, response) => {
+				const unsignedTransaction = Object.assign({}, transaction, { signature: new Uint8Array(64) });
+				const transactionBuffer = serialize.toBuffer(codec, unsignedTransaction);
+				expect(response).to.deep.equal({
+					payload: convert.uint8ToHex(transactionBuffer),
+					signingBytes: convert.uint8ToHex(transactionBuffer.subarray(100)),
+					hash: convert.uint8ToHex(transactionExtensions.hash(codec, unsignedTransaction))
+				});
+			};
+
+			it('can prepare transaction', () => {
+				// Arrange:
+				const transaction = createSignedTransfer();
+
+				// Act:
+				runRoute('/transaction/prepare', createPrepareParams(transaction), response => {
+					// Assert:
+					assertPrepared(transaction, response);
+				});
+			});
+
+			it('can prepare transaction with numeric uint64 values', () => {
+				// Arrange:
+				const transaction = createSignedTransfer();
+				const params = createPrepareParams(transaction);
+				params.transaction.maxFee = 100;
+				params.transaction.deadline = 12345;
+
+				// Act:
+				runRoute('/transaction/prepare', params, response => {
+					// Assert:
+					assertPrepared(transaction, response);
+				});
+			});
+
+			it('can prepare aggregate transaction', () => {
+				// Arrange:
+				const transaction = createSignedAggregate();
+
+				// Act:
+				runRoute('/transaction/prepare', createPrepareParams(transaction), response => {
+					// Assert:
+					assertPrepared(transaction, response);
+				});
+			});
+
+			it('can prepare transaction with signature', () => {
+				// Arrange:
+				const transaction = createSignedTransfer();
+
+				// Act:
+				runRoute('/transaction/prepare', { transaction: formatTransaction(transaction) }, response => {
+					// Assert: signature is retained, so the hash is final
+					expect(response.payload).to.equal(serialize.toHex(codec, transaction));
+					expect(response.hash).to.equal(convert.uint8ToHex(transactionExtensions.hash(codec, transaction)));
+				});
+			});
+
+			it('prepared transaction round trips through decode', () => {
+				// Arrange:
+				const transaction = createSignedAggregate();
+
+				// Act:
+				runRoute('/transaction/prepare', createPrepareParams(transaction), preparedResponse => {
+					runRoute('/transaction/decode', { payload: preparedResponse.payload }, decodedResponse => {
+						// Assert: embedded transactions additionally carry metadata
+						const decodedTransaction = formatTransaction(decodedResponse.payload.transaction);
+						decodedTransaction.transactions.forEach(embedded => delete embedded.meta);
+
+						const expectedTransaction = Object.assign(formatTransaction(transaction), { signature: '0'.repeat(128) });
+						expect(decodedTransaction).to.deep.equal(expectedTransaction);
+					});
+				});
+			});
+
+			it('cannot prepare transaction that is not an object', () => runRouteThrows(
+				'/transaction/prepare',
+				{ transaction: 'abc' },
+				'transaction must be an object',
+				409
+			));
+
+			it('cannot prepare transaction with invalid field', () => {
+				// Arrange:
+				const params = createPrepareParams(createSignedTransfer());
+				params.transaction.recipient = '98ZZ';
+
+				// Act + Assert:
+				runRouteThrows('/transaction/prepare', params, 'transaction has an invalid format', 409);
+			});
+
+			it('cannot prepare transaction with missing field', () => {
+				// Arrange:
+				const params = createPrepareParams(createSignedTransfer());
+				delete params.transaction.recipient;
+
+				// Act + Assert:
+				runRouteThrows('/transaction/prepare', params, 'transaction could not be serialized', 409);
+			});
+		});
+	});
+
 	describe('get', () => {
 		const addGetPostTests = (dbApiName, key, ids, parsedIds) => {
 			const errorMessage = 'has an invalid format';
@@ -110,4 +569,204 @@ describe('transaction routes', () => {
 			addHomogeneousCheck(Valid_Transaction_Hashes, Valid_Object_Ids[0]);
 		});
 	});
+
+	describe('search', () => {
+		const routeName = '/transactions';
+		const config = { transactionStates: [{ friendlyName: 'partial', dbPostfix: 'Partial', routePostfix: '/partial' }] };
+		const { addresses, publicKeys } = test.sets;
+
+		const createDb = (keyGroups, transactions) => ({
+			transactionsByFilters: (filters, pageId, pageSize, ordering) => {
+				keyGroups.push({
+					filters, pageId, pageSize, ordering
+				});
+				return Promise.resolve(transactions);
+			}
+		});
+
+		const emptyFilters = {
+			types: undefined,
+			signer: undefined,
+			recipient: undefined,
+			fromHeight: undefined,
+			toHeight: undefined,
+			mosaicId: undefined,
+			embedded: undefined,
+			group: undefined
+		};
+
+		describe('paging', () => {
+			const pagingTestsFactory = test.setup.createPagingTestsFactory(
+				{
+					routes: transactionRoutes,
+					routeName,
+					createDb,
+					config
+				},
+				{},
+				{ filters: emptyFilters, ordering: -1 },
+				'transactionWithMetadata'
+			);
+
+			const validId = '112233445566778899AABBCC';
+			pagingTestsFactory.addSuccessTest('basic query', {}, { pageId: undefined, pageSize: 0 });
+			pagingTestsFactory.addSuccessTest(
+				'query with pageId and pageSize',
+				{ id: validId, pageSize: '321' },
+				{ pageId: validId, pageSize: 321 }
+			);
+			pagingTestsFactory.addSuccessTest('query with ordering', { ordering: 'id' }, { pageId: undefined, pageSize: 0, ordering: 1 });
+			pagingTestsFactory.addFailureTest('invalid pageId', { id: 'alice' }, 'id is not a valid object id');
+			pagingTestsFactory.addFailureTest('invalid pageSize', { pageSize: 'alice' }, 'pageSize is not a valid unsigned integer');
+		});
+
+		describe('filters', () => {
+			const runFiltersTest = (params, expectedFilters) => {
+				// Arrange:
+				const keyGroups = [];
+				const db = createDb(keyGroups, []);
+
+				// Act:
+				return test.route.executeSingle(transactionRoutes.register, routeName, 'get', params, db, config, response => {
+					// Assert:
+					expect(keyGroups).to.deep.equal([{
+						filters: Object.assign({}, emptyFilters, expectedFilters), pageId: undefined, pageSize: 0, ordering: -1
+					}]);
+					expect(response).to.deep.equal({ payload: [], type: 'transactionWithMetadata' });
+				});
+			};
+
+			it('can filter by single type', () => runFiltersTest({ type: '16724' }, { types: [16724] }));
+
+			it('can filter by multiple types', () => runFiltersTest({ type: ['16724', '16717'] }, { types: [16724, 16717] }));
+
+			it('can filter by signer', () => runFiltersTest(
+				{ signer: publicKeys.valid[0] },
+				{ signer: convert.hexToUint8(publicKeys.valid[0]) }
+			));
+
+			it('can filter by recipient', () => runFiltersTest(
+				{ recipient: addresses.valid[0] },
+				{ recipient: address.stringToAddress(addresses.valid[0]) }
+			));
+
+			it('can filter by height range', () => runFiltersTest({ fromHeight: '10', toHeight: '20' }, { fromHeight: 10, toHeight: 20 }));
+
+			it('can filter by mosaic id', () => runFiltersTest({ mosaicId: '1234567890ABCDEF' }, { mosaicId: [0x90ABCDEF, 0x12345678] }));
+
+			it('can include embedded transactions', () => runFiltersTest({ embedded: 'true' }, { embedded: true }));
+
+			it('can exclude embedded transactions', () => runFiltersTest({ embedded: 'false' }, { embedded: false }));
+
+			['confirmed', 'unconfirmed', 'partial'].forEach(group => {
+				it(`can filter by group ${group}`, () => runFiltersTest({ group }, { group }));
+			});
+
+			it('can combine filters', () => runFiltersTest(
+				{
+					type: '16724', signer: publicKeys.valid[0], fromHeight: '10', group: 'unconfirmed'
+				},
+				{
+					types: [16724], signer: convert.hexToUint8(publicKeys.valid[0]), fromHeight: 10, group: 'unconfirmed'
+				}
+			));
+
+			const addInvalidFilterTest = (key, value) => {
+				it(`returns 409 if ${key} is invalid`, () => {
+					// Arrange:
+					const db = createDb([], []);
+
+					// Act + Assert:
+					const params = { [key]: value };
+					const errorMessage = `${key} has an invalid format`;
+					return test.route.executeThrows(transactionRoutes.register, routeName, 'get', params, db, config, errorMessage, 409);
+				});
+			};
+
+			addInvalidFilterTest('signer', publicKeys.invalid);
+			addInvalidFilterTest('recipient', addresses.invalid);
+			addInvalidFilterTest('fromHeight', '-1');
+			addInvalidFilterTest('toHeight', 'abc');
+			addInvalidFilterTest('mosaicId', '12345');
+			addInvalidFilterTest('embedded', 'yes');
+			addInvalidFilterTest('group', 'failed');
+
+			it('returns 409 if any type is invalid', () => {
+				// Arrange:
+				const db = createDb([], []);
+
+				// Act + Assert:
+				const params = { type: ['16724', 'abc'] };
+				const errorMessage = 'element in array type has an invalid format';
+				return test.route.executeThrows(transactionRoutes.register, routeName, 'get', params, db, config, errorMessage, 409);
+			});
+
+			it('returns 409 if group is custom transaction state that is not registered', () => {
+				// Arrange:
+				const db = createDb([], []);
+
+				// Act + Assert:
+				const params = { group: 'partial' };
+				const errorMessage = 'group has an invalid format';
+				return test.route.executeThrows(transactionRoutes.register, routeName, 'get', params, db, {}, errorMessage, 409);
+			});
+		});
+
+		describe('paging options', () => {
+			const runPagingOptionsTest = (params, expectedOptions, assertResponse) => {
+				// Arrange:
+				const pagedTransactions = [{ value: 'this is nonsense' }];
+				Object.defineProperty(pagedTransactions, 'pagination', { value: { pageSize: 10, totalCount: 1 } });
+
+				const capturedOptions = [];
+				const db = {
+					transactionsByFilters: (filters, pageId, pageSize, ordering, options) => {
+						capturedOptions.push(options);
+						return Promise.resolve(pagedTransactions);
+					}
+				};
+
+				// Act:
+				return test.route.executeSingle(transactionRoutes.register, routeName, 'get', params, db, config, response => {
+					// Assert:
+					expect(capturedOptions).to.deep.equal([expectedOptions]);
+					assertResponse(response);
+				});
+			};
+
+			it('forwards extended paging options to db', () => runPagingOptionsTest(
+				{
+					offset: '20', sortField: 'height', includeTotal: 'true'
+				},
+				{
+					id: undefined, pageSize: 0, offset: 20, sortField: 'meta.height', includeTotal: true
+				},
+				response => {
+					expect(response).to.deep.equal({ payload: [{ value: 'this is nonsense' }], type: 'transactionWithMetadata' });
+				}
+			));
+
+			it('wraps transactions in envelope when requested', () => runPagingOptionsTest(
+				{ envelope: 'true' },
+				{ id: undefined, pageSize: 0, envelope: true },
+				response => {
+					expect(response).to.deep.equal({
+						payload: [{ value: 'this is nonsense' }],
+						type: 'transactionWithMetadata',
+						pagination: { pageSize: 10, totalCount: 1 }
+					});
+				}
+			));
+
+			it('returns 409 if sort field is not supported', () => {
+				// Arrange:
+				const db = createDb([], []);
+
+				// Act + Assert:
+				const params = { sortField: 'signer' };
+				const errorMessage = 'sortField is not a valid sort field';
+				return test.route.executeThrows(transactionRoutes.register, routeName, 'get', params, db, config, errorMessage, 409);
+			});
+		});
+	});
 });
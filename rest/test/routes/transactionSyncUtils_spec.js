@@ -0,0 +1,179 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const transactionSyncUtils = require('../../src/routes/transactionSyncUtils');
+const { expect } = require('chai');
+const EventEmitter = require('events');
+
+describe('transaction sync utils', () => {
+	describe('groups', () => {
+		it('supports confirmed and unconfirmed states', () => {
+			// Assert:
+			expect(transactionSyncUtils.groups).to.deep.equal(['confirmed', 'unconfirmed']);
+		});
+	});
+
+	describe('announce and wait', () => {
+		const Address = 'SBZ22LWA7GDZLPLQF7PXTMNLWSEZ7ZRVGRMWLXWV';
+		const Hash = Buffer.from('C54AFD996DF1F52748EBC5B40F8D0DC242A6A661299149F5F96A0C21ECCB653F', 'hex');
+		const Other_Hash = Buffer.from('A54AFD996DF1F52748EBC5B40F8D0DC242A6A661299149F5F96A0C21ECCB653F', 'hex');
+
+		const createTransactionMessage = hash => ({
+			type: 'transactionWithMetadata',
+			payload: { transaction: { deadline: [123, 0] }, meta: { hash, height: [456, 0] } }
+		});
+
+		const createStatusMessage = hash => ({
+			type: 'transactionStatus',
+			payload: { hash, status: 0x80530001, deadline: [123, 0] }
+		});
+
+		const runAnnounceAndWait = (group, timeout, announce) => {
+			const zmqService = new EventEmitter();
+			const promise = transactionSyncUtils.announceAndWait(
+				zmqService,
+				{ address: Address, hash: Hash, group },
+				timeout,
+				() => announce(zmqService)
+			);
+			return { zmqService, promise };
+		};
+
+		const getListenerCount = zmqService => zmqService.eventNames()
+			.reduce((count, eventName) => count + zmqService.listenerCount(eventName), 0);
+
+		it('subscribes to notifications before announcing', () => {
+			// Arrange:
+			let subscribedEventNames;
+
+			// Act:
+			const { promise } = runAnnounceAndWait('confirmed', 10, zmqService => {
+				subscribedEventNames = zmqService.eventNames();
+				return Promise.resolve();
+			});
+
+			// Assert:
+			expect(subscribedEventNames).to.deep.equal([
+				`confirmedAdded/${Address}`,
+				`confirmedAdded/${Address}.close`,
+				`status/${Address}`,
+				`status/${Address}.close`
+			]);
+			return promise.catch(() => {});
+		});
+
+		const assertResolvesWhenStateIsReached = (group, channelName) => {
+			// Act:
+			const { zmqService, promise } = runAnnounceAndWait(group, 1000, service => {
+				service.emit(`${channelName}/${Address}`, createTransactionMessage(Other_Hash));
+				service.emit(`${channelName}/${Address}`, createTransactionMessage(Hash));
+				return Promise.resolve();
+			});
+
+			return promise.then(transactionStatus => {
+				// Assert:
+				expect(transactionStatus).to.deep.equal({
+					group, status: 0, hash: Hash, deadline: [123, 0], height: [456, 0]
+				});
+				expect(getListenerCount(zmqService)).to.equal(0);
+			});
+		};
+
+		it('resolves when transaction is confirmed', () => assertResolvesWhenStateIsReached('confirmed', 'confirmedAdded'));
+
+		it('resolves when transaction is unconfirmed', () => assertResolvesWhenStateIsReached('unconfirmed', 'unconfirmedAdded'));
+
+		it('resolves when transaction is rejected', () => {
+			// Act:
+			const { zmqService, promise } = runAnnounceAndWait('confirmed', 1000, service => {
+				service.emit(`status/${Address}`, createStatusMessage(Other_Hash));
+				service.emit(`status/${Address}`, createStatusMessage(Hash));
+				return Promise.resolve();
+			});
+
+			return promise.then(transactionStatus => {
+				// Assert:
+				expect(transactionStatus).to.deep.equal({
+					group: 'failed', status: 0x80530001, hash: Hash, deadline: [123, 0]
+				});
+				expect(getListenerCount(zmqService)).to.equal(0);
+			});
+		});
+
+		const assertRejects = (announce, timeout, assertError) => {
+			// Act:
+			const { zmqService, promise } = runAnnounceAndWait('confirmed', timeout, announce);
+
+			return promise.then(
+				() => { throw Error('promise should have been rejected'); },
+				err => {
+					// Assert:
+					assertError(err);
+					expect(getListenerCount(zmqService)).to.equal(0);
+				}
+			);
+		};
+
+		it('rejects when transaction does not reach state before timeout', () => assertRejects(
+			zmqService => {
+				zmqService.emit(`confirmedAdded/${Address}`, createTransactionMessage(Other_Hash));
+				return Promise.resolve();
+			},
+			10,
+			err => {
+				expect(err.statusCode).to.equal(504);
+				const hashString = Hash.toString('hex').toUpperCase();
+				expect(err.message).to.equal(`transaction ${hashString} did not reach state 'confirmed' within 10ms`);
+			}
+		));
+
+		it('rejects when announce fails', () => assertRejects(
+			() => Promise.reject(Error('announce failed')),
+			1000,
+			err => { expect(err.message).to.equal('announce failed'); }
+		));
+
+		it('rejects when notification channel is closed', () => assertRejects(
+			zmqService => {
+				zmqService.emit(`status/${Address}.close`);
+				return Promise.resolve();
+			},
+			1000,
+			err => {
+				expect(err.statusCode).to.equal(503);
+				expect(err.message).to.equal('transaction notifications are unavailable');
+			}
+		));
+
+		it('ignores notifications after completion', () => {
+			// Act:
+			const { promise } = runAnnounceAndWait('confirmed', 1000, service => {
+				service.emit(`confirmedAdded/${Address}`, createTransactionMessage(Hash));
+				service.emit(`status/${Address}`, createStatusMessage(Hash));
+				return Promise.resolve();
+			});
+
+			return promise.then(transactionStatus => {
+				// Assert: first notification wins
+				expect(transactionStatus.group).to.equal('confirmed');
+			});
+		});
+	});
+});
@@ -0,0 +1,278 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const transactionValidation = require('../../src/routes/transactionValidation');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+const { EntityType } = catapult.model;
+const { serialize, transactionExtensions } = catapult.modelBinary;
+const { convert, uint64 } = catapult.utils;
+
+describe('transaction validation', () => {
+	const { codec } = catapult.plugins.catapultModelSystem.configure(['transfer'], {});
+	const keyPair = catapult.crypto.createKeyPairFromPrivateKeyString(
+		'8D31B712AB28D49591EAF5066E9E967B44507FC19C3D54D742F7B3A255CFF4AB'
+	);
+
+	const network = { id: 0x90, epochTimestamp: 1459468800000 };
+	const millisecondsPerHour = 60 * 60 * 1000;
+	const validationConfig = {
+		enabled: true,
+		maxTransactionLifetimeHours: 24,
+		maxFee: 1000000
+	};
+
+	// current time is one day after the network epoch
+	const now = network.epochTimestamp + (24 * millisecondsPerHour);
+	const networkTime = 24 * millisecondsPerHour;
+
+	const createTransaction = options => {
+		const transaction = Object.assign({
+			signature: new Uint8Array(64),
+			signer: keyPair.publicKey,
+			version: (network.id << 8) + 1,
+			type: EntityType.transfer,
+			maxFee: uint64.fromUint(100),
+			deadline: uint64.fromUint(networkTime + millisecondsPerHour),
+			recipient: new Uint8Array(25),
+			mosaics: [{ id: [1, 2], amount: [1000, 0] }]
+		}, options);
+		transactionExtensions.sign(codec, keyPair, transaction);
+		return transaction;
+	};
+
+	const serializeTransaction = transaction => new Uint8Array(serialize.toBuffer(codec, transaction));
+
+	const assertValidationError = (payload, rule, message) => {
+		// Act:
+		let error;
+		try {
+			transactionValidation.validateTransaction(codec, validationConfig, network, payload, now);
+		} catch (err) {
+			error = err;
+		}
+
+		// Assert:
+		expect(error.statusCode).to.equal(400);
+		expect(error.body).to.deep.equal({ code: 'BadRequest', message, rule });
+	};
+
+	describe('validate transaction', () => {
+		it('accepts valid transaction', () => {
+			// Arrange:
+			const payload = serializeTransaction(createTransaction());
+
+			// Act + Assert:
+			expect(() => transactionValidation.validateTransaction(codec, validationConfig, network, payload, now)).to.not.throw();
+		});
+
+		it('rejects transaction with incomplete header', () => {
+			// Arrange:
+			const payload = serializeTransaction(createTransaction()).subarray(0, 119);
+
+			// Act + Assert:
+			assertValidationError(payload, 'size', 'transaction must contain complete transaction header');
+		});
+
+		it('rejects transaction with size field not matching payload size', () => {
+			// Arrange:
+			const payload = serializeTransaction(createTransaction());
+			const truncatedPayload = payload.subarray(0, payload.length - 1);
+
+			// Act + Assert:
+			assertValidationError(
+				truncatedPayload,
+				'size',
+				`transaction size ${payload.length} does not match payload size ${payload.length - 1}`
+			);
+		});
+
+		it('rejects transaction that cannot be decoded', () => {
+			// Arrange: truncate the transfer body and patch the size field
+			const payload = serializeTransaction(createTransaction()).slice(0, 130);
+			Buffer.from(payload.buffer).writeUInt32LE(130, 0);
+
+			// Act + Assert:
+			let error;
+			try {
+				transactionValidation.validateTransaction(codec, validationConfig, network, payload, now);
+			} catch (err) {
+				error = err;
+			}
+
+			expect(error.statusCode).to.equal(400);
+			expect(error.body.rule).to.equal('decode');
+			expect(error.body.message).to.match(/^transaction could not be decoded: /);
+		});
+
+		it('rejects transaction with unexpected trailing data', () => {
+			// Arrange: append a byte and patch the size field
+			const transactionPayload = serializeTransaction(createTransaction());
+			const payload = new Uint8Array(transactionPayload.length + 1);
+			payload.set(transactionPayload);
+			Buffer.from(payload.buffer).writeUInt32LE(payload.length, 0);
+
+			// Act + Assert:
+			assertValidationError(payload, 'size', 'transaction contains unexpected trailing data');
+		});
+
+		it('rejects transaction with wrong network', () => {
+			// Arrange:
+			const payload = serializeTransaction(createTransaction({ version: (0x68 << 8) + 1 }));
+
+			// Act + Assert:
+			assertValidationError(payload, 'network', 'transaction network does not match node network');
+		});
+
+		it('rejects transaction with passed deadline', () => {
+			// Arrange:
+			const payload = serializeTransaction(createTransaction({ deadline: uint64.fromUint(networkTime) }));
+
+			// Act + Assert:
+			assertValidationError(payload, 'deadline', 'transaction deadline has already passed');
+		});
+
+		it('accepts transaction with deadline at max transaction lifetime', () => {
+			// Arrange:
+			const deadline = uint64.fromUint(networkTime + (24 * millisecondsPerHour));
+			const payload = serializeTransaction(createTransaction({ deadline }));
+
+			// Act + Assert:
+			expect(() => transactionValidation.validateTransaction(codec, validationConfig, network, payload, now)).to.not.throw();
+		});
+
+		it('rejects transaction with deadline beyond max transaction lifetime', () => {
+			// Arrange:
+			const deadline = uint64.fromUint(networkTime + (24 * millisecondsPerHour) + 1);
+			const payload = serializeTransaction(createTransaction({ deadline }));
+
+			// Act + Assert:
+			assertValidationError(payload, 'deadline', 'transaction deadline is too far in the future');
+		});
+
+		it('rejects transaction with max fee above limit', () => {
+			// Arrange:
+			const payload = serializeTransaction(createTransaction({ maxFee: uint64.fromUint(1000001) }));
+
+			// Act + Assert:
+			assertValidationError(payload, 'maxFee', 'transaction max fee exceeds 1000000');
+		});
+
+		it('rejects transaction with invalid signature', () => {
+			// Arrange:
+			const transaction = createTransaction();
+			transaction.signature[0] ^= 0xFF;
+			const payload = serializeTransaction(transaction);
+
+			// Act + Assert:
+			assertValidationError(payload, 'signature', 'transaction signature is invalid');
+		});
+	});
+
+	describe('validate cosignature', () => {
+		const createCosignaturePayload = parentHash => {
+			const payload = new Uint8Array(128);
+			payload.set(keyPair.publicKey, 0);
+			payload.set(catapult.crypto.sign(keyPair, parentHash), 32);
+			payload.set(parentHash, 96);
+			return payload;
+		};
+
+		const parentHash = convert.hexToUint8('C54AFD996DF1F52748EBC5B40F8D0DC242A6A661299149F5F96A0C21ECCB653F');
+
+		it('accepts valid cosignature', () => {
+			// Arrange:
+			const payload = createCosignaturePayload(parentHash);
+
+			// Act + Assert:
+			expect(() => transactionValidation.validateCosignature(payload)).to.not.throw();
+		});
+
+		it('rejects cosignature with invalid size', () => {
+			// Arrange:
+			const payload = createCosignaturePayload(parentHash).subarray(0, 127);
+
+			// Act + Assert:
+			expect(() => transactionValidation.validateCosignature(payload)).to.throw('cosignature has invalid size');
+		});
+
+		it('rejects cosignature with invalid signature', () => {
+			// Arrange:
+			const payload = createCosignaturePayload(parentHash);
+			payload[32] ^= 0xFF;
+
+			// Act + Assert:
+			expect(() => transactionValidation.validateCosignature(payload)).to.throw('cosignature signature is invalid');
+		});
+	});
+
+	describe('create validators', () => {
+		const createServices = enabled => ({
+			codec,
+			config: {
+				network: { name: 'mijinTest', epochTimestamp: network.epochTimestamp },
+				transactionValidation: Object.assign({}, validationConfig, { enabled })
+			}
+		});
+
+		const invalidPayload = new Uint8Array(10);
+
+		it('transaction validator does not validate when validation is disabled', () => {
+			// Arrange:
+			const validator = transactionValidation.createTransactionValidator(createServices(false));
+
+			// Act + Assert:
+			expect(() => validator(invalidPayload)).to.not.throw();
+		});
+
+		it('transaction validator does not validate when validation is not configured', () => {
+			// Arrange:
+			const validator = transactionValidation.createTransactionValidator({ config: {} });
+
+			// Act + Assert:
+			expect(() => validator(invalidPayload)).to.not.throw();
+		});
+
+		it('transaction validator validates when validation is enabled', () => {
+			// Arrange:
+			const validator = transactionValidation.createTransactionValidator(createServices(true));
+
+			// Act + Assert:
+			expect(() => validator(invalidPayload)).to.throw('transaction must contain complete transaction header');
+		});
+
+		it('cosignature validator does not validate when validation is disabled', () => {
+			// Arrange:
+			const validator = transactionValidation.createCosignatureValidator(createServices(false));
+
+			// Act + Assert:
+			expect(() => validator(invalidPayload)).to.not.throw();
+		});
+
+		it('cosignature validator validates when validation is enabled', () => {
+			// Arrange:
+			const validator = transactionValidation.createCosignatureValidator(createServices(true));
+
+			// Act + Assert:
+			expect(() => validator(invalidPayload)).to.throw('cosignature has invalid size');
+		});
+	});
+});
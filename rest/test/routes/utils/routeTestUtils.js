@@ -56,7 +56,7 @@ const routeTestUtils = {
 	setup: {
 		createMockServer: (captureMethod, routes) => {
 			const server = {};
-			['get', 'put', 'post', 'ws'].forEach(method => {
+			['get', 'put', 'post', 'ws', 'use'].forEach(method => {
 				server[method] = () => {};
 			});
 
@@ -68,7 +68,7 @@ const routeTestUtils = {
 
 		createCapturingMockServer: (captureMethod, routes) => {
 			const server = {};
-			['get', 'put', 'post', 'ws'].forEach(method => {
+			['get', 'put', 'post', 'ws', 'use'].forEach(method => {
 				server[method] = () => {};
 			});
 
@@ -531,13 +531,12 @@ const routeTestUtils = {
 					};
 
 					const services = {
+						config: {},
 						connections: {
-							lease: () => Promise.resolve({
-								send: payload => {
-									routeContext.sendPayloads.push(payload);
-									return Promise.resolve();
-								}
-							})
+							send: payload => {
+								routeContext.sendPayloads.push(payload);
+								return Promise.resolve();
+							}
 						}
 					};
 
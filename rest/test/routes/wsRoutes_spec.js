@@ -19,15 +19,17 @@
  */
 
 const { test } = require('./utils/routeTestUtils');
+const transactionSyncUtils = require('../../src/routes/transactionSyncUtils');
 const wsRoutes = require('../../src/routes/wsRoutes');
 const { expect } = require('chai');
+const EventEmitter = require('events');
 
 describe('web socket routes', () => {
 	const setupWebsocketTest = (action, assertCaptures) => {
 		// Arrange:
-		const service = { eventHandlers: {}, removedChannels: [] };
+		const service = { eventHandlers: {}, removedListeners: [] };
 		service.on = (eventName, eventHandler) => { service.eventHandlers[eventName] = eventHandler; };
-		service.removeAllListeners = channel => { service.removedChannels.push(channel); };
+		service.removeListener = (eventName, eventHandler) => { service.removedListeners.push({ eventName, eventHandler }); };
 
 		const routes = [];
 		const server = test.setup.createMockServer('ws', routes);
@@ -101,15 +103,79 @@ describe('web socket routes', () => {
 	});
 
 	describe('removeChannel', () => {
-		it('forwards channel to service', () => {
+		it('removes channel listeners added by route from service', () => {
+			// Act:
+			setupWebsocketTest(
+				route => {
+					route.newChannel('block', {});
+					route.removeChannel('block');
+				},
+				service => {
+					// Assert:
+					expect(service.removedListeners).to.deep.equal([
+						{ eventName: 'block.close', eventHandler: service.eventHandlers['block.close'] },
+						{ eventName: 'block', eventHandler: service.eventHandlers.block }
+					]);
+				}
+			);
+		});
+
+		it('removes channel listeners only once', () => {
+			// Act:
+			setupWebsocketTest(
+				route => {
+					route.newChannel('block', {});
+					route.removeChannel('block');
+					route.removeChannel('block');
+				},
+				service => {
+					// Assert:
+					expect(service.removedListeners.length).to.equal(2);
+				}
+			);
+		});
+
+		it('ignores unknown channel', () => {
 			// Act:
 			setupWebsocketTest(
 				route => route.removeChannel('block'),
 				service => {
 					// Assert:
-					expect(service.removedChannels).to.deep.equal(['block']);
+					expect(service.removedListeners).to.deep.equal([]);
 				}
 			);
 		});
+
+		it('does not affect pending transaction sync subscribed to same channel', () => {
+			// Arrange: use a real emitter as zmq service shared by web socket and transaction sync
+			const zmqService = new EventEmitter();
+			const routes = [];
+			const server = test.setup.createMockServer('ws', routes);
+			wsRoutes.register(server, undefined, { zmqService });
+			const route = test.setup.findRoute(routes, '/ws');
+
+			const address = 'SBZ22LWA7GDZLPLQF7PXTMNLWSEZ7ZRVGRMWLXWV';
+			const hash = Buffer.from('C54AFD996DF1F52748EBC5B40F8D0DC242A6A661299149F5F96A0C21ECCB653F', 'hex');
+			const status = { hash, code: 0x80530008, deadline: [100, 0] };
+			const channel = `status/${address}`;
+
+			const sentMessages = [];
+			route.newChannel(channel, { send: message => sentMessages.push(message), close: () => {} });
+
+			const transactionInfo = { address, hash, group: 'confirmed' };
+			const syncPromise = transactionSyncUtils.announceAndWait(zmqService, transactionInfo, 1000, () => Promise.resolve());
+
+			// Act: unsubscribe web socket while announce is pending and then publish status
+			route.removeChannel(channel);
+			zmqService.emit(channel, { payload: status });
+
+			// Assert:
+			return syncPromise.then(result => {
+				expect(result).to.deep.equal(Object.assign({ group: 'failed' }, status));
+				expect(sentMessages).to.deep.equal([]);
+				expect(zmqService.listenerCount(channel)).to.equal(0);
+				expect(zmqService.listenerCount(`${channel}.close`)).to.equal(0);
+			});
+		});
 	});
 });
@@ -302,6 +302,32 @@ describe('subscription manager', () => {
 
 	// endregion
 
+	// region subscriptionCounts
+
+	it('can get subscription counts when there are no subscriptions', () => {
+		// Arrange:
+		const manager = new SubscriptionManager({ newChannel: () => {} });
+
+		// Act + Assert:
+		expect(manager.subscriptionCounts()).to.deep.equal({});
+	});
+
+	it('can get subscription counts after subscriptions and unsubscriptions', () => {
+		// Arrange:
+		const manager = new SubscriptionManager({ newChannel: () => {}, removeChannel: () => {} });
+		const subscriptions = createSubscriptions(['channel-1', 3], ['channel-2', 5], ['channel-3', 1]);
+
+		// Act:
+		addAllSubscriptions(manager, subscriptions);
+		manager.delete('channel-2', 'client3');
+		manager.delete('channel-3', 'client1');
+
+		// Assert:
+		expect(manager.subscriptionCounts()).to.deep.equal({ 'channel-1': 3, 'channel-2': 4 });
+	});
+
+	// endregion
+
 	// region deleteClient
 
 	it('can delete a client from all subscriptions', () => {
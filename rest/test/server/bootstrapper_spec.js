@@ -40,7 +40,9 @@ const dummyIds = {
 	redirect: 'redirect',
 	error: 'error',
 	asyncValid: 'asyncValid',
-	asyncError: 'asyncError'
+	asyncError: 'asyncError',
+	alias: 'alias',
+	useError: 'useError'
 };
 
 // region dummy route
@@ -54,6 +56,25 @@ const createChainInfo = (height, scoreLow, scoreHigh) => ({
 });
 
 const addRestRoutes = server => {
+	// resolve aliased ids before any route handler is called
+	server.use((req, res, next) => {
+		switch (req.params.dummyId) {
+		case dummyIds.alias:
+			return Promise.resolve(dummyIds.valid)
+				.then(dummyId => {
+					req.params.dummyId = dummyId;
+					next();
+				});
+
+		case dummyIds.useError:
+			return Promise.reject(Error('use badness'));
+
+		default:
+			next();
+			return undefined;
+		}
+	});
+
 	supportedHttpMethods.forEach(method => {
 		server[method]('/dummy/:dummyId', (req, res, next) => {
 			const { dummyId } = req.params;
@@ -135,12 +156,18 @@ const createServer = options => {
 		}
 	});
 
-	const server = bootstrapper.createServer((options || {}).crossDomainHttpMethods, serverFormatters);
+	const server = bootstrapper.createServer(
+		(options || {}).crossDomainHttpMethods,
+		serverFormatters,
+		(options || {}).responseCache,
+		(options || {}).rateLimiter,
+		(options || {}).metrics
+	);
 	servers.push(server);
 	return server;
 };
 
-const createWebSocketServer = () => createServer({ formatterName: 'ws' });
+const createWebSocketServer = options => createServer(Object.assign({ formatterName: 'ws' }, options));
 
 describe('server (bootstrapper)', () => {
 	afterEach(() => {
@@ -318,8 +345,40 @@ describe('server (bootstrapper)', () => {
 					.expectStatus(406)
 					.end((headers, body) => {
 						// Assert:
-						assertPayloadHeaders(headers, 69, methodOptions);
-						expect(body).to.deep.equal({ code: 'NotAcceptable', message: 'Server accepts: application/json' });
+						assertPayloadHeaders(headers, 135, methodOptions);
+						expect(body).to.deep.equal({
+							code: 'NotAcceptable',
+							message: 'Server accepts: application/json,application/msgpack,application/x-ndjson,application/octet-stream'
+						});
+						done();
+					});
+			});
+
+			it('formats response with json when any media type is accepted', done => {
+				makeJsonHippie(`/dummy/${dummyIds.valid}`, method)
+					.header('Accept', '*/*')
+					.expectStatus(200)
+					.end((headers, body) => {
+						// Assert:
+						assertPayloadHeaders(headers, 63, methodOptions);
+						expect(body).to.deep.equal({
+							id: 123, height: [10, 0], scoreLow: [16, 0], scoreHigh: [11, 0]
+						});
+						done();
+					});
+			});
+
+			it('formats response with preferred accepted media type', done => {
+				makeJsonHippie(`/dummy/${dummyIds.valid}`, method)
+					.header('Accept', 'application/msgpack;q=0.5, application/x-ndjson')
+					.expectStatus(200)
+					.expectHeader('Content-Type', 'application/x-ndjson')
+					.end((headers, body) => {
+						// Assert: single objects are formatted as a single line
+						expect(headers['content-length']).to.equal('64');
+						expect(body).to.deep.equal({
+							id: 123, height: [10, 0], scoreLow: [16, 0], scoreHigh: [11, 0]
+						});
 						done();
 					});
 			});
@@ -527,6 +586,30 @@ describe('server (bootstrapper)', () => {
 					});
 			});
 
+			it('runs use handlers before route handlers', done => {
+				makeJsonHippie(`/dummy/${dummyIds.alias}`, 'get')
+					.expectStatus(200)
+					.end((headers, body) => {
+						// Assert:
+						assertPayloadHeaders(headers, 63);
+						expect(body).to.deep.equal({
+							id: 123, height: [10, 0], scoreLow: [16, 0], scoreHigh: [11, 0]
+						});
+						done();
+					});
+			});
+
+			it('handles use handler error properly', done => {
+				makeJsonHippie(`/dummy/${dummyIds.useError}`, 'get')
+					.expectStatus(500)
+					.end((headers, body) => {
+						// Assert:
+						assertPayloadHeaders(headers, 43);
+						expect(body).to.deep.equal({ code: 'Internal', message: 'use badness' });
+						done();
+					});
+			});
+
 			it('follows redirects', done => {
 				// Arrange: 'redirect' should redirect to 'valid'
 				makeJsonHippie(`/dummy/${dummyIds.redirect}`, 'get')
@@ -539,6 +622,201 @@ describe('server (bootstrapper)', () => {
 						done();
 					});
 			});
+
+			it('wraps get route handlers with response cache', done => {
+				// Arrange:
+				const wrappedRoutes = [];
+				const responseCache = {
+					wrap: (route, handler) => {
+						wrappedRoutes.push(route);
+						return (req, res, next) => {
+							res.header('X-Cached', 'true');
+							return handler(req, res, next);
+						};
+					}
+				};
+
+				makeJsonHippie(`/dummy/${dummyIds.valid}`, 'get', { responseCache })
+					.expectStatus(200)
+					.expectHeader('x-cached', 'true')
+					.end(() => {
+						// Assert: only get route handlers are wrapped
+						expect(wrappedRoutes).to.deep.equal(['/dummy/:dummyId']);
+						done();
+					});
+			});
+
+			it('wraps route handlers with rate limiter', done => {
+				// Arrange:
+				const wrappedRoutes = [];
+				const rateLimiter = {
+					wrap: (method, route) => {
+						wrappedRoutes.push({ method, route });
+						return (req, res, next) => {
+							res.header('Retry-After', 3);
+							next(errors.createTooManyRequestsError('rate limit exceeded, retry after 3 seconds'));
+						};
+					}
+				};
+
+				makeJsonHippie(`/dummy/${dummyIds.valid}`, 'post', { rateLimiter })
+					.expectStatus(429)
+					.expectHeader('retry-after', '3')
+					.end((headers, body) => {
+						// Assert: all route handlers are wrapped
+						expect(body).to.deep.equal({ code: 'TooManyRequests', message: 'rate limit exceeded, retry after 3 seconds' });
+						expect(wrappedRoutes).to.deep.equal([
+							{ method: 'get', route: '/dummy/:dummyId' },
+							{ method: 'post', route: '/dummy/:dummyId' },
+							{ method: 'put', route: '/dummy/:dummyId' }
+						]);
+						done();
+					});
+			});
+
+			it('throttles requests before response cache is used', done => {
+				// Arrange:
+				const calls = [];
+				const responseCache = {
+					wrap: (route, handler) => (req, res, next) => {
+						calls.push('cache');
+						return handler(req, res, next);
+					}
+				};
+				const rateLimiter = {
+					wrap: (method, route, handler) => (req, res, next) => {
+						calls.push('rateLimiter');
+						return handler(req, res, next);
+					}
+				};
+
+				makeJsonHippie(`/dummy/${dummyIds.valid}`, 'get', { responseCache, rateLimiter })
+					.expectStatus(200)
+					.end(() => {
+						// Assert:
+						expect(calls).to.deep.equal(['rateLimiter', 'cache']);
+						done();
+					});
+			});
+
+			it('throttles requests before use handlers are run', done => {
+				// Arrange:
+				const throttledDummyIds = [];
+				const rateLimiter = {
+					wrap: (method, route, handler) => (req, res, next) => {
+						throttledDummyIds.push(req.params.dummyId);
+						return handler(req, res, next);
+					}
+				};
+
+				makeJsonHippie(`/dummy/${dummyIds.alias}`, 'get', { rateLimiter })
+					.expectStatus(200)
+					.end((headers, body) => {
+						// Assert: alias is resolved by use handler after throttling
+						expect(throttledDummyIds).to.deep.equal([dummyIds.alias]);
+						expect(body).to.deep.equal({
+							id: 123, height: [10, 0], scoreLow: [16, 0], scoreHigh: [11, 0]
+						});
+						done();
+					});
+			});
+
+			it('does not run use handlers for throttled requests', done => {
+				// Arrange:
+				const rateLimiter = {
+					wrap: () => (req, res, next) => {
+						next(errors.createTooManyRequestsError('rate limit exceeded, retry after 3 seconds'));
+					}
+				};
+
+				// Act: use handler would fail with internal error if it was run
+				makeJsonHippie(`/dummy/${dummyIds.useError}`, 'get', { rateLimiter })
+					.expectStatus(429)
+					.end((headers, body) => {
+						// Assert:
+						expect(body).to.deep.equal({ code: 'TooManyRequests', message: 'rate limit exceeded, retry after 3 seconds' });
+						done();
+					});
+			});
+
+			const createCapturingMetrics = () => {
+				const capturingMetrics = {
+					wrappedRoutes: [],
+					errorStatusCodes: [],
+					websocketRoutes: []
+				};
+				Object.assign(capturingMetrics, {
+					wrap: (method, route, handler) => {
+						capturingMetrics.wrappedRoutes.push({ method, route });
+						return handler;
+					},
+					countError: restError => { capturingMetrics.errorStatusCodes.push(restError.statusCode); },
+					addWebsocketRoute: route => { capturingMetrics.websocketRoutes.push(route); }
+				});
+				return capturingMetrics;
+			};
+
+			it('wraps route handlers with metrics', done => {
+				// Arrange:
+				const metrics = createCapturingMetrics();
+
+				makeJsonHippie(`/dummy/${dummyIds.valid}`, 'get', { metrics })
+					.expectStatus(200)
+					.end(() => {
+						// Assert:
+						expect(metrics.wrappedRoutes).to.deep.equal([
+							{ method: 'get', route: '/dummy/:dummyId' },
+							{ method: 'post', route: '/dummy/:dummyId' },
+							{ method: 'put', route: '/dummy/:dummyId' }
+						]);
+						expect(metrics.errorStatusCodes).to.deep.equal([]);
+						done();
+					});
+			});
+
+			it('counts errors raised by route handlers', done => {
+				// Arrange:
+				const metrics = createCapturingMetrics();
+
+				makeJsonHippie(`/dummy/${dummyIds.asyncError}`, 'get', { metrics })
+					.expectStatus(500)
+					.end(() => {
+						// Assert:
+						expect(metrics.errorStatusCodes).to.deep.equal([500]);
+						done();
+					});
+			});
+
+			it('adds websocket routes to metrics', () => {
+				// Arrange:
+				const metrics = createCapturingMetrics();
+				const server = createServer({ metrics });
+
+				// Act:
+				server.ws('/ws/foo', {});
+				server.ws('/ws/bar', {});
+
+				// Assert:
+				expect(metrics.websocketRoutes).to.deep.equal(['/ws/foo', '/ws/bar']);
+			});
+
+			it('exposes registered routes', () => {
+				// Arrange:
+				const server = createServer();
+				addRestRoutes(server);
+				server.get('/alpha/:id', () => {});
+
+				// Act:
+				const routes = server.routes();
+
+				// Assert:
+				expect(routes).to.deep.equal([
+					{ method: 'get', route: '/dummy/:dummyId' },
+					{ method: 'post', route: '/dummy/:dummyId' },
+					{ method: 'put', route: '/dummy/:dummyId' },
+					{ method: 'get', route: '/alpha/:id' }
+				]);
+			});
 		});
 	});
 
@@ -831,9 +1109,9 @@ describe('server (bootstrapper)', () => {
 
 		// region invalid subscription requests
 
-		const runInvalidClientTest = (done, messageCallback) => {
+		const runInvalidClientTest = (done, messageCallback, serverOptions) => {
 			// Arrange: set up the server with a single ws route
-			const server = createWebSocketServer();
+			const server = createWebSocketServer(serverOptions);
 			registerRoute(server, '/ws/block');
 			server.listen(ports.server);
 
@@ -885,6 +1163,23 @@ describe('server (bootstrapper)', () => {
 			});
 		});
 
+		it('subscribe request rejected by rate limiter disconnects client', done => {
+			// Arrange: reject all subscriptions
+			const rateLimiter = {
+				limitSubscriptions: subscriptionManager => ({
+					add: () => { throw Error('websocket subscription limit (0) exceeded'); },
+					delete: (channel, client) => subscriptionManager.delete(channel, client),
+					deleteClient: client => subscriptionManager.deleteClient(client)
+				})
+			};
+
+			runInvalidClientTest(done, (ws, messageJson) => {
+				// Act: try to subscribe to a supported topic
+				const responseJson = JSON.stringify(Object.assign(JSON.parse(messageJson), { subscribe: 'block' }));
+				ws.send(responseJson);
+			}, { rateLimiter });
+		});
+
 		// endregion
 
 		// region close (server)
@@ -83,6 +83,33 @@ describe('errors', () => {
 			expect(err.jse_cause.message).to.equal('foo');
 		});
 
+		it('can create validation error', () => {
+			// Act:
+			const err = errors.createValidationError('badness', 'deadline');
+
+			// Assert:
+			expect(err.statusCode).to.equal(400);
+			expect(err.body).to.deep.equal({ code: 'BadRequest', message: 'badness', rule: 'deadline' });
+		});
+
+		it('can create not acceptable error', () => {
+			// Act:
+			const err = errors.createNotAcceptableError('badness');
+
+			// Assert:
+			expect(err.statusCode).to.equal(406);
+			expect(err.body).to.deep.equal({ code: 'NotAcceptable', message: 'badness' });
+		});
+
+		it('can create too many requests error', () => {
+			// Act:
+			const err = errors.createTooManyRequestsError('badness');
+
+			// Assert:
+			expect(err.statusCode).to.equal(429);
+			expect(err.body).to.deep.equal({ code: 'TooManyRequests', message: 'badness' });
+		});
+
 		it('can create service unavailable error', () => {
 			// Act:
 			const err = errors.createServiceUnavailableError('badness');
@@ -92,6 +119,15 @@ describe('errors', () => {
 			expect(err.body).to.deep.equal({ code: 'ServiceUnavailable', message: 'badness' });
 		});
 
+		it('can create gateway timeout error', () => {
+			// Act:
+			const err = errors.createGatewayTimeoutError('badness');
+
+			// Assert:
+			expect(err.statusCode).to.equal(504);
+			expect(err.body).to.deep.equal({ code: 'GatewayTimeout', message: 'badness' });
+		});
+
 		it('can create internal error', () => {
 			// Act:
 			const err = errors.createInternalError('badness');
@@ -19,10 +19,14 @@
  */
 
 const formatters = require('../../src/server/formatters');
+const { decode } = require('@msgpack/msgpack');
 const { expect } = require('chai');
+const MongoDb = require('mongodb');
+
+const { Binary, Long } = MongoDb;
 
 describe('formatters', () => {
-	const createFormatters = name => {
+	const createFormatters = (name, codec) => {
 		const formatUint64 = uint64 => (uint64 ? [uint64[0], uint64[1] * 2] : undefined);
 		return formatters.create({
 			[name]: {
@@ -34,7 +38,15 @@ describe('formatters', () => {
 					})
 				}
 			}
-		});
+		}, codec);
+	};
+
+	const createResponse = () => {
+		const res = { headers: {} };
+		res.setHeader = (key, value) => {
+			res.headers[key] = value;
+		};
+		return res;
 	};
 
 	const addBasicObjectFormattingTests = assertJsonFormat => {
@@ -85,6 +97,25 @@ describe('formatters', () => {
 			assertJsonFormat(object, '[{"height":[1,4]},{"height":[8,14]}]', undefined);
 		});
 
+		it('can format catapult object array with pagination', () => {
+			// Arrange:
+			const object = {
+				payload: [
+					{ height: [1, 2] },
+					{ height: [8, 7] }
+				],
+				type: 'chainInfo',
+				pagination: { pageSize: 10, next: 'abc' }
+			};
+
+			// Assert: formatter doubles high part and pagination is forwarded as is
+			assertJsonFormat(
+				object,
+				'{"data":[{"height":[1,4]},{"height":[8,14]}],"pagination":{"pageSize":10,"next":"abc"}}',
+				undefined
+			);
+		});
+
 		// endregion
 
 		// region error
@@ -199,6 +230,192 @@ describe('formatters', () => {
 		});
 	});
 
+	describe('msgpack', () => {
+		addBasicObjectFormattingTests((object, expectedJson, expectedStatusCode) => {
+			// Arrange:
+			const res = createResponse();
+
+			// Act:
+			const result = createFormatters('json').msgpack({}, res, object);
+
+			// Assert: msgpack encodes the same view as json
+			expect(res.statusCode).to.equal(expectedStatusCode);
+			expect(res.headers).to.deep.equal({ 'Content-Length': result.length });
+			expect(Buffer.isBuffer(result)).to.equal(true);
+			expect(decode(result)).to.deep.equal(JSON.parse(expectedJson));
+		});
+	});
+
+	describe('ndjson', () => {
+		const assertNdjsonFormat = (object, expectedLines, expectedStatusCode) => {
+			// Arrange:
+			const res = createResponse();
+
+			// Act:
+			const result = createFormatters('json').ndjson({}, res, object);
+
+			// Assert:
+			const expectedNdjson = expectedLines.map(line => `${line}\n`).join('');
+			expect(res.statusCode).to.equal(expectedStatusCode);
+			expect(res.headers).to.deep.equal({ 'Content-Length': expectedNdjson.length });
+			expect(result).to.equal(expectedNdjson);
+		};
+
+		it('can format basic object as single line', () => {
+			assertNdjsonFormat({ foo: 1, bar: 7 }, ['{"foo":1,"bar":7}'], undefined);
+		});
+
+		it('can format basic object array as one line per element', () => {
+			assertNdjsonFormat([{ foo: 1 }, { bar: 7 }], ['{"foo":1}', '{"bar":7}'], undefined);
+		});
+
+		it('can format empty array as empty string', () => {
+			assertNdjsonFormat([], [], undefined);
+		});
+
+		it('can format catapult object array as one line per element', () => {
+			// Arrange:
+			const object = { payload: [{ height: [1, 2] }, { height: [8, 7] }], type: 'chainInfo' };
+
+			// Assert: formatter doubles high part
+			assertNdjsonFormat(object, ['{"height":[1,4]}', '{"height":[8,14]}'], undefined);
+		});
+
+		it('can format catapult object array with pagination as one line per element', () => {
+			// Arrange:
+			const object = {
+				payload: [{ height: [1, 2] }, { height: [8, 7] }],
+				type: 'chainInfo',
+				pagination: { pageSize: 10, next: 'abc' }
+			};
+
+			// Assert: formatter doubles high part and pagination is dropped
+			assertNdjsonFormat(object, ['{"height":[1,4]}', '{"height":[8,14]}'], undefined);
+		});
+
+		it('can format error object as single line', () => {
+			// Arrange:
+			const object = new Error('bad message');
+			object.statusCode = 404;
+
+			// Assert:
+			assertNdjsonFormat(object, ['{"message":"bad message"}'], 404);
+		});
+	});
+
+	describe('binary', () => {
+		// fake codec that serializes the low part of height and the signer
+		const codec = {
+			serialize: (entity, serializer) => {
+				if (!entity.signer)
+					throw Error('signer is required');
+
+				serializer.writeUint32(entity.height[0]);
+				serializer.writeBuffer(entity.signer);
+			}
+		};
+
+		const createEntity = (height, signerByte) => ({
+			height: Long.fromNumber(height),
+			signer: new Binary(Buffer.from([signerByte, signerByte + 1]))
+		});
+
+		const formatBinary = object => {
+			const res = createResponse();
+			const result = createFormatters('json', codec).binary({}, res, object);
+			return { res, result };
+		};
+
+		const assertBinaryFormat = (object, expectedBuffer) => {
+			// Act:
+			const { res, result } = formatBinary(object);
+
+			// Assert:
+			expect(res.statusCode).to.equal(undefined);
+			expect(res.headers).to.deep.equal({ 'Content-Length': expectedBuffer.length });
+			expect(result).to.deep.equal(expectedBuffer);
+		};
+
+		const assertJsonFallback = (object, expectedJson, expectedStatusCode) => {
+			// Act:
+			const { res, result } = formatBinary(object);
+
+			// Assert:
+			expect(res.statusCode).to.equal(expectedStatusCode);
+			expect(res.headers).to.deep.equal({ 'Content-Type': 'application/json', 'Content-Length': expectedJson.length });
+			expect(result).to.equal(expectedJson);
+		};
+
+		it('can format block', () => {
+			// Arrange:
+			const object = { payload: { meta: {}, block: createEntity(0x11, 0xAA) }, type: 'blockHeaderWithMetadata' };
+
+			// Assert:
+			assertBinaryFormat(object, Buffer.from([0x11, 0, 0, 0, 0xAA, 0xAB]));
+		});
+
+		it('can format transaction', () => {
+			// Arrange:
+			const object = { payload: { meta: {}, transaction: createEntity(0x22, 0xBB) }, type: 'transactionWithMetadata' };
+
+			// Assert:
+			assertBinaryFormat(object, Buffer.from([0x22, 0, 0, 0, 0xBB, 0xBC]));
+		});
+
+		it('can format transaction array by concatenating entities', () => {
+			// Arrange:
+			const object = {
+				payload: [{ transaction: createEntity(0x22, 0xBB) }, { transaction: createEntity(0x33, 0xCC) }],
+				type: 'transactionWithMetadata',
+				pagination: { pageSize: 10 }
+			};
+
+			// Assert:
+			assertBinaryFormat(object, Buffer.from([0x22, 0, 0, 0, 0xBB, 0xBC, 0x33, 0, 0, 0, 0xCC, 0xCD]));
+		});
+
+		it('rejects catapult object of unsupported type', () => {
+			// Arrange:
+			const object = { payload: { height: [1, 2] }, type: 'chainInfo' };
+
+			// Assert:
+			assertJsonFallback(
+				object,
+				'{"code":"NotAcceptable","message":"response cannot be serialized as application/octet-stream"}',
+				406
+			);
+		});
+
+		it('rejects entity that cannot be serialized', () => {
+			// Arrange:
+			const object = { payload: { transaction: { height: Long.fromNumber(1) } }, type: 'transactionWithMetadata' };
+
+			// Assert:
+			assertJsonFallback(
+				object,
+				'{"code":"NotAcceptable","message":"response cannot be serialized as application/octet-stream"}',
+				406
+			);
+		});
+
+		it('rejects basic object', () => {
+			assertJsonFallback(
+				{ foo: 1 },
+				'{"code":"NotAcceptable","message":"response cannot be serialized as application/octet-stream"}',
+				406
+			);
+		});
+
+		it('formats error object as json', () => {
+			// Arrange:
+			const object = new Error('bad message');
+			object.statusCode = 404;
+
+			// Assert:
+			assertJsonFallback(object, '{"message":"bad message"}', 404);
+		});
+	});
+
 	describe('ws', () => {
 		// note that formatters.ws ignores the status code
 		addBasicObjectFormattingTests((object, expectedJson) => {
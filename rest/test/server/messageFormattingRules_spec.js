@@ -48,6 +48,14 @@ describe('message formatting rules', () => {
 		expect(result).to.equal('FEDCBA9876543210');
 	});
 
+	it('can format double type', () => {
+		// Act:
+		const result = formattingRules[ModelType.double](0.25);
+
+		// Assert:
+		expect(result).to.equal(0.25);
+	});
+
 	it('cannot format object id type', () => {
 		// Assert: objectId should never be written into messages, so it should be dropped
 		expect(formattingRules).to.not.contain.key(ModelType.objectId);
@@ -86,6 +94,14 @@ describe('message formatting rules', () => {
 		expect(result).to.deep.equal(56);
 	});
 
+	it('can format uint32 type', () => {
+		// Act:
+		const result = formattingRules[ModelType.uint32](0xFFFFFFFF);
+
+		// Assert:
+		expect(result).to.equal(0xFFFFFFFF);
+	});
+
 	it('can format uint64 type', () => {
 		// Arrange:
 		const object = [1, 2];
@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const parsingRules = require('../../src/server/messageParsingRules');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+const { ModelType } = catapult.model;
+
+describe('message parsing rules', () => {
+	it('can parse none type', () => {
+		// Arrange:
+		const object = { foo: 8 };
+
+		// Act:
+		const result = parsingRules[ModelType.none](object);
+
+		// Assert:
+		expect(result).to.deep.equal({ foo: 8 });
+	});
+
+	it('can parse binary type', () => {
+		// Act:
+		const result = parsingRules[ModelType.binary]('FEDCBA9876543210');
+
+		// Assert:
+		expect(result).to.deep.equal(new Uint8Array([0xFE, 0xDC, 0xBA, 0x98, 0x76, 0x54, 0x32, 0x10]));
+	});
+
+	it('cannot parse binary type that is not hex', () => {
+		['FEDCBA987654321', 'FEDCBA987654321G', 1234].forEach(value => {
+			expect(() => parsingRules[ModelType.binary](value), value).to.throw('is not a valid hex string');
+		});
+	});
+
+	it('can parse double type', () => {
+		// Act:
+		const result = parsingRules[ModelType.double](0.25);
+
+		// Assert:
+		expect(result).to.equal(0.25);
+	});
+
+	it('cannot parse double type that is not a finite number', () => {
+		[NaN, Infinity, '0.25'].forEach(value => {
+			expect(() => parsingRules[ModelType.double](value), value).to.throw('is not a valid double');
+		});
+	});
+
+	it('cannot parse object id type', () => {
+		// Assert: objectId should never be part of requests, so it should be dropped
+		expect(parsingRules).to.not.contain.key(ModelType.objectId);
+	});
+
+	it('cannot parse status code type', () => {
+		// Assert: statusCode should never be part of requests, so it should be dropped
+		expect(parsingRules).to.not.contain.key(ModelType.statusCode);
+	});
+
+	it('can parse string type', () => {
+		// Act:
+		const result = parsingRules[ModelType.string]('catapult');
+
+		// Assert:
+		expect(result).to.equal('catapult');
+	});
+
+	it('can parse uint16 type', () => {
+		// Act:
+		const result = parsingRules[ModelType.uint16](56);
+
+		// Assert:
+		expect(result).to.equal(56);
+	});
+
+	it('cannot parse uint16 type that is out of range', () => {
+		[-1, 0x10000, 1.5, '56'].forEach(value => {
+			expect(() => parsingRules[ModelType.uint16](value), value).to.throw('is not a valid uint16');
+		});
+	});
+
+	it('can parse uint32 type', () => {
+		// Act:
+		const result = parsingRules[ModelType.uint32](0xFFFFFFFF);
+
+		// Assert:
+		expect(result).to.equal(0xFFFFFFFF);
+	});
+
+	it('cannot parse uint32 type that is out of range', () => {
+		[-1, 0x100000000, 1.5, '56'].forEach(value => {
+			expect(() => parsingRules[ModelType.uint32](value), value).to.throw('is not a valid uint32');
+		});
+	});
+
+	it('can parse uint64 type from pair', () => {
+		// Act:
+		const result = parsingRules[ModelType.uint64]([1, 2]);
+
+		// Assert:
+		expect(result).to.deep.equal([1, 2]);
+	});
+
+	it('can parse uint64 type from number', () => {
+		// Act:
+		const result = parsingRules[ModelType.uint64](0x200000001);
+
+		// Assert:
+		expect(result).to.deep.equal([1, 2]);
+	});
+
+	it('cannot parse uint64 type that is malformed', () => {
+		[[1], [1, 2, 3], [-1, 0], [0, 0x100000000], '12'].forEach(value => {
+			expect(() => parsingRules[ModelType.uint64](value), value).to.throw('is not a valid uint64');
+		});
+
+		expect(() => parsingRules[ModelType.uint64](-1)).to.throw('number cannot be converted to uint');
+	});
+});
@@ -0,0 +1,482 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const metrics = require('../../src/server/metrics');
+const SubscriptionManager = require('../../src/server/SubscriptionManager');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+
+describe('metrics', () => {
+	describe('registry', () => {
+		it('serializes empty registry', () => {
+			// Arrange:
+			const registry = metrics.createRegistry();
+
+			// Act:
+			const text = registry.serialize();
+
+			// Assert:
+			expect(text).to.equal('\n');
+		});
+
+		it('cannot register multiple metrics with same name', () => {
+			// Arrange:
+			const registry = metrics.createRegistry();
+			registry.counter('foo', 'Foo.');
+
+			// Act + Assert:
+			expect(() => registry.gauge('foo', 'Foo.', () => [])).to.throw('metric foo is already registered');
+		});
+
+		it('serializes counters', () => {
+			// Arrange:
+			const registry = metrics.createRegistry();
+			const counter = registry.counter('foo_total', 'Number of foos.');
+
+			// Act:
+			counter.inc();
+			counter.inc({ color: 'red', size: 2 });
+			counter.inc({ color: 'red', size: 2 }, 5);
+			counter.inc({ color: 'blue', size: 2 });
+			const text = registry.serialize();
+
+			// Assert:
+			expect(text).to.equal([
+				'# HELP foo_total Number of foos.',
+				'# TYPE foo_total counter',
+				'foo_total 1',
+				'foo_total{color="red",size="2"} 6',
+				'foo_total{color="blue",size="2"} 1',
+				''
+			].join('\n'));
+		});
+
+		it('escapes label values', () => {
+			// Arrange:
+			const registry = metrics.createRegistry();
+			const counter = registry.counter('foo_total', 'Number of foos.');
+
+			// Act:
+			counter.inc({ name: 'a"b\\c\nd' });
+			const text = registry.serialize();
+
+			// Assert:
+			expect(text.split('\n')[2]).to.equal('foo_total{name="a\\"b\\\\c\\nd"} 1');
+		});
+
+		it('serializes gauges with collected values', () => {
+			// Arrange:
+			const registry = metrics.createRegistry();
+			let value = 3;
+			registry.gauge('bar', 'Number of bars.', () => [{ value }, { labels: { shape: 'round' }, value: value * 2 }]);
+
+			// Act:
+			const text1 = registry.serialize();
+			value = 4;
+			const text2 = registry.serialize();
+
+			// Assert:
+			expect(text1).to.equal('# HELP bar Number of bars.\n# TYPE bar gauge\nbar 3\nbar{shape="round"} 6\n');
+			expect(text2).to.equal('# HELP bar Number of bars.\n# TYPE bar gauge\nbar 4\nbar{shape="round"} 8\n');
+		});
+
+		it('serializes histograms', () => {
+			// Arrange:
+			const registry = metrics.createRegistry();
+			const histogram = registry.histogram('baz_seconds', 'Duration of baz.', [0.1, 1]);
+
+			// Act:
+			histogram.observe({ op: 'a' }, 0.05);
+			histogram.observe({ op: 'a' }, 0.5);
+			histogram.observe({ op: 'a' }, 2);
+			histogram.observe({ op: 'b' }, 1);
+			const text = registry.serialize();
+
+			// Assert:
+			expect(text).to.equal([
+				'# HELP baz_seconds Duration of baz.',
+				'# TYPE baz_seconds histogram',
+				'baz_seconds_bucket{op="a",le="0.1"} 1',
+				'baz_seconds_bucket{op="a",le="1"} 2',
+				'baz_seconds_bucket{op="a",le="+Inf"} 3',
+				'baz_seconds_sum{op="a"} 2.55',
+				'baz_seconds_count{op="a"} 3',
+				'baz_seconds_bucket{op="b",le="0.1"} 0',
+				'baz_seconds_bucket{op="b",le="1"} 1',
+				'baz_seconds_bucket{op="b",le="+Inf"} 1',
+				'baz_seconds_sum{op="b"} 1',
+				'baz_seconds_count{op="b"} 1',
+				''
+			].join('\n'));
+		});
+
+		it('serializes multiple metrics in registration order', () => {
+			// Arrange:
+			const registry = metrics.createRegistry();
+			registry.gauge('bar', 'Bar.', () => [{ value: 1 }]);
+			registry.counter('foo_total', 'Foo.').inc();
+
+			// Act:
+			const text = registry.serialize();
+
+			// Assert:
+			expect(text).to.equal([
+				'# HELP bar Bar.',
+				'# TYPE bar gauge',
+				'bar 1',
+				'# HELP foo_total Foo.',
+				'# TYPE foo_total counter',
+				'foo_total 1',
+				''
+			].join('\n'));
+		});
+	});
+
+	describe('rest metrics', () => {
+		const createRestMetrics = () => metrics.createRestMetrics(metrics.createRegistry());
+
+		// extracts all samples of a metric (ignoring histogram buckets)
+		const findSamples = (restMetrics, name) => restMetrics.serialize().split('\n')
+			.filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+
+		it('registers all metrics', () => {
+			// Act:
+			const text = createRestMetrics().serialize();
+
+			// Assert:
+			const names = text.split('\n').filter(line => line.startsWith('# TYPE')).map(line => line.split(' ').slice(2).join(' '));
+			expect(names).to.deep.equal([
+				'catapult_rest_http_requests_total counter',
+				'catapult_rest_http_request_duration_seconds histogram',
+				'catapult_rest_http_errors_total counter',
+				'catapult_rest_db_query_duration_seconds histogram',
+				'catapult_rest_api_node_connections_total counter',
+				'catapult_rest_api_node_timeouts_total counter',
+				'catapult_rest_zmq_sockets gauge',
+				'catapult_rest_websocket_clients gauge',
+				'catapult_rest_websocket_subscriptions gauge'
+			]);
+		});
+
+		describe('requests', () => {
+			const createResponse = () => Object.assign(new EventEmitter(), { statusCode: 200 });
+
+			it('records requests when response finishes', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const handler = sinon.stub().returns('result');
+				const wrappedHandler = restMetrics.wrap('get', '/block/:height', handler);
+				const res = createResponse();
+
+				// Act:
+				const result = wrappedHandler({}, res, 'next');
+				const samplesBeforeFinish = findSamples(restMetrics, 'catapult_rest_http_requests_total');
+				res.statusCode = 404;
+				res.emit('finish');
+				res.emit('close');
+
+				// Assert:
+				expect(result).to.equal('result');
+				expect(handler.calledOnceWith({}, res, 'next')).to.equal(true);
+				expect(samplesBeforeFinish).to.deep.equal([]);
+				expect(findSamples(restMetrics, 'catapult_rest_http_requests_total')).to.deep.equal([
+					'catapult_rest_http_requests_total{method="get",route="/block/:height",status_code="404"} 1'
+				]);
+				expect(findSamples(restMetrics, 'catapult_rest_http_request_duration_seconds_count')).to.deep.equal([
+					'catapult_rest_http_request_duration_seconds_count{method="get",route="/block/:height"} 1'
+				]);
+			});
+
+			it('records requests when response is closed', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const wrappedHandler = restMetrics.wrap('post', '/account', () => {});
+
+				// Act:
+				[createResponse(), createResponse()].forEach(res => {
+					wrappedHandler({}, res, () => {});
+					res.emit('close');
+				});
+
+				// Assert:
+				expect(findSamples(restMetrics, 'catapult_rest_http_requests_total')).to.deep.equal([
+					'catapult_rest_http_requests_total{method="post",route="/account",status_code="200"} 2'
+				]);
+			});
+		});
+
+		describe('errors', () => {
+			it('counts errors by status code', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+
+				// Act:
+				restMetrics.countError({ statusCode: 404 });
+				restMetrics.countError({ statusCode: 500 });
+				restMetrics.countError({ statusCode: 404 });
+
+				// Assert:
+				expect(findSamples(restMetrics, 'catapult_rest_http_errors_total')).to.deep.equal([
+					'catapult_rest_http_errors_total{status_code="404"} 2',
+					'catapult_rest_http_errors_total{status_code="500"} 1'
+				]);
+			});
+		});
+
+		describe('db', () => {
+			class FakeDb {
+				constructor() {
+					this.name = 'fake';
+				}
+
+				find(id) {
+					return Promise.resolve(`${this.name} ${id}`);
+				}
+
+				fail() {
+					return Promise.reject(Error(`${this.name} failure`));
+				}
+
+				cursor(id) {
+					return { id, name: this.name };
+				}
+			}
+
+			it('records durations of resolved queries', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const db = new FakeDb();
+				restMetrics.instrumentDb(db);
+
+				// Act:
+				return Promise.all([db.find(1), db.find(2)]).then(results => {
+					// Assert:
+					expect(results).to.deep.equal(['fake 1', 'fake 2']);
+					expect(findSamples(restMetrics, 'catapult_rest_db_query_duration_seconds_count')).to.deep.equal([
+						'catapult_rest_db_query_duration_seconds_count{method="find"} 2'
+					]);
+				});
+			});
+
+			it('records durations of rejected queries', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const db = new FakeDb();
+				restMetrics.instrumentDb(db);
+
+				// Act:
+				return db.fail().then(() => { throw Error('fail should have been rejected'); }, err => {
+					// Assert:
+					expect(err.message).to.equal('fake failure');
+					expect(findSamples(restMetrics, 'catapult_rest_db_query_duration_seconds_count')).to.deep.equal([
+						'catapult_rest_db_query_duration_seconds_count{method="fail"} 1'
+					]);
+				});
+			});
+
+			it('does not record durations of methods not returning promises', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const db = new FakeDb();
+				restMetrics.instrumentDb(db);
+
+				// Act:
+				const result = db.cursor(3);
+
+				// Assert:
+				expect(result).to.deep.equal({ id: 3, name: 'fake' });
+				expect(findSamples(restMetrics, 'catapult_rest_db_query_duration_seconds_count')).to.deep.equal([]);
+			});
+		});
+
+		describe('api node connections', () => {
+			const createConnectionService = connectionPromiseFactory => ({
+				lease: () => connectionPromiseFactory(),
+				singleUse: () => connectionPromiseFactory()
+			});
+
+			it('counts successful and failed connections', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				let isFailure = false;
+				const connectionService = restMetrics.instrumentConnectionService(createConnectionService(() => (isFailure
+					? Promise.reject(Error('connection failed'))
+					: Promise.resolve({ pushPull: () => Promise.resolve() }))));
+
+				// Act:
+				return connectionService.lease()
+					.then(() => connectionService.singleUse())
+					.then(() => connectionService.lease())
+					.then(() => {
+						isFailure = true;
+						return connectionService.lease();
+					})
+					.then(() => { throw Error('lease should have been rejected'); }, err => {
+						// Assert:
+						expect(err.message).to.equal('connection failed');
+						expect(findSamples(restMetrics, 'catapult_rest_api_node_connections_total')).to.deep.equal([
+							'catapult_rest_api_node_connections_total{type="lease",result="success"} 2',
+							'catapult_rest_api_node_connections_total{type="singleUse",result="success"} 1',
+							'catapult_rest_api_node_connections_total{type="lease",result="failure"} 1'
+						]);
+					});
+			});
+
+			const createResolvingConnectionService = connection => createConnectionService(() => Promise.resolve(connection));
+
+			it('forwards push pull to connection', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const connection = {
+					pushPull(payload, timeoutMs) {
+						return Promise.resolve({ payload, timeoutMs, isBound: this === connection });
+					}
+				};
+				const connectionService = restMetrics.instrumentConnectionService(createResolvingConnectionService(connection));
+
+				// Act:
+				return connectionService.lease()
+					.then(leasedConnection => leasedConnection.pushPull('foo', 1000))
+					.then(result => {
+						// Assert:
+						expect(result).to.deep.equal({ payload: 'foo', timeoutMs: 1000, isBound: true });
+						expect(findSamples(restMetrics, 'catapult_rest_api_node_timeouts_total')).to.deep.equal([]);
+					});
+			});
+
+			const runPushPullFailureTest = (elapsedMs, expectedSamples) => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const clock = sinon.useFakeTimers();
+				const connection = {
+					pushPull: () => {
+						clock.tick(elapsedMs);
+						return Promise.reject(Error('connection failed'));
+					}
+				};
+				const connectionService = restMetrics.instrumentConnectionService(createResolvingConnectionService(connection));
+
+				// Act:
+				return connectionService.singleUse()
+					.then(leasedConnection => leasedConnection.pushPull('foo', 1000))
+					.then(() => { throw Error('pushPull should have been rejected'); }, err => {
+						// Assert:
+						expect(err.message).to.equal('connection failed');
+						expect(findSamples(restMetrics, 'catapult_rest_api_node_timeouts_total')).to.deep.equal(expectedSamples);
+					})
+					.finally(() => clock.restore());
+			};
+
+			it('counts push pull timeouts', () => runPushPullFailureTest(1000, ['catapult_rest_api_node_timeouts_total 1']));
+
+			it('does not count push pull failures before timeout', () => runPushPullFailureTest(999, []));
+
+			it('counts successful and failed sends', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const payloads = [];
+				const connectionService = restMetrics.instrumentConnectionService({
+					send: payload => {
+						payloads.push(payload);
+						return 2 === payloads.length ? Promise.reject(Error('connection failed')) : Promise.resolve(3);
+					}
+				});
+
+				// Act:
+				return connectionService.send('foo')
+					.then(numNodes => {
+						expect(numNodes).to.equal(3);
+						return connectionService.send('bar');
+					})
+					.then(() => { throw Error('send should have been rejected'); }, err => {
+						// Assert:
+						expect(err.message).to.equal('connection failed');
+						expect(payloads).to.deep.equal(['foo', 'bar']);
+						expect(findSamples(restMetrics, 'catapult_rest_api_node_connections_total')).to.deep.equal([
+							'catapult_rest_api_node_connections_total{type="send",result="success"} 1',
+							'catapult_rest_api_node_connections_total{type="send",result="failure"} 1'
+						]);
+					});
+			});
+
+			it('forwards other functions to connection service', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const connectionService = restMetrics.instrumentConnectionService({ poolState: () => [{ isHealthy: true }] });
+
+				// Act:
+				const poolState = connectionService.poolState();
+
+				// Assert:
+				expect(poolState).to.deep.equal([{ isHealthy: true }]);
+			});
+		});
+
+		describe('zmq sockets', () => {
+			it('collects socket counts of all zmq services', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				let numSockets = 3;
+				restMetrics.addZmqService('routes', { zsocketCount: () => numSockets });
+				restMetrics.addZmqService('responseCache', { zsocketCount: () => 1 });
+
+				// Act:
+				numSockets = 5;
+				const samples = findSamples(restMetrics, 'catapult_rest_zmq_sockets');
+
+				// Assert:
+				expect(samples).to.deep.equal([
+					'catapult_rest_zmq_sockets{service="routes"} 5',
+					'catapult_rest_zmq_sockets{service="responseCache"} 1'
+				]);
+			});
+		});
+
+		describe('websockets', () => {
+			it('collects clients and subscriptions of all websocket routes', () => {
+				// Arrange:
+				const restMetrics = createRestMetrics();
+				const subscriptionManager1 = new SubscriptionManager({ newChannel: () => {} });
+				const subscriptionManager2 = new SubscriptionManager({ newChannel: () => {} });
+				restMetrics.addWebsocketRoute('/ws', new Set(['a', 'b', 'c']), subscriptionManager1);
+				restMetrics.addWebsocketRoute('/ws/other', new Set(['d']), subscriptionManager2);
+
+				// Act:
+				subscriptionManager1.add('block', 'a');
+				subscriptionManager1.add('block', 'b');
+				subscriptionManager1.add('confirmedAdded/SAAA', 'a');
+				subscriptionManager1.add('confirmedAdded/SBBB', 'c');
+				subscriptionManager2.add('block', 'd');
+
+				// Assert:
+				expect(findSamples(restMetrics, 'catapult_rest_websocket_clients')).to.deep.equal([
+					'catapult_rest_websocket_clients{route="/ws"} 3',
+					'catapult_rest_websocket_clients{route="/ws/other"} 1'
+				]);
+				expect(findSamples(restMetrics, 'catapult_rest_websocket_subscriptions')).to.deep.equal([
+					'catapult_rest_websocket_subscriptions{route="/ws",channel="block"} 2',
+					'catapult_rest_websocket_subscriptions{route="/ws",channel="confirmedAdded"} 2',
+					'catapult_rest_websocket_subscriptions{route="/ws/other",channel="block"} 1'
+				]);
+			});
+		});
+	});
+});
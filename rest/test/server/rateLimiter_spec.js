@@ -0,0 +1,486 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const rateLimiter = require('../../src/server/rateLimiter');
+const SubscriptionManager = require('../../src/server/SubscriptionManager');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+describe('rate limiter', () => {
+	const createOptions = () => ({
+		maxClients: 10,
+		expensiveRoutes: { post: ['/foo'] },
+		exemptRoutes: { get: ['/health'] },
+		tiers: {
+			anonymous: {
+				requests: { rate: 2, burst: 3 },
+				expensiveRequests: { rate: 0.5, burst: 1 },
+				maxWebsocketSubscriptions: 2
+			},
+			partner: {
+				requests: { rate: 10, burst: 5 },
+				maxWebsocketSubscriptions: 3
+			}
+		},
+		apiKeys: { secret: 'partner' }
+	});
+
+	const createRequest = (ip, headers = {}) => ({ headers, socket: { remoteAddress: ip } });
+
+	describe('create', () => {
+		it('cannot create rate limiter without anonymous tier', () => {
+			// Arrange:
+			const options = createOptions();
+			delete options.tiers.anonymous;
+
+			// Act + Assert:
+			expect(() => rateLimiter.createRateLimiter(options)).to.throw('rate limiting tier \'anonymous\' is required');
+		});
+
+		it('cannot create rate limiter with api key referencing unknown tier', () => {
+			// Arrange:
+			const options = createOptions();
+			options.apiKeys.other = 'gold';
+
+			// Act + Assert:
+			expect(() => rateLimiter.createRateLimiter(options)).to.throw('api key references unknown rate limiting tier \'gold\'');
+		});
+	});
+
+	describe('wrap', () => {
+		let clock;
+
+		beforeEach(() => {
+			clock = sinon.useFakeTimers(1000000);
+		});
+
+		afterEach(() => {
+			clock.restore();
+		});
+
+		const createWrappedHandler = (options, method, route) => {
+			const limiter = rateLimiter.createRateLimiter(options || createOptions());
+			const handler = (req, res, next) => {
+				++handler.numCalls;
+				next();
+				return 'result';
+			};
+			handler.numCalls = 0;
+			return { handler, wrappedHandler: limiter.wrap(method || 'get', route || '/bar', handler) };
+		};
+
+		const executeRequest = (wrappedHandler, req) => {
+			const context = { headers: {}, nextArgs: [] };
+			const res = { header: (key, value) => { context.headers[key] = value; } };
+			context.result = wrappedHandler(req, res, (...args) => { context.nextArgs.push(args); });
+			return context;
+		};
+
+		const executeRequests = (wrappedHandler, req, count) => {
+			const contexts = [];
+			for (let i = 0; i < count; ++i)
+				contexts.push(executeRequest(wrappedHandler, req));
+
+			return contexts;
+		};
+
+		const assertAllowed = context => {
+			expect(context.result).to.equal('result');
+			expect(context.headers).to.deep.equal({});
+			expect(context.nextArgs).to.deep.equal([[]]);
+		};
+
+		const assertThrottled = (context, retryAfter) => {
+			expect(context.result).to.equal(undefined);
+			expect(context.headers).to.deep.equal({ 'Retry-After': retryAfter });
+			expect(context.nextArgs.length).to.equal(1);
+			expect(context.nextArgs[0][0].statusCode).to.equal(429);
+			expect(context.nextArgs[0][0].message).to.equal(`rate limit exceeded, retry after ${retryAfter} seconds`);
+		};
+
+		it('allows requests within burst', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+
+			// Act:
+			const contexts = executeRequests(wrappedHandler, createRequest('1.2.3.4'), 3);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(3);
+			contexts.forEach(assertAllowed);
+		});
+
+		it('rejects requests exceeding burst', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+
+			// Act:
+			const contexts = executeRequests(wrappedHandler, createRequest('1.2.3.4'), 5);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(3);
+			assertThrottled(contexts[3], 1);
+			assertThrottled(contexts[4], 1);
+		});
+
+		it('refills tokens over time', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+			const req = createRequest('1.2.3.4');
+			executeRequests(wrappedHandler, req, 3);
+
+			// Act:
+			clock.tick(499);
+			const context1 = executeRequest(wrappedHandler, req);
+			clock.tick(1);
+			const context2 = executeRequest(wrappedHandler, req);
+			const context3 = executeRequest(wrappedHandler, req);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(4);
+			assertThrottled(context1, 1);
+			assertAllowed(context2);
+			assertThrottled(context3, 1);
+		});
+
+		it('does not refill tokens above burst', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+			const req = createRequest('1.2.3.4');
+			executeRequest(wrappedHandler, req);
+
+			// Act:
+			clock.tick(100000);
+			const contexts = executeRequests(wrappedHandler, req, 4);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(4);
+			assertThrottled(contexts[3], 1);
+		});
+
+		it('tracks clients separately by ip address', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+			executeRequests(wrappedHandler, createRequest('1.2.3.4'), 3);
+
+			// Act:
+			const context = executeRequest(wrappedHandler, createRequest('5.6.7.8'));
+
+			// Assert:
+			expect(handler.numCalls).to.equal(4);
+			assertAllowed(context);
+		});
+
+		it('ignores forwarded for header when proxy is not trusted', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+
+			// Act:
+			const contexts = ['9.9.9.1', '9.9.9.2', '9.9.9.3', '9.9.9.4']
+				.map(ip => executeRequest(wrappedHandler, createRequest('1.2.3.4', { 'x-forwarded-for': ip })));
+
+			// Assert:
+			expect(handler.numCalls).to.equal(3);
+			assertThrottled(contexts[3], 1);
+		});
+
+		it('identifies clients by forwarded for header when proxy is trusted', () => {
+			// Arrange:
+			const options = Object.assign(createOptions(), { trustProxy: true });
+			const { handler, wrappedHandler } = createWrappedHandler(options);
+			executeRequests(wrappedHandler, createRequest('1.2.3.4', { 'x-forwarded-for': '9.9.9.1, 1.2.3.4' }), 3);
+
+			// Act:
+			const context1 = executeRequest(wrappedHandler, createRequest('1.2.3.4', { 'x-forwarded-for': '9.9.9.1' }));
+			const context2 = executeRequest(wrappedHandler, createRequest('1.2.3.4', { 'x-forwarded-for': '9.9.9.2' }));
+
+			// Assert:
+			expect(handler.numCalls).to.equal(4);
+			assertThrottled(context1, 1);
+			assertAllowed(context2);
+		});
+
+		it('uses tier of known api key', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+
+			// Act:
+			const contexts = executeRequests(wrappedHandler, createRequest('1.2.3.4', { 'x-api-key': 'secret' }), 6);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(5);
+			assertThrottled(contexts[5], 1);
+		});
+
+		it('shares budget of api key across ip addresses', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+			executeRequests(wrappedHandler, createRequest('1.2.3.4', { 'x-api-key': 'secret' }), 5);
+
+			// Act:
+			const context = executeRequest(wrappedHandler, createRequest('5.6.7.8', { 'x-api-key': 'secret' }));
+
+			// Assert:
+			expect(handler.numCalls).to.equal(5);
+			assertThrottled(context, 1);
+		});
+
+		it('treats unknown api key as anonymous', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler();
+			executeRequests(wrappedHandler, createRequest('1.2.3.4', { 'x-api-key': 'guess1' }), 3);
+
+			// Act:
+			const context = executeRequest(wrappedHandler, createRequest('1.2.3.4', { 'x-api-key': 'guess2' }));
+
+			// Assert:
+			expect(handler.numCalls).to.equal(3);
+			assertThrottled(context, 1);
+		});
+
+		it('uses expensive budget for expensive routes', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler(undefined, 'post', '/foo');
+
+			// Act:
+			const contexts = executeRequests(wrappedHandler, createRequest('1.2.3.4'), 2);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(1);
+			assertThrottled(contexts[1], 2);
+		});
+
+		it('uses default budget for expensive route with other method', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler(undefined, 'get', '/foo');
+
+			// Act:
+			executeRequests(wrappedHandler, createRequest('1.2.3.4'), 2);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(2);
+		});
+
+		it('tracks expensive budget separately from default budget', () => {
+			// Arrange:
+			const limiter = rateLimiter.createRateLimiter(createOptions());
+			const handler = sinon.spy();
+			const cheapHandler = limiter.wrap('get', '/bar', handler);
+			const expensiveHandler = limiter.wrap('post', '/foo', handler);
+			const req = createRequest('1.2.3.4');
+			executeRequests(cheapHandler, req, 3);
+
+			// Act:
+			const context = executeRequest(expensiveHandler, req);
+
+			// Assert:
+			expect(handler.callCount).to.equal(4);
+			expect(context.headers).to.deep.equal({});
+		});
+
+		it('returns handler of exempt route unchanged', () => {
+			// Act:
+			const { handler, wrappedHandler } = createWrappedHandler(undefined, 'get', '/health');
+
+			// Assert:
+			expect(wrappedHandler).to.equal(handler);
+		});
+
+		it('limits requests to exempt route with other method', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler(undefined, 'post', '/health');
+
+			// Act:
+			const contexts = executeRequests(wrappedHandler, createRequest('1.2.3.4'), 4);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(3);
+			assertThrottled(contexts[3], 1);
+		});
+
+		it('does not limit requests of tier without budget', () => {
+			// Arrange:
+			const { handler, wrappedHandler } = createWrappedHandler(undefined, 'post', '/foo');
+
+			// Act:
+			executeRequests(wrappedHandler, createRequest('1.2.3.4', { 'x-api-key': 'secret' }), 20);
+
+			// Assert:
+			expect(handler.numCalls).to.equal(20);
+		});
+
+		it('evicts least recently used clients when max clients is exceeded', () => {
+			// Arrange: exhaust budget of first client
+			const options = Object.assign(createOptions(), { maxClients: 2 });
+			const { handler, wrappedHandler } = createWrappedHandler(options);
+			executeRequests(wrappedHandler, createRequest('1.2.3.4'), 3);
+
+			// Act:
+			executeRequest(wrappedHandler, createRequest('5.6.7.8'));
+			executeRequest(wrappedHandler, createRequest('9.9.9.9'));
+			const context = executeRequest(wrappedHandler, createRequest('1.2.3.4'));
+
+			// Assert: first client was evicted and gets a new budget
+			expect(handler.numCalls).to.equal(6);
+			assertAllowed(context);
+		});
+	});
+
+	describe('limit subscriptions', () => {
+		const createSubscriptionManagers = () => {
+			const limiter = rateLimiter.createRateLimiter(createOptions());
+			const subscriptionManager = new SubscriptionManager({ newChannel: () => {}, removeChannel: () => {} });
+			return {
+				subscriptionManager,
+				limit: req => limiter.limitSubscriptions(subscriptionManager, req)
+			};
+		};
+
+		it('allows subscriptions within limit', () => {
+			// Arrange:
+			const { subscriptionManager, limit } = createSubscriptionManagers();
+			const limitedManager = limit(createRequest('1.2.3.4'));
+			const client = { uid: 'a' };
+
+			// Act:
+			limitedManager.add('foo', client);
+			limitedManager.add('bar', client);
+
+			// Assert:
+			expect(subscriptionManager.clientSubscriptions(client)).to.deep.equal(['foo', 'bar']);
+		});
+
+		it('does not count duplicate subscriptions', () => {
+			// Arrange:
+			const { subscriptionManager, limit } = createSubscriptionManagers();
+			const limitedManager = limit(createRequest('1.2.3.4'));
+			const client = { uid: 'a' };
+
+			// Act:
+			limitedManager.add('foo', client);
+			limitedManager.add('foo', client);
+			limitedManager.add('bar', client);
+
+			// Assert:
+			expect(subscriptionManager.clientSubscriptions(client)).to.deep.equal(['foo', 'bar']);
+		});
+
+		it('rejects subscriptions exceeding limit', () => {
+			// Arrange:
+			const { subscriptionManager, limit } = createSubscriptionManagers();
+			const limitedManager = limit(createRequest('1.2.3.4'));
+			const client = { uid: 'a' };
+			limitedManager.add('foo', client);
+			limitedManager.add('bar', client);
+
+			// Act + Assert:
+			expect(() => limitedManager.add('baz', client)).to.throw('websocket subscription limit (2) exceeded');
+			expect(subscriptionManager.clientSubscriptions(client)).to.deep.equal(['foo', 'bar']);
+		});
+
+		it('counts subscriptions across connections of same client', () => {
+			// Arrange:
+			const { subscriptionManager, limit } = createSubscriptionManagers();
+			const client1 = { uid: 'a' };
+			const client2 = { uid: 'b' };
+			limit(createRequest('1.2.3.4')).add('foo', client1);
+			limit(createRequest('1.2.3.4')).add('bar', client2);
+
+			// Act + Assert:
+			expect(() => limit(createRequest('1.2.3.4')).add('baz', { uid: 'c' })).to.throw('websocket subscription limit (2) exceeded');
+			limit(createRequest('5.6.7.8')).add('baz', { uid: 'd' });
+			expect(Object.keys(subscriptionManager.subscriptions)).to.deep.equal(['foo', 'bar', 'baz']);
+		});
+
+		it('uses limit of api key tier', () => {
+			// Arrange:
+			const { subscriptionManager, limit } = createSubscriptionManagers();
+			const limitedManager = limit(createRequest('1.2.3.4', { 'x-api-key': 'secret' }));
+			const client = { uid: 'a' };
+
+			// Act:
+			['foo', 'bar', 'baz'].forEach(channel => limitedManager.add(channel, client));
+
+			// Assert:
+			expect(subscriptionManager.clientSubscriptions(client)).to.deep.equal(['foo', 'bar', 'baz']);
+			expect(() => limitedManager.add('qux', client)).to.throw('websocket subscription limit (3) exceeded');
+		});
+
+		it('releases subscriptions on unsubscribe', () => {
+			// Arrange:
+			const { subscriptionManager, limit } = createSubscriptionManagers();
+			const limitedManager = limit(createRequest('1.2.3.4'));
+			const client = { uid: 'a' };
+			limitedManager.add('foo', client);
+			limitedManager.add('bar', client);
+
+			// Act:
+			limitedManager.delete('foo', client);
+			limitedManager.delete('foo', client);
+			limitedManager.add('baz', client);
+
+			// Assert:
+			expect(subscriptionManager.clientSubscriptions(client)).to.deep.equal(['bar', 'baz']);
+			expect(() => limitedManager.add('qux', client)).to.throw('websocket subscription limit (2) exceeded');
+		});
+
+		it('releases subscriptions when client is deleted', () => {
+			// Arrange:
+			const { subscriptionManager, limit } = createSubscriptionManagers();
+			const limitedManager1 = limit(createRequest('1.2.3.4'));
+			const client1 = { uid: 'a' };
+			limitedManager1.add('foo', client1);
+			limitedManager1.add('bar', client1);
+
+			// Act:
+			limitedManager1.deleteClient(client1);
+			const limitedManager2 = limit(createRequest('1.2.3.4'));
+			const client2 = { uid: 'b' };
+			limitedManager2.add('baz', client2);
+			limitedManager2.add('qux', client2);
+
+			// Assert:
+			expect(subscriptionManager.clientSubscriptions(client1)).to.deep.equal([]);
+			expect(subscriptionManager.clientSubscriptions(client2)).to.deep.equal(['baz', 'qux']);
+		});
+
+		it('does not count failed subscriptions', () => {
+			// Arrange:
+			const limiter = rateLimiter.createRateLimiter(createOptions());
+			const subscriptionManager = new SubscriptionManager({
+				newChannel: channel => {
+					if ('bad' === channel)
+						throw Error('unknown channel');
+				},
+				removeChannel: () => {}
+			});
+			const limitedManager = limiter.limitSubscriptions(subscriptionManager, createRequest('1.2.3.4'));
+			const client = { uid: 'a' };
+
+			// Act:
+			limitedManager.add('foo', client);
+			expect(() => limitedManager.add('bad', client)).to.throw('unknown channel');
+			limitedManager.add('bar', client);
+
+			// Assert:
+			expect(subscriptionManager.clientSubscriptions(client)).to.deep.equal(['foo', 'bar']);
+		});
+	});
+});
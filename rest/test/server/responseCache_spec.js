@@ -0,0 +1,484 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const responseCache = require('../../src/server/responseCache');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+describe('response cache', () => {
+	describe('memory store', () => {
+		it('can store and retrieve entries', () => {
+			// Arrange:
+			const store = responseCache.createMemoryStore(3);
+
+			// Act:
+			return store.set('a', { id: 1 })
+				.then(() => store.set('b', { id: 2 }))
+				.then(() => Promise.all([store.get('a'), store.get('b'), store.get('c')]))
+				.then(entries => {
+					// Assert:
+					expect(entries).to.deep.equal([{ id: 1 }, { id: 2 }, undefined]);
+				});
+		});
+
+		it('can delete entries', () => {
+			// Arrange:
+			const store = responseCache.createMemoryStore(3);
+
+			// Act:
+			return store.set('a', { id: 1 })
+				.then(() => store.delete('a'))
+				.then(() => store.get('a'))
+				.then(entry => {
+					// Assert:
+					expect(entry).to.equal(undefined);
+				});
+		});
+
+		it('evicts least recently used entry when full', () => {
+			// Arrange:
+			const store = responseCache.createMemoryStore(3);
+
+			// Act: access 'a' so that 'b' is the least recently used entry
+			return store.set('a', { id: 1 })
+				.then(() => store.set('b', { id: 2 }))
+				.then(() => store.set('c', { id: 3 }))
+				.then(() => store.get('a'))
+				.then(() => store.set('d', { id: 4 }))
+				.then(() => Promise.all(['a', 'b', 'c', 'd'].map(key => store.get(key))))
+				.then(entries => {
+					// Assert:
+					expect(entries).to.deep.equal([{ id: 1 }, undefined, { id: 3 }, { id: 4 }]);
+				});
+		});
+	});
+
+	describe('response cache', () => {
+		const Policies = {
+			'/block/:height': { getHeight: params => Number.parseInt(params.height, 10) },
+			'/chain/height': {},
+			'/unconfirmed': { maxAge: 1 }
+		};
+
+		const createCache = options => responseCache.createResponseCache(Object.assign({
+			policies: Policies,
+			maxRollbackBlocks: 10,
+			maxEntries: 10
+		}, options));
+
+		// handler that sends a body containing the number of times it was called
+		const createHandler = () => {
+			const handler = (req, res, next) => {
+				++handler.numCalls;
+				res.send(handler.createBody ? handler.createBody(handler.numCalls) : { payload: { id: handler.numCalls }, type: 'foo' });
+				next();
+				return Promise.resolve();
+			};
+			handler.numCalls = 0;
+			return handler;
+		};
+
+		const executeRequest = (wrappedHandler, url, params, headers = {}) => {
+			const context = {
+				headers: {},
+				responses: [],
+				numNextCalls: 0
+			};
+			const res = {
+				header: (key, value) => { context.headers[key] = value; },
+				send: (...args) => { context.responses.push(args); }
+			};
+
+			return Promise.resolve(wrappedHandler({ url, params, headers }, res, () => { ++context.numNextCalls; }))
+				.then(() => context);
+		};
+
+		it('returns handler of route without policy unchanged', () => {
+			// Arrange:
+			const cache = createCache();
+			const handler = createHandler();
+
+			// Act:
+			const wrappedHandler = cache.wrap('/account/:accountId', handler);
+
+			// Assert:
+			expect(wrappedHandler).to.equal(handler);
+		});
+
+		describe('immutable responses', () => {
+			const runRequests = (chainHeight, requestedHeights) => {
+				const cache = createCache();
+				cache.notifyBlock(chainHeight, 'AABB');
+				const handler = createHandler();
+				const wrappedHandler = cache.wrap('/block/:height', handler);
+
+				const contexts = [];
+				return requestedHeights.reduce(
+					(promise, height) => promise
+						.then(() => executeRequest(wrappedHandler, `/block/${height}`, { height: height.toString() }))
+						.then(context => { contexts.push(context); }),
+					Promise.resolve()
+				).then(() => ({
+					cache, handler, wrappedHandler, contexts
+				}));
+			};
+
+			it('caches responses of heights below rollback depth', () =>
+				runRequests(100, [90, 90]).then(({ handler, contexts }) => {
+					// Assert:
+					expect(handler.numCalls).to.equal(1);
+					expect(contexts.map(context => context.responses)).to.deep.equal([
+						[[{ payload: { id: 1 }, type: 'foo' }]],
+						[[{ payload: { id: 1 }, type: 'foo' }]]
+					]);
+					expect(contexts.map(context => context.numNextCalls)).to.deep.equal([1, 1]);
+				}));
+
+			it('adds immutable cache headers', () =>
+				runRequests(100, [90, 90]).then(({ contexts }) => {
+					// Assert:
+					contexts.forEach(context => {
+						expect(Object.keys(context.headers)).to.deep.equal(['ETag', 'Last-Modified', 'Cache-Control', 'Vary']);
+						expect(context.headers.ETag).to.match(/^W\/"[0-9a-f]{16}-[0-9a-f]+"$/);
+						expect(context.headers['Cache-Control']).to.equal('public, max-age=31536000, immutable');
+						expect(context.headers.Vary).to.equal('Accept');
+					});
+
+					expect(contexts[1].headers).to.deep.equal(contexts[0].headers);
+				}));
+
+			it('does not invalidate immutable responses on new blocks', () =>
+				runRequests(100, [90]).then(({ cache, handler, wrappedHandler }) => {
+					// Act:
+					cache.notifyBlock(101, 'CCDD');
+					return executeRequest(wrappedHandler, '/block/90', { height: '90' }).then(context => {
+						// Assert:
+						expect(handler.numCalls).to.equal(1);
+						expect(context.responses).to.deep.equal([[{ payload: { id: 1 }, type: 'foo' }]]);
+					});
+				}));
+
+			it('caches responses of heights within rollback depth until next block', () =>
+				runRequests(100, [91, 91]).then(({
+					cache, handler, wrappedHandler, contexts
+				}) => {
+					// Assert:
+					expect(handler.numCalls).to.equal(1);
+					expect(contexts[0].headers['Cache-Control']).to.equal('no-cache');
+
+					// Act:
+					cache.notifyBlock(101, 'CCDD');
+					return executeRequest(wrappedHandler, '/block/91', { height: '91' }).then(context => {
+						// Assert: the response is recreated and is now immutable
+						expect(handler.numCalls).to.equal(2);
+						expect(context.responses).to.deep.equal([[{ payload: { id: 2 }, type: 'foo' }]]);
+						expect(context.headers['Cache-Control']).to.equal('public, max-age=31536000, immutable');
+					});
+				}));
+
+			it('caches responses separately by url', () =>
+				runRequests(100, [80, 90, 80]).then(({ handler, contexts }) => {
+					// Assert:
+					expect(handler.numCalls).to.equal(2);
+					expect(contexts.map(context => context.responses[0][0].payload.id)).to.deep.equal([1, 2, 1]);
+				}));
+		});
+
+		describe('mutable responses', () => {
+			const prepareCache = (route, blockHash) => {
+				const cache = createCache();
+				cache.notifyBlock(100, blockHash);
+				const handler = createHandler();
+				const wrappedHandler = cache.wrap(route, handler);
+				return { cache, handler, request: () => executeRequest(wrappedHandler, route, {}) };
+			};
+
+			it('caches responses until next block', () => {
+				// Arrange:
+				const { cache, handler, request } = prepareCache('/chain/height', 'AABB');
+
+				// Act:
+				return request()
+					.then(request)
+					.then(context => {
+						// Assert:
+						expect(handler.numCalls).to.equal(1);
+						expect(context.headers['Cache-Control']).to.equal('no-cache');
+						expect(context.responses).to.deep.equal([[{ payload: { id: 1 }, type: 'foo' }]]);
+
+						// Act:
+						cache.notifyBlock(101, 'CCDD');
+						return request();
+					})
+					.then(context => {
+						// Assert:
+						expect(handler.numCalls).to.equal(2);
+						expect(context.responses).to.deep.equal([[{ payload: { id: 2 }, type: 'foo' }]]);
+					});
+			});
+
+			it('invalidates responses when block at same height is reported', () => {
+				// Arrange:
+				const { cache, handler, request } = prepareCache('/chain/height', 'AABB');
+
+				// Act: simulate rollback
+				return request()
+					.then(() => cache.notifyBlock(100, 'CCDD'))
+					.then(request)
+					.then(() => {
+						// Assert:
+						expect(handler.numCalls).to.equal(2);
+					});
+			});
+
+			it('does not cache responses when block hash is unknown', () => {
+				// Arrange:
+				const { handler, request } = prepareCache('/chain/height', undefined);
+
+				// Act:
+				return request()
+					.then(request)
+					.then(context => {
+						// Assert:
+						expect(handler.numCalls).to.equal(2);
+						expect(context.headers).to.deep.equal({});
+					});
+			});
+
+			it('invalidates responses when disconnected', () => {
+				// Arrange:
+				const { cache, handler, request } = prepareCache('/chain/height', 'AABB');
+
+				// Act:
+				return request()
+					.then(() => cache.notifyDisconnected())
+					.then(request)
+					.then(request)
+					.then(() => {
+						// Assert:
+						expect(handler.numCalls).to.equal(3);
+					});
+			});
+
+			describe('max age', () => {
+				let clock;
+
+				beforeEach(() => {
+					clock = sinon.useFakeTimers(1000000);
+				});
+
+				afterEach(() => {
+					clock.restore();
+				});
+
+				it('expires responses after max age', () => {
+					// Arrange:
+					const { handler, request } = prepareCache('/unconfirmed', 'AABB');
+
+					// Act:
+					return request()
+						.then(() => clock.tick(999))
+						.then(request)
+						.then(() => {
+							// Assert:
+							expect(handler.numCalls).to.equal(1);
+							clock.tick(1);
+						})
+						.then(request)
+						.then(() => {
+							// Assert:
+							expect(handler.numCalls).to.equal(2);
+						});
+				});
+			});
+		});
+
+		describe('conditional requests', () => {
+			const prepareCachedResponse = () => {
+				const cache = createCache();
+				cache.notifyBlock(100, 'AABB');
+				const handler = createHandler();
+				const wrappedHandler = cache.wrap('/block/:height', handler);
+				const request = headers => executeRequest(wrappedHandler, '/block/50', { height: '50' }, headers);
+				return request().then(context => ({ handler, request, etag: context.headers.ETag }));
+			};
+
+			const assertNotModified = createIfNoneMatch => prepareCachedResponse()
+				.then(({ handler, request, etag }) => request({ 'if-none-match': createIfNoneMatch(etag) }).then(context => {
+					// Assert:
+					expect(handler.numCalls).to.equal(1);
+					expect(context.responses).to.deep.equal([[304]]);
+					expect(context.headers.ETag).to.equal(etag);
+					expect(context.numNextCalls).to.equal(1);
+				}));
+
+			it('responds not modified when etag matches', () => assertNotModified(etag => etag));
+
+			it('responds not modified when strong etag matches', () => assertNotModified(etag => etag.substring(2)));
+
+			it('responds not modified when any etag in list matches', () => assertNotModified(etag => `W/"abc", ${etag}`));
+
+			it('responds not modified when wildcard is used', () => assertNotModified(() => '*'));
+
+			it('responds with body when etag does not match', () => prepareCachedResponse()
+				.then(({ request }) => request({ 'if-none-match': 'W/"abc"' }).then(context => {
+					// Assert:
+					expect(context.responses).to.deep.equal([[{ payload: { id: 1 }, type: 'foo' }]]);
+				})));
+
+			it('responds not modified when etag of mutable response matches', () => {
+				// Arrange:
+				const cache = createCache();
+				cache.notifyBlock(100, 'AABB');
+				const handler = createHandler();
+				const wrappedHandler = cache.wrap('/block/:height', handler);
+				const request = headers => executeRequest(wrappedHandler, '/block/95', { height: '95' }, headers);
+
+				// Act:
+				return request()
+					.then(context => request({ 'if-none-match': context.headers.ETag }))
+					.then(context => {
+						// Assert:
+						expect(handler.numCalls).to.equal(1);
+						expect(context.responses).to.deep.equal([[304]]);
+						expect(context.headers['Cache-Control']).to.equal('no-cache');
+					});
+			});
+
+			it('responds with body when etag of invalidated mutable response is used', () => {
+				// Arrange:
+				const cache = createCache();
+				cache.notifyBlock(100, 'AABB');
+				const handler = createHandler();
+				handler.createBody = () => ({ payload: { id: 1 }, type: 'foo' });
+				const wrappedHandler = cache.wrap('/block/:height', handler);
+				const request = headers => executeRequest(wrappedHandler, '/block/95', { height: '95' }, headers);
+
+				// Act:
+				return request()
+					.then(context => {
+						cache.notifyBlock(101, 'CCDD');
+						return request({ 'if-none-match': context.headers.ETag }).then(recreatedContext => ({ context, recreatedContext }));
+					})
+					.then(({ context, recreatedContext }) => {
+						// Assert: recreated entries get new etags even when their bodies are unchanged
+						expect(handler.numCalls).to.equal(2);
+						expect(recreatedContext.responses).to.deep.equal([[{ payload: { id: 1 }, type: 'foo' }]]);
+						expect(recreatedContext.headers.ETag).to.not.equal(context.headers.ETag);
+					});
+			});
+		});
+
+		describe('uncacheable responses', () => {
+			const assertNotCached = (createBody, statusCode) => {
+				// Arrange:
+				const cache = createCache();
+				cache.notifyBlock(100, 'AABB');
+				const handler = createHandler();
+				handler.createBody = createBody;
+				const wrappedHandler = cache.wrap('/block/:height', (req, res, next) => {
+					res.statusCode = statusCode;
+					return handler(req, res, next);
+				});
+
+				// Act:
+				const request = () => executeRequest(wrappedHandler, '/block/50', { height: '50' });
+				return request()
+					.then(request)
+					.then(context => {
+						// Assert:
+						expect(handler.numCalls).to.equal(2);
+						expect(context.headers).to.deep.equal({});
+					});
+			};
+
+			it('does not cache errors', () => assertNotCached(() => Error('not found')));
+
+			it('does not cache responses with non success status code', () => assertNotCached(() => ({ foo: 1 }), 202));
+
+			it('does not cache responses with unknown height', () => {
+				// Arrange:
+				const cache = createCache();
+				cache.notifyBlock(100, undefined);
+				const handler = createHandler();
+				const wrappedHandler = cache.wrap('/block/:height', handler);
+
+				// Act:
+				const request = () => executeRequest(wrappedHandler, '/block/abc', { height: 'abc' });
+				return request()
+					.then(request)
+					.then(() => {
+						// Assert:
+						expect(handler.numCalls).to.equal(2);
+					});
+			});
+		});
+
+		describe('cached body', () => {
+			it('is not affected by formatters deleting formatter property', () => {
+				// Arrange:
+				const cache = createCache();
+				cache.notifyBlock(100, 'AABB');
+				const handler = createHandler();
+				handler.createBody = () => ({ payload: { id: 1 }, type: 'foo', formatter: 'ws' });
+				const wrappedHandler = cache.wrap('/block/:height', handler);
+
+				const request = () => executeRequest(wrappedHandler, '/block/50', { height: '50' }).then(context => {
+					// simulate formatter
+					delete context.responses[0][0].formatter;
+					return context;
+				});
+
+				// Act:
+				return request()
+					.then(request)
+					.then(() => executeRequest(wrappedHandler, '/block/50', { height: '50' }))
+					.then(context => {
+						// Assert:
+						expect(handler.numCalls).to.equal(1);
+						expect(context.responses).to.deep.equal([[{ payload: { id: 1 }, type: 'foo', formatter: 'ws' }]]);
+					});
+			});
+		});
+
+		describe('store failures', () => {
+			const createFailingStore = () => ({
+				get: () => Promise.reject(Error('get failed')),
+				set: () => Promise.reject(Error('set failed')),
+				delete: () => Promise.reject(Error('delete failed'))
+			});
+
+			it('falls back to handler when store fails', () => {
+				// Arrange:
+				const cache = createCache({ store: createFailingStore() });
+				cache.notifyBlock(100, 'AABB');
+				const handler = createHandler();
+				const wrappedHandler = cache.wrap('/block/:height', handler);
+
+				// Act:
+				return executeRequest(wrappedHandler, '/block/50', { height: '50' }).then(context => {
+					// Assert:
+					expect(handler.numCalls).to.equal(1);
+					expect(context.responses).to.deep.equal([[{ payload: { id: 1 }, type: 'foo' }]]);
+				});
+			});
+		});
+	});
+});
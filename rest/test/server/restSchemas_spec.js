@@ -0,0 +1,136 @@
+/*
+ * Copyright (c) 2016-present,
+ * Jaguar0625, gimre, BloodyRookie, Tech Bureau, Corp. All rights reserved.
+ *
+ * This file is part of Catapult.
+ *
+ * Catapult is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Catapult is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Catapult.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const restSchemas = require('../../src/server/restSchemas');
+const catapult = require('catapult-sdk');
+const { expect } = require('chai');
+
+const { ModelType } = catapult.model;
+
+describe('rest schemas', () => {
+	const createFormattingRules = prefix => ({
+		[ModelType.none]: () => `${prefix}none`,
+		[ModelType.binary]: () => `${prefix}binary`,
+		[ModelType.uint64]: () => `${prefix}uint64`,
+		[ModelType.objectId]: () => `${prefix}objectId`,
+		[ModelType.string]: () => `${prefix}string`
+	});
+
+	const namedFormattingRules = { json: createFormattingRules('json.'), ws: createFormattingRules('ws.') };
+
+	const createModelSystem = () => catapult.plugins.catapultModelSystem.configure([], namedFormattingRules);
+
+	it('adds rest-only schemas to model schema', () => {
+		// Arrange:
+		const modelSystem = createModelSystem();
+
+		// Act:
+		const extendedModelSystem = restSchemas.extendModelSystem(modelSystem, namedFormattingRules);
+
+		// Assert:
+		expect(Object.keys(extendedModelSystem.schema))
+			.to.deep.equal(Object.keys(modelSystem.schema).concat(['blockStatistics', 'dailyTransactionStatistics']));
+		expect(extendedModelSystem.schema.blockStatistics).to.deep.equal({
+			fromHeight: ModelType.uint64,
+			toHeight: ModelType.uint64,
+			totalFee: ModelType.uint64
+		});
+		expect(extendedModelSystem.schema.dailyTransactionStatistics).to.deep.equal({
+			timestamp: ModelType.uint64,
+			totalFee: ModelType.uint64
+		});
+	});
+
+	it('adds rest-only formatters to all formatter sets', () => {
+		// Arrange:
+		const modelSystem = createModelSystem();
+
+		// Act:
+		const { formatters } = restSchemas.extendModelSystem(modelSystem, namedFormattingRules);
+
+		// Assert:
+		['json', 'ws'].forEach(key => {
+			expect(Object.keys(formatters[key]))
+				.to.deep.equal(Object.keys(modelSystem.formatters[key]).concat(['blockStatistics', 'dailyTransactionStatistics']));
+			expect(formatters[key].chainInfo).to.equal(modelSystem.formatters[key].chainInfo);
+		});
+	});
+
+	it('formats block statistics with named formatting rules', () => {
+		// Arrange:
+		const { formatters } = restSchemas.extendModelSystem(createModelSystem(), namedFormattingRules);
+
+		// Act:
+		const result = formatters.ws.blockStatistics.format({
+			fromHeight: 0,
+			toHeight: 0,
+			numBlocks: 0,
+			averageBlockTime: 0,
+			totalFee: 0,
+			transactionsByType: []
+		});
+
+		// Assert:
+		expect(result).to.deep.equal({
+			fromHeight: 'ws.uint64',
+			toHeight: 'ws.uint64',
+			numBlocks: 'ws.none',
+			averageBlockTime: 'ws.none',
+			totalFee: 'ws.uint64',
+			transactionsByType: 'ws.none'
+		});
+	});
+
+	it('formats daily transaction statistics with named formatting rules', () => {
+		// Arrange:
+		const { formatters } = restSchemas.extendModelSystem(createModelSystem(), namedFormattingRules);
+
+		// Act:
+		const result = formatters.json.dailyTransactionStatistics.format({
+			day: 0,
+			timestamp: 0,
+			numBlocks: 0,
+			numTransactions: 0,
+			totalFee: 0
+		});
+
+		// Assert:
+		expect(result).to.deep.equal({
+			day: 'json.none',
+			timestamp: 'json.uint64',
+			numBlocks: 'json.none',
+			numTransactions: 'json.none',
+			totalFee: 'json.uint64'
+		});
+	});
+
+	it('does not modify model system', () => {
+		// Arrange:
+		const modelSystem = createModelSystem();
+
+		// Act:
+		const extendedModelSystem = restSchemas.extendModelSystem(modelSystem, namedFormattingRules);
+
+		// Assert:
+		expect(extendedModelSystem.codec).to.equal(modelSystem.codec);
+		expect(modelSystem.schema).to.not.have.property('blockStatistics');
+		expect(modelSystem.formatters.json).to.not.have.property('blockStatistics');
+	});
+});